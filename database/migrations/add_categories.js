@@ -0,0 +1,171 @@
+/**
+ * Database Migration: Add Categories
+ * Managed category tree for products; products.category keeps the full path of the assigned category
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class CategoriesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for categories migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createCategoriesTable();
+            await this.addColumn('products', 'category_id', 'INTEGER REFERENCES categories (id)');
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_products_category ON products (category_id)',
+                'Created idx_products_category index'
+            );
+            await this.createCategoryClosureView();
+            await this.backfillCategories();
+
+            console.log('Categories migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createCategoriesTable() {
+        // path ("Cases / Silicone") and depth (0 for top level) are kept up to date on every change
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                parent_id INTEGER,
+                path TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                depth INTEGER NOT NULL DEFAULT 0,
+                description TEXT,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (parent_id) REFERENCES categories (id)
+            )
+        `, 'Created categories table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories (parent_id)',
+            'Created idx_categories_parent index'
+        );
+    }
+
+    async createCategoryClosureView() {
+        // One row per category and each of its ancestors (itself included, at distance 0),
+        // so totals roll up the tree with a plain join
+        await this.exec('DROP VIEW IF EXISTS category_closure', 'Dropped category_closure view');
+        await this.exec(`
+            CREATE VIEW category_closure AS
+            WITH RECURSIVE closure (category_id, ancestor_id, distance) AS (
+                SELECT id, id, 0 FROM categories
+                UNION ALL
+                SELECT closure.category_id, c.parent_id, closure.distance + 1
+                FROM closure
+                JOIN categories c ON c.id = closure.ancestor_id
+                WHERE c.parent_id IS NOT NULL
+            )
+            SELECT category_id, ancestor_id, distance FROM closure
+        `, 'Created category_closure view');
+    }
+
+    async backfillCategories() {
+        // Free-text categories already on products become top-level categories
+        await this.exec(`
+            INSERT OR IGNORE INTO categories (name, path, depth)
+            SELECT DISTINCT TRIM(category), TRIM(category), 0
+            FROM products
+            WHERE category IS NOT NULL AND TRIM(category) != '' AND category_id IS NULL
+        `, 'Created categories from existing product categories');
+
+        await this.exec(`
+            UPDATE products
+            SET category_id = (SELECT c.id FROM categories c WHERE c.path = TRIM(products.category)),
+                category = (SELECT c.path FROM categories c WHERE c.path = TRIM(products.category))
+            WHERE category IS NOT NULL AND TRIM(category) != '' AND category_id IS NULL
+        `, 'Assigned products to their categories');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new CategoriesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CategoriesMigration;
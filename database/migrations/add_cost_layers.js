@@ -0,0 +1,155 @@
+/**
+ * Database Migration: Add Cost Layers
+ * Inventory cost layers for FIFO / weighted-average costing and the cost of goods stored on each sale
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class CostLayersMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for cost layers migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createCostLayersTable();
+            await this.addColumn('sales', 'cogs', 'REAL');
+            await this.seedOpeningLayers();
+            await this.backfillSaleCosts();
+
+            console.log('Cost layers migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createCostLayersTable() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS cost_layers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                quantity_received INTEGER NOT NULL CHECK (quantity_received > 0),
+                quantity_remaining INTEGER NOT NULL CHECK (quantity_remaining >= 0),
+                unit_cost REAL NOT NULL,
+                source_type TEXT NOT NULL,
+                source_id INTEGER,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products (id)
+            )
+        `, 'Created cost_layers table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_cost_layers_product ON cost_layers(product_id, quantity_remaining)',
+            'Created idx_cost_layers_product index'
+        );
+    }
+
+    async seedOpeningLayers() {
+        // Stock on hand becomes one opening layer per product at its current cost
+        await this.exec(`
+            INSERT INTO cost_layers (product_id, quantity_received, quantity_remaining, unit_cost, source_type)
+            SELECT p.id, p.quantity, p.quantity, COALESCE(p.average_cost, p.cost_price, 0), 'opening'
+            FROM products p
+            WHERE p.quantity > 0
+              AND COALESCE(p.product_type, 'simple') != 'design'
+              AND NOT EXISTS (SELECT 1 FROM cost_layers cl WHERE cl.product_id = p.id)
+        `, 'Seeded opening cost layers');
+    }
+
+    async backfillSaleCosts() {
+        // Past sales keep the unit cost recorded at sale time, or the current cost price
+        await this.exec(`
+            UPDATE sales SET unit_cost = (SELECT p.cost_price FROM products p WHERE p.id = sales.product_id)
+            WHERE unit_cost IS NULL
+        `, 'Backfilled sales.unit_cost');
+
+        await this.exec(
+            'UPDATE sales SET cogs = quantity_sold * unit_cost WHERE cogs IS NULL AND unit_cost IS NOT NULL',
+            'Backfilled sales.cogs'
+        );
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new CostLayersMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CostLayersMigration;
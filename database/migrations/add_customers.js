@@ -0,0 +1,201 @@
+/**
+ * Database Migration: Add Customers
+ * Customer records deduplicated by phone or email, linked from sales orders, their lines and returns.
+ * Existing returns and the customer_info of existing orders are turned into customers where they hold a phone or email.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { parseCustomerInfo, findOrCreateCustomer } = require('../../utils/customers');
+
+class CustomersMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for customers migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // phone is digits only and email lower case, so the unique indexes catch duplicates
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS customers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    phone TEXT,
+                    email TEXT,
+                    address TEXT,
+                    gstin TEXT,
+                    notes TEXT,
+                    is_active INTEGER NOT NULL DEFAULT 1,
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created customers table');
+
+            await this.exec(
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_phone ON customers (phone)',
+                'Created customers phone index'
+            );
+            await this.exec(
+                'CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_email ON customers (email)',
+                'Created customers email index'
+            );
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_customers_name ON customers (name)',
+                'Created customers name index'
+            );
+
+            // Order lines carry a copy of the order's customer like the other header fields
+            for (const table of ['sales_orders', 'sales', 'returns']) {
+                await this.addColumn(table, 'customer_id', 'INTEGER REFERENCES customers (id)');
+                await this.exec(
+                    `CREATE INDEX IF NOT EXISTS idx_${table}_customer ON ${table} (customer_id)`,
+                    `Created ${table} customer index`
+                );
+            }
+
+            await this.backfillCustomers();
+
+            console.log('Customers migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async backfillCustomers() {
+        const db = {
+            get: (sql, params) => this.query('get', sql, params),
+            run: (sql, params) => this.query('run', sql, params)
+        };
+
+        // Details that are not a valid phone or email are left on the record and not linked
+        const link = async (details) => {
+            try {
+                return await findOrCreateCustomer(db, details);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        let linkedOrders = 0;
+        const orders = await this.query('all', 'SELECT id, customer_info FROM sales_orders WHERE customer_id IS NULL');
+        for (const order of orders) {
+            const customerId = await link(parseCustomerInfo(order.customer_info));
+            if (customerId) {
+                await this.query('run', 'UPDATE sales_orders SET customer_id = ? WHERE id = ?', [customerId, order.id]);
+                linkedOrders++;
+            }
+        }
+        await this.exec(
+            'UPDATE sales SET customer_id = (SELECT o.customer_id FROM sales_orders o WHERE o.id = sales.order_id) WHERE customer_id IS NULL',
+            `Linked ${linkedOrders} existing orders and their lines to customers`
+        );
+
+        let linkedReturns = 0;
+        const returns = await this.query(
+            'all',
+            `SELECT r.id, r.customer_name, r.customer_email, r.customer_phone, s.customer_id as sale_customer_id
+             FROM returns r
+             LEFT JOIN sales s ON s.id = r.original_sale_id
+             WHERE r.customer_id IS NULL`
+        );
+        for (const record of returns) {
+            const customerId = record.sale_customer_id || await link({
+                name: record.customer_name,
+                email: record.customer_email,
+                phone: record.customer_phone
+            });
+            if (customerId) {
+                await this.query('run', 'UPDATE returns SET customer_id = ? WHERE id = ?', [customerId, record.id]);
+                linkedReturns++;
+            }
+        }
+        console.log(`Linked ${linkedReturns} existing returns to customers`);
+    }
+
+    async query(method, sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db[method](sql, params, function(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+                }
+            });
+        });
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await this.query('all', `PRAGMA table_info(${table})`);
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new CustomersMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = CustomersMigration;
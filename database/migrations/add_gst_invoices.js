@@ -0,0 +1,207 @@
+/**
+ * Database Migration: Add GST Invoices
+ * HSN codes and GST rates on products and categories, the GST breakdown of every sales order and line,
+ * and tax invoices numbered gap-free per financial year
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class GstInvoicesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for GST invoices migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // NULL means the value is inherited
+            await this.addColumn('products', 'hsn_code', 'TEXT');
+            await this.addColumn('products', 'gst_rate', 'REAL CHECK (gst_rate >= 0 AND gst_rate <= 100)');
+            await this.addColumn('categories', 'hsn_code', 'TEXT');
+            await this.addColumn('categories', 'gst_rate', 'REAL CHECK (gst_rate >= 0 AND gst_rate <= 100)');
+            await this.createProductTaxCodesView();
+
+            // Buyer details decide between CGST + SGST and IGST; buyer_state is a two-digit GST state code
+            await this.addColumn('sales_orders', 'buyer_name', 'TEXT');
+            await this.addColumn('sales_orders', 'buyer_gstin', 'TEXT');
+            await this.addColumn('sales_orders', 'buyer_state', 'TEXT');
+            await this.addColumn('sales_orders', 'buyer_address', 'TEXT');
+
+            // Sale prices include GST; the breakdown is stored on the order and on each line
+            for (const table of ['sales_orders', 'sales']) {
+                await this.addColumn(table, 'taxable_amount', 'REAL');
+                await this.addColumn(table, 'cgst_amount', 'REAL');
+                await this.addColumn(table, 'sgst_amount', 'REAL');
+                await this.addColumn(table, 'igst_amount', 'REAL');
+            }
+            await this.addColumn('sales', 'hsn_code', 'TEXT');
+            await this.addColumn('sales', 'gst_rate', 'REAL');
+
+            await this.createInvoiceTables();
+
+            console.log('GST invoices migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createProductTaxCodesView() {
+        // Each value is taken from the first level that sets it:
+        // product -> parent design -> nearest category up the tree. A GST rate found nowhere falls back to
+        // GST_DEFAULT_RATE when the sale is taxed.
+        const nearestCategory = (column) => `(
+            SELECT c.${column}
+            FROM category_closure cc
+            JOIN categories c ON c.id = cc.ancestor_id
+            WHERE cc.category_id = COALESCE(p.category_id, dp.category_id) AND c.${column} IS NOT NULL
+            ORDER BY cc.distance
+            LIMIT 1
+        )`;
+
+        await this.exec('DROP VIEW IF EXISTS product_tax_codes', 'Dropped product_tax_codes view');
+        await this.exec(`
+            CREATE VIEW product_tax_codes AS
+            SELECT
+                p.id as product_id,
+                COALESCE(p.hsn_code, dp.hsn_code, ${nearestCategory('hsn_code')}) as hsn_code,
+                COALESCE(p.gst_rate, dp.gst_rate, ${nearestCategory('gst_rate')}) as gst_rate,
+                CASE
+                    WHEN p.gst_rate IS NOT NULL THEN 'product'
+                    WHEN dp.gst_rate IS NOT NULL THEN 'design'
+                    WHEN ${nearestCategory('gst_rate')} IS NOT NULL THEN 'category'
+                    ELSE 'default'
+                END as gst_rate_source
+            FROM products p
+            LEFT JOIN products dp ON dp.id = p.parent_id
+        `, 'Created product_tax_codes view');
+    }
+
+    async createInvoiceTables() {
+        // Invoice numbers are drawn from one sequence per financial year ("2026-27") in the transaction that
+        // issues the invoice, and invoices are never deleted, so the numbers have no gaps
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS invoice_sequences (
+                financial_year TEXT PRIMARY KEY,
+                last_value INTEGER NOT NULL DEFAULT 0
+            )
+        `, 'Created invoice_sequences table');
+
+        // Seller and buyer details are copied onto the invoice as they were when it was issued
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS invoices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_number TEXT NOT NULL UNIQUE,
+                financial_year TEXT NOT NULL,
+                sequence_number INTEGER NOT NULL,
+                order_id INTEGER NOT NULL UNIQUE REFERENCES sales_orders (id),
+                invoice_date DATE NOT NULL,
+                seller_name TEXT,
+                seller_gstin TEXT NOT NULL,
+                seller_state TEXT NOT NULL,
+                seller_address TEXT,
+                buyer_name TEXT,
+                buyer_gstin TEXT,
+                buyer_state TEXT,
+                buyer_address TEXT,
+                place_of_supply TEXT NOT NULL,
+                supply_type TEXT NOT NULL CHECK (supply_type IN ('intra_state', 'inter_state')),
+                taxable_amount REAL NOT NULL,
+                cgst_amount REAL NOT NULL DEFAULT 0,
+                sgst_amount REAL NOT NULL DEFAULT 0,
+                igst_amount REAL NOT NULL DEFAULT 0,
+                total_amount REAL NOT NULL,
+                created_by INTEGER REFERENCES users (id),
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (financial_year, sequence_number)
+            )
+        `, 'Created invoices table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_invoices_date ON invoices (invoice_date)',
+            'Created invoices date index'
+        );
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new GstInvoicesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = GstInvoicesMigration;
@@ -0,0 +1,108 @@
+/**
+ * Database Migration: Add Idempotency Keys
+ * Responses of sale, return and upload requests stored per Idempotency-Key and user, so a retried request
+ * returns the original result instead of being applied twice
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class IdempotencyKeysMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for idempotency keys migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // user_id is 0 for requests without a signed-in user; status_code stays NULL while the request runs
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL DEFAULT 0,
+                    idempotency_key TEXT NOT NULL,
+                    request_method TEXT NOT NULL,
+                    request_path TEXT NOT NULL,
+                    request_hash TEXT NOT NULL,
+                    status_code INTEGER,
+                    response_body TEXT,
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    completed_date DATETIME,
+                    UNIQUE (user_id, idempotency_key)
+                )
+            `, 'Created idempotency_keys table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys (created_date)',
+                'Created idempotency_keys created date index'
+            );
+
+            console.log('Idempotency keys migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new IdempotencyKeysMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = IdempotencyKeysMigration;
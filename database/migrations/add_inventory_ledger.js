@@ -0,0 +1,167 @@
+/**
+ * Database Migration: Add Inventory Ledger
+ * Links every inventory_logs entry to the document behind it and books opening balances,
+ * so that each product's quantity equals the sum of its ledger entries
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class InventoryLedgerMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for inventory ledger migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.addSourceColumns();
+            await this.backfillSources();
+            await this.bookOpeningBalances();
+
+            console.log('Inventory ledger migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addSourceColumns() {
+        await this.addColumn('inventory_logs', 'source_type', 'TEXT');
+        await this.addColumn('inventory_logs', 'source_id', 'INTEGER');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_inventory_logs_product ON inventory_logs(product_id, created_date)',
+            'Created idx_inventory_logs_product index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_inventory_logs_source ON inventory_logs(source_type, source_id)',
+            'Created idx_inventory_logs_source index'
+        );
+    }
+
+    async backfillSources() {
+        // Earlier entries carried the document number in the reason, e.g. transfer_out:TRF-000001
+        await this.exec(`
+            UPDATE inventory_logs
+            SET source_type = 'stock_transfer',
+                source_id = (SELECT st.id FROM stock_transfers st WHERE st.transfer_number = substr(inventory_logs.reason, instr(inventory_logs.reason, ':') + 1)),
+                reason = substr(reason, 1, instr(reason, ':') - 1)
+            WHERE source_type IS NULL AND (reason LIKE 'transfer_out:%' OR reason LIKE 'transfer_in:%')
+        `, 'Linked transfer entries to their transfers');
+
+        await this.exec(`
+            UPDATE inventory_logs
+            SET source_type = 'goods_receipt',
+                source_id = (SELECT gr.id FROM goods_receipts gr WHERE gr.receipt_number = substr(inventory_logs.reason, 15)),
+                reason = 'goods_receipt'
+            WHERE source_type IS NULL AND reason LIKE 'goods_receipt:%'
+        `, 'Linked goods receipt entries to their receipts');
+
+        // Entries from before stock locations belong to the default location, where all stock was moved
+        await this.exec(`
+            UPDATE inventory_logs
+            SET location_id = (SELECT id FROM stock_locations WHERE is_default = 1 ORDER BY id LIMIT 1)
+            WHERE location_id IS NULL
+        `, 'Assigned unlocated entries to the default location');
+    }
+
+    async bookOpeningBalances() {
+        // Stock that moved without a ledger entry becomes an opening balance per product and location,
+        // dated when the product was created so it precedes every other entry
+        await this.exec(`
+            INSERT INTO inventory_logs (product_id, location_id, previous_quantity, new_quantity, change_amount, reason, created_date)
+            SELECT ps.product_id, ps.location_id, p.quantity - (ps.quantity - COALESCE(ledger.quantity, 0)), p.quantity,
+                   ps.quantity - COALESCE(ledger.quantity, 0), 'opening_balance', COALESCE(p.created_date, CURRENT_TIMESTAMP)
+            FROM product_stock ps
+            JOIN products p ON p.id = ps.product_id
+            LEFT JOIN (
+                SELECT product_id, location_id, SUM(change_amount) as quantity
+                FROM inventory_logs
+                GROUP BY product_id, location_id
+            ) ledger ON ledger.product_id = ps.product_id AND ledger.location_id = ps.location_id
+            WHERE ps.quantity != COALESCE(ledger.quantity, 0)
+        `, 'Booked opening balances');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new InventoryLedgerMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = InventoryLedgerMigration;
@@ -0,0 +1,183 @@
+/**
+ * Database Migration: Add Marketplace Fees
+ * Per-platform fee schedules (referral, closing, shipping and other fees with GST on them), the fees, net payout
+ * and net profit of every sale line, and product weights for weight-based fees
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class MarketplaceFeesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for marketplace fees migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // Shipped weight of one unit; a variant without its own weight uses its design's
+            await this.addColumn('products', 'weight_grams', 'INTEGER CHECK (weight_grams > 0)');
+
+            await this.createFeeTables();
+
+            // NULL fees mean the sale was recorded before fees were worked out
+            await this.addColumn('sales', 'fee_schedule_id', 'INTEGER REFERENCES fee_schedules (id)');
+            await this.addColumn('sales', 'marketplace_fees', 'REAL');
+            await this.addColumn('sales', 'fee_gst', 'REAL');
+            await this.addColumn('sales', 'net_payout', 'REAL');
+            await this.addColumn('sales', 'net_profit', 'REAL');
+
+            console.log('Marketplace fees migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createFeeTables() {
+        // A platform has one schedule in force on any date; a new rate card is a new schedule from its start date
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS fee_schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                platform TEXT NOT NULL,
+                name TEXT NOT NULL,
+                effective_from DATE NOT NULL,
+                effective_to DATE,
+                fee_gst_rate REAL NOT NULL DEFAULT 18 CHECK (fee_gst_rate >= 0 AND fee_gst_rate <= 100),
+                notes TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_by INTEGER REFERENCES users (id),
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (effective_to IS NULL OR effective_to >= effective_from)
+            )
+        `, 'Created fee_schedules table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_fee_schedules_platform ON fee_schedules (platform, effective_from)',
+            'Created fee_schedules platform index'
+        );
+
+        // A rule charges a percentage of the line amount or a fixed amount per unit. A rule with a slab only
+        // applies when the unit's price or weight is in [slab_min, slab_max), so a rate card's slabs are one
+        // rule each
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS fee_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER NOT NULL REFERENCES fee_schedules (id) ON DELETE CASCADE,
+                fee_type TEXT NOT NULL CHECK (fee_type IN ('referral', 'closing', 'shipping', 'collection', 'other')),
+                calculation TEXT NOT NULL CHECK (calculation IN ('percentage', 'fixed')),
+                amount REAL NOT NULL CHECK (amount >= 0),
+                slab_basis TEXT CHECK (slab_basis IN ('price', 'weight')),
+                slab_min REAL,
+                slab_max REAL,
+                min_fee REAL,
+                max_fee REAL,
+                sort_order INTEGER NOT NULL DEFAULT 0
+            )
+        `, 'Created fee_rules table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_fee_rules_schedule ON fee_rules (schedule_id)',
+            'Created fee_rules schedule index'
+        );
+
+        // What each rule charged on a sale line, kept as charged so later rate card changes do not rewrite it
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS sale_fees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sale_id INTEGER NOT NULL REFERENCES sales (id) ON DELETE CASCADE,
+                rule_id INTEGER REFERENCES fee_rules (id) ON DELETE SET NULL,
+                fee_type TEXT NOT NULL,
+                amount REAL NOT NULL,
+                gst_amount REAL NOT NULL DEFAULT 0
+            )
+        `, 'Created sale_fees table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_sale_fees_sale ON sale_fees (sale_id)',
+            'Created sale_fees sale index'
+        );
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new MarketplaceFeesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = MarketplaceFeesMigration;
@@ -0,0 +1,146 @@
+/**
+ * Database Migration: Add Marketplace Imports
+ * Sales orders imported from Amazon, Flipkart and Meesho order reports, keyed by the marketplace order id so a
+ * report uploaded twice is not counted twice, and the mapping of marketplace SKUs to products
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class MarketplaceImportsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for marketplace imports migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS marketplace_imports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    import_number TEXT UNIQUE,
+                    platform TEXT NOT NULL,
+                    file_name TEXT,
+                    location_id INTEGER REFERENCES stock_locations (id),
+                    total_rows INTEGER NOT NULL DEFAULT 0,
+                    created_orders INTEGER NOT NULL DEFAULT 0,
+                    duplicate_orders INTEGER NOT NULL DEFAULT 0,
+                    skipped_rows INTEGER NOT NULL DEFAULT 0,
+                    unmapped_rows INTEGER NOT NULL DEFAULT 0,
+                    error_rows INTEGER NOT NULL DEFAULT 0,
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created marketplace_imports table');
+
+            // A marketplace SKU that is not one of our SKUs or barcodes is mapped to the product it sells
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS marketplace_sku_mappings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    platform TEXT NOT NULL,
+                    marketplace_sku TEXT NOT NULL,
+                    product_id INTEGER NOT NULL REFERENCES products (id),
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (platform, marketplace_sku)
+                )
+            `, 'Created marketplace_sku_mappings table');
+
+            await this.addColumn('sales_orders', 'marketplace_order_id', 'TEXT');
+            await this.addColumn('sales_orders', 'marketplace_import_id', 'INTEGER REFERENCES marketplace_imports (id)');
+
+            // The marketplace order id is the idempotency key of an imported order
+            await this.exec(
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_orders_marketplace_order
+                 ON sales_orders (sales_platform, marketplace_order_id) WHERE marketplace_order_id IS NOT NULL`,
+                'Created sales_orders marketplace order index'
+            );
+
+            console.log('Marketplace imports migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new MarketplaceImportsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = MarketplaceImportsMigration;
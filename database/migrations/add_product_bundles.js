@@ -0,0 +1,245 @@
+/**
+ * Database Migration: Add Product Bundles
+ * Bundle products (kits such as cover + tempered glass) sold as one item and made of component products,
+ * and the unit cost of each stock movement so returned bundles go back at the cost their components left with
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const PRODUCT_TYPE_CHECK = "CHECK (product_type IN ('simple', 'design', 'variant'))";
+const PRODUCT_TYPE_CHECK_WITH_BUNDLE = "CHECK (product_type IN ('simple', 'design', 'variant', 'bundle'))";
+
+class ProductBundlesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product bundles migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.allowBundleProductType();
+
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS bundle_components (
+                    bundle_id INTEGER NOT NULL,
+                    component_id INTEGER NOT NULL,
+                    quantity INTEGER NOT NULL CHECK (quantity > 0),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (bundle_id, component_id),
+                    FOREIGN KEY (bundle_id) REFERENCES products (id),
+                    FOREIGN KEY (component_id) REFERENCES products (id)
+                )
+            `, 'Created bundle_components table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_bundle_components_component ON bundle_components (component_id)',
+                'Created bundle_components component index'
+            );
+
+            await this.createBundleStockView();
+
+            // Stock movements keep their unit cost, so components of a bundle that comes back can be restocked
+            // at what they cost when the bundle was sold
+            await this.addColumn('inventory_logs', 'unit_cost', 'REAL');
+
+            console.log('Product bundles migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    /**
+     * Add 'bundle' to the product_type CHECK constraint.
+     * SQLite cannot alter a constraint, so products is rebuilt with the wider one following the ALTER TABLE procedure
+     * of the SQLite documentation: copy the rows into a new table, swap it in, then recreate the indexes and triggers
+     * of products and the views and triggers that read it. Row ids and the AUTOINCREMENT counter are kept, so the
+     * foreign keys pointing at products stay valid.
+     */
+    async allowBundleProductType() {
+        const table = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'products'");
+        if (table.sql.includes(PRODUCT_TYPE_CHECK_WITH_BUNDLE)) {
+            console.log('products.product_type already allows bundles');
+            return;
+        }
+        if (!table.sql.includes(PRODUCT_TYPE_CHECK)) {
+            throw new Error('products.product_type constraint not found, run add_product_variants.js first');
+        }
+
+        const rebuildSql = table.sql
+            .replace(/^CREATE TABLE\s+"?products"?/i, 'CREATE TABLE products_rebuild')
+            .replace(PRODUCT_TYPE_CHECK, PRODUCT_TYPE_CHECK_WITH_BUNDLE);
+        if (!rebuildSql.startsWith('CREATE TABLE products_rebuild')) {
+            throw new Error('Unexpected products table definition');
+        }
+
+        // Indexes and triggers of products go with the table; views and other triggers naming it would stop the rename
+        const dependents = await this.all(
+            `SELECT type, name, tbl_name, sql FROM sqlite_master
+             WHERE sql IS NOT NULL AND name != 'products'
+               AND (tbl_name = 'products' OR (type IN ('view', 'trigger') AND sql LIKE '%products%'))
+             ORDER BY rowid`
+        );
+        const detached = dependents.filter(item => item.tbl_name !== 'products');
+        const sequence = await this.get("SELECT seq FROM sqlite_sequence WHERE name = 'products'");
+        const { foreign_keys: foreignKeys } = await this.get('PRAGMA foreign_keys');
+
+        // Foreign keys stay off while products is briefly missing; this has no effect inside a transaction
+        await this.exec('PRAGMA foreign_keys = OFF', 'Disabled foreign keys');
+        await this.exec('BEGIN', 'Started products rebuild');
+        try {
+            for (const item of detached) {
+                await this.exec(`DROP ${item.type.toUpperCase()} ${item.name}`, `Dropped ${item.type} ${item.name}`);
+            }
+
+            await this.exec(rebuildSql, 'Created products_rebuild table');
+            await this.exec('INSERT INTO products_rebuild SELECT * FROM products', 'Copied products');
+            await this.exec('DROP TABLE products', 'Dropped old products table');
+            await this.exec('ALTER TABLE products_rebuild RENAME TO products', 'Renamed products_rebuild to products');
+            if (sequence) {
+                await this.exec(
+                    `UPDATE sqlite_sequence SET seq = ${sequence.seq} WHERE name = 'products'`,
+                    'Restored products id sequence'
+                );
+            }
+
+            for (const item of dependents) {
+                await this.exec(item.sql, `Recreated ${item.type} ${item.name}`);
+            }
+
+            const rebuilt = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'products'");
+            if (!rebuilt.sql.includes(PRODUCT_TYPE_CHECK_WITH_BUNDLE)) {
+                throw new Error('products.product_type constraint was not updated');
+            }
+            const violations = await this.all('PRAGMA foreign_key_check(products)');
+            if (violations.length > 0) {
+                throw new Error(`Foreign key check failed after products rebuild: ${violations.length} rows`);
+            }
+
+            await this.exec('COMMIT', 'Added bundle to products.product_type');
+        } catch (error) {
+            await this.exec('ROLLBACK', 'Rolled back products rebuild');
+            throw error;
+        } finally {
+            await this.exec(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`, 'Restored foreign keys setting');
+        }
+
+        const { integrity_check: integrity } = await this.get('PRAGMA integrity_check');
+        if (integrity !== 'ok') {
+            throw new Error(`Integrity check failed after products rebuild: ${integrity}`);
+        }
+    }
+
+    async createBundleStockView() {
+        // Bundles hold no stock of their own: they are available as often as their scarcest component
+        // can be supplied (components that cannot be sold count as out of stock), and cost what their components cost
+        await this.exec('DROP VIEW IF EXISTS bundle_stock', 'Dropped bundle_stock view');
+        await this.exec(`
+            CREATE VIEW bundle_stock AS
+            SELECT bc.bundle_id,
+                   MIN(CASE WHEN c.status IN ('active', 'discontinued') THEN c.quantity / bc.quantity ELSE 0 END) as available_quantity,
+                   ROUND(SUM(bc.quantity * COALESCE(c.average_cost, c.cost_price)), 2) as component_cost,
+                   COUNT(*) as component_count
+            FROM bundle_components bc
+            JOIN products c ON c.id = bc.component_id
+            GROUP BY bc.bundle_id
+        `, 'Created bundle_stock view');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async get(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async all(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductBundlesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductBundlesMigration;
@@ -0,0 +1,153 @@
+/**
+ * Database Migration: Add Product Codes
+ * Adds barcodes and SKU sequences, and backfills internal EAN-13 barcodes for existing products
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { internalEan13 } = require('../../utils/barcode');
+
+class ProductCodesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product codes migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.addCodeColumns();
+            await this.createSkuSequencesTable();
+            await this.backfillBarcodes();
+
+            console.log('Product codes migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addCodeColumns() {
+        await this.addColumn('products', 'barcode', 'TEXT');
+        await this.exec(
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode) WHERE barcode IS NOT NULL',
+            'Created idx_products_barcode index'
+        );
+    }
+
+    async createSkuSequencesTable() {
+        // Last sequence number handed out per SKU prefix (the SKU pattern without its {NNN} part)
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS sku_sequences (
+                prefix TEXT PRIMARY KEY,
+                last_value INTEGER NOT NULL DEFAULT 0
+            )
+        `, 'Created sku_sequences table');
+    }
+
+    async backfillBarcodes() {
+        const products = await new Promise((resolve, reject) => {
+            this.db.all('SELECT id FROM products WHERE barcode IS NULL', (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        for (const product of products) {
+            await new Promise((resolve, reject) => {
+                this.db.run('UPDATE products SET barcode = ? WHERE id = ?', [internalEan13(product.id), product.id], (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }
+
+        console.log(`Backfilled barcodes for ${products.length} products`);
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductCodesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductCodesMigration;
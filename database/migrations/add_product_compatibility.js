@@ -0,0 +1,122 @@
+/**
+ * Database Migration: Add Product Compatibility
+ * Phone models a product fits besides its own brand/model, so one cover can be stocked once for several handsets
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ProductCompatibilityMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product compatibility migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS product_compatibility (
+                    product_id INTEGER NOT NULL,
+                    phone_model_id INTEGER NOT NULL,
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (product_id, phone_model_id),
+                    FOREIGN KEY (product_id) REFERENCES products (id),
+                    FOREIGN KEY (phone_model_id) REFERENCES phone_models (id)
+                )
+            `, 'Created product_compatibility table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_product_compatibility_model ON product_compatibility (phone_model_id)',
+                'Created product_compatibility phone model index'
+            );
+
+            await this.createProductHandsetsView();
+
+            console.log('Product compatibility migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createProductHandsetsView() {
+        // Every handset a product fits: its own brand/model ('primary', even when missing from
+        // phone_models) and the compatible models, leaving out a compatible model equal to its own
+        await this.exec('DROP VIEW IF EXISTS product_handsets', 'Dropped product_handsets view');
+        await this.exec(`
+            CREATE VIEW product_handsets AS
+            SELECT p.id as product_id, pm.id as phone_model_id, p.brand, p.model, 'primary' as fit
+            FROM products p
+            LEFT JOIN phone_models pm ON pm.brand = p.brand AND pm.model = p.model
+            WHERE p.model IS NOT NULL AND p.model != ''
+            UNION ALL
+            SELECT pc.product_id, pm.id, pm.brand, pm.model, 'compatible'
+            FROM product_compatibility pc
+            JOIN phone_models pm ON pm.id = pc.phone_model_id
+            JOIN products p ON p.id = pc.product_id
+            WHERE NOT (pm.brand = COALESCE(p.brand, '') AND pm.model = COALESCE(p.model, ''))
+        `, 'Created product_handsets view');
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductCompatibilityMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductCompatibilityMigration;
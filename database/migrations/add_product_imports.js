@@ -0,0 +1,103 @@
+/**
+ * Database Migration: Add Product Imports
+ * Records each committed bulk product import so its stock movements can point back to it
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ProductImportsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product imports migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS product_imports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    import_number TEXT UNIQUE,
+                    file_name TEXT,
+                    location_id INTEGER,
+                    total_rows INTEGER NOT NULL DEFAULT 0,
+                    created_count INTEGER NOT NULL DEFAULT 0,
+                    updated_count INTEGER NOT NULL DEFAULT 0,
+                    new_phone_models INTEGER NOT NULL DEFAULT 0,
+                    new_colors INTEGER NOT NULL DEFAULT 0,
+                    created_by INTEGER,
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (location_id) REFERENCES stock_locations (id),
+                    FOREIGN KEY (created_by) REFERENCES users (id)
+                )
+            `, 'Created product_imports table');
+
+            console.log('Product imports migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductImportsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductImportsMigration;
@@ -0,0 +1,121 @@
+/**
+ * Database Migration: Add Product Lifecycle
+ * Lifecycle status (draft, active, discontinued, archived) and the do-not-reorder flag on products
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ProductLifecycleMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product lifecycle migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.addColumn(
+                'products', 'status',
+                "TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'active', 'discontinued', 'archived'))"
+            );
+            await this.addColumn('products', 'do_not_reorder', 'INTEGER NOT NULL DEFAULT 0');
+            await this.addColumn('products', 'status_changed_date', 'DATETIME');
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_products_status ON products (status)',
+                'Created idx_products_status index'
+            );
+
+            // is_active was never maintained; inactive products are the closest thing to archived
+            await this.exec(
+                "UPDATE products SET status = 'archived', status_changed_date = CURRENT_TIMESTAMP WHERE is_active = 0 AND status = 'active'",
+                'Archived inactive products'
+            );
+
+            console.log('Product lifecycle migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductLifecycleMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductLifecycleMigration;
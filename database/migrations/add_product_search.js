@@ -0,0 +1,148 @@
+/**
+ * Database Migration: Add Product Search
+ * FTS5 index over the searchable product columns, kept in sync with products by triggers
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Indexed columns, in index order; bm25 weights below follow the same order
+const SEARCH_COLUMNS = ['name', 'description', 'brand', 'model', 'color', 'sku', 'barcode'];
+
+class ProductSearchMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product search migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // External content table: the index stores tokens only and reads the text back from products
+            await this.exec(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS product_search USING fts5 (
+                    ${SEARCH_COLUMNS.join(', ')},
+                    content = 'products',
+                    content_rowid = 'id',
+                    tokenize = 'unicode61 remove_diacritics 2',
+                    prefix = '2 3'
+                )
+            `, 'Created product_search index');
+
+            // Terms of the index, for typo correction
+            await this.exec(
+                "CREATE VIRTUAL TABLE IF NOT EXISTS product_search_vocab USING fts5vocab (product_search, 'row')",
+                'Created product_search_vocab table'
+            );
+
+            // Name, model and codes outweigh the description
+            await this.exec(
+                "INSERT INTO product_search (product_search, rank) VALUES ('rank', 'bm25(10.0, 1.0, 4.0, 8.0, 2.0, 10.0, 10.0)')",
+                'Set product_search ranking'
+            );
+
+            await this.createTriggers();
+
+            await this.exec(
+                "INSERT INTO product_search (product_search) VALUES ('rebuild')",
+                'Indexed existing products'
+            );
+
+            console.log('Product search migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createTriggers() {
+        const columns = SEARCH_COLUMNS.join(', ');
+        const newValues = SEARCH_COLUMNS.map(column => `new.${column}`).join(', ');
+        const oldValues = SEARCH_COLUMNS.map(column => `old.${column}`).join(', ');
+
+        for (const trigger of ['products_search_insert', 'products_search_delete', 'products_search_update']) {
+            await this.exec(`DROP TRIGGER IF EXISTS ${trigger}`, `Dropped ${trigger} trigger`);
+        }
+
+        await this.exec(`
+            CREATE TRIGGER products_search_insert AFTER INSERT ON products BEGIN
+                INSERT INTO product_search (rowid, ${columns}) VALUES (new.id, ${newValues});
+            END
+        `, 'Created products_search_insert trigger');
+
+        await this.exec(`
+            CREATE TRIGGER products_search_delete AFTER DELETE ON products BEGIN
+                INSERT INTO product_search (product_search, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+            END
+        `, 'Created products_search_delete trigger');
+
+        // Only text changes touch the index; stock movements do not
+        await this.exec(`
+            CREATE TRIGGER products_search_update AFTER UPDATE OF ${columns} ON products BEGIN
+                INSERT INTO product_search (product_search, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+                INSERT INTO product_search (rowid, ${columns}) VALUES (new.id, ${newValues});
+            END
+        `, 'Created products_search_update trigger');
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductSearchMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductSearchMigration;
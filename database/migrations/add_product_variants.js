@@ -0,0 +1,133 @@
+/**
+ * Database Migration: Add Product Variants
+ * Turns products into a parent "design" with child variants generated from phone_models × colors
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ProductVariantsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for product variants migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.addVariantColumns();
+            await this.createVariantIndexes();
+
+            console.log('Product variants migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addVariantColumns() {
+        // 'simple' = standalone product, 'design' = parent, 'variant' = child of a design
+        await this.addColumn('products', 'product_type', "TEXT DEFAULT 'simple' CHECK (product_type IN ('simple', 'design', 'variant'))");
+        await this.addColumn('products', 'parent_id', 'INTEGER REFERENCES products (id)');
+        await this.addColumn('products', 'sku', 'TEXT');
+        // Variants copy their prices from the design unless these flags are set
+        await this.addColumn('products', 'cost_price_override', 'INTEGER DEFAULT 0');
+        await this.addColumn('products', 'selling_price_override', 'INTEGER DEFAULT 0');
+    }
+
+    async createVariantIndexes() {
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_products_parent_id ON products(parent_id)',
+            'Created idx_products_parent_id index'
+        );
+        await this.exec(
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_products_variant_combo
+             ON products(parent_id, brand, model, color) WHERE parent_id IS NOT NULL`,
+            'Created idx_products_variant_combo index'
+        );
+        await this.exec(
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products(sku) WHERE sku IS NOT NULL',
+            'Created idx_products_sku index'
+        );
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ProductVariantsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ProductVariantsMigration;
@@ -0,0 +1,221 @@
+/**
+ * Database Migration: Add Purchase Orders
+ * Suppliers, purchase orders with line items and goods receipts that record the actual unit cost
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class PurchaseOrdersMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for purchase orders migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createSuppliersTable();
+            await this.createPurchaseOrderTables();
+            await this.createGoodsReceiptTables();
+            await this.addCostColumns();
+
+            console.log('Purchase orders migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createSuppliersTable() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS suppliers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                contact_name TEXT,
+                phone TEXT,
+                email TEXT,
+                address TEXT,
+                gstin TEXT,
+                notes TEXT,
+                is_active INTEGER DEFAULT 1,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `, 'Created suppliers table');
+    }
+
+    async createPurchaseOrderTables() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS purchase_orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                po_number TEXT UNIQUE,
+                supplier_id INTEGER NOT NULL,
+                status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'closed', 'cancelled')),
+                location_id INTEGER,
+                order_date DATE DEFAULT CURRENT_DATE,
+                expected_date DATE,
+                notes TEXT,
+                created_by INTEGER,
+                sent_date DATETIME,
+                closed_date DATETIME,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (supplier_id) REFERENCES suppliers (id),
+                FOREIGN KEY (location_id) REFERENCES stock_locations (id)
+            )
+        `, 'Created purchase_orders table');
+
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS purchase_order_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                po_id INTEGER NOT NULL,
+                product_id INTEGER NOT NULL,
+                quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+                quantity_received INTEGER NOT NULL DEFAULT 0,
+                unit_cost REAL NOT NULL DEFAULT 0,
+                FOREIGN KEY (po_id) REFERENCES purchase_orders (id),
+                FOREIGN KEY (product_id) REFERENCES products (id)
+            )
+        `, 'Created purchase_order_items table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id)',
+            'Created idx_purchase_orders_supplier index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status)',
+            'Created idx_purchase_orders_status index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON purchase_order_items(po_id)',
+            'Created idx_purchase_order_items_po index'
+        );
+    }
+
+    async createGoodsReceiptTables() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS goods_receipts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                receipt_number TEXT UNIQUE,
+                po_id INTEGER NOT NULL,
+                location_id INTEGER NOT NULL,
+                notes TEXT,
+                received_by INTEGER,
+                received_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (po_id) REFERENCES purchase_orders (id),
+                FOREIGN KEY (location_id) REFERENCES stock_locations (id)
+            )
+        `, 'Created goods_receipts table');
+
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS goods_receipt_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                receipt_id INTEGER NOT NULL,
+                po_item_id INTEGER NOT NULL,
+                product_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                unit_cost REAL NOT NULL,
+                FOREIGN KEY (receipt_id) REFERENCES goods_receipts (id),
+                FOREIGN KEY (po_item_id) REFERENCES purchase_order_items (id),
+                FOREIGN KEY (product_id) REFERENCES products (id)
+            )
+        `, 'Created goods_receipt_items table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_goods_receipts_po ON goods_receipts(po_id)',
+            'Created idx_goods_receipts_po index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_goods_receipt_items_product ON goods_receipt_items(product_id)',
+            'Created idx_goods_receipt_items_product index'
+        );
+    }
+
+    async addCostColumns() {
+        // Moving average of received unit costs; NULL until the first receipt
+        await this.addColumn('products', 'average_cost', 'REAL');
+        // Unit cost of the goods at the time of the sale
+        await this.addColumn('sales', 'unit_cost', 'REAL');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new PurchaseOrdersMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = PurchaseOrdersMigration;
@@ -0,0 +1,155 @@
+/**
+ * Database Migration: Add Reorder Levels
+ * Reorder point and safety stock per product, with category, brand and global defaults to inherit from
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ReorderLevelsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for reorder levels migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // NULL means the value is inherited
+            await this.addColumn('products', 'reorder_point', 'INTEGER CHECK (reorder_point >= 0)');
+            await this.addColumn('products', 'safety_stock', 'INTEGER CHECK (safety_stock >= 0)');
+            await this.createReorderDefaultsTable();
+            await this.createReorderLevelsView();
+
+            console.log('Reorder levels migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createReorderDefaultsTable() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS reorder_defaults (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                scope TEXT NOT NULL CHECK (scope IN ('global', 'category', 'brand')),
+                scope_value TEXT NOT NULL DEFAULT '',
+                reorder_point INTEGER NOT NULL CHECK (reorder_point >= 0),
+                safety_stock INTEGER NOT NULL DEFAULT 0 CHECK (safety_stock >= 0),
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (scope, scope_value)
+            )
+        `, 'Created reorder_defaults table');
+
+        // The global default keeps the old fixed cutoff of 10
+        await this.exec(
+            "INSERT OR IGNORE INTO reorder_defaults (scope, scope_value, reorder_point, safety_stock) VALUES ('global', '', 10, 0)",
+            'Seeded global reorder default'
+        );
+    }
+
+    async createReorderLevelsView() {
+        // Each value is taken from the first level that sets it:
+        // product -> parent design -> category default -> brand default -> global default
+        await this.exec('DROP VIEW IF EXISTS product_reorder_levels', 'Dropped product_reorder_levels view');
+        await this.exec(`
+            CREATE VIEW product_reorder_levels AS
+            SELECT
+                p.id as product_id,
+                COALESCE(p.reorder_point, dp.reorder_point, cd.reorder_point, bd.reorder_point, gd.reorder_point, 10) as effective_reorder_point,
+                COALESCE(p.safety_stock, dp.safety_stock, cd.safety_stock, bd.safety_stock, gd.safety_stock, 0) as effective_safety_stock,
+                CASE
+                    WHEN p.reorder_point IS NOT NULL THEN 'product'
+                    WHEN dp.reorder_point IS NOT NULL THEN 'design'
+                    WHEN cd.id IS NOT NULL THEN 'category'
+                    WHEN bd.id IS NOT NULL THEN 'brand'
+                    ELSE 'global'
+                END as reorder_point_source
+            FROM products p
+            LEFT JOIN products dp ON dp.id = p.parent_id
+            LEFT JOIN reorder_defaults cd ON cd.scope = 'category' AND cd.scope_value = p.category
+            LEFT JOIN reorder_defaults bd ON bd.scope = 'brand' AND bd.scope_value = p.brand
+            LEFT JOIN reorder_defaults gd ON gd.scope = 'global'
+        `, 'Created product_reorder_levels view');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ReorderLevelsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ReorderLevelsMigration;
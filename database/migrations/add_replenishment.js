@@ -0,0 +1,159 @@
+/**
+ * Database Migration: Add Replenishment
+ * Supplier lead times per brand and the reorder suggestions accepted from the replenishment planner
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ReplenishmentMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for replenishment migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createLeadTimesTable();
+            await this.createReplenishmentItemsTable();
+
+            console.log('Replenishment migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createLeadTimesTable() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS lead_times (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                scope TEXT NOT NULL CHECK (scope IN ('global', 'brand')),
+                scope_value TEXT NOT NULL DEFAULT '',
+                lead_time_days INTEGER NOT NULL CHECK (lead_time_days >= 0),
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (scope, scope_value)
+            )
+        `, 'Created lead_times table');
+
+        await this.exec(
+            "INSERT OR IGNORE INTO lead_times (scope, scope_value, lead_time_days) VALUES ('global', '', 7)",
+            'Seeded global lead time'
+        );
+    }
+
+    async createReplenishmentItemsTable() {
+        // One accepted line per product until it is ordered; the planner figures are kept as they were when accepted
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS replenishment_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                brand TEXT,
+                status TEXT DEFAULT 'accepted' CHECK (status IN ('accepted', 'ordered')),
+                suggested_quantity INTEGER NOT NULL DEFAULT 0,
+                order_quantity INTEGER NOT NULL CHECK (order_quantity > 0),
+                on_hand INTEGER NOT NULL DEFAULT 0,
+                on_order INTEGER NOT NULL DEFAULT 0,
+                daily_demand REAL NOT NULL DEFAULT 0,
+                days_of_cover REAL,
+                lead_time_days INTEGER NOT NULL DEFAULT 0,
+                unit_cost REAL NOT NULL DEFAULT 0,
+                accepted_by INTEGER,
+                accepted_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ordered_date DATETIME,
+                FOREIGN KEY (product_id) REFERENCES products (id),
+                FOREIGN KEY (accepted_by) REFERENCES users (id)
+            )
+        `, 'Created replenishment_items table');
+
+        await this.exec(
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_replenishment_items_accepted ON replenishment_items(product_id) WHERE status = 'accepted'",
+            'Created idx_replenishment_items_accepted index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_replenishment_items_status ON replenishment_items(status, brand)',
+            'Created idx_replenishment_items_status index'
+        );
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ReplenishmentMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ReplenishmentMigration;
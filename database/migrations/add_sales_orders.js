@@ -0,0 +1,161 @@
+/**
+ * Database Migration: Add Sales Orders
+ * Order headers (customer, platform, payment, slip, order discount) over the sales rows, which become order lines.
+ * Every existing sale becomes a single-line order with the same id.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class SalesOrdersMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for sales orders migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS sales_orders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    order_number TEXT UNIQUE,
+                    order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    sales_platform TEXT DEFAULT 'Direct',
+                    customer_info TEXT,
+                    payment_method TEXT,
+                    slip_path TEXT,
+                    location_id INTEGER REFERENCES stock_locations (id),
+                    subtotal REAL NOT NULL DEFAULT 0,
+                    discount_amount REAL NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+                    total_amount REAL NOT NULL DEFAULT 0,
+                    notes TEXT,
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created sales_orders table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_sales_orders_date ON sales_orders (order_date)',
+                'Created sales_orders date index'
+            );
+
+            // Sales rows are the order lines; the header fields stay on each line so line reports need no join
+            await this.addColumn('sales', 'order_id', 'INTEGER REFERENCES sales_orders (id)');
+            await this.addColumn('sales', 'line_number', 'INTEGER');
+            await this.addColumn('sales', 'line_discount', 'REAL NOT NULL DEFAULT 0');
+            await this.addColumn('sales', 'order_discount_share', 'REAL NOT NULL DEFAULT 0');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_sales_order_id ON sales (order_id)',
+                'Created sales order index'
+            );
+
+            await this.migrateExistingSales();
+
+            console.log('Sales orders migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async migrateExistingSales() {
+        // A sale whose total is below quantity x price was discounted; the difference becomes its line discount
+        await this.exec(`
+            INSERT INTO sales_orders (id, order_number, order_date, sales_platform, customer_info, payment_method, slip_path,
+                                      location_id, subtotal, discount_amount, total_amount, created_date, updated_date)
+            SELECT s.id, 'SO-' || printf('%06d', s.id), s.sale_date, s.sales_platform, s.customer_info, s.payment_method, s.slip_path,
+                   s.location_id, s.quantity_sold * s.sale_price, 0, s.total_amount, s.created_date, s.created_date
+            FROM sales s
+            WHERE s.order_id IS NULL
+        `, 'Created single-line orders for existing sales');
+
+        await this.exec(`
+            UPDATE sales
+            SET order_id = id, line_number = 1, line_discount = MAX(ROUND(quantity_sold * sale_price - total_amount, 2), 0)
+            WHERE order_id IS NULL
+        `, 'Linked existing sales to their orders');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new SalesOrdersMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = SalesOrdersMigration;
@@ -0,0 +1,194 @@
+/**
+ * Database Migration: Add Settlements
+ * Marketplace settlement and payment reports, and the views that match their lines to sales orders and work out
+ * what each marketplace order should have paid from its sales and returns
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class SettlementsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for settlements migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // file_hash and the marketplace's own settlement_ref keep a report from being counted twice
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS settlements (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    settlement_number TEXT UNIQUE,
+                    platform TEXT NOT NULL,
+                    settlement_ref TEXT,
+                    file_name TEXT,
+                    file_hash TEXT NOT NULL UNIQUE,
+                    total_rows INTEGER NOT NULL DEFAULT 0,
+                    total_amount REAL NOT NULL DEFAULT 0,
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created settlements table');
+
+            await this.exec(
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_settlements_ref
+                 ON settlements (platform, settlement_ref) WHERE settlement_ref IS NOT NULL`,
+                'Created settlements reference index'
+            );
+
+            // order_ref is the order id as the report gives it: the marketplace order id, or our order number
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS settlement_lines (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    settlement_id INTEGER NOT NULL REFERENCES settlements (id) ON DELETE CASCADE,
+                    row_number INTEGER NOT NULL,
+                    order_ref TEXT,
+                    transaction_type TEXT NOT NULL CHECK (transaction_type IN ('order', 'refund', 'other')),
+                    description TEXT,
+                    amount REAL NOT NULL,
+                    posted_date DATETIME
+                )
+            `, 'Created settlement_lines table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_settlement_lines_settlement ON settlement_lines (settlement_id)',
+                'Created settlement_lines settlement index'
+            );
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_settlement_lines_order_ref ON settlement_lines (order_ref)',
+                'Created settlement_lines order index'
+            );
+
+            await this.createSettlementViews();
+
+            console.log('Settlements migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createSettlementViews() {
+        // Lines are matched when they are read, so a line paid before its order was imported matches once it is
+        await this.exec('DROP VIEW IF EXISTS settlement_line_orders', 'Dropped settlement_line_orders view');
+        await this.exec(`
+            CREATE VIEW settlement_line_orders AS
+            SELECT
+                sl.*,
+                st.platform,
+                st.settlement_number,
+                COALESCE(
+                    (SELECT o.id FROM sales_orders o
+                     WHERE o.marketplace_order_id = sl.order_ref AND o.sales_platform = st.platform COLLATE NOCASE),
+                    (SELECT o.id FROM sales_orders o
+                     WHERE o.order_number = sl.order_ref AND o.sales_platform = st.platform COLLATE NOCASE)
+                ) as order_id
+            FROM settlement_lines sl
+            JOIN settlements st ON st.id = sl.settlement_id
+        `, 'Created settlement_line_orders view');
+
+        // What an order should pay out (its lines' net payout less the refunds of its processed returns)
+        // against what its settlement lines paid
+        await this.exec('DROP VIEW IF EXISTS order_settlements', 'Dropped order_settlements view');
+        await this.exec(`
+            CREATE VIEW order_settlements AS
+            SELECT
+                o.id as order_id,
+                o.order_number,
+                o.marketplace_order_id,
+                o.sales_platform as platform,
+                o.order_date,
+                ROUND(sold.net_payout - COALESCE(ret.refunded, 0), 2) as expected_amount,
+                ROUND(COALESCE(paid.received, 0), 2) as received_amount,
+                COALESCE(paid.line_count, 0) as settlement_lines,
+                ROUND(COALESCE(paid.refund_deductions, 0), 2) as refund_deductions,
+                COALESCE(ret.return_count, 0) as return_count,
+                paid.last_settled_date
+            FROM sales_orders o
+            JOIN (
+                SELECT order_id, SUM(COALESCE(net_payout, total_amount)) as net_payout
+                FROM sales
+                GROUP BY order_id
+            ) sold ON sold.order_id = o.id
+            LEFT JOIN (
+                SELECT s.order_id, COUNT(*) as return_count,
+                       SUM(CASE WHEN r.return_status = 'processed' THEN r.refund_amount ELSE 0 END) as refunded
+                FROM returns r
+                JOIN sales s ON s.id = r.original_sale_id
+                WHERE r.return_status != 'rejected'
+                GROUP BY s.order_id
+            ) ret ON ret.order_id = o.id
+            LEFT JOIN (
+                SELECT order_id, SUM(amount) as received, COUNT(*) as line_count,
+                       SUM(CASE WHEN transaction_type = 'refund' THEN amount ELSE 0 END) as refund_deductions,
+                       MAX(posted_date) as last_settled_date
+                FROM settlement_line_orders
+                WHERE order_id IS NOT NULL
+                GROUP BY order_id
+            ) paid ON paid.order_id = o.id
+        `, 'Created order_settlements view');
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new SettlementsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = SettlementsMigration;
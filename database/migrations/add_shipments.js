@@ -0,0 +1,163 @@
+/**
+ * Database Migration: Add Shipments
+ * Dispatch of sales orders: courier, AWB number, parcel weight and dimensions, and the status history of each
+ * shipment. A return opened for a shipment that came back to origin (RTO) is linked to it.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class ShipmentsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for shipments migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            // One shipment per order; status is the latest entry of its history
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS shipments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shipment_number TEXT UNIQUE,
+                    order_id INTEGER NOT NULL UNIQUE REFERENCES sales_orders (id),
+                    courier_name TEXT,
+                    awb_number TEXT,
+                    weight_grams INTEGER CHECK (weight_grams IS NULL OR weight_grams > 0),
+                    length_cm REAL CHECK (length_cm IS NULL OR length_cm > 0),
+                    width_cm REAL CHECK (width_cm IS NULL OR width_cm > 0),
+                    height_cm REAL CHECK (height_cm IS NULL OR height_cm > 0),
+                    status TEXT NOT NULL DEFAULT 'packed'
+                        CHECK (status IN ('packed', 'shipped', 'in_transit', 'delivered', 'rto')),
+                    dispatch_date DATETIME,
+                    delivered_date DATETIME,
+                    rto_date DATETIME,
+                    notes TEXT,
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created shipments table');
+
+            // A courier never reuses an AWB number
+            await this.exec(
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_shipments_awb
+                 ON shipments (courier_name COLLATE NOCASE, awb_number) WHERE awb_number IS NOT NULL`,
+                'Created shipments AWB index'
+            );
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_shipments_status ON shipments (status)',
+                'Created shipments status index'
+            );
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_shipments_dispatch ON shipments (dispatch_date)',
+                'Created shipments dispatch index'
+            );
+
+            await this.exec(`
+                CREATE TABLE IF NOT EXISTS shipment_status_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shipment_id INTEGER NOT NULL REFERENCES shipments (id) ON DELETE CASCADE,
+                    status TEXT NOT NULL,
+                    remarks TEXT,
+                    status_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    created_by INTEGER REFERENCES users (id),
+                    created_date DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, 'Created shipment_status_history table');
+
+            await this.exec(
+                'CREATE INDEX IF NOT EXISTS idx_shipment_status_history_shipment ON shipment_status_history (shipment_id)',
+                'Created shipment_status_history shipment index'
+            );
+
+            await this.addColumn('returns', 'shipment_id', 'INTEGER REFERENCES shipments (id)');
+
+            console.log('Shipments migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new ShipmentsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = ShipmentsMigration;
@@ -0,0 +1,211 @@
+/**
+ * Database Migration: Add Stock Locations
+ * Splits stock across locations (shop, godown, fulfilment center) and adds stock transfers.
+ * products.quantity is kept as the total over all locations.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class StockLocationsMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for stock locations migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createLocationTables();
+            await this.createTransferTables();
+            await this.addLocationColumns();
+            await this.seedLocations();
+            await this.moveStockToDefaultLocation();
+
+            console.log('Stock locations migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createLocationTables() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS stock_locations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                location_type TEXT DEFAULT 'shop' CHECK (location_type IN ('shop', 'warehouse', 'fulfilment_center', 'other')),
+                address TEXT,
+                is_default INTEGER DEFAULT 0,
+                is_active INTEGER DEFAULT 1,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `, 'Created stock_locations table');
+
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS product_stock (
+                product_id INTEGER NOT NULL,
+                location_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (product_id, location_id),
+                FOREIGN KEY (product_id) REFERENCES products (id),
+                FOREIGN KEY (location_id) REFERENCES stock_locations (id)
+            )
+        `, 'Created product_stock table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_product_stock_location ON product_stock(location_id)',
+            'Created idx_product_stock_location index'
+        );
+    }
+
+    async createTransferTables() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS stock_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transfer_number TEXT UNIQUE,
+                from_location_id INTEGER NOT NULL,
+                to_location_id INTEGER NOT NULL,
+                status TEXT DEFAULT 'completed',
+                notes TEXT,
+                created_by INTEGER,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (from_location_id) REFERENCES stock_locations (id),
+                FOREIGN KEY (to_location_id) REFERENCES stock_locations (id)
+            )
+        `, 'Created stock_transfers table');
+
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS stock_transfer_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transfer_id INTEGER NOT NULL,
+                product_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                FOREIGN KEY (transfer_id) REFERENCES stock_transfers (id),
+                FOREIGN KEY (product_id) REFERENCES products (id)
+            )
+        `, 'Created stock_transfer_items table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id)',
+            'Created idx_stock_transfer_items_transfer index'
+        );
+    }
+
+    async addLocationColumns() {
+        await this.addColumn('sales', 'location_id', 'INTEGER REFERENCES stock_locations (id)');
+        await this.addColumn('returns', 'restock_location_id', 'INTEGER REFERENCES stock_locations (id)');
+        await this.addColumn('inventory_logs', 'location_id', 'INTEGER REFERENCES stock_locations (id)');
+    }
+
+    async seedLocations() {
+        const locations = [
+            ['SHOP', 'Shop', 'shop', 1],
+            ['GODOWN', 'Godown', 'warehouse', 0],
+            ['FC', 'Fulfilment Center', 'fulfilment_center', 0]
+        ];
+
+        for (const [code, name, type, isDefault] of locations) {
+            await this.exec(
+                `INSERT OR IGNORE INTO stock_locations (code, name, location_type, is_default)
+                 VALUES ('${code}', '${name}', '${type}', ${isDefault})`,
+                `Seeded ${name} location`
+            );
+        }
+    }
+
+    async moveStockToDefaultLocation() {
+        // Existing stock has no location yet, so it all starts out at the default location
+        await this.exec(`
+            INSERT OR IGNORE INTO product_stock (product_id, location_id, quantity)
+            SELECT p.id, l.id, p.quantity
+            FROM products p
+            JOIN stock_locations l ON l.is_default = 1
+            WHERE p.quantity > 0 AND COALESCE(p.product_type, 'simple') != 'design'
+              AND NOT EXISTS (SELECT 1 FROM product_stock ps WHERE ps.product_id = p.id)
+        `, 'Moved existing stock to the default location');
+    }
+
+    async addColumn(table, column, definition) {
+        const columns = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        if (columns.some(col => col.name === column)) {
+            console.log(`${table}.${column} already exists`);
+            return;
+        }
+
+        await this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, `Added ${table}.${column} column`);
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new StockLocationsMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = StockLocationsMigration;
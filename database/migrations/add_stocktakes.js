@@ -0,0 +1,133 @@
+/**
+ * Database Migration: Add Stocktakes
+ * Physical count sessions that snapshot expected quantities and post the variances on approval
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+class StocktakesMigration {
+    constructor(dbPath = './database/inventory.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log('Connected to SQLite database for stocktakes migration');
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async run() {
+        await this.connect();
+
+        try {
+            await this.createStocktakeTables();
+
+            console.log('Stocktakes migration completed successfully!');
+        } catch (error) {
+            console.error('Migration failed:', error);
+            throw error;
+        } finally {
+            await this.close();
+        }
+    }
+
+    async createStocktakeTables() {
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS stocktakes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                stocktake_number TEXT UNIQUE,
+                location_id INTEGER NOT NULL,
+                status TEXT DEFAULT 'open' CHECK (status IN ('open', 'approved', 'cancelled')),
+                scope_brand TEXT,
+                scope_model TEXT,
+                notes TEXT,
+                created_by INTEGER,
+                approved_by INTEGER,
+                approved_date DATETIME,
+                created_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (location_id) REFERENCES stock_locations (id)
+            )
+        `, 'Created stocktakes table');
+
+        // expected_quantity and unit_cost are snapshots taken when the session starts
+        await this.exec(`
+            CREATE TABLE IF NOT EXISTS stocktake_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                stocktake_id INTEGER NOT NULL,
+                product_id INTEGER NOT NULL,
+                expected_quantity INTEGER NOT NULL,
+                counted_quantity INTEGER CHECK (counted_quantity >= 0),
+                unit_cost REAL NOT NULL DEFAULT 0,
+                counted_by INTEGER,
+                counted_date DATETIME,
+                UNIQUE (stocktake_id, product_id),
+                FOREIGN KEY (stocktake_id) REFERENCES stocktakes (id),
+                FOREIGN KEY (product_id) REFERENCES products (id)
+            )
+        `, 'Created stocktake_items table');
+
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_stocktakes_status ON stocktakes(status)',
+            'Created idx_stocktakes_status index'
+        );
+        await this.exec(
+            'CREATE INDEX IF NOT EXISTS idx_stocktake_items_product ON stocktake_items(product_id)',
+            'Created idx_stocktake_items_product index'
+        );
+    }
+
+    async exec(sql, message) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(message);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log('Database connection closed');
+                        resolve();
+                    }
+                });
+            } else {
+                resolve();
+            }
+        });
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const migration = new StocktakesMigration();
+    migration.run()
+        .then(() => {
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = StocktakesMigration;
@@ -598,7 +598,7 @@ class ProductManager {
                             <br>
                             <small class="text-success">$${profit.toFixed(2)} profit (${margin}%)</small>
                         </div>
-                        <span class="badge ${product.quantity > 10 ? 'badge-success' : product.quantity > 0 ? 'badge-warning' : 'badge-danger'}">
+                        <span class="badge ${product.stock_status === 'in_stock' ? 'badge-success' : product.stock_status === 'low_stock' ? 'badge-warning' : 'badge-danger'}">
                             ${product.quantity}
                         </span>
                     </div>
@@ -692,9 +692,9 @@ class ProductManager {
             const matchesBrand = !brand || product.brand === brand;
 
             const matchesStock = !stockStatus || 
-                (stockStatus === 'in-stock' && product.quantity > 10) ||
-                (stockStatus === 'low-stock' && product.quantity > 0 && product.quantity <= 10) ||
-                (stockStatus === 'out-of-stock' && product.quantity === 0);
+                (stockStatus === 'in-stock' && product.stock_status === 'in_stock') ||
+                (stockStatus === 'low-stock' && product.stock_status === 'low_stock') ||
+                (stockStatus === 'out-of-stock' && product.stock_status === 'out_of_stock');
 
             return matchesSearch && matchesBrand && matchesStock;
         });
@@ -735,8 +735,9 @@ class ProductManager {
         this.filteredProducts.forEach(product => {
             const profit = product.selling_price - product.cost_price;
             const margin = product.cost_price > 0 ? ((profit / product.cost_price) * 100).toFixed(1) : '0';
-            const stockClass = product.quantity > 10 ? 'success' : product.quantity > 0 ? 'warning' : 'danger';
-            const stockText = product.quantity > 10 ? 'In Stock' : product.quantity > 0 ? 'Low Stock' : 'Out of Stock';
+            // stock_status compares the quantity with the product's own reorder point
+            const stockClass = product.stock_status === 'in_stock' ? 'success' : product.stock_status === 'low_stock' ? 'warning' : 'danger';
+            const stockText = product.stock_status === 'in_stock' ? 'In Stock' : product.stock_status === 'low_stock' ? 'Low Stock' : 'Out of Stock';
 
             html += `
                 <div class="col-lg-4 col-md-6 mb-4">
@@ -799,8 +800,9 @@ class ProductManager {
         this.filteredProducts.forEach(product => {
             const profit = product.selling_price - product.cost_price;
             const margin = product.cost_price > 0 ? ((profit / product.cost_price) * 100).toFixed(1) : '0';
-            const stockClass = product.quantity > 10 ? 'success' : product.quantity > 0 ? 'warning' : 'danger';
-            const stockText = product.quantity > 10 ? 'In Stock' : product.quantity > 0 ? 'Low Stock' : 'Out of Stock';
+            // stock_status compares the quantity with the product's own reorder point
+            const stockClass = product.stock_status === 'in_stock' ? 'success' : product.stock_status === 'low_stock' ? 'warning' : 'danger';
+            const stockText = product.stock_status === 'in_stock' ? 'In Stock' : product.stock_status === 'low_stock' ? 'Low Stock' : 'Out of Stock';
 
             html += `
                 <tr>
@@ -873,14 +875,97 @@ class ProductManager {
         if (confirmDeleteBtn) {
             confirmDeleteBtn.addEventListener('click', () => this.confirmDeleteProduct());
         }
+
+        // Print labels modal
+        const printLabelsBtn = document.getElementById('printLabelsBtn');
+        if (printLabelsBtn) {
+            printLabelsBtn.addEventListener('click', () => this.showPrintLabelsModal());
+        }
+
+        const confirmPrintLabelsBtn = document.getElementById('confirmPrintLabelsBtn');
+        if (confirmPrintLabelsBtn) {
+            confirmPrintLabelsBtn.addEventListener('click', () => this.printLabels());
+        }
+    }
+
+    showPrintLabelsModal() {
+        if (this.filteredProducts.length === 0) {
+            this.showError('No products match the current filter');
+            return;
+        }
+
+        document.getElementById('labelProductCount').textContent = this.filteredProducts.length;
+        const modal = new bootstrap.Modal(document.getElementById('printLabelsModal'));
+        modal.show();
+    }
+
+    async printLabels() {
+        const quantityMode = document.getElementById('labelQuantityMode').value;
+
+        try {
+            // A design is not sold itself; print a label for each of its variants instead
+            const sellable = [];
+            for (const product of this.filteredProducts) {
+                if (product.product_type !== 'design') {
+                    sellable.push(product);
+                    continue;
+                }
+                const variantsResponse = await fetch(`${this.apiBase}/products/${product.id}/variants`);
+                if (!variantsResponse.ok) {
+                    throw new Error(`Failed to load the variants of ${product.name}`);
+                }
+                const variants = await variantsResponse.json();
+                sellable.push(...(variants.data || []));
+            }
+
+            const items = sellable
+                .map(product => ({
+                    product_id: product.id,
+                    quantity: quantityMode === 'stock' ? product.quantity : 1
+                }))
+                .filter(item => item.quantity > 0);
+
+            if (items.length === 0) {
+                this.showError('None of the filtered products are in stock');
+                return;
+            }
+
+            const response = await fetch(`${this.apiBase}/products/labels`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                },
+                body: JSON.stringify({
+                    items,
+                    layout: document.getElementById('labelLayout').value,
+                    format: document.getElementById('labelFormat').value,
+                    skip: parseInt(document.getElementById('labelSkip').value) || 0
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.message || error.error || 'Failed to generate labels');
+            }
+
+            // Open the sheet in a new tab where it can be printed
+            const blob = await response.blob();
+            window.open(URL.createObjectURL(blob), '_blank');
+
+            const modal = bootstrap.Modal.getInstance(document.getElementById('printLabelsModal'));
+            modal.hide();
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
     async editProduct(productId) {
         try {
             const response = await fetch(`${this.apiBase}/products/${productId}`);
             if (response.ok) {
-                const product = await response.json();
-                this.populateEditModal(product);
+                const result = await response.json();
+                this.populateEditModal(result.data || result);
                 const modal = new bootstrap.Modal(document.getElementById('editProductModal'));
                 modal.show();
             } else {
@@ -900,28 +985,46 @@ class ProductManager {
         document.getElementById('editCostPrice').value = product.cost_price;
         document.getElementById('editSellingPrice').value = product.selling_price;
         document.getElementById('editQuantity').value = product.quantity;
+        // Design stock is kept on its variants and a bundle's stock and cost come from its components
+        this.editingProductType = product.product_type;
+        document.getElementById('editQuantity').disabled = ['design', 'bundle'].includes(product.product_type);
+        document.getElementById('editCostPrice').disabled = product.product_type === 'bundle';
+        // Blank fields inherit; the placeholder shows the value currently in effect
+        document.getElementById('editReorderPoint').value = product.reorder_point ?? '';
+        document.getElementById('editReorderPoint').placeholder = product.effective_reorder_point ?? '';
+        document.getElementById('editSafetyStock').value = product.safety_stock ?? '';
+        document.getElementById('editSafetyStock').placeholder = product.effective_safety_stock ?? '';
     }
 
     async saveProductEdit() {
         const form = document.getElementById('editProductForm');
         const formData = new FormData(form);
         const productId = formData.get('id');
+        const update = {
+            name: formData.get('name'),
+            brand: formData.get('brand'),
+            model: formData.get('model'),
+            description: formData.get('description'),
+            selling_price: parseFloat(formData.get('selling_price')),
+            reorder_point: formData.get('reorder_point') === '' ? null : parseInt(formData.get('reorder_point')),
+            safety_stock: formData.get('safety_stock') === '' ? null : parseInt(formData.get('safety_stock'))
+        };
+        // Disabled fields are not in the form data; the server refuses them for designs and bundles
+        if (!['design', 'bundle'].includes(this.editingProductType)) {
+            update.quantity = parseInt(formData.get('quantity'));
+        }
+        if (this.editingProductType !== 'bundle') {
+            update.cost_price = parseFloat(formData.get('cost_price'));
+        }
 
         try {
             const response = await fetch(`${this.apiBase}/products/${productId}`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
                 },
-                body: JSON.stringify({
-                    name: formData.get('name'),
-                    brand: formData.get('brand'),
-                    model: formData.get('model'),
-                    description: formData.get('description'),
-                    cost_price: parseFloat(formData.get('cost_price')),
-                    selling_price: parseFloat(formData.get('selling_price')),
-                    quantity: parseInt(formData.get('quantity'))
-                })
+                body: JSON.stringify(update)
             });
 
             if (response.ok) {
@@ -255,9 +255,8 @@ class ReportsManager {
         let totalProfit = 0;
         
         filteredSales.forEach(sale => {
-            const product = this.products.find(p => p.id === sale.product_id);
-            if (product) {
-                const cost = product.cost_price * sale.quantity_sold;
+            const cost = this.getSaleCost(sale);
+            if (cost !== null) {
                 totalCost += cost;
                 totalProfit += sale.total_amount - cost;
             }
@@ -273,6 +272,15 @@ class ReportsManager {
         document.getElementById('avgMargin').textContent = `${avgMargin.toFixed(1)}%`;
     }
 
+    // Cost of goods recorded on the sale; older sales fall back to the current cost price
+    getSaleCost(sale) {
+        if (sale.cogs !== null && sale.cogs !== undefined) {
+            return sale.cogs;
+        }
+        const product = this.products.find(p => p.id === sale.product_id);
+        return product ? product.cost_price * sale.quantity_sold : null;
+    }
+
     displayProductPerformance() {
         const container = document.getElementById('productPerformance');
         if (!container) return;
@@ -291,8 +299,8 @@ class ReportsManager {
                 };
             }
             
-            const product = this.products.find(p => p.id === sale.product_id);
-            const profit = product ? (sale.sale_price - product.cost_price) * sale.quantity_sold : 0;
+            const cost = this.getSaleCost(sale);
+            const profit = cost !== null ? sale.total_amount - cost : 0;
             
             productSales[sale.product_id].total_quantity += sale.quantity_sold;
             productSales[sale.product_id].total_revenue += sale.total_amount;
@@ -428,10 +436,10 @@ class ReportsManager {
             return;
         }
 
-        // Categorize products by stock level
-        const inStock = this.products.filter(p => p.quantity > 10);
-        const lowStock = this.products.filter(p => p.quantity > 0 && p.quantity <= 10);
-        const outOfStock = this.products.filter(p => p.quantity === 0);
+        // Categorize products by stock level against each product's reorder point
+        const inStock = this.products.filter(p => p.stock_status === 'in_stock');
+        const lowStock = this.products.filter(p => p.stock_status === 'low_stock');
+        const outOfStock = this.products.filter(p => p.stock_status === 'out_of_stock');
 
         // Calculate inventory value
         const totalValue = this.products.reduce((sum, product) => sum + (product.quantity * product.cost_price), 0);
@@ -444,7 +452,7 @@ class ReportsManager {
                         <div class="card-body">
                             <i class="fas fa-check-circle fa-2x text-success mb-2"></i>
                             <h4 class="text-success">${inStock.length}</h4>
-                            <small class="text-muted">In Stock (>10)</small>
+                            <small class="text-muted">In Stock (above reorder point)</small>
                         </div>
                     </div>
                 </div>
@@ -453,7 +461,7 @@ class ReportsManager {
                         <div class="card-body">
                             <i class="fas fa-exclamation-triangle fa-2x text-warning mb-2"></i>
                             <h4 class="text-warning">${lowStock.length}</h4>
-                            <small class="text-muted">Low Stock (1-10)</small>
+                            <small class="text-muted">Low Stock (at or below reorder point)</small>
                     </div>
                         </div>
                 </div>
@@ -3,6 +3,7 @@
 // Global variables
 let returnsData = [];
 let currentFilter = {};
+let pendingReturn = null;
 
 // Initialize returns management
 document.addEventListener('DOMContentLoaded', function() {
@@ -18,6 +19,42 @@ function setupEventListeners() {
     document.getElementById('customerFilter').addEventListener('input', debounce(filterReturns, 500));
     document.getElementById('startDateFilter').addEventListener('change', filterReturns);
     document.getElementById('endDateFilter').addEventListener('change', filterReturns);
+    
+    // USB scanners type the code followed by Enter
+    document.getElementById('productScan').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            scanReturnProduct(e.target);
+        }
+    });
+    
+    // Typing a name by hand clears any previously scanned product
+    document.getElementById('productName').addEventListener('input', function() {
+        document.getElementById('productId').value = '';
+    });
+}
+
+// Fill the return form from a scanned SKU or barcode
+async function scanReturnProduct(scanInput) {
+    const code = scanInput.value.trim();
+    if (!code) return;
+    
+    try {
+        const response = await fetch(`/api/products/by-code/${encodeURIComponent(code)}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.message || 'Product not found');
+        }
+        
+        document.getElementById('productName').value = result.data.name;
+        document.getElementById('productId').value = result.data.id;
+        document.getElementById('quantity').focus();
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        scanInput.value = '';
+    }
 }
 
 // Load returns summary statistics
@@ -200,6 +237,8 @@ async function addReturn() {
         customer_name: document.getElementById('customerName').value,
         customer_email: document.getElementById('customerEmail').value,
         customer_phone: document.getElementById('customerPhone').value,
+        product_name: document.getElementById('productName').value,
+        product_id: document.getElementById('productId').value || null,
         quantity: parseInt(document.getElementById('quantity').value),
         return_reason: document.getElementById('returnReason').value,
         return_condition: document.getElementById('returnCondition').value,
@@ -208,14 +247,23 @@ async function addReturn() {
         processed_by: document.getElementById('processedBy').value || null
     };
     
+    // A return retried after a network failure is sent again with the same key, so a return the server did
+    // record is not recorded twice; a changed form or a server answer starts a new one
+    const body = JSON.stringify(formData);
+    if (!pendingReturn || pendingReturn.body !== body) {
+        pendingReturn = { key: newIdempotencyKey(), body };
+    }
+    
     try {
         const response = await fetch('/api/returns', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Idempotency-Key': pendingReturn.key
             },
-            body: JSON.stringify(formData)
+            body
         });
+        pendingReturn = null;
         
         if (response.ok) {
             const result = await response.json();
@@ -239,6 +287,13 @@ async function addReturn() {
     }
 }
 
+function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
 // View return details
 async function viewReturnDetails(returnId) {
     try {
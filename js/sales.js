@@ -2,6 +2,8 @@
  * Sales Management System
  * Handles all sales-related functionality including recording sales, tracking performance, and analytics
  */
+const CUSTOMER_HINT = 'Enter a phone number to link the sale to the customer; repeat customers are found by phone';
+
 class SalesManager {
     constructor() {
         this.apiBase = '/api';
@@ -12,6 +14,7 @@ class SalesManager {
 
     async init() {
         await this.loadProducts();
+        await this.loadLocations();
         this.setupSaleForm();
         this.setupFilters();
         await this.loadSales();
@@ -20,7 +23,8 @@ class SalesManager {
 
     async loadProducts() {
         try {
-            const response = await fetch(`${this.apiBase}/products`);
+            // Only products that can still be sold (active or discontinued)
+            const response = await fetch(`${this.apiBase}/products?sellable=true`);
             if (response.ok) {
                 this.products = await response.json();
                 this.populateProductSelect();
@@ -32,6 +36,26 @@ class SalesManager {
         }
     }
 
+    async loadLocations() {
+        const select = document.getElementById('saleLocation');
+        if (!select) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/locations`);
+            if (!response.ok) {
+                throw new Error('Failed to load locations');
+            }
+
+            const result = await response.json();
+            // The default location comes first and is selected
+            select.innerHTML = result.data
+                .map(location => `<option value="${location.id}">${location.name}</option>`)
+                .join('');
+        } catch (error) {
+            this.showError('Failed to load locations');
+        }
+    }
+
     populateProductSelect() {
         const select = document.getElementById('saleProduct');
         if (!select) return;
@@ -73,6 +97,18 @@ class SalesManager {
         const quantityInput = document.getElementById('saleQuantity');
         const priceInput = document.getElementById('salePrice');
         const slipInput = document.getElementById('saleSlip');
+        const scanInput = document.getElementById('saleScan');
+        const customerPhoneInput = document.getElementById('customerPhone');
+
+        if (scanInput) {
+            // USB scanners type the code followed by Enter
+            scanInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleScan(scanInput);
+                }
+            });
+        }
 
         if (form) {
             form.addEventListener('submit', (e) => this.handleSale(e));
@@ -93,6 +129,90 @@ class SalesManager {
         if (slipInput) {
             slipInput.addEventListener('change', (e) => this.handleSlipUpload(e));
         }
+
+        if (customerPhoneInput) {
+            customerPhoneInput.addEventListener('change', () => this.lookupCustomer());
+        }
+    }
+
+    // Look up the customer behind a phone number so a repeat customer's sale goes to their record
+    async lookupCustomer() {
+        const phone = document.getElementById('customerPhone').value.trim();
+        const nameInput = document.getElementById('customerName');
+        const match = document.getElementById('customerMatch');
+        this.customer = null;
+        match.textContent = CUSTOMER_HINT;
+
+        const digits = phone.replace(/\D/g, '');
+        if (digits.length < 7) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/customers/search?q=${encodeURIComponent(phone)}&limit=1`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+            if (!response.ok) return;
+
+            const result = await response.json();
+            const [customer] = result.data || [];
+            // Stored numbers are digits only, without the country code or leading zero
+            if (customer && customer.phone && digits.endsWith(customer.phone)) {
+                this.customer = customer;
+                nameInput.value = customer.name;
+                match.textContent = `Existing customer: ${customer.name}`;
+            } else {
+                match.textContent = 'New customer, saved with the sale';
+            }
+        } catch (error) {
+            console.error('Error looking up customer:', error);
+        }
+    }
+
+    // The customer fields of a sale: the customer found for the phone, or a new one to be created by phone
+    getSaleCustomer() {
+        const phone = document.getElementById('customerPhone').value.trim();
+        const name = document.getElementById('customerName').value.trim();
+
+        if (this.customer && phone.replace(/\D/g, '').endsWith(this.customer.phone)) {
+            return { customer_id: this.customer.id };
+        }
+        return phone ? { customer: { name, phone } } : {};
+    }
+
+    async handleScan(scanInput) {
+        const code = scanInput.value.trim();
+        if (!code) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/products/by-code/${encodeURIComponent(code)}`);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || 'Product not found');
+            }
+
+            const product = result.data;
+            const productSelect = document.getElementById('saleProduct');
+
+            if (!this.products.some(p => p.id == product.id)) {
+                this.products.push(product);
+                this.populateProductSelect();
+            }
+
+            if (product.quantity === 0) {
+                this.showError(`${product.name} is out of stock`);
+                return;
+            }
+
+            productSelect.value = product.id;
+            this.handleProductSelect();
+            document.getElementById('saleQuantity').focus();
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            scanInput.value = '';
+        }
     }
 
     handleProductSelect() {
@@ -206,6 +326,11 @@ class SalesManager {
         submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Recording...';
         submitBtn.disabled = true;
 
+        // A sale retried after a network failure is sent again with the same key, so a sale the server
+        // did record is not recorded twice; a new sale starts once the server has answered
+        this.pendingSale = this.pendingSale || { key: this.newIdempotencyKey() };
+        const { key: idempotencyKey } = this.pendingSale;
+
         try {
             // Upload slip file if provided
             if (slipFile) {
@@ -214,6 +339,9 @@ class SalesManager {
 
                 const uploadResponse = await fetch(`${this.apiBase}/upload-sale-slip`, {
                     method: 'POST',
+                    headers: {
+                        'Idempotency-Key': `${idempotencyKey}-slip`
+                    },
                     body: formData
                 });
 
@@ -221,6 +349,7 @@ class SalesManager {
                     const uploadResult = await uploadResponse.json();
                     uploadedSlipPath = uploadResult.path;
                 } else {
+                    this.pendingSale = null;
                     const uploadError = await uploadResponse.json();
                     throw new Error(`Slip upload failed: ${uploadError.error}`);
                 }
@@ -230,25 +359,28 @@ class SalesManager {
             const response = await fetch(`${this.apiBase}/sales`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                    'Idempotency-Key': idempotencyKey
                 },
                 body: JSON.stringify({
                     product_id: parseInt(productId),
                     quantity_sold: quantity,
                     sale_price: price,
                     sales_platform: salesPlatform,
+                    location_id: parseInt(document.getElementById('saleLocation').value) || null,
                     slip_path: uploadedSlipPath,
-                    customer_info: JSON.stringify({
-                        sale_date: new Date().toISOString(),
-                        recorded_by: 'System'
-                    })
+                    ...this.getSaleCustomer()
                 })
             });
+            this.pendingSale = null;
 
             if (response.ok) {
                 const result = await response.json();
                 this.showSuccessModal(result);
                 form.reset();
+                this.customer = null;
+                document.getElementById('customerMatch').textContent = CUSTOMER_HINT;
                 document.getElementById('productInfo').style.display = 'none';
                 document.getElementById('saleTotal').style.display = 'none';
                 document.getElementById('uploadedFileInfo').style.display = 'none';
@@ -270,6 +402,22 @@ class SalesManager {
         }
     }
 
+    newIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    // Profit from the cost of goods recorded on the sale; older sales fall back to the current cost price
+    getSaleProfit(sale) {
+        if (sale.cogs !== null && sale.cogs !== undefined) {
+            return sale.total_amount - sale.cogs;
+        }
+        const product = this.products.find(p => p.id === sale.product_id);
+        return (sale.sale_price - (product?.cost_price || 0)) * sale.quantity_sold;
+    }
+
     showSuccessModal(saleData) {
         const modal = document.getElementById('saleSuccessModal');
         const detailsContainer = document.getElementById('saleDetails');
@@ -384,8 +532,7 @@ class SalesManager {
         let html = '<div class="list-group list-group-flush">';
         sales.forEach(sale => {
             const saleDate = new Date(sale.sale_date);
-            const product = this.products.find(p => p.id === sale.product_id);
-            const profit = (sale.sale_price - (product?.cost_price || 0)) * sale.quantity_sold;
+            const profit = this.getSaleProfit(sale);
 
             html += `
                 <div class="list-group-item">
@@ -439,11 +586,7 @@ class SalesManager {
 
                 const totalSales = todaysSales.length;
                 const totalRevenue = todaysSales.reduce((sum, sale) => sum + sale.total_amount, 0);
-                const totalProfit = todaysSales.reduce((sum, sale) => {
-                    const product = this.products.find(p => p.id === sale.product_id);
-                    const profit = (sale.sale_price - (product?.cost_price || 0)) * sale.quantity_sold;
-                    return sum + profit;
-                }, 0);
+                const totalProfit = todaysSales.reduce((sum, sale) => sum + this.getSaleProfit(sale), 0);
 
                 document.getElementById('todaySales').textContent = totalSales;
                 document.getElementById('todayRevenue').textContent = this.formatCurrency(totalRevenue);
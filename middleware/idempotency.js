@@ -0,0 +1,151 @@
+/**
+ * Idempotency Middleware
+ * Lets clients retry sale, return and upload requests safely with an Idempotency-Key header.
+ *
+ * The first request with a key runs and its response is stored for the key and user (user 0 when not signed in).
+ * Sending the same key again within IDEMPOTENCY_RETENTION_HOURS returns the stored response, marked with an
+ * Idempotent-Replayed header, without running the request again. The same key with a different request (method,
+ * path, body or uploaded file) returns 422, and a key whose first request is still running returns 409.
+ * Server errors (5xx) are not stored, so the request can be retried with the same key.
+ * Must run after authentication and, on upload endpoints, after multer so the file is part of the request.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ResponseFormatter } = require('./response');
+const { dbManager } = require('../utils/database');
+
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS || '24');
+const MAX_KEY_LENGTH = 255;
+
+// A key still marked as running after this long belongs to a request that never finished (e.g. a restart)
+const STALE_REQUEST_MINUTES = 5;
+
+/**
+ * JSON with object keys sorted, so the same body always gives the same fingerprint
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of a request: method, path, body and the contents of an uploaded file
+ */
+async function requestHash(req) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+    hash.update(canonicalJson(req.body || {}));
+
+    if (req.file) {
+        hash.update(`\n${req.file.fieldname}:`);
+        hash.update(req.file.buffer || await fs.promises.readFile(req.file.path));
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Remove a file multer saved for a request that is not run
+ */
+function discardUpload(req) {
+    if (req.file && req.file.path) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+    }
+}
+
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        discardUpload(req);
+        return ResponseFormatter.error(res, `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, 'Validation Error', 400);
+    }
+
+    try {
+        const userId = req.user ? req.user.id : 0;
+        const hash = await requestHash(req);
+
+        await dbManager.run(
+            "DELETE FROM idempotency_keys WHERE created_date < DATETIME('now', ?)",
+            [`-${RETENTION_HOURS} hours`]
+        );
+        await dbManager.run(
+            `DELETE FROM idempotency_keys
+             WHERE user_id = ? AND idempotency_key = ? AND status_code IS NULL AND created_date < DATETIME('now', ?)`,
+            [userId, key, `-${STALE_REQUEST_MINUTES} minutes`]
+        );
+
+        const stored = await dbManager.get(
+            'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+            [userId, key]
+        );
+
+        if (stored) {
+            discardUpload(req);
+            if (stored.request_hash !== hash) {
+                return ResponseFormatter.error(
+                    res, 'Idempotency-Key has already been used for a different request', 'Idempotency Key Reused', 422
+                );
+            }
+            if (stored.status_code === null) {
+                return ResponseFormatter.error(
+                    res, 'A request with this Idempotency-Key is still being processed', 'Request In Progress', 409
+                );
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status_code).json(JSON.parse(stored.response_body));
+        }
+
+        // Claim the key first; of two requests arriving together only one inserts it
+        const claimed = await dbManager.run(
+            `INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash)
+             VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+            [userId, key, req.method, `${req.baseUrl}${req.path}`, hash]
+        );
+        if (claimed.changes === 0) {
+            discardUpload(req);
+            return ResponseFormatter.error(
+                res, 'A request with this Idempotency-Key is still being processed', 'Request In Progress', 409
+            );
+        }
+
+        let responseBody;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        // Keep the response once it is sent; release the key when the request failed or was cut off
+        res.on('close', () => {
+            const completed = res.writableFinished && responseBody !== undefined && res.statusCode < 500;
+            const sql = completed
+                ? `UPDATE idempotency_keys SET status_code = ?, response_body = ?, completed_date = CURRENT_TIMESTAMP
+                   WHERE id = ?`
+                : 'DELETE FROM idempotency_keys WHERE id = ?';
+            const params = completed
+                ? [res.statusCode, JSON.stringify(responseBody), claimed.lastID]
+                : [claimed.lastID];
+            dbManager.run(sql, params).catch(() => {});
+        });
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    idempotency
+};
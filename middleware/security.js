@@ -1,6 +1,7 @@
 // Input validation and security middleware
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
+const { GST_RATES, GSTIN_REGEX } = require('../utils/gst');
 
 // Custom validation middleware factory
 const validate = (validations) => {
@@ -19,7 +20,7 @@ const validate = (validations) => {
 };
 
 // Product validation rules
-const validateProduct = validate([
+const productRules = [
     body('name')
         .trim()
         .isLength({ min: 2, max: 100 })
@@ -33,7 +34,9 @@ const validateProduct = validate([
         .withMessage('Description must not exceed 500 characters')
         .escape(),
     
+    // A bundle costs what its components cost
     body('cost_price')
+        .if(body('product_type').not().equals('bundle'))
         .isFloat({ min: 0 })
         .withMessage('Cost price must be a positive number'),
     
@@ -65,22 +68,56 @@ const validateProduct = validate([
         .trim()
         .isLength({ max: 50 })
         .withMessage('Color must not exceed 50 characters')
-        .escape()
-]);
-
-// Sales validation rules
-const validateSale = validate([
-    body('product_id')
-        .isInt({ min: 1 })
-        .withMessage('Valid product ID is required'),
+        .escape(),
     
-    body('quantity_sold')
-        .isInt({ min: 1 })
-        .withMessage('Quantity sold must be at least 1'),
+    body('reorder_point')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Reorder point must be a non-negative integer'),
     
-    body('sale_price')
-        .isFloat({ min: 0 })
-        .withMessage('Sale price must be a positive number'),
+    body('safety_stock')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Safety stock must be a non-negative integer'),
+    
+    body('hsn_code')
+        .optional({ nullable: true })
+        .trim()
+        .matches(/^\d{4}(\d{2}){0,2}$/)
+        .withMessage('HSN code must be 4, 6 or 8 digits'),
+    
+    body('gst_rate')
+        .optional({ nullable: true })
+        .isIn(GST_RATES.map(String))
+        .withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+    
+    body('weight_grams')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Weight must be a whole number of grams')
+];
+
+const validateProduct = validate(productRules);
+
+/**
+ * Run the product rules against a plain object instead of a request, e.g. a row of an import file
+ * @returns {Promise<object>} { errors: [messages], data: the sanitized fields }
+ */
+const checkProductData = async (data) => {
+    const req = { body: { ...data } };
+    await Promise.all(productRules.map(rule => rule.run(req)));
+    return {
+        errors: validationResult(req).array().map(error => error.msg),
+        data: req.body
+    };
+};
+
+// Sales order header rules, shared by single sales and multi-line orders
+const saleHeaderRules = [
+    body('location_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Location ID must be a valid location'),
     
     body('sales_platform')
         .trim()
@@ -88,6 +125,31 @@ const validateSale = validate([
         .withMessage('Sales platform must be between 1 and 100 characters')
         .escape(),
     
+    body('customer_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Customer ID must be a valid customer'),
+    
+    // A customer to find by phone or email, or to create, when no customer_id is given
+    body('customer.name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Customer name must not exceed 100 characters')
+        .escape(),
+    
+    body('customer.email')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Valid customer email is required'),
+    
+    body('customer.phone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Customer phone must not exceed 20 characters'),
+    
     body('customer_info')
         .optional()
         .trim()
@@ -100,7 +162,90 @@ const validateSale = validate([
         .trim()
         .isLength({ max: 50 })
         .withMessage('Payment method must not exceed 50 characters')
+        .escape(),
+    
+    // Buyer details for GST invoices; the state may be a GST state code or name
+    body('buyer_name')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Buyer name must not exceed 200 characters')
+        .escape(),
+    
+    body('buyer_gstin')
+        .optional({ checkFalsy: true })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_REGEX)
+        .withMessage('Buyer GSTIN must be a valid 15 character GSTIN'),
+    
+    body('buyer_state')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Buyer state must not exceed 50 characters'),
+    
+    body('buyer_address')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Buyer address must not exceed 500 characters')
         .escape()
+];
+
+// Sales validation rules
+const validateSale = validate([
+    body('product_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid product ID is required'),
+    
+    body('quantity_sold')
+        .isInt({ min: 1 })
+        .withMessage('Quantity sold must be at least 1'),
+    
+    body('sale_price')
+        .isFloat({ min: 0 })
+        .withMessage('Sale price must be a positive number'),
+    
+    ...saleHeaderRules
+]);
+
+// Sales order validation rules: { items: [{ product_id, quantity_sold, sale_price, discount_amount }], discount_amount, notes, ...header }
+const validateSalesOrder = validate([
+    body('items')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('An order needs between 1 and 100 lines'),
+    
+    body('items.*.product_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid product ID is required on every line'),
+    
+    body('items.*.quantity_sold')
+        .isInt({ min: 1 })
+        .withMessage('Quantity sold must be at least 1 on every line'),
+    
+    body('items.*.sale_price')
+        .isFloat({ min: 0 })
+        .withMessage('Sale price must be a positive number on every line'),
+    
+    body('items.*.discount_amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Line discount must be a positive number'),
+    
+    body('discount_amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Order discount must be a positive number'),
+    
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes must not exceed 500 characters')
+        .escape(),
+    
+    ...saleHeaderRules
 ]);
 
 // Employee validation rules
@@ -181,7 +326,14 @@ const validateEmployeeTask = validate([
 
 // Return validation rules
 const validateReturn = validate([
+    body('customer_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Customer ID must be a valid customer'),
+    
+    // The name is taken from the customer record when a customer_id is given
     body('customer_name')
+        .if((value, { req }) => !req.body.customer_id || value !== undefined)
         .trim()
         .isLength({ min: 2, max: 100 })
         .withMessage('Customer name must be between 2 and 100 characters')
@@ -234,6 +386,48 @@ const validateReturn = validate([
         .escape()
 ]);
 
+// Customer validation rules
+const validateCustomer = validate([
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Customer name must be between 2 and 100 characters')
+        .escape(),
+    
+    body('email')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Valid email address is required'),
+    
+    body('phone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Phone must not exceed 20 characters'),
+    
+    body('gstin')
+        .optional({ checkFalsy: true })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_REGEX)
+        .withMessage('GSTIN must be a valid 15 character GSTIN'),
+    
+    body('address')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Address must not exceed 500 characters')
+        .escape(),
+    
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must not exceed 1000 characters')
+        .escape()
+]);
+
 // Return reason validation rules
 const validateReturnReason = validate([
     body('reason_code')
@@ -350,7 +544,7 @@ const createSecureUpload = (options = {}) => {
     });
     
     return multer({
-        storage,
+        storage: options.storage || storage,
         limits: { ...defaultOptions.limits, ...options.limits },
         fileFilter: options.fileFilter || defaultOptions.fileFilter
     });
@@ -475,11 +669,14 @@ const errorHandler = (err, req, res, next) => {
 module.exports = {
     validate,
     validateProduct,
+    checkProductData,
     validateSale,
+    validateSalesOrder,
     validateEmployee,
     validateEmployeeTask,
     validateReturn,
     validateReturnReason,
+    validateCustomer,
     validateTaskActivity,
     validatePhoneModel,
     validateColor,
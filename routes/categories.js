@@ -0,0 +1,202 @@
+/**
+ * Category Routes
+ * Handles the product category tree and assigning products to categories
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler } = require('../middleware/response');
+const { dashboardCache } = require('../utils/cache');
+const { dbManager } = require('../utils/database');
+const {
+    categorySubtreeCondition,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getCategoryTree
+} = require('../utils/categories');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-categories' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+/**
+ * Map category errors to responses
+ */
+function handleCategoryError(res, error, fallback) {
+    if (error.message === 'Category not found' || error.message === 'Parent category not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    if (error.message.includes('UNIQUE constraint failed')) {
+        return ResponseFormatter.conflict(res, 'A category with this name already exists here');
+    }
+    if (error.message.startsWith('Cannot delete category')) {
+        return ResponseFormatter.error(res, error.message, 'Dependency Error', 409);
+    }
+    if (error.message.startsWith('Category name') || error.message.startsWith('A category cannot be moved') ||
+        error.message.startsWith('HSN code') || error.message.startsWith('GST rate') ||
+        error.message === 'No fields to update') {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    logger.error(`${fallback}:`, error);
+    ResponseFormatter.serverError(res, fallback);
+}
+
+// Get the category tree (flat=true for a flat list ordered by path)
+router.get('/', asyncHandler(async (req, res) => {
+    const { flat = 'false' } = req.query;
+
+    try {
+        if (flat === 'true') {
+            const categories = await dbManager.all('SELECT * FROM categories ORDER BY path');
+            return ResponseFormatter.success(res, categories, 'Categories retrieved successfully');
+        }
+
+        const tree = await getCategoryTree(dbManager);
+        ResponseFormatter.success(res, tree, 'Categories retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching categories:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch categories');
+    }
+}));
+
+// Get a category with its ancestors, subcategories and totals (including subcategories)
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const category = await dbManager.get('SELECT * FROM categories WHERE id = ?', [id]);
+    if (!category) {
+        return ResponseFormatter.notFound(res, 'Category not found');
+    }
+
+    try {
+        const ancestors = await dbManager.all(
+            `SELECT c.id, c.name, c.path, c.depth
+             FROM category_closure cc
+             JOIN categories c ON c.id = cc.ancestor_id
+             WHERE cc.category_id = ? AND cc.distance > 0
+             ORDER BY c.depth`,
+            [id]
+        );
+
+        const children = await dbManager.all(
+            'SELECT id, name, path, depth, sort_order FROM categories WHERE parent_id = ? ORDER BY sort_order, name',
+            [id]
+        );
+
+        const totals = await dbManager.get(
+            `SELECT COUNT(p.id) as product_count,
+                    COALESCE(SUM(p.quantity), 0) as total_quantity,
+                    COALESCE(SUM(p.quantity * p.cost_price), 0) as cost_value,
+                    COALESCE(SUM(p.quantity * p.selling_price), 0) as selling_value
+             FROM products p
+             WHERE p.product_type NOT IN ('design', 'bundle') AND ${categorySubtreeCondition('p.category_id')}`,
+            [id]
+        );
+
+        ResponseFormatter.success(res, { ...category, ancestors, children, totals }, 'Category retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching category:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch category');
+    }
+}));
+
+// Create category (admin only)
+// Body: { name, parent_id, description, sort_order }
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        const category = await dbManager.transaction(db => createCategory(db, req.body));
+
+        logger.info('Category created', { categoryId: category.id, path: category.path, userId: req.user.id });
+
+        ResponseFormatter.created(res, category, 'Category created successfully');
+
+    } catch (error) {
+        handleCategoryError(res, error, 'Failed to create category');
+    }
+}));
+
+// Rename or move a category; subcategories and products follow (admin only)
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        const category = await dbManager.transaction(db => updateCategory(db, req.params.id, req.body));
+
+        dashboardCache.delete('dashboard_stats');
+        logger.info('Category updated', { categoryId: category.id, path: category.path, userId: req.user.id });
+
+        ResponseFormatter.success(res, category, 'Category updated successfully');
+
+    } catch (error) {
+        handleCategoryError(res, error, 'Failed to update category');
+    }
+}));
+
+// Delete an empty category (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        const category = await dbManager.transaction(db => deleteCategory(db, req.params.id));
+
+        logger.info('Category deleted', { categoryId: category.id, path: category.path, userId: req.user.id });
+
+        ResponseFormatter.noContent(res, 'Category deleted successfully');
+
+    } catch (error) {
+        handleCategoryError(res, error, 'Failed to delete category');
+    }
+}));
+
+// Assign products to a category (admin only)
+// Body: { product_ids: [...] }; a design's variants move with it
+router.post('/:id/products', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { product_ids } = req.body;
+
+    if (!Array.isArray(product_ids) || product_ids.length === 0 || !product_ids.every(productId => Number.isInteger(productId) && productId > 0)) {
+        return ResponseFormatter.error(res, 'product_ids must be a non-empty array of product ids', 'Validation Error', 400);
+    }
+
+    try {
+        const category = await dbManager.get('SELECT * FROM categories WHERE id = ?', [id]);
+        if (!category) {
+            return ResponseFormatter.notFound(res, 'Category not found');
+        }
+
+        const placeholders = product_ids.map(() => '?').join(', ');
+        const result = await dbManager.run(
+            `UPDATE products SET category_id = ?, category = ?, updated_date = CURRENT_TIMESTAMP
+             WHERE id IN (${placeholders}) OR parent_id IN (${placeholders})`,
+            [category.id, category.path, ...product_ids, ...product_ids]
+        );
+
+        dashboardCache.delete('dashboard_stats');
+        logger.info('Products assigned to category', { categoryId: category.id, productIds: product_ids, userId: req.user.id });
+
+        ResponseFormatter.success(res, {
+            category_id: category.id,
+            category: category.path,
+            updated: result.changes
+        }, 'Products assigned successfully');
+
+    } catch (error) {
+        logger.error('Error assigning products to category:', error);
+        ResponseFormatter.serverError(res, 'Failed to assign products');
+    }
+}));
+
+module.exports = router;
@@ -0,0 +1,399 @@
+/**
+ * Customer Routes
+ * Handles customer records, their purchase and return history and lifetime value
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateCustomer } = require('../middleware/security');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dbManager } = require('../utils/database');
+const {
+    CUSTOMER_FIELDS, normalizePhone, normalizeEmail, findCustomer, getCustomerSummary, mergeCustomers
+} = require('../utils/customers');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-customers' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+// Order and return totals per customer, joined onto "c"; lifetime value is spend less refunds
+const CUSTOMER_TOTALS_SELECT = `
+    COALESCE(o.order_count, 0) as order_count,
+    COALESCE(o.total_spent, 0) as total_spent,
+    o.last_order_date,
+    COALESCE(r.return_count, 0) as return_count,
+    COALESCE(r.total_refunded, 0) as total_refunded,
+    ROUND(COALESCE(o.total_spent, 0) - COALESCE(r.total_refunded, 0), 2) as lifetime_value`;
+const CUSTOMER_TOTALS_JOIN = `
+    LEFT JOIN (
+        SELECT customer_id, COUNT(*) as order_count, SUM(total_amount) as total_spent, MAX(order_date) as last_order_date
+        FROM sales_orders
+        WHERE customer_id IS NOT NULL
+        GROUP BY customer_id
+    ) o ON o.customer_id = c.id
+    LEFT JOIN (
+        SELECT customer_id, COUNT(*) as return_count,
+               SUM(CASE WHEN return_status = 'processed' THEN refund_amount ELSE 0 END) as total_refunded
+        FROM returns
+        WHERE customer_id IS NOT NULL AND return_status != 'cancelled'
+        GROUP BY customer_id
+    ) r ON r.customer_id = c.id`;
+
+/**
+ * Map customer errors to responses
+ */
+function handleCustomerError(res, error, fallback) {
+    if (error.message === 'Customer not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    if (error.message.startsWith('Invalid phone number') || error.message.startsWith('Invalid email') ||
+        error.message === 'Cannot merge a customer into itself' || error.message === 'No fields to update') {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    if (error.message.includes('UNIQUE constraint failed')) {
+        return ResponseFormatter.conflict(res, 'Another customer has this phone or email');
+    }
+    ResponseFormatter.serverError(res, fallback);
+}
+
+// Get all customers with pagination, search and lifetime totals
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search = '', include_inactive = 'false', sort = 'name', order = 'ASC' } = req.query;
+
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+
+        if (search) {
+            // Phone numbers are stored as digits, so "98765 43210" finds 9876543210
+            const digits = search.replace(/\D/g, '');
+            conditions.push('(c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`, `%${digits.length >= 3 ? digits : search}%`);
+        }
+
+        if (include_inactive !== 'true') {
+            conditions.push('c.is_active = 1');
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const validSortFields = ['name', 'created_date', 'order_count', 'last_order_date', 'lifetime_value'];
+        const sortField = validSortFields.includes(sort) ? sort : 'name';
+        const sortOrder = order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+        const customers = await dbManager.all(
+            `SELECT c.*, ${CUSTOMER_TOTALS_SELECT}
+             FROM customers c
+             ${CUSTOMER_TOTALS_JOIN}
+             ${whereClause}
+             ORDER BY ${sortField} ${sortOrder}, c.id
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const countResult = await dbManager.get(`SELECT COUNT(*) as total FROM customers c ${whereClause}`, params);
+
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+
+        ResponseFormatter.paginated(res, customers, pagination, 'Customers retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching customers:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch customers');
+    }
+}));
+
+// Quick customer lookup at the counter (q = phone, email or name); exact phone or email matches come first
+router.get('/search', authenticate, asyncHandler(async (req, res) => {
+    const { q = '', limit = 10 } = req.query;
+    const term = q.trim();
+
+    if (term.length < 2) {
+        return ResponseFormatter.success(res, [], 'Customers retrieved successfully');
+    }
+
+    try {
+        const digits = term.replace(/\D/g, '');
+        let phone = null;
+        try {
+            phone = normalizePhone(term);
+        } catch (error) {
+            // Not a full phone number, match on part of it
+        }
+
+        const customers = await dbManager.all(
+            `SELECT c.id, c.name, c.phone, c.email, c.gstin
+             FROM customers c
+             WHERE c.is_active = 1 AND (c.name LIKE ? OR c.email LIKE ? OR (? != '' AND c.phone LIKE ?) OR c.phone = ?)
+             ORDER BY
+                CASE WHEN c.phone = ? OR c.email = ? THEN 0 WHEN c.name LIKE ? THEN 1 ELSE 2 END,
+                c.name
+             LIMIT ?`,
+            [`%${term}%`, `%${term}%`, digits, `%${digits}%`, phone, phone, term.toLowerCase(), `${term}%`, Math.min(parseInt(limit) || 10, 50)]
+        );
+
+        ResponseFormatter.success(res, customers, 'Customers retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error searching customers:', error);
+        ResponseFormatter.serverError(res, 'Failed to search customers');
+    }
+}));
+
+// Get customer by ID with lifetime totals
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const customer = await dbManager.get('SELECT * FROM customers WHERE id = ?', [id]);
+
+    if (!customer) {
+        return ResponseFormatter.notFound(res, 'Customer not found');
+    }
+
+    customer.summary = await getCustomerSummary(dbManager, id);
+
+    ResponseFormatter.success(res, customer, 'Customer retrieved successfully');
+}));
+
+// Purchase and return history of a customer, newest first, with lifetime totals
+router.get('/:id/history', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { start_date = '', end_date = '' } = req.query;
+
+    try {
+        const customer = await dbManager.get('SELECT * FROM customers WHERE id = ?', [id]);
+        if (!customer) {
+            return ResponseFormatter.notFound(res, 'Customer not found');
+        }
+
+        const orderConditions = ['o.customer_id = ?'];
+        const returnConditions = ['r.customer_id = ?'];
+        const orderParams = [id];
+        const returnParams = [id];
+
+        if (start_date) {
+            orderConditions.push('o.order_date >= ?');
+            orderParams.push(start_date);
+            returnConditions.push('r.created_date >= ?');
+            returnParams.push(start_date);
+        }
+
+        if (end_date) {
+            orderConditions.push('o.order_date <= ?');
+            orderParams.push(end_date + ' 23:59:59');
+            returnConditions.push('r.created_date <= ?');
+            returnParams.push(end_date + ' 23:59:59');
+        }
+
+        const orders = await dbManager.all(
+            `SELECT o.id, o.order_number, o.order_date, o.sales_platform, o.payment_method,
+                    o.subtotal, o.discount_amount, o.total_amount, i.invoice_number
+             FROM sales_orders o
+             LEFT JOIN invoices i ON i.order_id = o.id
+             WHERE ${orderConditions.join(' AND ')}
+             ORDER BY o.order_date DESC, o.id DESC`,
+            orderParams
+        );
+
+        const lines = await dbManager.all(
+            `SELECT s.id, s.order_id, s.line_number, s.product_id, p.name as product_name, p.sku,
+                    s.quantity_sold, s.sale_price, s.total_amount
+             FROM sales s
+             JOIN sales_orders o ON o.id = s.order_id
+             LEFT JOIN products p ON p.id = s.product_id
+             WHERE ${orderConditions.join(' AND ')}
+             ORDER BY s.order_id, s.line_number`,
+            orderParams
+        );
+        orders.forEach(order => {
+            order.lines = lines.filter(line => line.order_id === order.id);
+        });
+
+        const returns = await dbManager.all(
+            `SELECT r.id, r.return_number, r.created_date, r.original_sale_id, r.product_id, r.product_name,
+                    r.quantity, r.return_reason, r.return_status, r.refund_amount, r.refund_method
+             FROM returns r
+             WHERE ${returnConditions.join(' AND ')}
+             ORDER BY r.created_date DESC, r.id DESC`,
+            returnParams
+        );
+
+        ResponseFormatter.success(res, {
+            customer,
+            summary: await getCustomerSummary(dbManager, id),
+            orders,
+            returns
+        }, 'Customer history retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching customer history:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch customer history');
+    }
+}));
+
+// Create customer; a phone or email already on file is a duplicate
+router.post('/', authenticate, validateCustomer, asyncHandler(async (req, res) => {
+    const { name, address, gstin, notes } = req.body;
+
+    try {
+        const phone = normalizePhone(req.body.phone);
+        const email = normalizeEmail(req.body.email);
+
+        const existing = await findCustomer(dbManager, { phone, email });
+        if (existing) {
+            return ResponseFormatter.error(
+                res,
+                `Customer ${existing.name} already has this phone or email`,
+                'Duplicate Customer',
+                409,
+                { customer_id: existing.id }
+            );
+        }
+
+        const result = await dbManager.run(
+            `INSERT INTO customers (name, phone, email, address, gstin, notes)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [name, phone, email, address, gstin || null, notes]
+        );
+
+        const customer = await dbManager.get('SELECT * FROM customers WHERE id = ?', [result.lastID]);
+
+        ResponseFormatter.created(res, customer, 'Customer created successfully');
+
+    } catch (error) {
+        logger.error('Error creating customer:', error);
+        handleCustomerError(res, error, 'Failed to create customer');
+    }
+}));
+
+// Update customer
+router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const updateFields = [];
+        const updateParams = [];
+
+        CUSTOMER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                let value = req.body[field];
+                if (field === 'phone') {
+                    value = normalizePhone(value);
+                } else if (field === 'email') {
+                    value = normalizeEmail(value);
+                } else if (field === 'gstin') {
+                    value = value ? String(value).trim().toUpperCase() : null;
+                }
+                updateFields.push(`${field} = ?`);
+                updateParams.push(value);
+            }
+        });
+
+        if (req.body.name !== undefined && !String(req.body.name).trim()) {
+            return ResponseFormatter.error(res, 'Customer name is required', 'Validation Error', 400);
+        }
+
+        if (req.body.is_active !== undefined) {
+            updateFields.push('is_active = ?');
+            updateParams.push(req.body.is_active ? 1 : 0);
+        }
+
+        if (updateFields.length === 0) {
+            return ResponseFormatter.error(res, 'No fields to update', 'Validation Error', 400);
+        }
+
+        updateFields.push('updated_date = CURRENT_TIMESTAMP');
+        updateParams.push(id);
+
+        const result = await dbManager.run(`UPDATE customers SET ${updateFields.join(', ')} WHERE id = ?`, updateParams);
+
+        if (result.changes === 0) {
+            return ResponseFormatter.notFound(res, 'Customer not found');
+        }
+
+        const customer = await dbManager.get('SELECT * FROM customers WHERE id = ?', [id]);
+
+        ResponseFormatter.success(res, customer, 'Customer updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating customer:', error);
+        handleCustomerError(res, error, 'Failed to update customer');
+    }
+}));
+
+// Merge a duplicate customer ({ duplicate_id }) into this one (admin only)
+router.post('/:id/merge', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { duplicate_id } = req.body;
+
+    if (!duplicate_id) {
+        return ResponseFormatter.error(res, 'duplicate_id is required', 'Validation Error', 400);
+    }
+
+    try {
+        await dbManager.transaction(db => mergeCustomers(db, parseInt(id), parseInt(duplicate_id)));
+
+        const customer = await dbManager.get('SELECT * FROM customers WHERE id = ?', [id]);
+        customer.summary = await getCustomerSummary(dbManager, id);
+
+        logger.info('Customers merged', { customerId: id, duplicateId: duplicate_id, userId: req.user.id });
+
+        ResponseFormatter.success(res, customer, 'Customers merged successfully');
+
+    } catch (error) {
+        logger.error('Error merging customers:', error);
+        handleCustomerError(res, error, 'Failed to merge customers');
+    }
+}));
+
+// Delete customer (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const customer = await dbManager.get('SELECT id FROM customers WHERE id = ?', [id]);
+        if (!customer) {
+            return ResponseFormatter.notFound(res, 'Customer not found');
+        }
+
+        // Customers with history are deactivated instead
+        const history = await dbManager.get(
+            `SELECT (SELECT COUNT(*) FROM sales_orders WHERE customer_id = ?) +
+                    (SELECT COUNT(*) FROM returns WHERE customer_id = ?) as count`,
+            [id, id]
+        );
+        if (history.count > 0) {
+            return ResponseFormatter.error(
+                res,
+                'Cannot delete customer with orders or returns, deactivate it instead',
+                'Dependency Error',
+                409
+            );
+        }
+
+        await dbManager.run('DELETE FROM customers WHERE id = ?', [id]);
+
+        ResponseFormatter.noContent(res, 'Customer deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting customer:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete customer');
+    }
+}));
+
+module.exports = router;
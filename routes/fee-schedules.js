@@ -0,0 +1,366 @@
+/**
+ * Fee Schedule Routes
+ * Handles marketplace fee schedules and working fees out on sales
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler } = require('../middleware/response');
+const { dashboardCache } = require('../utils/cache');
+const { dbManager } = require('../utils/database');
+const {
+    parseFeeRules, calculateLineFees, findFeeSchedule, assertNoOverlap, saveFeeRules, applyOrderFees
+} = require('../utils/marketplace-fees');
+const { GST_DEFAULT_RATE, splitTax } = require('../utils/gst');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-fee-schedules' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+/**
+ * Map fee schedule errors to responses
+ */
+function handleFeeScheduleError(res, error, fallback) {
+    if (error.message === 'Fee schedule not found' || error.message === 'Product not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    if (error.message.startsWith('Fee rule') || error.message.startsWith('Fee rules') ||
+        error.message.startsWith('Fee schedule dates') || error.message.startsWith('Fee schedule cannot') ||
+        error.message.startsWith('Fee GST rate') || error.message === 'Platform and name are required' ||
+        error.message === 'No fields to update') {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    if (error.message.startsWith('Fee schedule overlaps')) {
+        return ResponseFormatter.error(res, error.message, 'Schedule Overlap', 409);
+    }
+    ResponseFormatter.serverError(res, fallback);
+}
+
+/**
+ * Read an optional GST rate on fees
+ */
+function parseFeeGstRate(value) {
+    const rate = parseFloat(value);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new Error('Fee GST rate must be between 0 and 100');
+    }
+    return rate;
+}
+
+/**
+ * A schedule with its rules and the number of sale lines it was applied to
+ */
+async function getSchedule(db, id) {
+    const schedule = await db.get(
+        `SELECT fs.*, (SELECT COUNT(*) FROM sales s WHERE s.fee_schedule_id = fs.id) as sale_count
+         FROM fee_schedules fs
+         WHERE fs.id = ?`,
+        [id]
+    );
+    if (schedule) {
+        schedule.rules = await db.all('SELECT * FROM fee_rules WHERE schedule_id = ? ORDER BY sort_order, id', [id]);
+    }
+    return schedule;
+}
+
+// Get fee schedules (platform, include_inactive)
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', include_inactive = 'false' } = req.query;
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (platform) {
+            conditions.push('fs.platform = ? COLLATE NOCASE');
+            params.push(platform);
+        }
+
+        if (include_inactive !== 'true') {
+            conditions.push('fs.is_active = 1');
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const schedules = await dbManager.all(
+            `SELECT fs.*,
+                    (SELECT COUNT(*) FROM fee_rules fr WHERE fr.schedule_id = fs.id) as rule_count,
+                    (SELECT COUNT(*) FROM sales s WHERE s.fee_schedule_id = fs.id) as sale_count
+             FROM fee_schedules fs
+             ${whereClause}
+             ORDER BY fs.platform, fs.effective_from DESC`,
+            params
+        );
+
+        ResponseFormatter.success(res, schedules, 'Fee schedules retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching fee schedules:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch fee schedules');
+    }
+}));
+
+// Work out the fees on a sale without recording it
+// { platform, sale_price, quantity, product_id or weight_grams, date }
+router.post('/preview', authenticate, asyncHandler(async (req, res) => {
+    const { platform, sale_price, quantity = 1, product_id, date } = req.body;
+
+    if (!platform || sale_price === undefined || isNaN(parseFloat(sale_price)) || parseInt(quantity) < 1) {
+        return ResponseFormatter.error(res, 'platform, sale_price and a quantity of at least 1 are required', 'Validation Error', 400);
+    }
+
+    try {
+        let weightGrams = req.body.weight_grams !== undefined ? parseFloat(req.body.weight_grams) : null;
+        let unitCost = null;
+        let gstRate = GST_DEFAULT_RATE;
+        if (product_id) {
+            const product = await dbManager.get(
+                `SELECT COALESCE(p.weight_grams, dp.weight_grams) as weight_grams, p.cost_price, tc.gst_rate
+                 FROM products p
+                 LEFT JOIN products dp ON dp.id = p.parent_id
+                 LEFT JOIN product_tax_codes tc ON tc.product_id = p.id
+                 WHERE p.id = ?`,
+                [product_id]
+            );
+            if (!product) {
+                throw new Error('Product not found');
+            }
+            weightGrams = weightGrams ?? product.weight_grams;
+            unitCost = product.cost_price;
+            gstRate = product.gst_rate ?? GST_DEFAULT_RATE;
+        }
+
+        const schedule = await findFeeSchedule(dbManager, platform, date || new Date().toISOString().substring(0, 10));
+        const totalAmount = Math.round(parseFloat(sale_price) * parseInt(quantity) * 100) / 100;
+        const result = schedule
+            ? calculateLineFees(schedule.rules, schedule.fee_gst_rate, {
+                quantity: parseInt(quantity), total_amount: totalAmount, weight_grams: weightGrams
+            })
+            : { fees: [], marketplace_fees: 0, fee_gst: 0 };
+        const netPayout = Math.round((totalAmount - result.marketplace_fees - result.fee_gst) * 100) / 100;
+        const outputGst = Math.round((totalAmount - splitTax(totalAmount, gstRate, false).taxable_amount) * 100) / 100;
+
+        ResponseFormatter.success(res, {
+            platform,
+            schedule_id: schedule ? schedule.id : null,
+            schedule_name: schedule ? schedule.name : null,
+            total_amount: totalAmount,
+            weight_grams: weightGrams,
+            ...result,
+            gst_rate: gstRate,
+            output_gst: outputGst,
+            net_payout: netPayout,
+            net_profit: unitCost !== null
+                ? Math.round((netPayout - outputGst - unitCost * parseInt(quantity)) * 100) / 100
+                : null
+        }, 'Fees calculated successfully');
+
+    } catch (error) {
+        logger.error('Error previewing fees:', error);
+        handleFeeScheduleError(res, error, 'Failed to calculate fees');
+    }
+}));
+
+// Work fees out again on recorded sales, e.g. after a schedule was corrected (admin only)
+// { platform, start_date, end_date }
+router.post('/recalculate', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { platform = '', start_date = '', end_date = '' } = req.body;
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (platform) {
+            conditions.push('sales_platform = ? COLLATE NOCASE');
+            params.push(platform);
+        }
+        if (start_date) {
+            conditions.push('sale_date >= ?');
+            params.push(start_date);
+        }
+        if (end_date) {
+            conditions.push('sale_date <= ?');
+            params.push(end_date + ' 23:59:59');
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await dbManager.transaction(async (db) => {
+            const orders = await db.all(`SELECT DISTINCT order_id FROM sales ${whereClause}`, params);
+            for (const order of orders) {
+                await applyOrderFees(db, order.order_id);
+            }
+            const { line_count } = await db.get(
+                `SELECT COUNT(*) as line_count FROM sales WHERE order_id IN (SELECT order_id FROM sales ${whereClause})`,
+                params
+            );
+            return { order_count: orders.length, line_count };
+        });
+
+        dashboardCache.delete('dashboard_stats');
+
+        logger.info('Marketplace fees recalculated', { platform, start_date, end_date, ...result, userId: req.user.id });
+
+        ResponseFormatter.success(res, result, 'Marketplace fees recalculated successfully');
+
+    } catch (error) {
+        logger.error('Error recalculating fees:', error);
+        handleFeeScheduleError(res, error, 'Failed to recalculate fees');
+    }
+}));
+
+// Get fee schedule by ID with its rules
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const schedule = await getSchedule(dbManager, req.params.id);
+
+    if (!schedule) {
+        return ResponseFormatter.notFound(res, 'Fee schedule not found');
+    }
+
+    ResponseFormatter.success(res, schedule, 'Fee schedule retrieved successfully');
+}));
+
+// Create fee schedule (admin only)
+// { platform, name, effective_from, effective_to, fee_gst_rate, notes, rules: [...] }
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { platform, name, effective_from, effective_to = null, fee_gst_rate = 18, notes = null, rules = [] } = req.body;
+
+    if (!platform || !String(platform).trim() || !name || !String(name).trim()) {
+        return ResponseFormatter.error(res, 'Platform and name are required', 'Validation Error', 400);
+    }
+
+    try {
+        const schedule = await dbManager.transaction(async (db) => {
+            const parsedRules = parseFeeRules(rules);
+            const gstRate = parseFeeGstRate(fee_gst_rate);
+            await assertNoOverlap(db, { platform: platform.trim(), effective_from, effective_to });
+
+            const result = await db.run(
+                `INSERT INTO fee_schedules (platform, name, effective_from, effective_to, fee_gst_rate, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [platform.trim(), name.trim(), effective_from, effective_to || null, gstRate, notes, req.user.id]
+            );
+            await saveFeeRules(db, result.lastID, parsedRules);
+
+            return getSchedule(db, result.lastID);
+        });
+
+        ResponseFormatter.created(res, schedule, 'Fee schedule created successfully');
+
+    } catch (error) {
+        logger.error('Error creating fee schedule:', error);
+        handleFeeScheduleError(res, error, 'Failed to create fee schedule');
+    }
+}));
+
+// Update fee schedule (admin only); rules, when given, replace all of its rules.
+// Recorded sales keep their fees until they are recalculated
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const schedule = await dbManager.transaction(async (db) => {
+            const existing = await db.get('SELECT * FROM fee_schedules WHERE id = ?', [id]);
+            if (!existing) {
+                throw new Error('Fee schedule not found');
+            }
+
+            const updated = { ...existing };
+            ['platform', 'name', 'effective_from', 'effective_to', 'notes'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    updated[field] = typeof req.body[field] === 'string' ? req.body[field].trim() || null : req.body[field];
+                }
+            });
+            if (req.body.fee_gst_rate !== undefined) {
+                updated.fee_gst_rate = parseFeeGstRate(req.body.fee_gst_rate);
+            }
+            if (req.body.is_active !== undefined) {
+                updated.is_active = req.body.is_active ? 1 : 0;
+            }
+            if (!updated.platform || !updated.name) {
+                throw new Error('Platform and name are required');
+            }
+
+            const rules = req.body.rules !== undefined ? parseFeeRules(req.body.rules) : null;
+            const fieldsGiven = ['platform', 'name', 'effective_from', 'effective_to', 'notes', 'fee_gst_rate', 'is_active']
+                .some(field => req.body[field] !== undefined);
+            if (!fieldsGiven && !rules) {
+                throw new Error('No fields to update');
+            }
+
+            if (updated.is_active) {
+                await assertNoOverlap(db, updated, existing.id);
+            }
+
+            await db.run(
+                `UPDATE fee_schedules
+                 SET platform = ?, name = ?, effective_from = ?, effective_to = ?, fee_gst_rate = ?, notes = ?, is_active = ?,
+                     updated_date = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [updated.platform, updated.name, updated.effective_from, updated.effective_to, updated.fee_gst_rate,
+                 updated.notes, updated.is_active, id]
+            );
+            if (rules) {
+                await saveFeeRules(db, id, rules);
+            }
+
+            return getSchedule(db, id);
+        });
+
+        ResponseFormatter.success(res, schedule, 'Fee schedule updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating fee schedule:', error);
+        handleFeeScheduleError(res, error, 'Failed to update fee schedule');
+    }
+}));
+
+// Delete fee schedule (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const schedule = await dbManager.get('SELECT id FROM fee_schedules WHERE id = ?', [id]);
+        if (!schedule) {
+            return ResponseFormatter.notFound(res, 'Fee schedule not found');
+        }
+
+        // Schedules that sales were charged under are deactivated instead
+        const usage = await dbManager.get('SELECT COUNT(*) as count FROM sales WHERE fee_schedule_id = ?', [id]);
+        if (usage.count > 0) {
+            return ResponseFormatter.error(
+                res,
+                'Cannot delete a fee schedule applied to sales, deactivate it instead',
+                'Dependency Error',
+                409
+            );
+        }
+
+        await dbManager.transaction(async (db) => {
+            await db.run('DELETE FROM fee_rules WHERE schedule_id = ?', [id]);
+            await db.run('DELETE FROM fee_schedules WHERE id = ?', [id]);
+        });
+
+        ResponseFormatter.noContent(res, 'Fee schedule deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting fee schedule:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete fee schedule');
+    }
+}));
+
+module.exports = router;
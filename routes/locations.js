@@ -0,0 +1,343 @@
+/**
+ * Stock Location Routes
+ * Handles stock locations (shop, godown, fulfilment center) and stock transfers between them
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dbManager, transactionManager } = require('../utils/database');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-locations' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+const LOCATION_TYPES = ['shop', 'warehouse', 'fulfilment_center', 'other'];
+
+// Get all locations with their stock totals
+router.get('/', asyncHandler(async (req, res) => {
+    const { include_inactive = 'false' } = req.query;
+
+    try {
+        const locations = await dbManager.all(
+            `SELECT
+                l.*,
+                COUNT(CASE WHEN ps.quantity > 0 THEN 1 END) as product_count,
+                COALESCE(SUM(ps.quantity), 0) as total_quantity,
+                COALESCE(SUM(ps.quantity * p.cost_price), 0) as cost_value
+             FROM stock_locations l
+             LEFT JOIN product_stock ps ON ps.location_id = l.id
+             LEFT JOIN products p ON p.id = ps.product_id
+             ${include_inactive === 'true' ? '' : 'WHERE l.is_active = 1'}
+             GROUP BY l.id
+             ORDER BY l.is_default DESC, l.name`
+        );
+
+        ResponseFormatter.success(res, locations, 'Locations retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching locations:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch locations');
+    }
+}));
+
+// Get all stock transfers
+router.get('/transfers', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, location_id = '', product_id = '' } = req.query;
+
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+
+        if (location_id) {
+            conditions.push('(t.from_location_id = ? OR t.to_location_id = ?)');
+            params.push(location_id, location_id);
+        }
+
+        if (product_id) {
+            conditions.push('EXISTS (SELECT 1 FROM stock_transfer_items ti WHERE ti.transfer_id = t.id AND ti.product_id = ?)');
+            params.push(product_id);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const transfers = await dbManager.all(
+            `SELECT
+                t.*,
+                fl.name as from_location_name,
+                tl.name as to_location_name,
+                (SELECT COUNT(*) FROM stock_transfer_items ti WHERE ti.transfer_id = t.id) as item_count,
+                (SELECT COALESCE(SUM(quantity), 0) FROM stock_transfer_items ti WHERE ti.transfer_id = t.id) as total_quantity
+             FROM stock_transfers t
+             JOIN stock_locations fl ON fl.id = t.from_location_id
+             JOIN stock_locations tl ON tl.id = t.to_location_id
+             ${whereClause}
+             ORDER BY t.created_date DESC, t.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const countResult = await dbManager.get(
+            `SELECT COUNT(*) as total FROM stock_transfers t ${whereClause}`,
+            params
+        );
+
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+
+        ResponseFormatter.paginated(res, transfers, pagination, 'Transfers retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching transfers:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch transfers');
+    }
+}));
+
+// Get transfer by ID with its items
+router.get('/transfers/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const transfer = await dbManager.get(
+        `SELECT t.*, fl.name as from_location_name, tl.name as to_location_name
+         FROM stock_transfers t
+         JOIN stock_locations fl ON fl.id = t.from_location_id
+         JOIN stock_locations tl ON tl.id = t.to_location_id
+         WHERE t.id = ?`,
+        [id]
+    );
+
+    if (!transfer) {
+        return ResponseFormatter.notFound(res, 'Transfer not found');
+    }
+
+    transfer.items = await dbManager.all(
+        `SELECT ti.product_id, ti.quantity, p.name as product_name, p.sku, p.brand, p.model, p.color
+         FROM stock_transfer_items ti
+         JOIN products p ON p.id = ti.product_id
+         WHERE ti.transfer_id = ?
+         ORDER BY ti.id`,
+        [id]
+    );
+
+    ResponseFormatter.success(res, transfer, 'Transfer retrieved successfully');
+}));
+
+// Transfer stock between locations
+// Body: { from_location_id, to_location_id, items: [{ product_id, quantity }], notes }
+router.post('/transfers', authenticate, asyncHandler(async (req, res) => {
+    const { from_location_id, to_location_id, items, notes } = req.body;
+
+    if (!from_location_id || !to_location_id) {
+        return ResponseFormatter.error(res, 'from_location_id and to_location_id are required', 'Validation Error', 400);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return ResponseFormatter.error(res, 'items must be a non-empty array of { product_id, quantity }', 'Validation Error', 400);
+    }
+
+    const invalid = items.find(item => !Number.isInteger(Number(item.product_id)) || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1);
+    if (invalid) {
+        return ResponseFormatter.error(res, 'Each item needs a product_id and a quantity of at least 1', 'Validation Error', 400);
+    }
+
+    try {
+        const result = await transactionManager.transferStock({
+            from_location_id: parseInt(from_location_id),
+            to_location_id: parseInt(to_location_id),
+            items: items.map(item => ({ product_id: parseInt(item.product_id), quantity: parseInt(item.quantity) })),
+            notes,
+            created_by: req.user.id
+        });
+
+        ResponseFormatter.created(res, result, 'Stock transferred successfully');
+
+    } catch (error) {
+        logger.error('Error transferring stock:', error);
+
+        if (error.message === 'Stock location not found' || /^Product \d+ not found$/.test(error.message)) {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+
+        if (error.message.includes('Insufficient stock')) {
+            return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
+        }
+
+        if (error.message === 'Cannot transfer stock to the same location' ||
+            error.message.includes('is inactive') ||
+            error.message.includes('do not hold stock')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+
+        ResponseFormatter.serverError(res, 'Failed to transfer stock');
+    }
+}));
+
+// Get location by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const location = await dbManager.get('SELECT * FROM stock_locations WHERE id = ?', [id]);
+
+    if (!location) {
+        return ResponseFormatter.notFound(res, 'Location not found');
+    }
+
+    ResponseFormatter.success(res, location, 'Location retrieved successfully');
+}));
+
+// Get the stock held at a location
+router.get('/:id/stock', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { include_empty = 'false' } = req.query;
+
+    const location = await dbManager.get('SELECT * FROM stock_locations WHERE id = ?', [id]);
+    if (!location) {
+        return ResponseFormatter.notFound(res, 'Location not found');
+    }
+
+    const stock = await dbManager.all(
+        `SELECT p.id as product_id, p.name, p.sku, p.brand, p.model, p.color, p.cost_price, p.selling_price,
+                ps.quantity, ps.updated_date
+         FROM product_stock ps
+         JOIN products p ON p.id = ps.product_id
+         WHERE ps.location_id = ? ${include_empty === 'true' ? '' : 'AND ps.quantity > 0'}
+         ORDER BY p.name`,
+        [id]
+    );
+
+    ResponseFormatter.success(res, { location, stock }, 'Location stock retrieved successfully');
+}));
+
+// Create location (admin only)
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { code, name, location_type = 'shop', address, is_default = false } = req.body;
+
+    if (!code || !name) {
+        return ResponseFormatter.error(res, 'Code and name are required', 'Validation Error', 400);
+    }
+
+    if (!LOCATION_TYPES.includes(location_type)) {
+        return ResponseFormatter.error(res, `Location type must be one of: ${LOCATION_TYPES.join(', ')}`, 'Validation Error', 400);
+    }
+
+    try {
+        const locationId = await dbManager.transaction(async (db) => {
+            // Only one location can be the default
+            if (is_default) {
+                await db.run('UPDATE stock_locations SET is_default = 0');
+            }
+
+            const result = await db.run(
+                `INSERT INTO stock_locations (code, name, location_type, address, is_default)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [code.trim().toUpperCase(), name.trim(), location_type, address, is_default ? 1 : 0]
+            );
+            return result.lastID;
+        });
+
+        const location = await dbManager.get('SELECT * FROM stock_locations WHERE id = ?', [locationId]);
+
+        ResponseFormatter.created(res, location, 'Location created successfully');
+
+    } catch (error) {
+        logger.error('Error creating location:', error);
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return ResponseFormatter.conflict(res, 'Location code already exists');
+        }
+        ResponseFormatter.serverError(res, 'Failed to create location');
+    }
+}));
+
+// Update location (admin only)
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, location_type, address, is_default, is_active } = req.body;
+
+    try {
+        const existing = await dbManager.get('SELECT * FROM stock_locations WHERE id = ?', [id]);
+        if (!existing) {
+            return ResponseFormatter.notFound(res, 'Location not found');
+        }
+
+        if (location_type !== undefined && !LOCATION_TYPES.includes(location_type)) {
+            return ResponseFormatter.error(res, `Location type must be one of: ${LOCATION_TYPES.join(', ')}`, 'Validation Error', 400);
+        }
+
+        if (is_active === false && existing.is_default && is_default !== false) {
+            return ResponseFormatter.error(res, 'Cannot deactivate the default location', 'Validation Error', 400);
+        }
+
+        if (is_active === false) {
+            const stock = await dbManager.get('SELECT COALESCE(SUM(quantity), 0) as total FROM product_stock WHERE location_id = ?', [id]);
+            if (stock.total > 0) {
+                return ResponseFormatter.error(res, 'Transfer the stock out before deactivating this location', 'Dependency Error', 409);
+            }
+        }
+
+        const updateFields = [];
+        const updateParams = [];
+
+        if (name !== undefined) {
+            updateFields.push('name = ?');
+            updateParams.push(name);
+        }
+
+        if (location_type !== undefined) {
+            updateFields.push('location_type = ?');
+            updateParams.push(location_type);
+        }
+
+        if (address !== undefined) {
+            updateFields.push('address = ?');
+            updateParams.push(address);
+        }
+
+        if (is_default !== undefined) {
+            updateFields.push('is_default = ?');
+            updateParams.push(is_default ? 1 : 0);
+        }
+
+        if (is_active !== undefined) {
+            updateFields.push('is_active = ?');
+            updateParams.push(is_active ? 1 : 0);
+        }
+
+        if (updateFields.length === 0) {
+            return ResponseFormatter.error(res, 'No fields to update', 'Validation Error', 400);
+        }
+
+        updateFields.push('updated_date = CURRENT_TIMESTAMP');
+        updateParams.push(id);
+
+        await dbManager.transaction(async (db) => {
+            if (is_default) {
+                await db.run('UPDATE stock_locations SET is_default = 0 WHERE id != ?', [id]);
+            }
+            await db.run(`UPDATE stock_locations SET ${updateFields.join(', ')} WHERE id = ?`, updateParams);
+        });
+
+        const location = await dbManager.get('SELECT * FROM stock_locations WHERE id = ?', [id]);
+
+        ResponseFormatter.success(res, location, 'Location updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating location:', error);
+        ResponseFormatter.serverError(res, 'Failed to update location');
+    }
+}));
+
+module.exports = router;
@@ -0,0 +1,305 @@
+/**
+ * Marketplace Import Routes
+ * Handles importing Amazon, Flipkart and Meesho order reports as sales, and marketplace SKU mappings
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { createSecureUpload } = require('../middleware/security');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { idempotency } = require('../middleware/idempotency');
+const { dashboardCache } = require('../utils/cache');
+const { dbManager, transactionManager } = require('../utils/database');
+const { resolveLocation } = require('../utils/stock');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { REPORT_FORMATS, planMarketplaceImport, applyMarketplaceImport } = require('../utils/marketplace-import');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-marketplace-imports' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+// Reports are parsed in memory and never written to uploads/; Amazon reports are tab separated .txt files
+const reportUpload = createSecureUpload({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|tsv|txt|xlsx)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Only CSV, TSV, TXT and XLSX order reports can be imported');
+            error.name = 'ValidationError';
+            cb(error, false);
+        }
+    }
+});
+
+/**
+ * The platform name a report format records its sales under (Amazon, Flipkart, Meesho)
+ */
+function platformOf(value) {
+    const format = REPORT_FORMATS[String(value || '').toLowerCase()];
+    return format ? format.platform : null;
+}
+
+/**
+ * The response body of an import plan; the orders it grouped are internal
+ */
+function importReport(plan) {
+    const { orders, ...report } = plan;
+    return report;
+}
+
+// Import an order report (multipart: file; fields: platform=amazon|flipkart|meesho, dry_run=true to only report,
+// location_id for the stock, default location when omitted).
+// Orders already imported are skipped, so a report can be uploaded again after mapping its unmapped SKUs
+router.post('/', authenticate, reportUpload.single('file'), idempotency, asyncHandler(async (req, res) => {
+    const { platform, dry_run = 'false', location_id } = req.body;
+
+    if (!req.file) {
+        return ResponseFormatter.error(res, 'No order report uploaded', 'Validation Error', 400);
+    }
+
+    try {
+        const rows = readSpreadsheet(req.file.buffer);
+        const plan = await planMarketplaceImport(dbManager, platform, rows);
+
+        if (dry_run === 'true') {
+            return ResponseFormatter.success(res, { dry_run: true, ...importReport(plan) }, 'Order report checked, nothing was saved');
+        }
+
+        const location = await resolveLocation(dbManager, location_id);
+        const importRecord = await dbManager.transaction(async (db) => {
+            const result = await db.run(
+                'INSERT INTO marketplace_imports (platform, file_name, location_id, total_rows, created_by) VALUES (?, ?, ?, ?, ?)',
+                [plan.platform, req.file.originalname, location.id, plan.summary.total_rows, req.user.id]
+            );
+            const importNumber = `MKT-${String(result.lastID).padStart(6, '0')}`;
+            await db.run('UPDATE marketplace_imports SET import_number = ? WHERE id = ?', [importNumber, result.lastID]);
+            return { id: result.lastID, import_number: importNumber };
+        });
+
+        await applyMarketplaceImport(transactionManager, plan, {
+            location_id: location.id,
+            import_id: importRecord.id,
+            created_by: req.user.id
+        });
+
+        await dbManager.run(
+            `UPDATE marketplace_imports
+             SET created_orders = ?, duplicate_orders = ?, skipped_rows = ?, unmapped_rows = ?, error_rows = ?
+             WHERE id = ?`,
+            [plan.summary.imported_orders, plan.summary.duplicate_orders, plan.summary.skipped_rows,
+             plan.summary.unmapped_rows, plan.summary.error_rows, importRecord.id]
+        );
+
+        if (plan.summary.imported_orders > 0) {
+            dashboardCache.delete('dashboard_stats');
+        }
+
+        logger.info('Marketplace orders imported', {
+            import_number: importRecord.import_number,
+            platform: plan.platform,
+            ...plan.summary,
+            userId: req.user.id
+        });
+
+        ResponseFormatter.success(
+            res,
+            { dry_run: false, import_id: importRecord.id, import_number: importRecord.import_number, ...importReport(plan) },
+            `${plan.summary.imported_orders} order(s) imported`
+        );
+
+    } catch (error) {
+        logger.error('Error importing marketplace orders:', error);
+        if (error.message.startsWith('Malformed') || error.message.startsWith('The import file') ||
+            error.message.startsWith('Cannot import') || error.message.startsWith('Report format')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        if (error.message === 'Stock location not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        ResponseFormatter.serverError(res, 'Failed to import marketplace orders');
+    }
+}));
+
+// Get marketplace imports (platform)
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', page = 1, limit = 50 } = req.query;
+
+    try {
+        const params = [];
+        let whereClause = '';
+        if (platform) {
+            whereClause = 'WHERE mi.platform = ? COLLATE NOCASE';
+            params.push(platformOf(platform) || platform);
+        }
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+        const { total } = await dbManager.get(`SELECT COUNT(*) as total FROM marketplace_imports mi ${whereClause}`, params);
+        const imports = await dbManager.all(
+            `SELECT mi.*, u.first_name || ' ' || u.last_name as created_by_name
+             FROM marketplace_imports mi
+             LEFT JOIN users u ON u.id = mi.created_by
+             ${whereClause}
+             ORDER BY mi.created_date DESC, mi.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limitNum, (pageNum - 1) * limitNum]
+        );
+
+        ResponseFormatter.paginated(res, imports, createPaginationInfo(pageNum, limitNum, total), 'Marketplace imports retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching marketplace imports:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch marketplace imports');
+    }
+}));
+
+// Get marketplace SKU mappings (platform, search)
+router.get('/sku-mappings', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', search = '' } = req.query;
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (platform) {
+            conditions.push('m.platform = ? COLLATE NOCASE');
+            params.push(platformOf(platform) || platform);
+        }
+
+        if (search) {
+            conditions.push('(m.marketplace_sku LIKE ? OR p.sku LIKE ? OR p.name LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const mappings = await dbManager.all(
+            `SELECT m.*, p.name as product_name, p.sku as product_sku
+             FROM marketplace_sku_mappings m
+             JOIN products p ON p.id = m.product_id
+             ${whereClause}
+             ORDER BY m.platform, m.marketplace_sku`,
+            params
+        );
+
+        ResponseFormatter.success(res, mappings, 'SKU mappings retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching SKU mappings:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch SKU mappings');
+    }
+}));
+
+// Map marketplace SKUs to products; a SKU already mapped is mapped again
+// { platform, marketplace_sku, product_id } or { platform, mappings: [{ marketplace_sku, product_id }] }
+router.post('/sku-mappings', authenticate, asyncHandler(async (req, res) => {
+    const platform = platformOf(req.body.platform);
+    const mappings = Array.isArray(req.body.mappings)
+        ? req.body.mappings
+        : [{ marketplace_sku: req.body.marketplace_sku, product_id: req.body.product_id }];
+
+    if (!platform) {
+        return ResponseFormatter.error(res, `Platform must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`, 'Validation Error', 400);
+    }
+    if (mappings.length === 0 || mappings.some(mapping => !String(mapping.marketplace_sku || '').trim() || !mapping.product_id)) {
+        return ResponseFormatter.error(res, 'Every mapping needs a marketplace_sku and a product_id', 'Validation Error', 400);
+    }
+
+    try {
+        const saved = await dbManager.transaction(async (db) => {
+            const results = [];
+            for (const mapping of mappings) {
+                const product = await db.get('SELECT id, name, product_type FROM products WHERE id = ?', [mapping.product_id]);
+                if (!product) {
+                    throw new Error(`Product not found: ${mapping.product_id}`);
+                }
+                if (product.product_type === 'design') {
+                    throw new Error('Cannot map a SKU to a design product, choose one of its variants');
+                }
+
+                const sku = String(mapping.marketplace_sku).trim();
+                await db.run(
+                    `INSERT INTO marketplace_sku_mappings (platform, marketplace_sku, product_id, created_by) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (platform, marketplace_sku) DO UPDATE SET product_id = excluded.product_id`,
+                    [platform, sku, product.id, req.user.id]
+                );
+                results.push(await db.get(
+                    `SELECT m.*, p.name as product_name, p.sku as product_sku
+                     FROM marketplace_sku_mappings m
+                     JOIN products p ON p.id = m.product_id
+                     WHERE m.platform = ? AND m.marketplace_sku = ?`,
+                    [platform, sku]
+                ));
+            }
+            return results;
+        });
+
+        ResponseFormatter.success(res, saved, 'SKU mappings saved successfully');
+
+    } catch (error) {
+        logger.error('Error saving SKU mappings:', error);
+        if (error.message.startsWith('Product not found')) {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.startsWith('Cannot map')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        ResponseFormatter.serverError(res, 'Failed to save SKU mappings');
+    }
+}));
+
+// Delete a SKU mapping (admin only)
+router.delete('/sku-mappings/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const result = await dbManager.run('DELETE FROM marketplace_sku_mappings WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+        return ResponseFormatter.notFound(res, 'SKU mapping not found');
+    }
+
+    ResponseFormatter.noContent(res, 'SKU mapping deleted successfully');
+}));
+
+// Get a marketplace import with the orders it created
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const importRecord = await dbManager.get(
+        `SELECT mi.*, u.first_name || ' ' || u.last_name as created_by_name
+         FROM marketplace_imports mi
+         LEFT JOIN users u ON u.id = mi.created_by
+         WHERE mi.id = ?`,
+        [req.params.id]
+    );
+
+    if (!importRecord) {
+        return ResponseFormatter.notFound(res, 'Marketplace import not found');
+    }
+
+    importRecord.orders = await dbManager.all(
+        `SELECT o.id, o.order_number, o.marketplace_order_id, o.order_date, o.total_amount,
+                (SELECT COUNT(*) FROM sales s WHERE s.order_id = o.id) as line_count
+         FROM sales_orders o
+         WHERE o.marketplace_import_id = ?
+         ORDER BY o.id`,
+        [importRecord.id]
+    );
+
+    ResponseFormatter.success(res, importRecord, 'Marketplace import retrieved successfully');
+}));
+
+module.exports = router;
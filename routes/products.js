@@ -5,10 +5,24 @@
 
 const express = require('express');
 const { authenticate, requireAdmin } = require('../middleware/auth');
-const { validateProduct } = require('../middleware/security');
+const multer = require('multer');
+const { validateProduct, createSecureUpload } = require('../middleware/security');
 const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
-const { phoneModelsCache, colorsCache } = require('../utils/cache');
-const { dbManager } = require('../utils/database');
+const { idempotency } = require('../middleware/idempotency');
+const { phoneModelsCache, colorsCache, dashboardCache } = require('../utils/cache');
+const { dbManager, transactionManager } = require('../utils/database');
+const { assignProductCodes } = require('../utils/sku');
+const { resolveLocation, adjustLocationStock, getProductStock, findLedgerMismatches } = require('../utils/stock');
+const { renderBarcodeSvg, parseInternalEan13 } = require('../utils/barcode');
+const { LABEL_LAYOUTS, MAX_LABELS, renderLabelSheet } = require('../utils/labels');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { planProductImport, applyProductImport } = require('../utils/product-import');
+const { parseExportOptions, streamExport } = require('../utils/export');
+const { categorySubtreeCondition, resolveProductCategory } = require('../utils/categories');
+const { PRODUCT_STATUSES, SELLABLE_STATUSES, setProductStatus, discontinueIfDepleted } = require('../utils/product-status');
+const { buildProductSearch } = require('../utils/search');
+const { setBundleComponents, getBundleComponents } = require('../utils/bundles');
+const { GST_DEFAULT_RATE, parseHsnCode, parseGstRate } = require('../utils/gst');
 const winston = require('winston');
 
 const router = express.Router();
@@ -28,117 +42,1113 @@ const logger = winston.createLogger({
     ],
 });
 
+// Variant totals used to roll child variants up into their parent design, and the stock bundles draw from their components
+const VARIANT_ROLLUP_JOIN = `
+    LEFT JOIN (
+        SELECT vp.parent_id, COUNT(*) as variant_count, SUM(vp.quantity) as variant_quantity,
+               SUM(CASE WHEN vp.quantity <= vrl.effective_reorder_point AND vp.status = 'active' THEN 1 ELSE 0 END) as low_variant_count
+        FROM products vp
+        JOIN product_reorder_levels vrl ON vrl.product_id = vp.id
+        WHERE vp.parent_id IS NOT NULL
+        GROUP BY vp.parent_id
+    ) v ON v.parent_id = p.id
+    LEFT JOIN bundle_stock bs ON bs.bundle_id = p.id
+`;
+const ROLLUP_QUANTITY = `CASE p.product_type WHEN 'design' THEN COALESCE(v.variant_quantity, 0)
+                                             WHEN 'bundle' THEN COALESCE(bs.available_quantity, 0)
+                                             ELSE p.quantity END`;
+
+// A design is low on stock as soon as one of its variants is
+const LOW_STOCK_CONDITION = `CASE WHEN p.product_type = 'design' THEN COALESCE(v.low_variant_count, 0) > 0
+                                  ELSE ${ROLLUP_QUANTITY} <= rl.effective_reorder_point END`;
+
+const REORDER_SCOPES = ['global', 'category', 'brand'];
+
+// Columns available to product exports (column -> SQL expression); quantity is rolled up like the list
+const PRODUCT_EXPORT_COLUMNS = {
+    id: 'p.id',
+    sku: 'p.sku',
+    barcode: 'p.barcode',
+    name: 'p.name',
+    description: 'p.description',
+    category_id: 'p.category_id',
+    category: 'p.category',
+    brand: 'p.brand',
+    model: 'p.model',
+    color: 'p.color',
+    product_type: 'p.product_type',
+    status: 'p.status',
+    do_not_reorder: 'p.do_not_reorder',
+    parent_id: 'p.parent_id',
+    cost_price: 'p.cost_price',
+    average_cost: 'ROUND(p.average_cost, 2)',
+    selling_price: 'p.selling_price',
+    quantity: ROLLUP_QUANTITY,
+    reorder_point: 'rl.effective_reorder_point',
+    safety_stock: 'rl.effective_safety_stock',
+    hsn_code: '(SELECT tc.hsn_code FROM product_tax_codes tc WHERE tc.product_id = p.id)',
+    gst_rate: '(SELECT tc.gst_rate FROM product_tax_codes tc WHERE tc.product_id = p.id)',
+    weight_grams: 'COALESCE(p.weight_grams, (SELECT dp.weight_grams FROM products dp WHERE dp.id = p.parent_id))',
+    compatible_models: `(SELECT GROUP_CONCAT(ph.brand || ' ' || ph.model, '; ') FROM product_handsets ph
+                         WHERE ph.product_id = p.id AND ph.fit = 'compatible')`,
+    stock_status: `CASE WHEN ${ROLLUP_QUANTITY} = 0 THEN 'out_of_stock' WHEN ${LOW_STOCK_CONDITION} THEN 'low_stock' ELSE 'in_stock' END`,
+    created_date: 'p.created_date',
+    updated_date: 'p.updated_date'
+};
+const PRODUCT_EXPORT_DEFAULTS = [
+    'id', 'sku', 'barcode', 'name', 'category', 'brand', 'model', 'color', 'product_type',
+    'cost_price', 'selling_price', 'quantity', 'stock_status'
+];
+
+// Columns available to inventory log exports
+const INVENTORY_LOG_EXPORT_COLUMNS = {
+    id: 'il.id',
+    created_date: 'il.created_date',
+    product_id: 'il.product_id',
+    sku: 'p.sku',
+    product_name: 'p.name',
+    brand: 'p.brand',
+    model: 'p.model',
+    color: 'p.color',
+    location_id: 'il.location_id',
+    location_code: 'l.code',
+    location_name: 'l.name',
+    change_amount: 'il.change_amount',
+    previous_quantity: 'il.previous_quantity',
+    new_quantity: 'il.new_quantity',
+    reason: 'il.reason',
+    source_type: 'il.source_type',
+    source_id: 'il.source_id',
+    user_id: 'il.user_id',
+    user_email: 'u.email'
+};
+const INVENTORY_LOG_EXPORT_DEFAULTS = [
+    'id', 'created_date', 'product_id', 'sku', 'product_name', 'location_code',
+    'change_amount', 'previous_quantity', 'new_quantity', 'reason', 'source_type', 'source_id'
+];
+
+// Import files are parsed in memory and never written to uploads/
+const importUpload = createSecureUpload({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Only CSV and XLSX files can be imported');
+            error.name = 'ValidationError';
+            cb(error, false);
+        }
+    }
+});
+
+/**
+ * Read an optional reorder level from a request body; null or '' clears it so the value is inherited
+ * @returns {number|null|undefined} Level, null to inherit, undefined when not given
+ */
+function parseReorderLevel(value, label) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '') {
+        return null;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+        throw new Error(`${label} must be a non-negative integer`);
+    }
+    return Number(value);
+}
+
+/**
+ * Read an optional shipped weight in grams; null or '' clears it so the design's weight is used
+ * @returns {number|null|undefined} Weight, null to inherit, undefined when not given
+ */
+function parseWeightGrams(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '') {
+        return null;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+        throw new Error('Weight must be a whole number of grams');
+    }
+    return Number(value);
+}
+
+/**
+ * Turn the product list filters (search, brand, model, category_id, status, sellable, parent_id, include_variants)
+ * into SQL conditions on "p"
+ * search goes through the full-text index (see utils/search.js), model matches compatible handsets too
+ * (see product_handsets), category_id includes subcategories; archived products are left out unless status asks for them
+ * @returns {Promise<object>} { conditions, params, search: the full-text query or null, rollUp }
+ */
+async function buildProductFilters({
+    search = '', brand = '', model = '', category_id = '', status = '', sellable = 'false', parent_id = '', include_variants = 'false'
+}) {
+    // Variants are hidden behind their design unless explicitly requested
+    const rollUp = !parent_id && include_variants !== 'true';
+    const conditions = [];
+    const params = [];
+    
+    // status takes a comma separated list, e.g. status=active,draft
+    const statuses = sellable === 'true'
+        ? SELLABLE_STATUSES
+        : String(status).split(',').map(value => value.trim()).filter(value => PRODUCT_STATUSES.includes(value));
+    if (statuses.length > 0) {
+        conditions.push(`p.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    } else {
+        conditions.push("p.status != 'archived'");
+    }
+    
+    // Filter on the product itself or, when rolling up, on any of its variants
+    const addFilter = (buildCondition, values) => {
+        if (rollUp) {
+            conditions.push(`(${buildCondition('p')} OR EXISTS (SELECT 1 FROM products c WHERE c.parent_id = p.id AND ${buildCondition('c')}))`);
+            params.push(...values, ...values);
+        } else {
+            conditions.push(buildCondition('p'));
+            params.push(...values);
+        }
+    };
+    
+    if (parent_id) {
+        conditions.push('p.parent_id = ?');
+        params.push(parent_id);
+    } else if (rollUp) {
+        conditions.push('p.parent_id IS NULL');
+    }
+    
+    const productSearch = search ? await buildProductSearch(dbManager, search) : null;
+    if (productSearch) {
+        addFilter(
+            (t) => `${t}.id IN (SELECT rowid FROM product_search WHERE product_search MATCH ?)`,
+            [productSearch.match]
+        );
+    }
+    
+    if (brand) {
+        addFilter((t) => `${t}.brand = ?`, [brand]);
+    }
+    
+    if (category_id) {
+        addFilter((t) => categorySubtreeCondition(`${t}.category_id`), [category_id]);
+    }
+    
+    // A product matches a handset through its own model or its compatible models
+    if (model) {
+        addFilter(
+            (t) => `EXISTS (SELECT 1 FROM product_handsets ph WHERE ph.product_id = ${t}.id AND ph.model = ?)`,
+            [model]
+        );
+    }
+    
+    return { conditions, params, search: productSearch, rollUp };
+}
+
+/**
+ * Join giving each listed product its best search rank as "sr.relevance" (lower is better);
+ * when rolling up, a design ranks by its best matching variant (one ? parameter: the match expression)
+ */
+function searchRankJoin(rollUp) {
+    return `LEFT JOIN (
+                SELECT ${rollUp ? 'COALESCE(sp.parent_id, sp.id)' : 'sp.id'} as product_id, MIN(product_search.rank) as relevance
+                FROM product_search
+                JOIN products sp ON sp.id = product_search.rowid
+                WHERE product_search MATCH ?
+                GROUP BY 1
+            ) sr ON sr.product_id = p.id`;
+}
+
+/**
+ * Whether an error comes from checking the components of a bundle
+ */
+function isBundleError(error) {
+    return /^(A bundle|Component|Components)\b/.test(error.message);
+}
+
+/**
+ * Compatible models of a product, its own model excluded
+ */
+function getCompatibleModels(productId) {
+    return dbManager.all(
+        `SELECT phone_model_id as id, brand, model FROM product_handsets
+         WHERE product_id = ? AND fit = 'compatible'
+         ORDER BY brand, model`,
+        [productId]
+    );
+}
+
 // Get all products with pagination and search
 router.get('/', asyncHandler(async (req, res) => {
     const { 
         page = 1, 
         limit = 20, 
-        search = '', 
-        brand = '', 
-        model = '',
-        sort = 'name',
+        sort = '',
         order = 'ASC'
     } = req.query;
 
     try {
         const offset = (page - 1) * limit;
         
-        // Build WHERE clause
-        let whereClause = 'WHERE 1=1';
-        let params = [];
-        
-        if (search) {
-            whereClause += ' AND (p.name LIKE ? OR p.description LIKE ? OR p.brand LIKE ? OR p.model LIKE ?)';
-            const searchPattern = `%${search}%`;
-            params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+        // Build WHERE clause
+        const { conditions, params, search, rollUp } = await buildProductFilters(req.query);
+        const whereClause = `WHERE ${['1=1', ...conditions].join(' AND ')}`;
+        
+        // Validate sort parameters; searches are ordered by relevance unless another sort is asked for
+        const validSortFields = ['name', 'brand', 'model', 'quantity', 'cost_price', 'selling_price', 'created_date', 'relevance'];
+        const validOrder = ['ASC', 'DESC'];
+        let sortField = validSortFields.includes(sort) ? sort : (search ? 'relevance' : 'name');
+        if (sortField === 'relevance' && !search) {
+            sortField = 'name';
+        }
+        const sortOrder = validOrder.includes(order.toUpperCase()) ? order.toUpperCase() : 'ASC';
+        const sortExpression = sortField === 'quantity' ? ROLLUP_QUANTITY
+            : sortField === 'relevance' ? 'sr.relevance' : `p.${sortField}`;
+        const rankJoin = sortField === 'relevance' ? searchRankJoin(rollUp) : '';
+        const rankParams = sortField === 'relevance' ? [search.match] : [];
+        
+        // Get total count
+        const countQuery = `
+            SELECT COUNT(*) as total 
+            FROM products p 
+            ${whereClause}
+        `;
+        const countResult = await dbManager.get(countQuery, params);
+        
+        // Get products with pagination
+        const productsQuery = `
+            SELECT 
+                p.id, p.name, p.description, p.category_id, p.category, p.cost_price, p.selling_price,
+                ${ROLLUP_QUANTITY} as quantity,
+                p.brand, p.model, p.color, p.image_path, p.created_date, p.updated_date,
+                p.product_type, p.parent_id, p.sku, p.status, p.do_not_reorder,
+                COALESCE(v.variant_count, 0) as variant_count,
+                p.reorder_point, p.safety_stock, p.hsn_code, p.gst_rate, p.weight_grams,
+                rl.effective_reorder_point, rl.effective_safety_stock, rl.reorder_point_source,
+                CASE 
+                    WHEN ${ROLLUP_QUANTITY} = 0 THEN 'out_of_stock'
+                    WHEN ${LOW_STOCK_CONDITION} THEN 'low_stock'
+                    ELSE 'in_stock'
+                END as stock_status
+            FROM products p
+            JOIN product_reorder_levels rl ON rl.product_id = p.id
+            ${VARIANT_ROLLUP_JOIN}
+            ${rankJoin}
+            ${whereClause}
+            ORDER BY ${sortExpression} ${sortOrder}, p.name
+            LIMIT ? OFFSET ?
+        `;
+        
+        const products = await dbManager.all(productsQuery, [...rankParams, ...params, parseInt(limit), offset]);
+        
+        // Create pagination info
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+        
+        ResponseFormatter.paginated(res, products, pagination, 'Products retrieved successfully');
+        
+    } catch (error) {
+        logger.error('Error fetching products:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch products');
+    }
+}));
+
+// Export products with the list filters as CSV, XLSX or NDJSON (format, columns=a,b,...)
+router.get('/export', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, PRODUCT_EXPORT_COLUMNS, PRODUCT_EXPORT_DEFAULTS);
+        const { conditions, params } = await buildProductFilters(req.query);
+        
+        const count = await streamExport(res, dbManager, {
+            format,
+            name: 'products',
+            columns,
+            select: PRODUCT_EXPORT_COLUMNS,
+            from: `FROM products p JOIN product_reorder_levels rl ON rl.product_id = p.id ${VARIANT_ROLLUP_JOIN}`,
+            where: conditions,
+            params,
+            key: 'p.id'
+        });
+        
+        logger.info('Products exported', { format, count, userId: req.user.id });
+        
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Product export aborted:', error);
+            return res.destroy();
+        }
+        if (/export (format|column)/.test(error.message)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error exporting products:', error);
+        ResponseFormatter.serverError(res, 'Failed to export products');
+    }
+}));
+
+// Typeahead: best matching products for what has been typed so far
+// Query: q, limit (max 20), sellable=true for stock-holding products that can be sold
+router.get('/suggest', asyncHandler(async (req, res) => {
+    const { q = '', sellable = 'false' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+
+    try {
+        const search = await buildProductSearch(dbManager, q);
+        if (!search) {
+            return ResponseFormatter.success(res, { query: '', corrections: [], products: [] }, 'Suggestions retrieved successfully');
+        }
+
+        const statusCondition = sellable === 'true'
+            ? `p.status IN (${SELLABLE_STATUSES.map(() => '?').join(', ')}) AND p.product_type != 'design'`
+            : "p.status != 'archived'";
+
+        const products = await dbManager.all(
+            `SELECT p.id, p.name, p.brand, p.model, p.color, p.sku, p.barcode, p.product_type, p.parent_id,
+                    p.status, COALESCE(bs.available_quantity, p.quantity) as quantity, p.selling_price
+             FROM product_search
+             JOIN products p ON p.id = product_search.rowid
+             LEFT JOIN bundle_stock bs ON bs.bundle_id = p.id
+             WHERE product_search MATCH ? AND ${statusCondition}
+             ORDER BY product_search.rank, p.name
+             LIMIT ?`,
+            [search.match, ...(sellable === 'true' ? SELLABLE_STATUSES : []), limit]
+        );
+
+        ResponseFormatter.success(res, {
+            query: search.words.join(' '),
+            corrections: search.corrections,
+            products
+        }, 'Suggestions retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching product suggestions:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch suggestions');
+    }
+}));
+
+// Export the stock ledger as CSV, XLSX or NDJSON
+// Filters: product_id, location_id, start_date, end_date, reason, source_type, brand, model
+router.get('/inventory-logs/export', authenticate, asyncHandler(async (req, res) => {
+    const { product_id = '', location_id = '', start_date = '', end_date = '', reason = '', source_type = '', brand = '', model = '' } = req.query;
+    
+    try {
+        const { format, columns } = parseExportOptions(req.query, INVENTORY_LOG_EXPORT_COLUMNS, INVENTORY_LOG_EXPORT_DEFAULTS);
+        const conditions = [];
+        const params = [];
+        
+        const filters = [
+            [product_id, 'il.product_id = ?'],
+            [location_id, 'il.location_id = ?'],
+            [start_date, 'DATE(il.created_date) >= DATE(?)'],
+            [end_date, 'DATE(il.created_date) <= DATE(?)'],
+            [reason, 'il.reason = ?'],
+            [source_type, 'il.source_type = ?'],
+            [brand, 'p.brand = ?'],
+            [model, 'p.model = ?']
+        ];
+        filters.forEach(([value, condition]) => {
+            if (value) {
+                conditions.push(condition);
+                params.push(value);
+            }
+        });
+        
+        const count = await streamExport(res, dbManager, {
+            format,
+            name: 'inventory-logs',
+            columns,
+            select: INVENTORY_LOG_EXPORT_COLUMNS,
+            from: `FROM inventory_logs il
+                   LEFT JOIN products p ON p.id = il.product_id
+                   LEFT JOIN stock_locations l ON l.id = il.location_id
+                   LEFT JOIN users u ON u.id = il.user_id`,
+            where: conditions,
+            params,
+            key: 'il.id'
+        });
+        
+        logger.info('Inventory logs exported', { format, count, userId: req.user.id });
+        
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Inventory log export aborted:', error);
+            return res.destroy();
+        }
+        if (/export (format|column)/.test(error.message)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error exporting inventory logs:', error);
+        ResponseFormatter.serverError(res, 'Failed to export inventory logs');
+    }
+}));
+
+// Look up a product by scanned SKU or barcode
+router.get('/by-code/:code', asyncHandler(async (req, res) => {
+    const code = req.params.code.trim();
+    
+    // Printed labels always carry the internal barcode of the product id, even
+    // when the product has since been given a manufacturer barcode
+    const product = await dbManager.get(
+        `SELECT p.*, d.name as design_name
+         FROM products p
+         LEFT JOIN products d ON p.parent_id = d.id
+         WHERE p.barcode = ? OR p.sku = ? COLLATE NOCASE OR p.id = ?
+         ORDER BY p.id = ?
+         LIMIT 1`,
+        [code, code, parseInternalEan13(code), parseInternalEan13(code)]
+    );
+    
+    if (!product) {
+        return ResponseFormatter.notFound(res, `No product found for code ${code}`);
+    }
+    
+    ResponseFormatter.success(res, product, 'Product retrieved successfully');
+}));
+
+// Assign SKUs and barcodes to products that do not have them yet (admin only)
+router.post('/codes/backfill', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        const assigned = await dbManager.transaction(async (db) => {
+            // Designs first so variant SKUs can build on the design SKU
+            const products = await db.all(
+                `SELECT id FROM products 
+                 WHERE sku IS NULL OR barcode IS NULL 
+                 ORDER BY CASE product_type WHEN 'design' THEN 0 WHEN 'simple' THEN 1 ELSE 2 END, id`
+            );
+            
+            const results = [];
+            for (const product of products) {
+                results.push({ product_id: product.id, ...(await assignProductCodes(db, product.id)) });
+            }
+            return results;
+        });
+        
+        ResponseFormatter.success(res, assigned, `Codes assigned to ${assigned.length} products`);
+        
+    } catch (error) {
+        logger.error('Error backfilling product codes:', error);
+        ResponseFormatter.serverError(res, 'Failed to assign product codes');
+    }
+}));
+
+// Bulk import products from a CSV or XLSX file (admin only)
+// Multipart: file; fields: dry_run=true to only report, location_id for imported quantities (default location when omitted)
+// Rows with errors block the whole import; nothing is written unless every row is valid
+router.post('/import', authenticate, requireAdmin, importUpload.single('file'), idempotency, asyncHandler(async (req, res) => {
+    const { dry_run = 'false', location_id } = req.body;
+
+    if (!req.file) {
+        return ResponseFormatter.error(res, 'No import file uploaded', 'Validation Error', 400);
+    }
+
+    try {
+        const rows = readSpreadsheet(req.file.buffer);
+
+        if (dry_run === 'true') {
+            const plan = await planProductImport(dbManager, rows);
+            return ResponseFormatter.success(res, { dry_run: true, ...plan }, 'Import checked, nothing was saved');
+        }
+
+        const outcome = await dbManager.transaction(async (db) => {
+            const plan = await planProductImport(db, rows);
+            if (plan.summary.errors > 0) {
+                return { plan, imported: false };
+            }
+
+            const location = await resolveLocation(db, location_id);
+            const result = await db.run(
+                `INSERT INTO product_imports (file_name, location_id, total_rows, created_count, updated_count, new_phone_models, new_colors, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [req.file.originalname, location.id, plan.summary.total_rows, plan.summary.creates, plan.summary.updates,
+                 plan.new_phone_models.length, plan.new_colors.length, req.user.id]
+            );
+            const importNumber = `IMP-${String(result.lastID).padStart(6, '0')}`;
+            await db.run('UPDATE product_imports SET import_number = ? WHERE id = ?', [importNumber, result.lastID]);
+
+            await applyProductImport(db, plan, { location, import_id: result.lastID, user_id: req.user.id });
+
+            return { plan: { import_number: importNumber, ...plan }, imported: true };
+        });
+
+        if (!outcome.imported) {
+            return ResponseFormatter.error(
+                res,
+                `${outcome.plan.summary.errors} row(s) have errors, nothing was imported`,
+                'Validation Error',
+                400,
+                { dry_run: false, ...outcome.plan }
+            );
+        }
+
+        phoneModelsCache.delete('all_models');
+        colorsCache.delete('all_colors');
+        dashboardCache.delete('dashboard_stats');
+
+        ResponseFormatter.success(res, { dry_run: false, ...outcome.plan }, 'Products imported successfully');
+
+    } catch (error) {
+        logger.error('Error importing products:', error);
+        if (error.message.startsWith('Malformed') || error.message.startsWith('The import file') ||
+            error.message.startsWith('Cannot import') || error.message.includes('is inactive') ||
+            error.message.startsWith('Insufficient stock')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        if (error.message === 'Stock location not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return ResponseFormatter.conflict(res, 'SKU or barcode already exists');
+        }
+        ResponseFormatter.serverError(res, 'Failed to import products');
+    }
+}));
+
+// List the supported label sheet layouts
+router.get('/labels/layouts', asyncHandler(async (req, res) => {
+    const layouts = Object.entries(LABEL_LAYOUTS).map(([key, layout]) => ({
+        key,
+        description: layout.description,
+        labels_per_sheet: layout.columns * layout.rows
+    }));
+    
+    ResponseFormatter.success(res, layouts, 'Label layouts retrieved successfully');
+}));
+
+// Print label sheet for a list of products
+// Body: { items: [{ product_id, quantity }], layout: '65-up', format: 'pdf'|'svg', skip: 0 }
+router.post('/labels', authenticate, asyncHandler(async (req, res) => {
+    const { items, layout = '65-up', format = 'pdf', skip = 0 } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+        return ResponseFormatter.error(res, 'items must be a non-empty array of { product_id, quantity }', 'Validation Error', 400);
+    }
+    
+    if (!LABEL_LAYOUTS[layout]) {
+        return ResponseFormatter.error(res, `Layout must be one of: ${Object.keys(LABEL_LAYOUTS).join(', ')}`, 'Validation Error', 400);
+    }
+    
+    if (!['pdf', 'svg'].includes(format)) {
+        return ResponseFormatter.error(res, 'Format must be pdf or svg', 'Validation Error', 400);
+    }
+    
+    const perSheet = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows;
+    const skipCount = parseInt(skip) || 0;
+    if (skipCount < 0 || skipCount >= perSheet) {
+        return ResponseFormatter.error(res, `skip must be between 0 and ${perSheet - 1}`, 'Validation Error', 400);
+    }
+    
+    const invalid = items.find(item => !Number.isInteger(Number(item.product_id)) || !Number.isInteger(Number(item.quantity ?? 1)) || Number(item.quantity ?? 1) < 0);
+    if (invalid) {
+        return ResponseFormatter.error(res, 'Each item needs an integer product_id and a non-negative integer quantity', 'Validation Error', 400);
+    }
+    
+    const totalLabels = items.reduce((sum, item) => sum + Number(item.quantity ?? 1), 0);
+    if (totalLabels > MAX_LABELS) {
+        return ResponseFormatter.error(res, `Cannot print more than ${MAX_LABELS} labels at once`, 'Validation Error', 400);
+    }
+    
+    const ids = [...new Set(items.map(item => Number(item.product_id)))];
+    const products = await dbManager.all(
+        `SELECT id, name, brand, model, color, selling_price FROM products WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+    );
+    const productsById = new Map(products.map(product => [product.id, product]));
+    
+    const missing = ids.filter(id => !productsById.has(id));
+    if (missing.length > 0) {
+        return ResponseFormatter.notFound(res, `Products not found: ${missing.join(', ')}`);
+    }
+    
+    try {
+        const sheet = renderLabelSheet(
+            items.map(item => ({ product: productsById.get(Number(item.product_id)), quantity: Number(item.quantity ?? 1) })),
+            { layout, format, skip: skipCount }
+        );
+        
+        res.set('Content-Disposition', `inline; filename="labels-${layout}.${format}"`);
+        res.type(sheet.contentType).send(sheet.body);
+    } catch (error) {
+        if (error.message === 'No labels to print') {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error rendering labels:', error);
+        ResponseFormatter.serverError(res, 'Failed to render labels');
+    }
+}));
+
+// Render a product barcode as SVG (format: code128 encodes the SKU, ean13 the barcode number)
+router.get('/:id/barcode', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { format = 'code128' } = req.query;
+    
+    if (!['code128', 'ean13'].includes(format)) {
+        return ResponseFormatter.error(res, 'Format must be code128 or ean13', 'Validation Error', 400);
+    }
+    
+    const product = await dbManager.get('SELECT id, sku, barcode FROM products WHERE id = ?', [id]);
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    const value = format === 'ean13' ? product.barcode : (product.sku || product.barcode);
+    if (!value) {
+        return ResponseFormatter.error(res, 'Product has no code to encode', 'Validation Error', 400);
+    }
+    
+    try {
+        const svg = renderBarcodeSvg(format, value);
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+}));
+
+// Get reorder defaults (global, per category and per brand)
+router.get('/reorder-defaults/all', asyncHandler(async (req, res) => {
+    try {
+        const defaults = await dbManager.all(
+            `SELECT * FROM reorder_defaults
+             ORDER BY CASE scope WHEN 'global' THEN 0 WHEN 'category' THEN 1 ELSE 2 END, scope_value`
+        );
+        
+        ResponseFormatter.success(res, defaults, 'Reorder defaults retrieved successfully');
+        
+    } catch (error) {
+        logger.error('Error fetching reorder defaults:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch reorder defaults');
+    }
+}));
+
+// Set the reorder default of a category, a brand or the global default (admin only)
+// Body: { scope: 'global'|'category'|'brand', scope_value, reorder_point, safety_stock }
+router.put('/reorder-defaults', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { scope, scope_value = '', reorder_point, safety_stock = 0 } = req.body;
+    
+    if (!REORDER_SCOPES.includes(scope)) {
+        return ResponseFormatter.error(res, `Scope must be one of: ${REORDER_SCOPES.join(', ')}`, 'Validation Error', 400);
+    }
+    
+    if (scope !== 'global' && !String(scope_value).trim()) {
+        return ResponseFormatter.error(res, `A ${scope} default needs a scope_value`, 'Validation Error', 400);
+    }
+    
+    let reorderPoint, safetyStock;
+    try {
+        reorderPoint = parseReorderLevel(reorder_point, 'Reorder point');
+        safetyStock = parseReorderLevel(safety_stock, 'Safety stock');
+    } catch (error) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    
+    if (reorderPoint === undefined || reorderPoint === null) {
+        return ResponseFormatter.error(res, 'Reorder point is required', 'Validation Error', 400);
+    }
+    
+    try {
+        const value = scope === 'global' ? '' : String(scope_value).trim();
+        
+        await dbManager.run(
+            `INSERT INTO reorder_defaults (scope, scope_value, reorder_point, safety_stock) VALUES (?, ?, ?, ?)
+             ON CONFLICT(scope, scope_value) DO UPDATE SET
+                reorder_point = excluded.reorder_point, safety_stock = excluded.safety_stock, updated_date = CURRENT_TIMESTAMP`,
+            [scope, value, reorderPoint, safetyStock || 0]
+        );
+        
+        // Dashboard counts depend on reorder points
+        dashboardCache.delete('dashboard_stats');
+        
+        const saved = await dbManager.get('SELECT * FROM reorder_defaults WHERE scope = ? AND scope_value = ?', [scope, value]);
+        
+        ResponseFormatter.success(res, saved, 'Reorder default saved successfully');
+        
+    } catch (error) {
+        logger.error('Error saving reorder default:', error);
+        ResponseFormatter.serverError(res, 'Failed to save reorder default');
+    }
+}));
+
+// Delete a category or brand reorder default so its products inherit the next level (admin only)
+router.delete('/reorder-defaults/:scope/:value', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { scope, value } = req.params;
+    
+    if (scope === 'global') {
+        return ResponseFormatter.error(res, 'The global reorder default cannot be deleted', 'Validation Error', 400);
+    }
+    
+    try {
+        const result = await dbManager.run('DELETE FROM reorder_defaults WHERE scope = ? AND scope_value = ?', [scope, value]);
+        
+        if (result.changes === 0) {
+            return ResponseFormatter.notFound(res, 'Reorder default not found');
+        }
+        
+        dashboardCache.delete('dashboard_stats');
+        
+        ResponseFormatter.noContent(res, 'Reorder default deleted successfully');
+        
+    } catch (error) {
+        logger.error('Error deleting reorder default:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete reorder default');
+    }
+}));
+
+// Get product by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const product = await dbManager.get(
+        `SELECT p.*, rl.effective_reorder_point, rl.effective_safety_stock, rl.reorder_point_source,
+                tc.hsn_code as effective_hsn_code, COALESCE(tc.gst_rate, ?) as effective_gst_rate, tc.gst_rate_source
+         FROM products p
+         JOIN product_reorder_levels rl ON rl.product_id = p.id
+         JOIN product_tax_codes tc ON tc.product_id = p.id
+         WHERE p.id = ?`, 
+        [GST_DEFAULT_RATE, id]
+    );
+    
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    product.compatible_models = await getCompatibleModels(id);
+    
+    // A bundle's stock is what its scarcest component allows
+    if (product.product_type === 'bundle') {
+        const bundleStock = await dbManager.get('SELECT available_quantity, component_cost FROM bundle_stock WHERE bundle_id = ?', [id]);
+        product.quantity = bundleStock ? bundleStock.available_quantity : 0;
+        product.component_cost = bundleStock ? bundleStock.component_cost : 0;
+        product.components = await getBundleComponents(dbManager, id);
+    }
+    
+    ResponseFormatter.success(res, product, 'Product retrieved successfully');
+}));
+
+// Get the handsets a product fits: its own model and the compatible models
+router.get('/:id/compatibility', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const product = await dbManager.get('SELECT id, name, brand, model FROM products WHERE id = ?', [id]);
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    const handsets = await dbManager.all(
+        `SELECT phone_model_id, brand, model, fit FROM product_handsets WHERE product_id = ?
+         ORDER BY fit DESC, brand, model`,
+        [id]
+    );
+    
+    ResponseFormatter.success(res, { product, handsets }, 'Product compatibility retrieved successfully');
+}));
+
+// Get the components of a bundle with their stock
+router.get('/:id/components', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const product = await dbManager.get('SELECT id, name, product_type FROM products WHERE id = ?', [id]);
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    if (product.product_type !== 'bundle') {
+        return ResponseFormatter.error(res, 'Product is not a bundle', 'Validation Error', 400);
+    }
+
+    const components = await getBundleComponents(dbManager, id);
+    const bundleStock = await dbManager.get('SELECT available_quantity, component_cost FROM bundle_stock WHERE bundle_id = ?', [id]);
+
+    ResponseFormatter.success(res, {
+        bundle_id: product.id,
+        name: product.name,
+        available_quantity: bundleStock ? bundleStock.available_quantity : 0,
+        component_cost: bundleStock ? bundleStock.component_cost : 0,
+        components
+    }, 'Bundle components retrieved successfully');
+}));
+
+// Replace the components of a bundle { components: [{ product_id, quantity }] } (admin only)
+router.put('/:id/components', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const product = await dbManager.get('SELECT id, product_type, status FROM products WHERE id = ?', [id]);
+        if (!product) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        if (product.product_type !== 'bundle') {
+            return ResponseFormatter.error(res, 'Product is not a bundle', 'Validation Error', 400);
+        }
+        if (product.status === 'archived') {
+            return ResponseFormatter.error(res, 'Archived products cannot be edited, restore the product first', 'Product Archived', 409);
+        }
+
+        const componentCost = await dbManager.transaction(db => setBundleComponents(db, id, req.body.components));
+        const components = await getBundleComponents(dbManager, id);
+
+        dashboardCache.delete('dashboard_stats');
+        logger.info('Bundle components updated', { productId: product.id, components: components.length, userId: req.user.id });
+
+        ResponseFormatter.success(res, { bundle_id: product.id, component_cost: componentCost, components }, 'Bundle components updated successfully');
+
+    } catch (error) {
+        if (isBundleError(error)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error updating bundle components:', error);
+        ResponseFormatter.serverError(res, 'Failed to update bundle components');
+    }
+}));
+
+// Replace the compatible models of a product { phone_model_ids: [...] } (admin only)
+router.put('/:id/compatibility', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { phone_model_ids } = req.body;
+    
+    if (!Array.isArray(phone_model_ids) || !phone_model_ids.every(modelId => Number.isInteger(modelId) && modelId > 0)) {
+        return ResponseFormatter.error(res, 'phone_model_ids must be an array of phone model ids', 'Validation Error', 400);
+    }
+    
+    try {
+        const product = await dbManager.get('SELECT id, brand, model FROM products WHERE id = ?', [id]);
+        if (!product) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        
+        const modelIds = [...new Set(phone_model_ids)];
+        const phoneModels = modelIds.length > 0
+            ? await dbManager.all(`SELECT id FROM phone_models WHERE id IN (${modelIds.map(() => '?').join(', ')})`, modelIds)
+            : [];
+        const missing = modelIds.filter(modelId => !phoneModels.some(pm => pm.id === modelId));
+        if (missing.length > 0) {
+            return ResponseFormatter.error(res, `Phone model not found: ${missing.join(', ')}`, 'Validation Error', 400);
+        }
+        
+        await dbManager.transaction(async (db) => {
+            await db.run('DELETE FROM product_compatibility WHERE product_id = ?', [id]);
+            for (const modelId of modelIds) {
+                await db.run('INSERT INTO product_compatibility (product_id, phone_model_id) VALUES (?, ?)', [id, modelId]);
+            }
+        });
+        
+        logger.info('Product compatibility updated', { productId: id, phoneModelIds: modelIds, userId: req.user.id });
+        
+        ResponseFormatter.success(res, {
+            product_id: parseInt(id),
+            compatible_models: await getCompatibleModels(id)
+        }, 'Product compatibility updated successfully');
+        
+    } catch (error) {
+        logger.error('Error updating product compatibility:', error);
+        ResponseFormatter.serverError(res, 'Failed to update product compatibility');
+    }
+}));
+
+// Get stock of a product per location
+router.get('/:id/stock', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const product = await dbManager.get('SELECT id, name, quantity, product_type FROM products WHERE id = ?', [id]);
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    const locations = await getProductStock(dbManager, id);
+    
+    ResponseFormatter.success(res, { ...product, locations }, 'Product stock retrieved successfully');
+}));
+
+// Get the stock ledger of a product, newest first, with the document behind each movement
+// location_id limits the history to one location; location_balance is the running quantity there
+router.get('/:id/history', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page = 1, limit = 50, location_id = '', start_date = '', end_date = '' } = req.query;
+    
+    const product = await dbManager.get('SELECT id, name, sku, quantity, product_type FROM products WHERE id = ?', [id]);
+    if (!product) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+        
+        if (location_id) {
+            conditions.push('h.location_id = ?');
+            params.push(location_id);
         }
         
-        if (brand) {
-            whereClause += ' AND p.brand = ?';
-            params.push(brand);
+        if (start_date) {
+            conditions.push('DATE(h.created_date) >= DATE(?)');
+            params.push(start_date);
         }
         
-        if (model) {
-            whereClause += ' AND p.model = ?';
-            params.push(model);
+        if (end_date) {
+            conditions.push('DATE(h.created_date) <= DATE(?)');
+            params.push(end_date);
         }
         
-        // Validate sort parameters
-        const validSortFields = ['name', 'brand', 'model', 'quantity', 'cost_price', 'selling_price', 'created_date'];
-        const validOrder = ['ASC', 'DESC'];
-        const sortField = validSortFields.includes(sort) ? sort : 'name';
-        const sortOrder = validOrder.includes(order.toUpperCase()) ? order.toUpperCase() : 'ASC';
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
         
-        // Get total count
-        const countQuery = `
-            SELECT COUNT(*) as total 
-            FROM products p 
-            ${whereClause}
+        // Balances are worked out over the full ledger before any filter is applied
+        const ledger = `
+            SELECT il.*,
+                   SUM(il.change_amount) OVER (PARTITION BY il.location_id ORDER BY il.created_date, il.id) as location_balance
+            FROM inventory_logs il
+            WHERE il.product_id = ?
         `;
-        const countResult = await dbManager.get(countQuery, params);
         
-        // Get products with pagination
-        const productsQuery = `
-            SELECT 
-                p.id, p.name, p.description, p.cost_price, p.selling_price, p.quantity,
-                p.brand, p.model, p.color, p.image_path, p.created_date, p.updated_date,
-                CASE 
-                    WHEN p.quantity = 0 THEN 'out_of_stock'
-                    WHEN p.quantity <= 10 THEN 'low_stock'
-                    ELSE 'in_stock'
-                END as stock_status
-            FROM products p
-            ${whereClause}
-            ORDER BY p.${sortField} ${sortOrder}
-            LIMIT ? OFFSET ?
-        `;
+        const entries = await dbManager.all(
+            `SELECT h.id, h.created_date, h.reason, h.change_amount, h.previous_quantity, h.new_quantity,
+                    h.location_id, l.name as location_name, h.location_balance,
+                    h.source_type, h.source_id,
+                    COALESCE(st.transfer_number, gr.receipt_number, sk.stocktake_number, r.return_number, pi.import_number) as source_number,
+                    u.first_name as user_first_name, u.last_name as user_last_name
+             FROM (${ledger}) h
+             LEFT JOIN stock_locations l ON l.id = h.location_id
+             LEFT JOIN stock_transfers st ON h.source_type = 'stock_transfer' AND st.id = h.source_id
+             LEFT JOIN goods_receipts gr ON h.source_type = 'goods_receipt' AND gr.id = h.source_id
+             LEFT JOIN stocktakes sk ON h.source_type = 'stocktake' AND sk.id = h.source_id
+             LEFT JOIN returns r ON h.source_type = 'return' AND r.id = h.source_id
+             LEFT JOIN product_imports pi ON h.source_type = 'product_import' AND pi.id = h.source_id
+             LEFT JOIN users u ON u.id = h.user_id
+             ${whereClause}
+             ORDER BY h.created_date DESC, h.id DESC
+             LIMIT ? OFFSET ?`,
+            [id, ...params, parseInt(limit), offset]
+        );
         
-        const products = await dbManager.all(productsQuery, [...params, parseInt(limit), offset]);
+        const countResult = await dbManager.get(`SELECT COUNT(*) as total FROM (${ledger}) h ${whereClause}`, [id, ...params]);
+        const ledgerTotal = await dbManager.get(
+            'SELECT COALESCE(SUM(change_amount), 0) as quantity FROM inventory_logs WHERE product_id = ?',
+            [id]
+        );
         
-        // Create pagination info
         const pagination = createPaginationInfo(page, limit, countResult.total);
         
-        ResponseFormatter.paginated(res, products, pagination, 'Products retrieved successfully');
+        ResponseFormatter.paginated(res, {
+            product: { ...product, ledger_quantity: ledgerTotal.quantity, in_balance: ledgerTotal.quantity === product.quantity },
+            entries
+        }, pagination, 'Product history retrieved successfully');
         
     } catch (error) {
-        logger.error('Error fetching products:', error);
-        ResponseFormatter.serverError(res, 'Failed to fetch products');
+        logger.error('Error fetching product history:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch product history');
     }
 }));
 
-// Get product by ID
-router.get('/:id', asyncHandler(async (req, res) => {
+// Get variants of a design
+router.get('/:id/variants', asyncHandler(async (req, res) => {
     const { id } = req.params;
     
-    const product = await dbManager.get(
-        `SELECT * FROM products WHERE id = ?`, 
+    const design = await dbManager.get('SELECT id, product_type FROM products WHERE id = ?', [id]);
+    if (!design) {
+        return ResponseFormatter.notFound(res, 'Product not found');
+    }
+    
+    const variants = await dbManager.all(
+        `SELECT * FROM products WHERE parent_id = ? ORDER BY brand, model, color`,
         [id]
     );
     
-    if (!product) {
-        return ResponseFormatter.notFound(res, 'Product not found');
+    ResponseFormatter.success(res, variants, 'Product variants retrieved successfully');
+}));
+
+// Generate the variant grid of a design from phone models × colors (admin only)
+router.post('/:id/variants/generate', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { phone_model_ids, color_ids, quantity = 0 } = req.body;
+    
+    if (!Array.isArray(phone_model_ids) || phone_model_ids.length === 0 ||
+        !Array.isArray(color_ids) || color_ids.length === 0) {
+        return ResponseFormatter.error(res, 'At least one phone model and one color are required', 'Validation Error', 400);
     }
     
-    ResponseFormatter.success(res, product, 'Product retrieved successfully');
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        return ResponseFormatter.error(res, 'Quantity must be a non-negative integer', 'Validation Error', 400);
+    }
+    
+    try {
+        const result = await transactionManager.generateVariants(parseInt(id), {
+            phone_model_ids: phone_model_ids.map(modelId => parseInt(modelId)),
+            color_ids: color_ids.map(colorId => parseInt(colorId)),
+            quantity
+        });
+        
+        ResponseFormatter.created(res, result, `${result.created.length} variants generated successfully`);
+        
+    } catch (error) {
+        logger.error('Error generating product variants:', error);
+        if (error.message === 'Product not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.startsWith('Unknown') || error.message.startsWith('Variants can')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        ResponseFormatter.serverError(res, 'Failed to generate product variants');
+    }
 }));
 
 // Create new product (admin only)
 router.post('/', authenticate, requireAdmin, validateProduct, asyncHandler(async (req, res) => {
     const { 
         name, description, cost_price, selling_price, quantity = 0, 
-        brand, model, color, image_path 
+        brand, model, color, image_path, sku, barcode, product_type = 'simple', location_id,
+        reorder_point = null, safety_stock = null, status = 'active', do_not_reorder = false,
+        hsn_code = null, gst_rate = null, weight_grams = null
     } = req.body;
     
+    // Variants are only created through the variant generator
+    if (!['simple', 'design', 'bundle'].includes(product_type)) {
+        return ResponseFormatter.error(res, 'Product type must be simple, design or bundle', 'Validation Error', 400);
+    }
+    
+    // Bundle stock comes from its components
+    if (product_type === 'bundle' && parseInt(quantity) > 0) {
+        return ResponseFormatter.error(res, 'Bundles hold no stock of their own, stock their components instead', 'Validation Error', 400);
+    }
+    
+    // New products start as a draft or go straight on sale
+    if (!['draft', 'active'].includes(status)) {
+        return ResponseFormatter.error(res, 'Status of a new product must be draft or active', 'Validation Error', 400);
+    }
+    
     try {
-        const result = await dbManager.run(
-            `INSERT INTO products (name, description, cost_price, selling_price, quantity, brand, model, color, image_path)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [name, description, cost_price, selling_price, quantity, brand, model, color, image_path]
-        );
+        const productId = await dbManager.transaction(async (db) => {
+            const category = await resolveProductCategory(db, req.body);
+            
+            const result = await db.run(
+                `INSERT INTO products (name, description, category_id, category, cost_price, selling_price, quantity, brand, model, color, image_path,
+                                       sku, barcode, product_type, reorder_point, safety_stock, status, do_not_reorder, status_changed_date,
+                                       hsn_code, gst_rate, weight_grams)
+                 VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?)`,
+                [name, description, category ? category.category_id : null, category ? category.category : null,
+                 product_type === 'bundle' ? 0 : cost_price, selling_price, brand, model, color, image_path, sku || null, barcode || null,
+                 product_type, reorder_point, safety_stock, status, do_not_reorder === true || do_not_reorder === 'true' ? 1 : 0,
+                 hsn_code || null, gst_rate !== null && gst_rate !== '' ? parseFloat(gst_rate) : null,
+                 weight_grams !== null && weight_grams !== '' ? parseInt(weight_grams) : null]
+            );
+            
+            if (product_type === 'bundle') {
+                await setBundleComponents(db, result.lastID, req.body.components);
+            }
+            
+            // Generate the SKU from the configured pattern and an internal barcode when not supplied
+            await assignProductCodes(db, result.lastID);
+            
+            // Opening stock goes to the given location (default location when omitted).
+            // A design holds no stock of its own; its quantity is the sum of its variants
+            if (product_type === 'simple' && parseInt(quantity) > 0) {
+                const location = await resolveLocation(db, location_id);
+                await adjustLocationStock(db, result.lastID, location, parseInt(quantity), {
+                    unit_cost: parseFloat(cost_price), reason: 'opening_stock', source_type: 'product', source_id: result.lastID, user_id: req.user.id
+                });
+            }
+            
+            return result.lastID;
+        });
         
         const newProduct = await dbManager.get(
             'SELECT * FROM products WHERE id = ?', 
-            [result.lastID]
+            [productId]
         );
         
         ResponseFormatter.created(res, newProduct, 'Product created successfully');
@@ -146,7 +1156,16 @@ router.post('/', authenticate, requireAdmin, validateProduct, asyncHandler(async
     } catch (error) {
         logger.error('Error creating product:', error);
         if (error.message.includes('UNIQUE constraint failed')) {
-            return ResponseFormatter.conflict(res, 'Product already exists');
+            return ResponseFormatter.conflict(res, 'Product, SKU or barcode already exists');
+        }
+        if (error.message.startsWith('Unknown SKU pattern token')) {
+            return ResponseFormatter.serverError(res, error.message);
+        }
+        if (error.message === 'Stock location not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.includes('is inactive') || error.message === 'Category not found' || isBundleError(error)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
         }
         ResponseFormatter.serverError(res, 'Failed to create product');
     }
@@ -157,10 +1176,42 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
     const { id } = req.params;
     const { 
         name, description, cost_price, selling_price, quantity, 
-        brand, model, color, image_path 
+        brand, model, color, image_path, sku, barcode, location_id, status, do_not_reorder
     } = req.body;
     
+    // Archiving and restoring have their own endpoints
+    if (status !== undefined && !['draft', 'active', 'discontinued'].includes(status)) {
+        return ResponseFormatter.error(res, 'Status must be draft, active or discontinued; use archive and restore for archiving', 'Validation Error', 400);
+    }
+    
+    let reorderPoint, safetyStock, hsnCode, gstRate, weightGrams;
+    try {
+        reorderPoint = parseReorderLevel(req.body.reorder_point, 'Reorder point');
+        safetyStock = parseReorderLevel(req.body.safety_stock, 'Safety stock');
+        hsnCode = parseHsnCode(req.body.hsn_code);
+        gstRate = parseGstRate(req.body.gst_rate);
+        weightGrams = parseWeightGrams(req.body.weight_grams);
+    } catch (error) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    
     try {
+        const existing = await dbManager.get('SELECT id, product_type, quantity, status FROM products WHERE id = ?', [id]);
+        if (!existing) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        
+        if (existing.status === 'archived') {
+            return ResponseFormatter.error(res, 'Archived products cannot be edited, restore the product first', 'Product Archived', 409);
+        }
+        
+        if (existing.product_type === 'design' && quantity !== undefined) {
+            return ResponseFormatter.error(res, 'Design stock is managed on its variants', 'Validation Error', 400);
+        }
+        if (existing.product_type === 'bundle' && (quantity !== undefined || cost_price !== undefined)) {
+            return ResponseFormatter.error(res, 'Bundle stock and cost come from its components', 'Validation Error', 400);
+        }
+        
         // Build dynamic update query
         const updateFields = [];
         const updateParams = [];
@@ -178,16 +1229,17 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
         if (cost_price !== undefined) {
             updateFields.push('cost_price = ?');
             updateParams.push(cost_price);
+            if (existing.product_type === 'variant') {
+                updateFields.push('cost_price_override = 1');
+            }
         }
         
         if (selling_price !== undefined) {
             updateFields.push('selling_price = ?');
             updateParams.push(selling_price);
-        }
-        
-        if (quantity !== undefined) {
-            updateFields.push('quantity = ?');
-            updateParams.push(quantity);
+            if (existing.product_type === 'variant') {
+                updateFields.push('selling_price_override = 1');
+            }
         }
         
         if (brand !== undefined) {
@@ -210,28 +1262,216 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
             updateParams.push(image_path);
         }
         
-        if (updateFields.length === 0) {
+        if (sku !== undefined) {
+            updateFields.push('sku = ?');
+            updateParams.push(sku || null);
+        }
+        
+        if (barcode !== undefined) {
+            updateFields.push('barcode = ?');
+            updateParams.push(barcode || null);
+        }
+        
+        // null clears a reorder level so it is inherited again
+        if (reorderPoint !== undefined) {
+            updateFields.push('reorder_point = ?');
+            updateParams.push(reorderPoint);
+        }
+        
+        if (safetyStock !== undefined) {
+            updateFields.push('safety_stock = ?');
+            updateParams.push(safetyStock);
+        }
+        
+        // null clears the HSN code or GST rate so it is inherited from the design or category again
+        if (hsnCode !== undefined) {
+            updateFields.push('hsn_code = ?');
+            updateParams.push(hsnCode);
+        }
+        
+        if (gstRate !== undefined) {
+            updateFields.push('gst_rate = ?');
+            updateParams.push(gstRate);
+        }
+        
+        // null clears the weight so the design's weight is used for weight-based marketplace fees
+        if (weightGrams !== undefined) {
+            updateFields.push('weight_grams = ?');
+            updateParams.push(weightGrams);
+        }
+        
+        const categoryGiven = req.body.category_id !== undefined || req.body.category !== undefined;
+        const lifecycleGiven = status !== undefined || do_not_reorder !== undefined;
+        
+        if (updateFields.length === 0 && quantity === undefined && !categoryGiven && !lifecycleGiven) {
             return ResponseFormatter.error(res, 'No fields to update', 'Validation Error', 400);
         }
         
         updateFields.push('updated_date = CURRENT_TIMESTAMP');
         updateParams.push(id);
         
-        const updateQuery = `UPDATE products SET ${updateFields.join(', ')} WHERE id = ?`;
-        const result = await dbManager.run(updateQuery, updateParams);
-        
-        if (result.changes === 0) {
-            return ResponseFormatter.notFound(res, 'Product not found');
-        }
+        await dbManager.transaction(async (db) => {
+            const updateQuery = `UPDATE products SET ${updateFields.join(', ')} WHERE id = ?`;
+            await db.run(updateQuery, updateParams);
+            
+            // A design and its variants share their status and do-not-reorder flag
+            if (do_not_reorder !== undefined) {
+                await db.run(
+                    'UPDATE products SET do_not_reorder = ? WHERE id = ? OR parent_id = ?',
+                    [do_not_reorder === true || do_not_reorder === 'true' || do_not_reorder === 1 ? 1 : 0, id, id]
+                );
+            }
+            if (status !== undefined) {
+                await setProductStatus(db, id, status);
+            }
+            
+            // Variants always sit in the category of their design
+            if (categoryGiven) {
+                const category = await resolveProductCategory(db, req.body);
+                await db.run(
+                    'UPDATE products SET category_id = ?, category = ? WHERE id = ? OR parent_id = ?',
+                    [category.category_id, category.category, id, id]
+                );
+            }
+            
+            // Quantity is the total over all locations; the difference is booked at
+            // the given location (default location when omitted)
+            if (quantity !== undefined && parseInt(quantity) !== existing.quantity) {
+                const location = await resolveLocation(db, location_id);
+                await adjustLocationStock(db, id, location, parseInt(quantity) - existing.quantity, {
+                    reason: 'product_edit', source_type: 'product', source_id: parseInt(id), user_id: req.user.id
+                });
+            }
+            
+            // Flagging a product that is already out of stock discontinues it straight away
+            if (lifecycleGiven) {
+                const products = await db.all('SELECT id FROM products WHERE (id = ? OR parent_id = ?) AND product_type != ?', [id, id, 'design']);
+                for (const product of products) {
+                    await discontinueIfDepleted(db, product.id);
+                }
+            }
+            
+            // Push design prices down to variants that have not overridden them
+            if (existing.product_type === 'design') {
+                if (cost_price !== undefined) {
+                    await db.run(
+                        'UPDATE products SET cost_price = ?, updated_date = CURRENT_TIMESTAMP WHERE parent_id = ? AND cost_price_override = 0',
+                        [cost_price, id]
+                    );
+                }
+                if (selling_price !== undefined) {
+                    await db.run(
+                        'UPDATE products SET selling_price = ?, updated_date = CURRENT_TIMESTAMP WHERE parent_id = ? AND selling_price_override = 0',
+                        [selling_price, id]
+                    );
+                }
+            }
+        });
         
         ResponseFormatter.success(res, null, 'Product updated successfully');
         
     } catch (error) {
         logger.error('Error updating product:', error);
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return ResponseFormatter.conflict(res, 'SKU, barcode or variant combination already exists');
+        }
+        if (error.message.includes('Insufficient stock')) {
+            return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
+        }
+        if (error.message === 'Stock location not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.includes('is inactive') || error.message === 'Category not found') {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
         ResponseFormatter.serverError(res, 'Failed to update product');
     }
 }));
 
+// Archive a product that has no stock left; a design is archived with its variants (admin only)
+router.post('/:id/archive', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const product = await dbManager.get('SELECT id, name, status FROM products WHERE id = ?', [id]);
+        if (!product) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        if (product.status === 'archived') {
+            return ResponseFormatter.error(res, 'Product is already archived', 'Validation Error', 400);
+        }
+
+        const stock = await dbManager.get(
+            'SELECT COALESCE(SUM(quantity), 0) as quantity FROM products WHERE id = ? OR parent_id = ?',
+            [id, id]
+        );
+        if (stock.quantity > 0) {
+            return ResponseFormatter.error(
+                res,
+                `Cannot archive product with ${stock.quantity} units in stock, sell or write off the stock first`,
+                'Dependency Error',
+                409
+            );
+        }
+
+        const archived = await dbManager.transaction(db => setProductStatus(db, id, 'archived'));
+
+        dashboardCache.delete('dashboard_stats');
+        logger.info('Product archived', { productId: product.id, previousStatus: product.status, archived, userId: req.user.id });
+
+        ResponseFormatter.success(res, { id: product.id, status: 'archived', archived }, 'Product archived successfully');
+
+    } catch (error) {
+        logger.error('Error archiving product:', error);
+        ResponseFormatter.serverError(res, 'Failed to archive product');
+    }
+}));
+
+// Restore an archived product (and its variants) to active; do-not-reorder products without stock
+// come back as discontinued (admin only)
+router.post('/:id/restore', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const product = await dbManager.get(
+            `SELECT p.id, p.name, p.status, parent.status as parent_status
+             FROM products p
+             LEFT JOIN products parent ON parent.id = p.parent_id
+             WHERE p.id = ?`,
+            [id]
+        );
+        if (!product) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        if (product.status !== 'archived') {
+            return ResponseFormatter.error(res, 'Only archived products can be restored', 'Validation Error', 400);
+        }
+        if (product.parent_status === 'archived') {
+            return ResponseFormatter.error(res, 'Restore the design of this variant first', 'Validation Error', 400);
+        }
+
+        const restored = await dbManager.transaction(async (db) => {
+            const changes = await setProductStatus(db, id, 'active');
+            const products = await db.all('SELECT id FROM products WHERE (id = ? OR parent_id = ?) AND product_type != ?', [id, id, 'design']);
+            for (const restoredProduct of products) {
+                await discontinueIfDepleted(db, restoredProduct.id);
+            }
+            return changes;
+        });
+
+        const { status } = await dbManager.get('SELECT status FROM products WHERE id = ?', [id]);
+
+        dashboardCache.delete('dashboard_stats');
+        logger.info('Product restored', { productId: product.id, status, restored, userId: req.user.id });
+
+        ResponseFormatter.success(res, { id: product.id, status, restored }, 'Product restored successfully');
+
+    } catch (error) {
+        logger.error('Error restoring product:', error);
+        ResponseFormatter.serverError(res, 'Failed to restore product');
+    }
+}));
+
 // Delete product (admin only)
 router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -243,18 +1483,56 @@ router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res)
             return ResponseFormatter.notFound(res, 'Product not found');
         }
         
+        // Designs must have their variants removed first
+        const variantCount = await dbManager.get('SELECT COUNT(*) as count FROM products WHERE parent_id = ?', [id]);
+        if (variantCount.count > 0) {
+            return ResponseFormatter.error(
+                res, 
+                'Cannot delete design with variants', 
+                'Dependency Error', 
+                409
+            );
+        }
+        
         // Check if product has associated sales
         const salesCount = await dbManager.get('SELECT COUNT(*) as count FROM sales WHERE product_id = ?', [id]);
         if (salesCount.count > 0) {
             return ResponseFormatter.error(
                 res, 
-                'Cannot delete product with associated sales', 
+                'Cannot delete product with associated sales, archive it instead', 
+                'Dependency Error', 
+                409
+            );
+        }
+        
+        // Bundles are defined from their components
+        const bundleCount = await dbManager.get('SELECT COUNT(*) as count FROM bundle_components WHERE component_id = ?', [id]);
+        if (bundleCount.count > 0) {
+            return ResponseFormatter.error(
+                res,
+                'Cannot delete product used in bundles',
+                'Dependency Error',
+                409
+            );
+        }
+
+        // Check if product has been moved between locations
+        const transferCount = await dbManager.get('SELECT COUNT(*) as count FROM stock_transfer_items WHERE product_id = ?', [id]);
+        if (transferCount.count > 0) {
+            return ResponseFormatter.error(
+                res, 
+                'Cannot delete product with stock transfers', 
                 'Dependency Error', 
                 409
             );
         }
         
-        const result = await dbManager.run('DELETE FROM products WHERE id = ?', [id]);
+        const result = await dbManager.transaction(async (db) => {
+            await db.run('DELETE FROM product_stock WHERE product_id = ?', [id]);
+            await db.run('DELETE FROM product_compatibility WHERE product_id = ?', [id]);
+            await db.run('DELETE FROM bundle_components WHERE bundle_id = ?', [id]);
+            return db.run('DELETE FROM products WHERE id = ?', [id]);
+        });
         
         if (result.changes === 0) {
             return ResponseFormatter.notFound(res, 'Product not found');
@@ -268,16 +1546,18 @@ router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res)
     }
 }));
 
-// Get low stock products
+// Get low stock products, each against its own reorder point unless threshold is given
 router.get('/reports/low-stock', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-    const { threshold = 10 } = req.query;
+    const { threshold = '' } = req.query;
     
     try {
         const lowStockProducts = await dbManager.all(
-            `SELECT * FROM products 
-             WHERE quantity <= ? 
-             ORDER BY quantity ASC`,
-            [threshold]
+            `SELECT p.*, rl.effective_reorder_point, rl.effective_safety_stock, rl.reorder_point_source
+             FROM products p
+             JOIN product_reorder_levels rl ON rl.product_id = p.id
+             WHERE p.quantity <= ${threshold !== '' ? '?' : 'rl.effective_reorder_point'} AND p.product_type NOT IN ('design', 'bundle') AND p.status = 'active'
+             ORDER BY p.quantity ASC`,
+            threshold !== '' ? [parseInt(threshold)] : []
         );
         
         ResponseFormatter.success(res, lowStockProducts, 'Low stock products retrieved');
@@ -288,57 +1568,64 @@ router.get('/reports/low-stock', authenticate, requireAdmin, asyncHandler(async
     }
 }));
 
-// Update product quantity
+// Check that every product's quantity matches the sum of its ledger entries
+router.get('/reports/reconciliation', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        const mismatches = await findLedgerMismatches(dbManager);
+        const checked = await dbManager.get("SELECT COUNT(*) as count FROM products WHERE product_type NOT IN ('design', 'bundle')");
+        
+        ResponseFormatter.success(res, {
+            checked_products: checked.count,
+            in_balance: mismatches.products.length === 0 && mismatches.locations.length === 0,
+            products: mismatches.products,
+            locations: mismatches.locations
+        }, 'Ledger reconciliation completed');
+        
+    } catch (error) {
+        logger.error('Error reconciling stock ledger:', error);
+        ResponseFormatter.serverError(res, 'Failed to reconcile stock ledger');
+    }
+}));
+
+// Update product quantity at a location (default location when location_id is omitted)
 router.patch('/:id/quantity', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { quantity_change, reason } = req.body;
+    const { quantity_change, reason, location_id } = req.body;
     
     if (!quantity_change || typeof quantity_change !== 'number') {
         return ResponseFormatter.error(res, 'Quantity change must be a number', 'Validation Error', 400);
     }
     
     try {
-        const result = await dbManager.transaction(async (db) => {
-            // Get current product
-            const product = await db.get('SELECT * FROM products WHERE id = ?', [id]);
-            if (!product) {
-                throw new Error('Product not found');
-            }
-            
-            const newQuantity = product.quantity + quantity_change;
-            if (newQuantity < 0) {
-                throw new Error('Insufficient stock');
-            }
-            
-            // Update quantity
-            const updateResult = await db.run(
-                'UPDATE products SET quantity = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?',
-                [newQuantity, id]
-            );
-            
-            // Log inventory change
-            await db.run(
-                'INSERT INTO inventory_logs (product_id, previous_quantity, new_quantity, change_amount, reason, user_id) VALUES (?, ?, ?, ?, ?, ?)',
-                [id, product.quantity, newQuantity, quantity_change, reason || 'manual_adjustment', req.user.id]
-            );
-            
-            return {
-                product: { ...product, quantity: newQuantity },
-                change: quantity_change,
-                new_quantity: newQuantity
-            };
-        });
+        const [update] = await transactionManager.bulkInventoryUpdate(
+            [{ product_id: id, quantity_change, reason }],
+            { location_id, user_id: req.user.id }
+        );
         
-        ResponseFormatter.success(res, result, 'Product quantity updated successfully');
+        const product = await dbManager.get('SELECT * FROM products WHERE id = ?', [id]);
+        
+        ResponseFormatter.success(res, {
+            product,
+            change: quantity_change,
+            new_quantity: update.new_quantity,
+            location_id: update.location_id,
+            location_quantity: update.location_quantity
+        }, 'Product quantity updated successfully');
         
     } catch (error) {
         logger.error('Error updating product quantity:', error);
-        if (error.message === 'Product not found') {
+        if (/^Product \d+ not found$/.test(error.message)) {
+            return ResponseFormatter.notFound(res, 'Product not found');
+        }
+        if (error.message === 'Stock location not found') {
             return ResponseFormatter.notFound(res, error.message);
         }
-        if (error.message === 'Insufficient stock') {
+        if (error.message.includes('Insufficient stock')) {
             return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
         }
+        if (error.message.includes('is inactive') || error.message.includes('do not hold stock')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
         ResponseFormatter.serverError(res, 'Failed to update product quantity');
     }
 }));
@@ -390,14 +1677,57 @@ router.post('/phone-models', authenticate, requireAdmin, asyncHandler(async (req
     }
 }));
 
+// What we stock for a handset: every product that fits it, with stock status and totals
+router.get('/phone-models/:brand/:model/products', asyncHandler(async (req, res) => {
+    const { brand, model } = req.params;
+    
+    try {
+        const products = await dbManager.all(
+            `SELECT p.id, p.name, p.sku, p.brand, p.model, p.color, p.product_type, p.parent_id,
+                    p.selling_price, p.quantity, ph.fit,
+                    rl.effective_reorder_point as reorder_point,
+                    CASE
+                        WHEN p.quantity = 0 THEN 'out_of_stock'
+                        WHEN p.quantity <= rl.effective_reorder_point THEN 'low_stock'
+                        ELSE 'in_stock'
+                    END as stock_status
+             FROM product_handsets ph
+             JOIN products p ON p.id = ph.product_id
+             JOIN product_reorder_levels rl ON rl.product_id = p.id
+             WHERE ph.brand = ? AND ph.model = ? AND p.product_type NOT IN ('design', 'bundle')
+             ORDER BY p.quantity DESC, p.name`,
+            [brand, model]
+        );
+        
+        const count = status => products.filter(product => product.stock_status === status).length;
+        
+        ResponseFormatter.success(res, {
+            brand,
+            model,
+            summary: {
+                products: products.length,
+                total_quantity: products.reduce((sum, product) => sum + product.quantity, 0),
+                in_stock: count('in_stock'),
+                low_stock: count('low_stock'),
+                out_of_stock: count('out_of_stock')
+            },
+            products
+        }, 'Handset products retrieved successfully');
+        
+    } catch (error) {
+        logger.error('Error fetching handset products:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch handset products');
+    }
+}));
+
 // Delete phone model (admin only)
 router.delete('/phone-models/:brand/:model', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { brand, model } = req.params;
     
     try {
-        // Check if model is used by any products
+        // Check if model is used by any products, as their own model or a compatible one
         const productCount = await dbManager.get(
-            'SELECT COUNT(*) as count FROM products WHERE brand = ? AND model = ?',
+            'SELECT COUNT(*) as count FROM product_handsets WHERE brand = ? AND model = ?',
             [brand, model]
         );
         
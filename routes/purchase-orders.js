@@ -0,0 +1,449 @@
+/**
+ * Purchase Order Routes
+ * Handles purchase orders to suppliers and the goods receipts that bring stock in
+ *
+ * Status flow: draft -> sent -> partially_received -> closed
+ * Draft and sent orders without receipts can be cancelled; partially received orders can be closed short.
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dbManager, transactionManager } = require('../utils/database');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-purchase-orders' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+const PO_STATUSES = ['draft', 'sent', 'partially_received', 'closed', 'cancelled'];
+
+/**
+ * Check line items from a request body
+ * @returns {string|null} Error message, or null when the items are valid
+ */
+function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'items must be a non-empty array of { product_id, quantity, unit_cost }';
+    }
+
+    const invalid = items.find(item =>
+        !Number.isInteger(Number(item.product_id)) ||
+        !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1 ||
+        isNaN(parseFloat(item.unit_cost)) || parseFloat(item.unit_cost) < 0
+    );
+
+    return invalid ? 'Each item needs a product_id, a quantity of at least 1 and a non-negative unit_cost' : null;
+}
+
+/**
+ * Insert the line items of a purchase order, checking that every product can be stocked
+ */
+async function insertItems(db, poId, items) {
+    for (const item of items) {
+        const product = await db.get('SELECT id, product_type FROM products WHERE id = ?', [item.product_id]);
+        if (!product) {
+            throw new Error(`Product ${item.product_id} not found`);
+        }
+        if (product.product_type === 'design') {
+            throw new Error('Designs do not hold stock, order one of its variants');
+        }
+        if (product.product_type === 'bundle') {
+            throw new Error('Bundles do not hold stock, order its components');
+        }
+
+        await db.run(
+            'INSERT INTO purchase_order_items (po_id, product_id, quantity_ordered, unit_cost) VALUES (?, ?, ?, ?)',
+            [poId, product.id, parseInt(item.quantity), parseFloat(item.unit_cost)]
+        );
+    }
+}
+
+/**
+ * Map known purchase order errors to responses
+ */
+function handlePurchaseOrderError(res, error, fallbackMessage) {
+    if (error.message === 'Purchase order not found' || error.message === 'Supplier not found' ||
+        error.message === 'Stock location not found' || /^Product \d+ not found$/.test(error.message)) {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+
+    if (error.message.startsWith('Cannot ') || error.message.startsWith('Line ') ||
+        error.message.includes('do not hold stock') || error.message.includes('is inactive')) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+
+    ResponseFormatter.serverError(res, fallbackMessage);
+}
+
+// Get all purchase orders with pagination and filtering
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status = '', supplier_id = '', product_id = '' } = req.query;
+
+    if (status && !PO_STATUSES.includes(status)) {
+        return ResponseFormatter.error(res, `Status must be one of: ${PO_STATUSES.join(', ')}`, 'Validation Error', 400);
+    }
+
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('po.status = ?');
+            params.push(status);
+        }
+
+        if (supplier_id) {
+            conditions.push('po.supplier_id = ?');
+            params.push(supplier_id);
+        }
+
+        if (product_id) {
+            conditions.push('EXISTS (SELECT 1 FROM purchase_order_items poi WHERE poi.po_id = po.id AND poi.product_id = ?)');
+            params.push(product_id);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const orders = await dbManager.all(
+            `SELECT
+                po.*,
+                s.name as supplier_name,
+                (SELECT COUNT(*) FROM purchase_order_items poi WHERE poi.po_id = po.id) as line_count,
+                (SELECT COALESCE(SUM(quantity_ordered), 0) FROM purchase_order_items poi WHERE poi.po_id = po.id) as quantity_ordered,
+                (SELECT COALESCE(SUM(quantity_received), 0) FROM purchase_order_items poi WHERE poi.po_id = po.id) as quantity_received,
+                (SELECT COALESCE(SUM(quantity_ordered * unit_cost), 0) FROM purchase_order_items poi WHERE poi.po_id = po.id) as order_total
+             FROM purchase_orders po
+             JOIN suppliers s ON s.id = po.supplier_id
+             ${whereClause}
+             ORDER BY po.created_date DESC, po.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const countResult = await dbManager.get(`SELECT COUNT(*) as total FROM purchase_orders po ${whereClause}`, params);
+
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+
+        ResponseFormatter.paginated(res, orders, pagination, 'Purchase orders retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching purchase orders:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch purchase orders');
+    }
+}));
+
+// Get purchase order by ID with its lines and receipts
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const order = await dbManager.get(
+        `SELECT po.*, s.name as supplier_name, l.name as location_name
+         FROM purchase_orders po
+         JOIN suppliers s ON s.id = po.supplier_id
+         LEFT JOIN stock_locations l ON l.id = po.location_id
+         WHERE po.id = ?`,
+        [id]
+    );
+
+    if (!order) {
+        return ResponseFormatter.notFound(res, 'Purchase order not found');
+    }
+
+    order.items = await dbManager.all(
+        `SELECT poi.*, poi.quantity_ordered - poi.quantity_received as quantity_outstanding,
+                p.name as product_name, p.sku, p.brand, p.model, p.color
+         FROM purchase_order_items poi
+         JOIN products p ON p.id = poi.product_id
+         WHERE poi.po_id = ?
+         ORDER BY poi.id`,
+        [id]
+    );
+
+    order.receipts = await dbManager.all(
+        `SELECT gr.*, l.name as location_name,
+                (SELECT COALESCE(SUM(quantity), 0) FROM goods_receipt_items gri WHERE gri.receipt_id = gr.id) as quantity,
+                (SELECT COALESCE(SUM(quantity * unit_cost), 0) FROM goods_receipt_items gri WHERE gri.receipt_id = gr.id) as receipt_total
+         FROM goods_receipts gr
+         JOIN stock_locations l ON l.id = gr.location_id
+         WHERE gr.po_id = ?
+         ORDER BY gr.received_date, gr.id`,
+        [id]
+    );
+
+    ResponseFormatter.success(res, order, 'Purchase order retrieved successfully');
+}));
+
+// Create draft purchase order (admin only)
+// Body: { supplier_id, location_id, expected_date, notes, items: [{ product_id, quantity, unit_cost }] }
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { supplier_id, location_id, expected_date, notes, items } = req.body;
+
+    if (!supplier_id) {
+        return ResponseFormatter.error(res, 'Supplier is required', 'Validation Error', 400);
+    }
+
+    const itemsError = validateItems(items);
+    if (itemsError) {
+        return ResponseFormatter.error(res, itemsError, 'Validation Error', 400);
+    }
+
+    try {
+        const poId = await dbManager.transaction(async (db) => {
+            const supplier = await db.get('SELECT id, is_active FROM suppliers WHERE id = ?', [supplier_id]);
+            if (!supplier) {
+                throw new Error('Supplier not found');
+            }
+            if (!supplier.is_active) {
+                throw new Error('Cannot order from an inactive supplier');
+            }
+
+            if (location_id && !(await db.get('SELECT id FROM stock_locations WHERE id = ?', [location_id]))) {
+                throw new Error('Stock location not found');
+            }
+
+            const result = await db.run(
+                `INSERT INTO purchase_orders (supplier_id, location_id, expected_date, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [supplier_id, location_id || null, expected_date || null, notes, req.user.id]
+            );
+            await db.run(
+                'UPDATE purchase_orders SET po_number = ? WHERE id = ?',
+                [`PO-${String(result.lastID).padStart(6, '0')}`, result.lastID]
+            );
+
+            await insertItems(db, result.lastID, items);
+
+            return result.lastID;
+        });
+
+        const order = await dbManager.get('SELECT * FROM purchase_orders WHERE id = ?', [poId]);
+
+        ResponseFormatter.created(res, order, 'Purchase order created successfully');
+
+    } catch (error) {
+        logger.error('Error creating purchase order:', error);
+        handlePurchaseOrderError(res, error, 'Failed to create purchase order');
+    }
+}));
+
+// Update draft purchase order (admin only); items, when given, replace all lines
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { supplier_id, location_id, expected_date, notes, items } = req.body;
+
+    if (items !== undefined) {
+        const itemsError = validateItems(items);
+        if (itemsError) {
+            return ResponseFormatter.error(res, itemsError, 'Validation Error', 400);
+        }
+    }
+
+    try {
+        await dbManager.transaction(async (db) => {
+            const order = await db.get('SELECT status FROM purchase_orders WHERE id = ?', [id]);
+            if (!order) {
+                throw new Error('Purchase order not found');
+            }
+            if (order.status !== 'draft') {
+                throw new Error('Cannot edit a purchase order once it has been sent');
+            }
+
+            if (supplier_id !== undefined && !(await db.get('SELECT id FROM suppliers WHERE id = ?', [supplier_id]))) {
+                throw new Error('Supplier not found');
+            }
+
+            const updateFields = [];
+            const updateParams = [];
+
+            if (supplier_id !== undefined) {
+                updateFields.push('supplier_id = ?');
+                updateParams.push(supplier_id);
+            }
+
+            if (location_id !== undefined) {
+                updateFields.push('location_id = ?');
+                updateParams.push(location_id || null);
+            }
+
+            if (expected_date !== undefined) {
+                updateFields.push('expected_date = ?');
+                updateParams.push(expected_date || null);
+            }
+
+            if (notes !== undefined) {
+                updateFields.push('notes = ?');
+                updateParams.push(notes);
+            }
+
+            updateFields.push('updated_date = CURRENT_TIMESTAMP');
+            updateParams.push(id);
+
+            await db.run(`UPDATE purchase_orders SET ${updateFields.join(', ')} WHERE id = ?`, updateParams);
+
+            if (items !== undefined) {
+                await db.run('DELETE FROM purchase_order_items WHERE po_id = ?', [id]);
+                await insertItems(db, id, items);
+            }
+        });
+
+        const order = await dbManager.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+        ResponseFormatter.success(res, order, 'Purchase order updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating purchase order:', error);
+        handlePurchaseOrderError(res, error, 'Failed to update purchase order');
+    }
+}));
+
+// Mark purchase order as sent to the supplier (admin only)
+router.post('/:id/send', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await dbManager.run(
+        `UPDATE purchase_orders SET status = 'sent', sent_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'draft'`,
+        [id]
+    );
+
+    if (result.changes === 0) {
+        const order = await dbManager.get('SELECT status FROM purchase_orders WHERE id = ?', [id]);
+        if (!order) {
+            return ResponseFormatter.notFound(res, 'Purchase order not found');
+        }
+        return ResponseFormatter.error(res, `Cannot send a ${order.status.replace('_', ' ')} purchase order`, 'Invalid State', 400);
+    }
+
+    ResponseFormatter.success(res, null, 'Purchase order sent successfully');
+}));
+
+// Cancel purchase order that has not received anything (admin only)
+router.post('/:id/cancel', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await dbManager.run(
+        `UPDATE purchase_orders SET status = 'cancelled', closed_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN ('draft', 'sent')`,
+        [id]
+    );
+
+    if (result.changes === 0) {
+        const order = await dbManager.get('SELECT status FROM purchase_orders WHERE id = ?', [id]);
+        if (!order) {
+            return ResponseFormatter.notFound(res, 'Purchase order not found');
+        }
+        return ResponseFormatter.error(res, `Cannot cancel a ${order.status.replace('_', ' ')} purchase order`, 'Invalid State', 400);
+    }
+
+    ResponseFormatter.success(res, null, 'Purchase order cancelled successfully');
+}));
+
+// Close a partially received purchase order short; the outstanding quantity will not be delivered (admin only)
+router.post('/:id/close', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await dbManager.run(
+        `UPDATE purchase_orders SET status = 'closed', closed_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'partially_received'`,
+        [id]
+    );
+
+    if (result.changes === 0) {
+        const order = await dbManager.get('SELECT status FROM purchase_orders WHERE id = ?', [id]);
+        if (!order) {
+            return ResponseFormatter.notFound(res, 'Purchase order not found');
+        }
+        return ResponseFormatter.error(res, `Cannot close a ${order.status.replace('_', ' ')} purchase order`, 'Invalid State', 400);
+    }
+
+    ResponseFormatter.success(res, null, 'Purchase order closed successfully');
+}));
+
+// Get goods receipts of a purchase order with their lines
+router.get('/:id/receipts', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const order = await dbManager.get('SELECT id FROM purchase_orders WHERE id = ?', [id]);
+    if (!order) {
+        return ResponseFormatter.notFound(res, 'Purchase order not found');
+    }
+
+    const receipts = await dbManager.all(
+        `SELECT gr.*, l.name as location_name
+         FROM goods_receipts gr
+         JOIN stock_locations l ON l.id = gr.location_id
+         WHERE gr.po_id = ?
+         ORDER BY gr.received_date, gr.id`,
+        [id]
+    );
+
+    for (const receipt of receipts) {
+        receipt.items = await dbManager.all(
+            `SELECT gri.*, p.name as product_name, p.sku
+             FROM goods_receipt_items gri
+             JOIN products p ON p.id = gri.product_id
+             WHERE gri.receipt_id = ?
+             ORDER BY gri.id`,
+            [receipt.id]
+        );
+    }
+
+    ResponseFormatter.success(res, receipts, 'Goods receipts retrieved successfully');
+}));
+
+// Receive goods against a purchase order
+// Body: { location_id, notes, items: [{ po_item_id, quantity, unit_cost }] }
+// unit_cost is the actual cost on the supplier invoice and defaults to the ordered cost
+router.post('/:id/receipts', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { location_id, notes, items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return ResponseFormatter.error(res, 'items must be a non-empty array of { po_item_id, quantity, unit_cost }', 'Validation Error', 400);
+    }
+
+    const invalid = items.find(item =>
+        !Number.isInteger(Number(item.po_item_id)) ||
+        !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1 ||
+        (item.unit_cost !== undefined && (isNaN(parseFloat(item.unit_cost)) || parseFloat(item.unit_cost) < 0))
+    );
+    if (invalid) {
+        return ResponseFormatter.error(res, 'Each item needs a po_item_id, a quantity of at least 1 and an optional non-negative unit_cost', 'Validation Error', 400);
+    }
+
+    try {
+        const result = await transactionManager.receiveGoods(id, {
+            location_id: location_id ? parseInt(location_id) : null,
+            notes,
+            received_by: req.user.id,
+            items: items.map(item => ({
+                po_item_id: parseInt(item.po_item_id),
+                quantity: parseInt(item.quantity),
+                unit_cost: item.unit_cost !== undefined ? parseFloat(item.unit_cost) : undefined
+            }))
+        });
+
+        ResponseFormatter.created(res, result, 'Goods received successfully');
+
+    } catch (error) {
+        logger.error('Error receiving goods:', error);
+        handlePurchaseOrderError(res, error, 'Failed to receive goods');
+    }
+}));
+
+module.exports = router;
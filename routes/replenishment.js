@@ -0,0 +1,353 @@
+/**
+ * Replenishment Routes
+ * Reorder suggestions from demand forecasts, the purchase list built from accepted suggestions,
+ * and the supplier lead times the suggestions depend on
+ *
+ * Accepted suggestions stay on the purchase list until they are marked as ordered.
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler } = require('../middleware/response');
+const { dbManager } = require('../utils/database');
+const {
+    DEFAULT_REVIEW_DAYS,
+    DEFAULT_HISTORY_DAYS,
+    buildReplenishmentPlan,
+    getPurchaseList,
+    renderPurchaseListCsv,
+    renderPurchaseListPdf
+} = require('../utils/replenishment');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-replenishment' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+const LEAD_TIME_SCOPES = ['global', 'brand'];
+
+/**
+ * Parse a whole number of days from a query or body value
+ * @returns {number|undefined} undefined when the value is not given
+ */
+function parseDays(value, label, min = 0, max = 365) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < min || days > max) {
+        throw new Error(`${label} must be a whole number of days between ${min} and ${max}`);
+    }
+    return days;
+}
+
+// Get reorder suggestions
+// Query: brand, review_days, history_days, include_all=true to list products that need nothing
+router.get('/plan', authenticate, asyncHandler(async (req, res) => {
+    const { brand = '', include_all = 'false' } = req.query;
+
+    let reviewDays, historyDays;
+    try {
+        reviewDays = parseDays(req.query.review_days, 'Review period') ?? DEFAULT_REVIEW_DAYS;
+        historyDays = parseDays(req.query.history_days, 'Sales history', 1) ?? DEFAULT_HISTORY_DAYS;
+    } catch (error) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+
+    try {
+        const lines = await buildReplenishmentPlan(dbManager, {
+            brand,
+            review_days: reviewDays,
+            history_days: historyDays,
+            include_all: include_all === 'true'
+        });
+
+        const ordering = lines.filter(line => line.suggested_quantity > 0);
+
+        ResponseFormatter.success(res, {
+            parameters: { brand: brand || null, review_days: reviewDays, history_days: historyDays },
+            summary: {
+                products_to_order: ordering.length,
+                total_units: ordering.reduce((sum, line) => sum + line.suggested_quantity, 0),
+                estimated_cost: Math.round(ordering.reduce((sum, line) => sum + line.estimated_cost, 0) * 100) / 100,
+                overdue: ordering.filter(line => line.order_within_days !== null && line.order_within_days < 0).length
+            },
+            lines
+        }, 'Replenishment plan retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error building replenishment plan:', error);
+        ResponseFormatter.serverError(res, 'Failed to build replenishment plan');
+    }
+}));
+
+// Accept suggestions onto the purchase list (admin only)
+// Body: { items: [{ product_id, quantity }], review_days, history_days }
+// quantity defaults to the suggested quantity; accepting a product again replaces its quantity
+router.post('/accept', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return ResponseFormatter.error(res, 'items must be a non-empty array of { product_id, quantity }', 'Validation Error', 400);
+    }
+
+    const invalid = items.find(item =>
+        !Number.isInteger(Number(item.product_id)) ||
+        (item.quantity !== undefined && (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0))
+    );
+    if (invalid) {
+        return ResponseFormatter.error(res, 'Each item needs a product_id and, if given, a positive whole quantity', 'Validation Error', 400);
+    }
+
+    let reviewDays, historyDays;
+    try {
+        reviewDays = parseDays(req.body.review_days, 'Review period') ?? DEFAULT_REVIEW_DAYS;
+        historyDays = parseDays(req.body.history_days, 'Sales history', 1) ?? DEFAULT_HISTORY_DAYS;
+    } catch (error) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+
+    try {
+        const accepted = await dbManager.transaction(async (db) => {
+            const productIds = items.map(item => parseInt(item.product_id));
+            const lines = await buildReplenishmentPlan(db, {
+                product_ids: productIds,
+                review_days: reviewDays,
+                history_days: historyDays,
+                include_all: true
+            });
+            const linesById = new Map(lines.map(line => [line.product_id, line]));
+
+            for (const item of items) {
+                const line = linesById.get(parseInt(item.product_id));
+                if (!line) {
+                    throw new Error(`Product ${item.product_id} cannot be replenished`);
+                }
+
+                const quantity = item.quantity !== undefined ? parseInt(item.quantity) : line.suggested_quantity;
+                if (quantity <= 0) {
+                    throw new Error(`No order is suggested for ${line.product_name}, give a quantity to accept it`);
+                }
+
+                const figures = [
+                    line.brand, line.suggested_quantity, quantity, line.on_hand, line.on_order,
+                    line.daily_demand, line.days_of_cover, line.lead_time_days, line.unit_cost, req.user.id
+                ];
+
+                const updated = await db.run(
+                    `UPDATE replenishment_items SET
+                        brand = ?, suggested_quantity = ?, order_quantity = ?, on_hand = ?, on_order = ?,
+                        daily_demand = ?, days_of_cover = ?, lead_time_days = ?, unit_cost = ?,
+                        accepted_by = ?, accepted_date = CURRENT_TIMESTAMP
+                     WHERE product_id = ? AND status = 'accepted'`,
+                    [...figures, line.product_id]
+                );
+
+                if (updated.changes === 0) {
+                    await db.run(
+                        `INSERT INTO replenishment_items
+                            (brand, suggested_quantity, order_quantity, on_hand, on_order, daily_demand, days_of_cover,
+                             lead_time_days, unit_cost, accepted_by, product_id)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [...figures, line.product_id]
+                    );
+                }
+            }
+
+            return items.length;
+        });
+
+        ResponseFormatter.success(res, { accepted }, 'Suggestions added to the purchase list');
+
+    } catch (error) {
+        logger.error('Error accepting replenishment suggestions:', error);
+        if (error.message.includes('cannot be replenished') || error.message.startsWith('No order is suggested')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        ResponseFormatter.serverError(res, 'Failed to accept suggestions');
+    }
+}));
+
+// Get the purchase list: accepted suggestions not yet ordered, grouped by brand
+router.get('/purchase-list', authenticate, asyncHandler(async (req, res) => {
+    const { brand = '' } = req.query;
+
+    try {
+        const groups = await getPurchaseList(dbManager, { brand });
+
+        ResponseFormatter.success(res, groups, 'Purchase list retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching purchase list:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch purchase list');
+    }
+}));
+
+// Export the purchase list for suppliers (admin only)
+// Query: format=pdf|csv, brand
+router.get('/purchase-list/export', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { format = 'pdf', brand = '' } = req.query;
+
+    if (!['pdf', 'csv'].includes(format)) {
+        return ResponseFormatter.error(res, 'Format must be pdf or csv', 'Validation Error', 400);
+    }
+
+    try {
+        const groups = await getPurchaseList(dbManager, { brand });
+
+        if (groups.length === 0) {
+            return ResponseFormatter.error(res, 'The purchase list is empty', 'Validation Error', 400);
+        }
+
+        const filename = `purchase-list${brand ? `-${brand.replace(/[^A-Za-z0-9]+/g, '-')}` : ''}.${format}`;
+
+        if (format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.type('text/csv').send(renderPurchaseListCsv(groups));
+        }
+
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        res.type('application/pdf').send(renderPurchaseListPdf(groups));
+
+    } catch (error) {
+        logger.error('Error exporting purchase list:', error);
+        ResponseFormatter.serverError(res, 'Failed to export purchase list');
+    }
+}));
+
+// Mark the purchase list (or one brand of it) as ordered, clearing it (admin only)
+// Body: { brand }
+router.post('/purchase-list/ordered', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { brand } = req.body;
+
+    try {
+        const result = brand
+            ? await dbManager.run(
+                "UPDATE replenishment_items SET status = 'ordered', ordered_date = CURRENT_TIMESTAMP WHERE status = 'accepted' AND brand = ?",
+                [brand]
+            )
+            : await dbManager.run(
+                "UPDATE replenishment_items SET status = 'ordered', ordered_date = CURRENT_TIMESTAMP WHERE status = 'accepted'"
+            );
+
+        ResponseFormatter.success(res, { ordered: result.changes }, 'Purchase list marked as ordered');
+
+    } catch (error) {
+        logger.error('Error marking purchase list as ordered:', error);
+        ResponseFormatter.serverError(res, 'Failed to mark purchase list as ordered');
+    }
+}));
+
+// Take a product off the purchase list (admin only)
+router.delete('/purchase-list/:productId', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+
+    try {
+        const result = await dbManager.run(
+            "DELETE FROM replenishment_items WHERE product_id = ? AND status = 'accepted'",
+            [productId]
+        );
+
+        if (result.changes === 0) {
+            return ResponseFormatter.notFound(res, 'Product is not on the purchase list');
+        }
+
+        ResponseFormatter.noContent(res, 'Product removed from the purchase list');
+
+    } catch (error) {
+        logger.error('Error removing product from purchase list:', error);
+        ResponseFormatter.serverError(res, 'Failed to remove product from purchase list');
+    }
+}));
+
+// Get the global and per-brand supplier lead times
+router.get('/lead-times', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const leadTimes = await dbManager.all(
+            "SELECT * FROM lead_times ORDER BY CASE scope WHEN 'global' THEN 0 ELSE 1 END, scope_value"
+        );
+
+        ResponseFormatter.success(res, leadTimes, 'Lead times retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching lead times:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch lead times');
+    }
+}));
+
+// Set the lead time of a brand or the global default (admin only)
+// Body: { scope: 'global'|'brand', scope_value, lead_time_days }
+router.put('/lead-times', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { scope, scope_value = '', lead_time_days } = req.body;
+
+    if (!LEAD_TIME_SCOPES.includes(scope)) {
+        return ResponseFormatter.error(res, `Scope must be one of: ${LEAD_TIME_SCOPES.join(', ')}`, 'Validation Error', 400);
+    }
+
+    if (scope === 'brand' && !String(scope_value).trim()) {
+        return ResponseFormatter.error(res, 'A brand lead time needs a scope_value', 'Validation Error', 400);
+    }
+
+    let leadTimeDays;
+    try {
+        leadTimeDays = parseDays(lead_time_days, 'Lead time');
+    } catch (error) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+
+    if (leadTimeDays === undefined) {
+        return ResponseFormatter.error(res, 'Lead time is required', 'Validation Error', 400);
+    }
+
+    try {
+        const value = scope === 'global' ? '' : String(scope_value).trim();
+
+        await dbManager.run(
+            `INSERT INTO lead_times (scope, scope_value, lead_time_days) VALUES (?, ?, ?)
+             ON CONFLICT(scope, scope_value) DO UPDATE SET lead_time_days = excluded.lead_time_days, updated_date = CURRENT_TIMESTAMP`,
+            [scope, value, leadTimeDays]
+        );
+
+        const saved = await dbManager.get('SELECT * FROM lead_times WHERE scope = ? AND scope_value = ?', [scope, value]);
+
+        ResponseFormatter.success(res, saved, 'Lead time saved successfully');
+
+    } catch (error) {
+        logger.error('Error saving lead time:', error);
+        ResponseFormatter.serverError(res, 'Failed to save lead time');
+    }
+}));
+
+// Delete a brand lead time so the brand uses the global default (admin only)
+router.delete('/lead-times/brand/:brand', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { brand } = req.params;
+
+    try {
+        const result = await dbManager.run("DELETE FROM lead_times WHERE scope = 'brand' AND scope_value = ?", [brand]);
+
+        if (result.changes === 0) {
+            return ResponseFormatter.notFound(res, 'Lead time not found');
+        }
+
+        ResponseFormatter.noContent(res, 'Lead time deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting lead time:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete lead time');
+    }
+}));
+
+module.exports = router;
@@ -7,8 +7,11 @@ const express = require('express');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const { validateReturn, validateReturnReason } = require('../middleware/security');
 const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { idempotency } = require('../middleware/idempotency');
 const { dashboardCache } = require('../utils/cache');
 const { dbManager, transactionManager } = require('../utils/database');
+const { parseExportOptions, streamExport } = require('../utils/export');
+const { resolveCustomer } = require('../utils/customers');
 const winston = require('winston');
 
 const router = express.Router();
@@ -28,16 +31,101 @@ const logger = winston.createLogger({
     ],
 });
 
+// Columns available to return exports (column -> SQL expression)
+const RETURN_EXPORT_COLUMNS = {
+    id: 'r.id',
+    return_number: 'r.return_number',
+    created_date: 'r.created_date',
+    return_date: 'r.return_date',
+    original_sale_id: 'r.original_sale_id',
+    customer_id: 'r.customer_id',
+    customer_name: 'r.customer_name',
+    customer_email: 'r.customer_email',
+    customer_phone: 'r.customer_phone',
+    product_id: 'r.product_id',
+    sku: 'p.sku',
+    product_name: 'r.product_name',
+    brand: 'p.brand',
+    model: 'p.model',
+    color: 'p.color',
+    quantity: 'r.quantity',
+    return_reason: 'r.return_reason',
+    return_condition: 'r.return_condition',
+    return_status: 'r.return_status',
+    sales_platform: 'r.sales_platform',
+    refund_amount: 'r.refund_amount',
+    refund_method: 'r.refund_method',
+    restocked: 'r.restocked',
+    processed_date: 'r.processed_date',
+    notes: 'r.notes'
+};
+const RETURN_EXPORT_DEFAULTS = [
+    'id', 'return_number', 'created_date', 'customer_name', 'product_id', 'sku', 'product_name', 'brand', 'model',
+    'quantity', 'return_reason', 'return_condition', 'return_status', 'sales_platform', 'refund_amount', 'restocked'
+];
+
+/**
+ * Turn the return list filters (status, start_date, end_date, customer_name, customer_id, sales_platform, product_id,
+ * brand, model) into SQL conditions on "r" and its product "p"
+ * @returns {object} { conditions, params }
+ */
+function buildReturnFilters({ status = '', start_date = '', end_date = '', customer_name = '', customer_id = '', sales_platform = '', product_id = '', brand = '', model = '' }) {
+    const conditions = [];
+    const params = [];
+    
+    if (status) {
+        conditions.push('r.return_status = ?');
+        params.push(status);
+    }
+    
+    if (start_date) {
+        conditions.push('r.created_date >= ?');
+        params.push(start_date);
+    }
+    
+    if (end_date) {
+        conditions.push('r.created_date <= ?');
+        params.push(end_date + ' 23:59:59');
+    }
+    
+    if (customer_name) {
+        conditions.push('r.customer_name LIKE ?');
+        params.push(`%${customer_name}%`);
+    }
+    
+    if (customer_id) {
+        conditions.push('r.customer_id = ?');
+        params.push(customer_id);
+    }
+    
+    if (sales_platform) {
+        conditions.push('r.sales_platform = ?');
+        params.push(sales_platform);
+    }
+    
+    if (product_id) {
+        conditions.push('r.product_id = ?');
+        params.push(product_id);
+    }
+    
+    if (brand) {
+        conditions.push('p.brand = ?');
+        params.push(brand);
+    }
+    
+    if (model) {
+        conditions.push('p.model = ?');
+        params.push(model);
+    }
+    
+    return { conditions, params };
+}
+
 // Get all returns with pagination and filtering
 router.get('/', asyncHandler(async (req, res) => {
     const { 
         page = 1, 
         limit = 20, 
-        status = '',
-        start_date = '',
-        end_date = '',
-        customer_name = '',
-        sales_platform = '',
         sort = 'created_date',
         order = 'DESC'
     } = req.query;
@@ -46,34 +134,8 @@ router.get('/', asyncHandler(async (req, res) => {
         const offset = (page - 1) * limit;
         
         // Build WHERE clause
-        let whereClause = 'WHERE 1=1';
-        let params = [];
-        
-        if (status) {
-            whereClause += ' AND r.return_status = ?';
-            params.push(status);
-        }
-        
-        if (start_date) {
-            whereClause += ' AND r.created_date >= ?';
-            params.push(start_date);
-        }
-        
-        if (end_date) {
-            whereClause += ' AND r.created_date <= ?';
-            params.push(end_date + ' 23:59:59');
-        }
-        
-        if (customer_name) {
-            whereClause += ' AND r.customer_name LIKE ?';
-            const searchPattern = `%${customer_name}%`;
-            params.push(searchPattern);
-        }
-        
-        if (sales_platform) {
-            whereClause += ' AND r.sales_platform = ?';
-            params.push(sales_platform);
-        }
+        const { conditions, params } = buildReturnFilters(req.query);
+        const whereClause = `WHERE ${['1=1', ...conditions].join(' AND ')}`;
         
         // Validate sort parameters
         const validSortFields = ['created_date', 'return_status', 'customer_name', 'quantity', 'refund_amount'];
@@ -85,6 +147,7 @@ router.get('/', asyncHandler(async (req, res) => {
         const countQuery = `
             SELECT COUNT(*) as total 
             FROM returns r
+            LEFT JOIN products p ON r.product_id = p.id
             ${whereClause}
         `;
         const countResult = await dbManager.get(countQuery, params);
@@ -116,6 +179,38 @@ router.get('/', asyncHandler(async (req, res) => {
     }
 }));
 
+// Export returns with the list filters as CSV, XLSX or NDJSON (format, columns=a,b,...)
+router.get('/export', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, RETURN_EXPORT_COLUMNS, RETURN_EXPORT_DEFAULTS);
+        const { conditions, params } = buildReturnFilters(req.query);
+        
+        const count = await streamExport(res, dbManager, {
+            format,
+            name: 'returns',
+            columns,
+            select: RETURN_EXPORT_COLUMNS,
+            from: 'FROM returns r LEFT JOIN products p ON r.product_id = p.id',
+            where: conditions,
+            params,
+            key: 'r.id'
+        });
+        
+        logger.info('Returns exported', { format, count, userId: req.user.id });
+        
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Return export aborted:', error);
+            return res.destroy();
+        }
+        if (/export (format|column)/.test(error.message)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error exporting returns:', error);
+        ResponseFormatter.serverError(res, 'Failed to export returns');
+    }
+}));
+
 // Get return by ID
 router.get('/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -150,47 +245,73 @@ router.get('/:id', asyncHandler(async (req, res) => {
     ResponseFormatter.success(res, { ...returnRecord, activities }, 'Return retrieved successfully');
 }));
 
-// Create new return
-router.post('/', authenticate, validateReturn, asyncHandler(async (req, res) => {
+// Create new return; it is linked to customer_id, or to the customer with its phone or email (created when new)
+router.post('/', authenticate, idempotency, validateReturn, asyncHandler(async (req, res) => {
+    let { customer_name, customer_email, customer_phone } = req.body;
     const { 
-        customer_name, customer_email, customer_phone, product_name, 
-        quantity, return_reason, return_condition, sales_platform, notes 
+        product_name, quantity, return_reason, return_condition, sales_platform, notes 
     } = req.body;
     
     try {
-        // Find matching product if possible
-        let product_id = null;
-        const product = await dbManager.get(
-            'SELECT id FROM products WHERE name LIKE ? LIMIT 1',
-            [`%${product_name}%`]
-        );
-        if (product) {
-            product_id = product.id;
-        }
-        
-        const result = await dbManager.run(
-            `INSERT INTO returns (
-                customer_name, customer_email, customer_phone, product_name, 
-                product_id, quantity, return_reason, return_condition, 
-                sales_platform, notes, created_date
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-            [customer_name, customer_email, customer_phone, product_name, 
-             product_id, quantity, return_reason, return_condition, sales_platform, notes]
-        );
-        
-        // Add initial activity log
-        await dbManager.run(
-            `INSERT INTO return_activities (return_id, activity_type, activity_description, performed_by)
-             VALUES (?, ?, ?, ?)`,
-            [result.lastID, 'created', `Return created for ${quantity} x ${product_name}`, req.user.id]
-        );
-        
-        const newReturn = await dbManager.get('SELECT * FROM returns WHERE id = ?', [result.lastID]);
+        const newReturn = await dbManager.transaction(async (db) => {
+            const customer_id = await resolveCustomer(db, req.body.customer_id
+                ? { customer_id: parseInt(req.body.customer_id) }
+                : { name: customer_name, email: customer_email, phone: customer_phone });
+            
+            // Contact details not given on the return are copied from the customer
+            if (customer_id) {
+                const customer = await db.get('SELECT name, email, phone FROM customers WHERE id = ?', [customer_id]);
+                customer_name = customer_name || customer.name;
+                customer_email = customer_email || customer.email;
+                customer_phone = customer_phone || customer.phone;
+            }
+            
+            // Use the scanned product when given, otherwise find a matching product if possible
+            let product_id = null;
+            const product = req.body.product_id
+                ? await db.get('SELECT id FROM products WHERE id = ?', [req.body.product_id])
+                : await db.get(
+                    'SELECT id FROM products WHERE name LIKE ? LIMIT 1',
+                    [`%${product_name}%`]
+                );
+            if (product) {
+                product_id = product.id;
+            }
+            
+            // Returns are numbered RET- plus their id, which is the next value of the table's sequence
+            const sequence = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'returns'");
+            const returnNumber = `RET-${String((sequence ? sequence.seq : 0) + 1).padStart(6, '0')}`;
+            
+            const result = await db.run(
+                `INSERT INTO returns (
+                    return_number, customer_id, customer_name, customer_email, customer_phone, product_name, 
+                    product_id, quantity, return_reason, return_condition, 
+                    sales_platform, notes, created_date
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [returnNumber, customer_id, customer_name, customer_email, customer_phone, product_name, 
+                 product_id, quantity, return_reason, return_condition, sales_platform, notes]
+            );
+            
+            // Add initial activity log
+            await db.run(
+                `INSERT INTO return_activities (return_id, activity_type, activity_description, performed_by)
+                 VALUES (?, ?, ?, ?)`,
+                [result.lastID, 'created', `Return created for ${quantity} x ${product_name}`, req.user.id]
+            );
+            
+            return db.get('SELECT * FROM returns WHERE id = ?', [result.lastID]);
+        });
         
         ResponseFormatter.created(res, newReturn, 'Return created successfully');
         
     } catch (error) {
         logger.error('Error creating return:', error);
+        if (error.message === 'Customer not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        if (error.message.startsWith('Invalid phone number') || error.message.startsWith('Invalid email')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
         ResponseFormatter.serverError(res, 'Failed to create return');
     }
 }));
@@ -299,7 +420,7 @@ router.post('/:id/reject', authenticate, requireAdmin, asyncHandler(async (req,
 router.post('/:id/process', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { 
-        refund_amount, refund_method, restock_quantity = 0, notes 
+        refund_amount, refund_method, restock_quantity = 0, location_id, notes 
     } = req.body;
     
     if (!refund_amount || !refund_method) {
@@ -307,35 +428,15 @@ router.post('/:id/process', authenticate, requireAdmin, asyncHandler(async (req,
     }
     
     try {
-        const result = await dbManager.transaction(async (db) => {
-            // Get return details
-            const returnRecord = await db.get('SELECT * FROM returns WHERE id = ?', [id]);
-            if (!returnRecord) {
-                throw new Error('Return not found');
-            }
-            
-            if (returnRecord.return_status !== 'approved') {
-                throw new Error('Return must be approved before processing');
-            }
-            
-            // Process return using transaction manager
-            const processResult = await transactionManager.processReturn({
-                return_id: id,
-                processed_by: req.user.id,
-                refund_amount: parseFloat(refund_amount),
-                refund_method,
-                restock_quantity: parseInt(restock_quantity),
-                product_id: returnRecord.product_id
-            });
-            
-            // Add processing activity
-            await db.run(
-                `INSERT INTO return_activities (return_id, activity_type, activity_description, performed_by, notes)
-                 VALUES (?, ?, ?, ?, ?)`,
-                [id, 'processed', `Return processed with $${refund_amount} refund via ${refund_method}`, req.user.id, notes]
-            );
-            
-            return processResult;
+        // Validation, refund, restocking and activity logging run in one transaction
+        const result = await transactionManager.processReturn({
+            return_id: id,
+            processed_by: req.user.id,
+            refund_amount: parseFloat(refund_amount),
+            refund_method,
+            restock_quantity: parseInt(restock_quantity),
+            location_id: location_id ? parseInt(location_id) : null,
+            notes
         });
         
         // Clear dashboard cache
@@ -354,6 +455,14 @@ router.post('/:id/process', authenticate, requireAdmin, asyncHandler(async (req,
             return ResponseFormatter.error(res, error.message, 'Invalid State', 400);
         }
         
+        if (error.message === 'Stock location not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
+        
+        if (error.message.includes('is inactive')) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        
         ResponseFormatter.serverError(res, 'Failed to process return');
     }
 }));
@@ -362,7 +471,7 @@ router.post('/:id/process', authenticate, requireAdmin, asyncHandler(async (req,
 router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { 
-        customer_name, customer_email, customer_phone, product_name,
+        customer_id, customer_name, customer_email, customer_phone, product_name,
         quantity, return_reason, return_condition, sales_platform, notes 
     } = req.body;
     
@@ -371,6 +480,12 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
         const updateFields = [];
         const updateParams = [];
         
+        // A null customer_id unlinks the customer
+        if (customer_id !== undefined) {
+            updateFields.push('customer_id = ?');
+            updateParams.push(customer_id ? await resolveCustomer(dbManager, { customer_id: parseInt(customer_id) }) : null);
+        }
+        
         if (customer_name !== undefined) {
             updateFields.push('customer_name = ?');
             updateParams.push(customer_name);
@@ -441,6 +556,9 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
         
     } catch (error) {
         logger.error('Error updating return:', error);
+        if (error.message === 'Customer not found') {
+            return ResponseFormatter.notFound(res, error.message);
+        }
         ResponseFormatter.serverError(res, 'Failed to update return');
     }
 }));
@@ -5,10 +5,16 @@
 
 const express = require('express');
 const { authenticate, requireAdmin } = require('../middleware/auth');
-const { validateSale } = require('../middleware/security');
+const { validateSale, validateSalesOrder } = require('../middleware/security');
 const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { idempotency } = require('../middleware/idempotency');
 const { dashboardCache } = require('../utils/cache');
 const { dbManager, transactionManager } = require('../utils/database');
+const { resolveLocation } = require('../utils/stock');
+const { adjustSaleLineStock, refreshOrderTotals, updateOrderHeader } = require('../utils/sales-orders');
+const { assertOrderNotInvoiced, issueInvoice, getInvoiceLines, summarizeByHsn, renderInvoicePdf } = require('../utils/invoices');
+const { assertOrderNotShipped } = require('../utils/shipments');
+const { parseExportOptions, streamExport } = require('../utils/export');
 const winston = require('winston');
 
 const router = express.Router();
@@ -28,15 +34,230 @@ const logger = winston.createLogger({
     ],
 });
 
-// Get all sales with pagination and filtering
+// Columns available to sale exports, one row per order line (column -> SQL expression);
+// amounts worked out from averaged costs are rounded to 2 decimals
+const SALE_EXPORT_COLUMNS = {
+    id: 's.id',
+    order_id: 's.order_id',
+    order_number: 'o.order_number',
+    line_number: 's.line_number',
+    sale_date: 's.sale_date',
+    product_id: 's.product_id',
+    sku: 'p.sku',
+    product_name: 'p.name',
+    brand: 'p.brand',
+    model: 'p.model',
+    color: 'p.color',
+    quantity_sold: 's.quantity_sold',
+    sale_price: 's.sale_price',
+    line_discount: 's.line_discount',
+    order_discount_share: 's.order_discount_share',
+    total_amount: 's.total_amount',
+    hsn_code: 's.hsn_code',
+    gst_rate: 's.gst_rate',
+    taxable_amount: 's.taxable_amount',
+    cgst_amount: 's.cgst_amount',
+    sgst_amount: 's.sgst_amount',
+    igst_amount: 's.igst_amount',
+    invoice_number: 'i.invoice_number',
+    unit_cost: 'ROUND(s.unit_cost, 2)',
+    cogs: 'ROUND(s.cogs, 2)',
+    profit: 'ROUND(s.total_amount - s.cogs, 2)',
+    marketplace_fees: 'ROUND(s.marketplace_fees, 2)',
+    fee_gst: 'ROUND(s.fee_gst, 2)',
+    net_payout: 'ROUND(s.net_payout, 2)',
+    net_profit: 'ROUND(s.net_profit, 2)',
+    sales_platform: 's.sales_platform',
+    payment_method: 's.payment_method',
+    customer_id: 's.customer_id',
+    customer_name: '(SELECT c.name FROM customers c WHERE c.id = s.customer_id)',
+    customer_info: 's.customer_info',
+    location_id: 's.location_id',
+    created_date: 's.created_date'
+};
+const SALE_EXPORT_DEFAULTS = [
+    'id', 'order_number', 'sale_date', 'product_id', 'sku', 'product_name', 'brand', 'model', 'color',
+    'quantity_sold', 'sale_price', 'total_amount', 'cogs', 'profit', 'marketplace_fees', 'fee_gst', 'net_payout', 'net_profit',
+    'sales_platform', 'payment_method'
+];
+
+/**
+ * Turn the sale list filters (start_date, end_date, sales_platform, product_id, brand, model, order_id) into SQL
+ * conditions on the order line "s" and its product "p"
+ * @returns {object} { conditions, params }
+ */
+function buildSaleFilters({ start_date = '', end_date = '', sales_platform = '', product_id = '', brand = '', model = '', order_id = '', customer_id = '' }) {
+    const conditions = [];
+    const params = [];
+    
+    if (order_id) {
+        conditions.push('s.order_id = ?');
+        params.push(order_id);
+    }
+    
+    if (customer_id) {
+        conditions.push('s.customer_id = ?');
+        params.push(customer_id);
+    }
+    
+    if (start_date) {
+        conditions.push('s.sale_date >= ?');
+        params.push(start_date);
+    }
+    
+    if (end_date) {
+        conditions.push('s.sale_date <= ?');
+        params.push(end_date + ' 23:59:59');
+    }
+    
+    if (sales_platform) {
+        conditions.push('s.sales_platform = ?');
+        params.push(sales_platform);
+    }
+    
+    if (product_id) {
+        conditions.push('s.product_id = ?');
+        params.push(product_id);
+    }
+    
+    if (brand) {
+        conditions.push('p.brand = ?');
+        params.push(brand);
+    }
+    
+    if (model) {
+        conditions.push('p.model = ?');
+        params.push(model);
+    }
+    
+    return { conditions, params };
+}
+
+/**
+ * Turn the order list filters (start_date, end_date, sales_platform, payment_method, customer, customer_id, product_id,
+ * marketplace_order_id) into SQL conditions on the order "o"; customer matches the customer's name, phone or email and
+ * the legacy customer_info
+ * @returns {object} { conditions, params }
+ */
+function buildOrderFilters({
+    start_date = '', end_date = '', sales_platform = '', payment_method = '', customer = '', customer_id = '', product_id = '',
+    marketplace_order_id = ''
+}) {
+    const conditions = [];
+    const params = [];
+
+    if (start_date) {
+        conditions.push('o.order_date >= ?');
+        params.push(start_date);
+    }
+
+    if (end_date) {
+        conditions.push('o.order_date <= ?');
+        params.push(end_date + ' 23:59:59');
+    }
+
+    if (sales_platform) {
+        conditions.push('o.sales_platform = ?');
+        params.push(sales_platform);
+    }
+
+    if (payment_method) {
+        conditions.push('o.payment_method = ?');
+        params.push(payment_method);
+    }
+
+    if (customer) {
+        conditions.push(`(o.customer_info LIKE ? OR o.customer_id IN (
+            SELECT c.id FROM customers c WHERE c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ?
+        ))`);
+        params.push(`%${customer}%`, `%${customer}%`, `%${customer}%`, `%${customer}%`);
+    }
+
+    if (customer_id) {
+        conditions.push('o.customer_id = ?');
+        params.push(customer_id);
+    }
+
+    if (product_id) {
+        conditions.push('EXISTS (SELECT 1 FROM sales ol WHERE ol.order_id = o.id AND ol.product_id = ?)');
+        params.push(product_id);
+    }
+
+    if (marketplace_order_id) {
+        conditions.push('o.marketplace_order_id = ?');
+        params.push(marketplace_order_id);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * Validate a sale body: an order when it has items, a single-product sale otherwise
+ */
+function validateSaleRequest(req, res, next) {
+    const validator = Array.isArray(req.body.items) ? validateSalesOrder : validateSale;
+    return validator(req, res, next);
+}
+
+/**
+ * Lines of an order with their products
+ */
+function getOrderLines(orderId) {
+    return dbManager.all(
+        `SELECT s.id, s.line_number, s.product_id, s.quantity_sold, s.sale_price, s.line_discount, s.order_discount_share,
+                s.total_amount, s.unit_cost, s.cogs, s.total_amount - s.cogs as profit,
+                s.marketplace_fees, s.fee_gst, s.net_payout, s.net_profit,
+                p.name as product_name, p.sku, p.brand, p.model, p.color, p.product_type
+         FROM sales s
+         LEFT JOIN products p ON s.product_id = p.id
+         WHERE s.order_id = ?
+         ORDER BY s.line_number, s.id`,
+        [orderId]
+    );
+}
+
+/**
+ * Map sale and order errors to responses
+ */
+function handleSaleError(res, error, fallback) {
+    if (error.message === 'Sale not found' || error.message === 'Order not found' || error.message.includes('Product not found') ||
+        error.message === 'Customer not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    if (error.message.includes('Insufficient stock')) {
+        return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
+    }
+    if (error.message.startsWith('Cannot sell a design product') || error.message === 'Bundle has no components' ||
+        error.message.includes('discount must be') || error.message === 'No fields to update' ||
+        error.message.includes('is inactive') || error.message === 'No default stock location configured' ||
+        error.message.startsWith('Invalid GSTIN') || error.message.startsWith('Unknown state') ||
+        error.message.startsWith('Buyer state does not match') || error.message.startsWith('Invalid phone number') ||
+        error.message.startsWith('Invalid email')) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    if (error.message.startsWith('Order has been invoiced')) {
+        return ResponseFormatter.error(res, error.message, 'Order Invoiced', 409);
+    }
+    if (error.message.startsWith('Order has been shipped')) {
+        return ResponseFormatter.error(res, error.message, 'Order Shipped', 409);
+    }
+    if (error.message.startsWith('Seller GSTIN is not configured') || error.message.startsWith('Invoice number')) {
+        return ResponseFormatter.serverError(res, error.message);
+    }
+    if (error.message.startsWith('Cannot sell')) {
+        return ResponseFormatter.error(res, error.message, 'Product Unavailable', 409);
+    }
+    if (error.message === 'Stock location not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    ResponseFormatter.serverError(res, fallback);
+}
+
+// Get all sales (order lines) with pagination and filtering
 router.get('/', asyncHandler(async (req, res) => {
     const { 
         page = 1, 
         limit = 20, 
-        start_date = '', 
-        end_date = '',
-        sales_platform = '',
-        product_id = '',
         sort = 'sale_date',
         order = 'DESC'
     } = req.query;
@@ -45,28 +266,8 @@ router.get('/', asyncHandler(async (req, res) => {
         const offset = (page - 1) * limit;
         
         // Build WHERE clause
-        let whereClause = 'WHERE 1=1';
-        let params = [];
-        
-        if (start_date) {
-            whereClause += ' AND s.sale_date >= ?';
-            params.push(start_date);
-        }
-        
-        if (end_date) {
-            whereClause += ' AND s.sale_date <= ?';
-            params.push(end_date + ' 23:59:59');
-        }
-        
-        if (sales_platform) {
-            whereClause += ' AND s.sales_platform = ?';
-            params.push(sales_platform);
-        }
-        
-        if (product_id) {
-            whereClause += ' AND s.product_id = ?';
-            params.push(product_id);
-        }
+        const { conditions, params } = buildSaleFilters(req.query);
+        const whereClause = `WHERE ${['1=1', ...conditions].join(' AND ')}`;
         
         // Validate sort parameters
         const validSortFields = ['sale_date', 'total_amount', 'quantity_sold', 'sales_platform', 'created_date'];
@@ -78,6 +279,7 @@ router.get('/', asyncHandler(async (req, res) => {
         const countQuery = `
             SELECT COUNT(*) as total 
             FROM sales s 
+            LEFT JOIN products p ON s.product_id = p.id
             ${whereClause}
         `;
         const countResult = await dbManager.get(countQuery, params);
@@ -85,12 +287,15 @@ router.get('/', asyncHandler(async (req, res) => {
         // Get sales with product information
         const salesQuery = `
             SELECT 
-                s.id, s.product_id, s.quantity_sold, s.sale_price, s.total_amount,
-                s.sales_platform, s.customer_info, s.payment_method, s.slip_path,
-                s.sale_date, s.created_date,
+                s.id, s.order_id, o.order_number, s.line_number, s.product_id, s.quantity_sold, s.sale_price,
+                s.line_discount, s.order_discount_share, s.total_amount,
+                s.sales_platform, s.customer_id, s.customer_info, s.payment_method, s.slip_path,
+                s.sale_date, s.created_date, s.unit_cost, s.cogs,
+                s.total_amount - s.cogs as profit, s.marketplace_fees, s.fee_gst, s.net_payout, s.net_profit,
                 p.name as product_name, p.brand, p.model, p.color
             FROM sales s
             LEFT JOIN products p ON s.product_id = p.id
+            LEFT JOIN sales_orders o ON o.id = s.order_id
             ${whereClause}
             ORDER BY s.${sortField} ${sortOrder}
             LIMIT ? OFFSET ?
@@ -109,18 +314,264 @@ router.get('/', asyncHandler(async (req, res) => {
     }
 }));
 
-// Get sale by ID
-router.get('/:id', asyncHandler(async (req, res) => {
+// Export sales with the list filters as CSV, XLSX or NDJSON (format, columns=a,b,...)
+router.get('/export', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, SALE_EXPORT_COLUMNS, SALE_EXPORT_DEFAULTS);
+        const { conditions, params } = buildSaleFilters(req.query);
+        
+        const count = await streamExport(res, dbManager, {
+            format,
+            name: 'sales',
+            columns,
+            select: SALE_EXPORT_COLUMNS,
+            from: `FROM sales s LEFT JOIN products p ON s.product_id = p.id LEFT JOIN sales_orders o ON o.id = s.order_id
+                   LEFT JOIN invoices i ON i.order_id = s.order_id`,
+            where: conditions,
+            params,
+            key: 's.id'
+        });
+        
+        logger.info('Sales exported', { format, count, userId: req.user.id });
+        
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Sale export aborted:', error);
+            return res.destroy();
+        }
+        if (/export (format|column)/.test(error.message)) {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+        }
+        logger.error('Error exporting sales:', error);
+        ResponseFormatter.serverError(res, 'Failed to export sales');
+    }
+}));
+
+// List sales orders with their line counts and profit
+router.get('/orders', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, sort = 'order_date', order = 'DESC' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { conditions, params } = buildOrderFilters(req.query);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const validSortColumns = ['order_date', 'total_amount', 'order_number', 'sales_platform'];
+    const sortColumn = validSortColumns.includes(sort) ? `o.${sort}` : 'o.order_date';
+    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    try {
+        const orders = await dbManager.all(
+            `SELECT
+                o.id, o.order_number, o.order_date, o.sales_platform, o.customer_id, c.name as customer_name,
+                o.customer_info, o.payment_method, o.slip_path, o.location_id, o.subtotal, o.discount_amount, o.total_amount, o.notes,
+                o.buyer_name, o.buyer_gstin, o.taxable_amount, o.cgst_amount, o.sgst_amount, o.igst_amount,
+                (SELECT i.invoice_number FROM invoices i WHERE i.order_id = o.id) as invoice_number,
+                COUNT(s.id) as line_count, COALESCE(SUM(s.quantity_sold), 0) as total_quantity,
+                COALESCE(SUM(s.cogs), 0) as cogs, o.total_amount - COALESCE(SUM(s.cogs), 0) as profit,
+                ROUND(SUM(s.marketplace_fees), 2) as marketplace_fees, ROUND(SUM(s.fee_gst), 2) as fee_gst,
+                ROUND(SUM(s.net_payout), 2) as net_payout, ROUND(SUM(s.net_profit), 2) as net_profit
+             FROM sales_orders o
+             LEFT JOIN customers c ON c.id = o.customer_id
+             LEFT JOIN sales s ON s.order_id = o.id
+             ${whereClause}
+             GROUP BY o.id
+             ORDER BY ${sortColumn} ${sortOrder}
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const { total } = await dbManager.get(`SELECT COUNT(*) as total FROM sales_orders o ${whereClause}`, params);
+
+        ResponseFormatter.paginated(res, orders, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total
+        }, 'Sales orders retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching sales orders:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch sales orders');
+    }
+}));
+
+// Get a sales order with its lines
+router.get('/orders/:orderId', authenticate, asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const order = await dbManager.get(
+        `SELECT o.*, c.name as customer_name, c.phone as customer_phone, c.email as customer_email,
+                i.invoice_number, i.invoice_date, u.first_name as seller_first_name, u.last_name as seller_last_name,
+                sh.id as shipment_id, sh.shipment_number, sh.status as shipment_status, sh.courier_name, sh.awb_number
+         FROM sales_orders o
+         LEFT JOIN customers c ON c.id = o.customer_id
+         LEFT JOIN invoices i ON i.order_id = o.id
+         LEFT JOIN shipments sh ON sh.order_id = o.id
+         LEFT JOIN users u ON o.created_by = u.id
+         WHERE o.id = ?`,
+        [orderId]
+    );
+
+    if (!order) {
+        return ResponseFormatter.notFound(res, 'Order not found');
+    }
+
+    order.lines = await getOrderLines(orderId);
+    order.cogs = order.lines.reduce((sum, line) => sum + (line.cogs || 0), 0);
+    order.profit = order.total_amount - order.cogs;
+    order.net_payout = Math.round(order.lines.reduce((sum, line) => sum + (line.net_payout ?? line.total_amount), 0) * 100) / 100;
+    order.net_profit = Math.round(order.lines.reduce((sum, line) => sum + (line.net_profit ?? line.profit ?? 0), 0) * 100) / 100;
+
+    ResponseFormatter.success(res, order, 'Sales order retrieved successfully');
+}));
+
+// Update a sales order header and its order discount (admin only)
+router.put('/orders/:orderId', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const {
+        sales_platform, customer_id, customer_info, payment_method, slip_path, notes, discount_amount,
+        buyer_name, buyer_gstin, buyer_state, buyer_address
+    } = req.body;
+
+    try {
+        const order = await dbManager.transaction(async (db) => {
+            const existing = await db.get('SELECT id FROM sales_orders WHERE id = ?', [orderId]);
+            if (!existing) {
+                throw new Error('Order not found');
+            }
+            await assertOrderNotInvoiced(db, orderId);
+
+            const updated = await updateOrderHeader(db, orderId, {
+                sales_platform, customer_info, payment_method, slip_path, notes,
+                customer_id: customer_id !== undefined && customer_id !== null ? parseInt(customer_id) : customer_id,
+                discount_amount: discount_amount !== undefined ? parseFloat(discount_amount) : undefined,
+                buyer_name, buyer_gstin, buyer_state, buyer_address
+            });
+            if (!updated) {
+                throw new Error('No fields to update');
+            }
+
+            return refreshOrderTotals(db, orderId);
+        });
+
+        dashboardCache.delete('dashboard_stats');
+
+        ResponseFormatter.success(res, order, 'Sales order updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating sales order:', error);
+        handleSaleError(res, error, 'Failed to update sales order');
+    }
+}));
+
+// Delete a sales order and put the stock of every line back (admin only)
+router.delete('/orders/:orderId', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+        await dbManager.transaction(async (db) => {
+            const order = await db.get('SELECT id FROM sales_orders WHERE id = ?', [orderId]);
+            if (!order) {
+                throw new Error('Order not found');
+            }
+            await assertOrderNotInvoiced(db, orderId);
+            await assertOrderNotShipped(db, orderId);
+
+            const lines = await db.all('SELECT * FROM sales WHERE order_id = ?', [orderId]);
+            for (const line of lines) {
+                const location = await resolveLocation(db, line.location_id);
+                await adjustSaleLineStock(db, line.product_id, location, line.quantity_sold, {
+                    unit_cost: line.unit_cost ?? undefined, reason: 'sale_deleted', source_type: 'sale', source_id: line.id, user_id: req.user.id
+                });
+            }
+
+            await db.run('DELETE FROM sales WHERE order_id = ?', [orderId]);
+            await db.run('DELETE FROM shipments WHERE order_id = ?', [orderId]);
+            await db.run('DELETE FROM sales_orders WHERE id = ?', [orderId]);
+        });
+
+        dashboardCache.delete('dashboard_stats');
+
+        ResponseFormatter.noContent(res, 'Sales order deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting sales order:', error);
+        handleSaleError(res, error, 'Failed to delete sales order');
+    }
+}));
+
+// Invoice register (financial_year, start_date, end_date, buyer_gstin)
+router.get('/invoices', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, financial_year = '', start_date = '', end_date = '', buyer_gstin = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (financial_year) {
+        conditions.push('i.financial_year = ?');
+        params.push(financial_year);
+    }
+
+    if (start_date) {
+        conditions.push('i.invoice_date >= ?');
+        params.push(start_date);
+    }
+
+    if (end_date) {
+        conditions.push('i.invoice_date <= ?');
+        params.push(end_date);
+    }
+
+    if (buyer_gstin) {
+        conditions.push('i.buyer_gstin = ?');
+        params.push(buyer_gstin.toUpperCase());
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const invoices = await dbManager.all(
+            `SELECT i.id, i.invoice_number, i.invoice_date, i.financial_year, i.order_id, o.order_number,
+                    i.buyer_name, i.buyer_gstin, i.buyer_state, i.place_of_supply, i.supply_type,
+                    i.taxable_amount, i.cgst_amount, i.sgst_amount, i.igst_amount, i.total_amount
+             FROM invoices i
+             JOIN sales_orders o ON o.id = i.order_id
+             ${whereClause}
+             ORDER BY i.financial_year DESC, i.sequence_number DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const { total } = await dbManager.get(`SELECT COUNT(*) as total FROM invoices i ${whereClause}`, params);
+
+        ResponseFormatter.paginated(res, invoices, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total
+        }, 'Invoices retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching invoices:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch invoices');
+    }
+}));
+
+// Get sale (order line) by ID
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     const { id } = req.params;
     
     const sale = await dbManager.get(
         `SELECT 
-            s.*, 
+            s.*, o.order_number, o.discount_amount as order_discount_amount, o.total_amount as order_total_amount,
+            o.buyer_name, o.buyer_gstin, o.buyer_state, i.invoice_number, c.name as customer_name,
             p.name as product_name, p.brand, p.model, p.color,
             u.first_name as seller_first_name, u.last_name as seller_last_name
          FROM sales s
          LEFT JOIN products p ON s.product_id = p.id
-         LEFT JOIN users u ON s.created_by = u.id
+         LEFT JOIN sales_orders o ON o.id = s.order_id
+         LEFT JOIN customers c ON c.id = s.customer_id
+         LEFT JOIN invoices i ON i.order_id = s.order_id
+         LEFT JOIN users u ON o.created_by = u.id
          WHERE s.id = ?`, 
         [id]
     );
@@ -132,22 +583,88 @@ router.get('/:id', asyncHandler(async (req, res) => {
     ResponseFormatter.success(res, sale, 'Sale retrieved successfully');
 }));
 
-// Record new sale with automatic inventory update
-router.post('/', authenticate, validateSale, asyncHandler(async (req, res) => {
+// Tax invoice of the order a sale belongs to (format=pdf, default, or json); the invoice is issued with the
+// next number of the financial year the first time it is asked for
+router.get('/:id/invoice', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    if (!['pdf', 'json'].includes(format)) {
+        return ResponseFormatter.error(res, 'Format must be pdf or json', 'Validation Error', 400);
+    }
+
+    try {
+        const sale = await dbManager.get('SELECT order_id FROM sales WHERE id = ?', [id]);
+        if (!sale) {
+            return ResponseFormatter.notFound(res, 'Sale not found');
+        }
+
+        const invoice = await dbManager.transaction(db => issueInvoice(db, sale.order_id, req.user.id));
+        const { order_number } = await dbManager.get('SELECT order_number FROM sales_orders WHERE id = ?', [sale.order_id]);
+        const lines = await getInvoiceLines(dbManager, sale.order_id);
+
+        if (format === 'json') {
+            return ResponseFormatter.success(res, {
+                ...invoice, order_number, lines, hsn_summary: summarizeByHsn(lines)
+            }, 'Invoice retrieved successfully');
+        }
+
+        res.set('Content-Disposition', `inline; filename="${invoice.invoice_number.replace(/\//g, '-')}.pdf"`);
+        res.type('application/pdf').send(renderInvoicePdf({ ...invoice, order_number }, lines));
+
+    } catch (error) {
+        logger.error('Error generating invoice:', error);
+        handleSaleError(res, error, 'Failed to generate invoice');
+    }
+}));
+
+// Record a new sales order (items) or a single-product sale, with automatic inventory update
+router.post('/', authenticate, idempotency, validateSaleRequest, asyncHandler(async (req, res) => {
     const { 
         product_id, quantity_sold, sale_price, sales_platform, 
-        customer_info, payment_method, slip_path 
+        customer_id, customer, customer_info, payment_method, slip_path, location_id,
+        items, discount_amount, notes, buyer_name, buyer_gstin, buyer_state, buyer_address
     } = req.body;
+    const buyer = { buyer_name, buyer_gstin, buyer_state, buyer_address };
+    const customerData = { customer_id: customer_id ? parseInt(customer_id) : null, customer };
     
     try {
+        if (Array.isArray(items)) {
+            const order = await transactionManager.recordSalesOrder({
+                items: items.map(item => ({
+                    product_id: parseInt(item.product_id),
+                    quantity_sold: parseInt(item.quantity_sold),
+                    sale_price: parseFloat(item.sale_price),
+                    discount_amount: item.discount_amount !== undefined ? parseFloat(item.discount_amount) : 0
+                })),
+                sales_platform,
+                ...customerData,
+                customer_info,
+                payment_method,
+                slip_path,
+                location_id: location_id ? parseInt(location_id) : null,
+                discount_amount: discount_amount !== undefined ? parseFloat(discount_amount) : 0,
+                notes,
+                ...buyer,
+                created_by: req.user.id
+            });
+            
+            dashboardCache.delete('dashboard_stats');
+            
+            return ResponseFormatter.created(res, order, 'Sales order recorded successfully');
+        }
+        
         const saleData = {
             product_id: parseInt(product_id),
             quantity_sold: parseInt(quantity_sold),
             sale_price: parseFloat(sale_price),
             sales_platform,
+            ...customerData,
             customer_info,
             payment_method,
             slip_path,
+            location_id: location_id ? parseInt(location_id) : null,
+            ...buyer,
             created_by: req.user.id
         };
         
@@ -158,8 +675,18 @@ router.post('/', authenticate, validateSale, asyncHandler(async (req, res) => {
         
         ResponseFormatter.created(res, {
             sale_id: result.sale_id,
+            order_id: result.order_id,
+            order_number: result.order_number,
+            customer_id: result.customer_id,
             total_amount: result.total_amount,
+            cogs: result.cogs,
+            marketplace_fees: result.marketplace_fees,
+            fee_gst: result.fee_gst,
+            net_payout: result.net_payout,
+            net_profit: result.net_profit,
+            location_id: result.location_id,
             remaining_stock: result.remaining_stock,
+            location_stock: result.location_stock,
             needs_restocking: result.needs_restocking
         }, 'Sale recorded successfully');
         
@@ -170,26 +697,28 @@ router.post('/', authenticate, validateSale, asyncHandler(async (req, res) => {
             return ResponseFormatter.conflict(res, 'Sale already exists');
         }
         
-        if (error.message.includes('Insufficient stock')) {
-            return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
-        }
-        
-        if (error.message.includes('Product not found')) {
-            return ResponseFormatter.notFound(res, error.message);
+        if (error.message === 'An order needs at least one line') {
+            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
         }
         
-        ResponseFormatter.serverError(res, 'Failed to record sale');
+        handleSaleError(res, error, 'Failed to record sale');
     }
 }));
 
-// Update sale (admin only)
+// Update a sale line (admin only); header fields apply to its whole order
 router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { 
-        quantity_sold, sale_price, sales_platform, 
-        customer_info, payment_method, slip_path 
+        quantity_sold, sale_price, discount_amount, sales_platform, 
+        customer_id, customer_info, payment_method, slip_path 
     } = req.body;
     
+    if (quantity_sold !== undefined && !(Number.isInteger(Number(quantity_sold)) && Number(quantity_sold) >= 1)) {
+        return ResponseFormatter.error(
+            res, 'Quantity sold must be a whole number of at least 1; delete the line to remove it', 'Validation Error', 400
+        );
+    }
+    
     try {
         // Get current sale
         const currentSale = await dbManager.get('SELECT * FROM sales WHERE id = ?', [id]);
@@ -197,29 +726,38 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
             return ResponseFormatter.notFound(res, 'Sale not found');
         }
         
-        const result = await dbManager.transaction(async (db) => {
+        await dbManager.transaction(async (db) => {
+            await assertOrderNotInvoiced(db, currentSale.order_id);
+            await assertOrderNotShipped(db, currentSale.order_id);
+            const newQuantity = quantity_sold !== undefined ? Number(quantity_sold) : currentSale.quantity_sold;
+            
             // If quantity changed, update product inventory accordingly
-            if (quantity_sold && quantity_sold !== currentSale.quantity_sold) {
-                const quantityDiff = quantity_sold - currentSale.quantity_sold;
+            if (newQuantity !== currentSale.quantity_sold) {
+                const quantityDiff = newQuantity - currentSale.quantity_sold;
                 
-                // Update product quantity
-                const updateResult = await db.run(
-                    'UPDATE products SET quantity = quantity - ? WHERE id = ?',
-                    [quantityDiff, currentSale.product_id]
-                );
+                // Update stock at the location the sale was taken from. Extra units are costed
+                // from the cost layers; units taken back go into stock at the cost they left with
+                const location = await resolveLocation(db, currentSale.location_id);
+                const stock = await adjustSaleLineStock(db, currentSale.product_id, location, -quantityDiff, {
+                    unit_cost: currentSale.unit_cost ?? undefined, reason: 'sale_edit', source_type: 'sale', source_id: currentSale.id, user_id: req.user.id
+                });
                 
-                if (updateResult.changes === 0) {
-                    throw new Error('Product not found or insufficient stock');
-                }
+                const cogs = quantityDiff > 0
+                    ? (currentSale.cogs || 0) + stock.cogs
+                    : (currentSale.cogs || 0) + quantityDiff * (currentSale.unit_cost ?? stock.unit_cost ?? 0);
+                await db.run(
+                    'UPDATE sales SET cogs = ?, unit_cost = ? WHERE id = ?',
+                    [Math.round(cogs * 10000) / 10000, Math.round((cogs / newQuantity) * 10000) / 10000, id]
+                );
             }
             
-            // Update sale record
+            // Update the line; its total is worked out again with the rest of the order
             const updateFields = [];
             const updateParams = [];
             
             if (quantity_sold !== undefined) {
                 updateFields.push('quantity_sold = ?');
-                updateParams.push(parseInt(quantity_sold));
+                updateParams.push(newQuantity);
             }
             
             if (sale_price !== undefined) {
@@ -227,45 +765,31 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
                 updateParams.push(parseFloat(sale_price));
             }
             
-            if (sales_platform !== undefined) {
-                updateFields.push('sales_platform = ?');
-                updateParams.push(sales_platform);
+            if (discount_amount !== undefined) {
+                updateFields.push('line_discount = ?');
+                updateParams.push(parseFloat(discount_amount));
             }
             
-            if (customer_info !== undefined) {
-                updateFields.push('customer_info = ?');
-                updateParams.push(customer_info);
-            }
-            
-            if (payment_method !== undefined) {
-                updateFields.push('payment_method = ?');
-                updateParams.push(payment_method);
-            }
-            
-            if (slip_path !== undefined) {
-                updateFields.push('slip_path = ?');
-                updateParams.push(slip_path);
+            if (updateFields.length > 0) {
+                updateParams.push(id);
+                await db.run(`UPDATE sales SET ${updateFields.join(', ')} WHERE id = ?`, updateParams);
+                
+                const line = await db.get('SELECT quantity_sold, sale_price, line_discount FROM sales WHERE id = ?', [id]);
+                if (line.line_discount < 0 || line.line_discount > line.quantity_sold * line.sale_price) {
+                    throw new Error('Line discount must be between 0 and the line amount');
+                }
             }
             
-            // Recalculate total_amount if quantity or price changed
-            if (quantity_sold !== undefined || sale_price !== undefined) {
-                const newQuantity = quantity_sold || currentSale.quantity_sold;
-                const newPrice = sale_price || currentSale.sale_price;
-                updateFields.push('total_amount = ?');
-                updateParams.push(newQuantity * newPrice);
-            }
+            const headerUpdated = await updateOrderHeader(db, currentSale.order_id, {
+                sales_platform, customer_info, payment_method, slip_path,
+                customer_id: customer_id !== undefined && customer_id !== null ? parseInt(customer_id) : customer_id
+            });
             
-            if (updateFields.length === 0) {
+            if (updateFields.length === 0 && !headerUpdated) {
                 throw new Error('No fields to update');
             }
             
-            updateFields.push('updated_date = CURRENT_TIMESTAMP');
-            updateParams.push(id);
-            
-            const updateQuery = `UPDATE sales SET ${updateFields.join(', ')} WHERE id = ?`;
-            const saleUpdateResult = await db.run(updateQuery, updateParams);
-            
-            return saleUpdateResult.changes > 0;
+            await refreshOrderTotals(db, currentSale.order_id);
         });
         
         // Clear dashboard cache
@@ -275,45 +799,33 @@ router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) =>
         
     } catch (error) {
         logger.error('Error updating sale:', error);
-        
-        if (error.message === 'Sale not found') {
-            return ResponseFormatter.notFound(res, error.message);
-        }
-        
-        if (error.message === 'Product not found or insufficient stock') {
-            return ResponseFormatter.error(res, error.message, 'Insufficient Stock', 400);
-        }
-        
-        if (error.message === 'No fields to update') {
-            return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
-        }
-        
-        ResponseFormatter.serverError(res, 'Failed to update sale');
+        handleSaleError(res, error, 'Failed to update sale');
     }
 }));
 
-// Delete sale (admin only)
+// Delete a sale line (admin only); an order left without lines is deleted with it
 router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
     const { id } = req.params;
     
     try {
-        const result = await dbManager.transaction(async (db) => {
+        await dbManager.transaction(async (db) => {
             // Get sale details before deletion
             const sale = await db.get('SELECT * FROM sales WHERE id = ?', [id]);
             if (!sale) {
                 throw new Error('Sale not found');
             }
+            await assertOrderNotInvoiced(db, sale.order_id);
+            await assertOrderNotShipped(db, sale.order_id);
             
-            // Restore inventory
-            await db.run(
-                'UPDATE products SET quantity = quantity + ? WHERE id = ?',
-                [sale.quantity_sold, sale.product_id]
-            );
-            
-            // Delete sale
-            const deleteResult = await db.run('DELETE FROM sales WHERE id = ?', [id]);
+            // Restore inventory at the location the sale was taken from, at the cost it left with
+            const location = await resolveLocation(db, sale.location_id);
+            await adjustSaleLineStock(db, sale.product_id, location, sale.quantity_sold, {
+                unit_cost: sale.unit_cost ?? undefined, reason: 'sale_deleted', source_type: 'sale', source_id: sale.id, user_id: req.user.id
+            });
             
-            return deleteResult.changes > 0;
+            // Delete sale and share the order discount over the remaining lines
+            await db.run('DELETE FROM sales WHERE id = ?', [id]);
+            await refreshOrderTotals(db, sale.order_id);
         });
         
         // Clear dashboard cache
@@ -323,12 +835,7 @@ router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res)
         
     } catch (error) {
         logger.error('Error deleting sale:', error);
-        
-        if (error.message === 'Sale not found') {
-            return ResponseFormatter.notFound(res, error.message);
-        }
-        
-        ResponseFormatter.serverError(res, 'Failed to delete sale');
+        handleSaleError(res, error, 'Failed to delete sale');
     }
 }));
 
@@ -357,17 +864,21 @@ router.get('/analytics/summary', authenticate, asyncHandler(async (req, res) =>
                 dateFilter = "AND s.sale_date >= date('now', '-30 days')";
         }
         
-        // Get sales summary
+        // Get sales summary; a sale is an order, however many lines it has
         const salesSummary = await dbManager.get(`
             SELECT 
                 COUNT(*) as total_sales,
-                SUM(s.quantity_sold) as total_quantity,
-                SUM(s.total_amount) as total_revenue,
-                AVG(s.total_amount) as avg_sale_amount,
-                MIN(s.total_amount) as min_sale_amount,
-                MAX(s.total_amount) as max_sale_amount
-            FROM sales s
-            WHERE 1=1 ${dateFilter}
+                SUM(order_quantity) as total_quantity,
+                SUM(order_amount) as total_revenue,
+                AVG(order_amount) as avg_sale_amount,
+                MIN(order_amount) as min_sale_amount,
+                MAX(order_amount) as max_sale_amount
+            FROM (
+                SELECT s.order_id, SUM(s.quantity_sold) as order_quantity, SUM(s.total_amount) as order_amount
+                FROM sales s
+                WHERE 1=1 ${dateFilter}
+                GROUP BY s.order_id
+            )
         `, params);
         
         // Get top selling products
@@ -388,7 +899,7 @@ router.get('/analytics/summary', authenticate, asyncHandler(async (req, res) =>
         const salesByPlatform = await dbManager.all(`
             SELECT 
                 s.sales_platform,
-                COUNT(*) as total_sales,
+                COUNT(DISTINCT s.order_id) as total_sales,
                 SUM(s.total_amount) as total_revenue,
                 SUM(s.quantity_sold) as total_quantity
             FROM sales s
@@ -401,7 +912,7 @@ router.get('/analytics/summary', authenticate, asyncHandler(async (req, res) =>
         const dailySales = await dbManager.all(`
             SELECT 
                 DATE(s.sale_date) as sale_date,
-                COUNT(*) as sales_count,
+                COUNT(DISTINCT s.order_id) as sales_count,
                 SUM(s.total_amount) as daily_revenue,
                 SUM(s.quantity_sold) as daily_quantity
             FROM sales s
@@ -449,13 +960,14 @@ router.get('/dashboard/stats', asyncHandler(async (req, res) => {
         const stats = await dashboardCache.getOrFetch('dashboard_stats', async () => {
             return await dbManager.get(`
                 SELECT 
-                    (SELECT COUNT(*) FROM sales WHERE DATE(sale_date) = DATE('now')) as today_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_sales,
-                    (SELECT COUNT(*) FROM products WHERE quantity <= 10) as low_stock_count,
+                    (SELECT COUNT(*) FROM sales_orders WHERE DATE(order_date) = DATE('now')) as today_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-7 days')) as week_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-30 days')) as month_sales,
+                    (SELECT COUNT(*) FROM products p JOIN product_reorder_levels rl ON rl.product_id = p.id
+                     WHERE p.product_type NOT IN ('design', 'bundle') AND p.status = 'active' AND p.quantity <= rl.effective_reorder_point) as low_stock_count,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_revenue,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_revenue,
-                    (SELECT COUNT(*) FROM products WHERE quantity > 0) as in_stock_products
+                    (SELECT COUNT(*) FROM products WHERE product_type NOT IN ('design', 'bundle') AND quantity > 0) as in_stock_products
             `);
         }, 5 * 60 * 1000); // Cache for 5 minutes
         
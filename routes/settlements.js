@@ -0,0 +1,406 @@
+/**
+ * Settlement Routes
+ * Handles marketplace settlement report uploads, payout reconciliation and the aging of unsettled sales
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { createSecureUpload } = require('../middleware/security');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { idempotency } = require('../middleware/idempotency');
+const { dbManager } = require('../utils/database');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const {
+    SETTLEMENT_BUCKETS, AGING_BUCKETS, BUCKET_SQL, parseSettlementReport, parseTolerance, platformCondition,
+    platformNameSql, findSettlementOrder
+} = require('../utils/settlements');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-settlements' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+// Reports are parsed in memory and never written to uploads/; Amazon settlements are tab separated .txt files
+const reportUpload = createSecureUpload({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|tsv|txt|xlsx)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            const error = new Error('Only CSV, TSV, TXT and XLSX settlement reports can be imported');
+            error.name = 'ValidationError';
+            cb(error, false);
+        }
+    }
+});
+
+/**
+ * Map settlement errors to responses
+ */
+function handleSettlementError(res, error, fallback) {
+    if (error.message.startsWith('Malformed') || error.message.startsWith('The import file') ||
+        error.message.startsWith('Cannot import') || error.message.startsWith('Report format') ||
+        error.message.startsWith('Tolerance')) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    if (error.message.startsWith('This settlement report was already uploaded')) {
+        return ResponseFormatter.error(res, error.message, 'Duplicate Settlement', 409);
+    }
+    ResponseFormatter.serverError(res, fallback);
+}
+
+/**
+ * Reconciliation of the orders matching the conditions on order_settlements "os"
+ * @returns {Promise<object>} Totals per bucket: { paid: { order_count, expected_amount, received_amount, difference }, ... }
+ */
+async function bucketTotals(conditions, params, tolerance) {
+    const rows = await dbManager.all(
+        `SELECT bucket, COUNT(*) as order_count,
+                ROUND(SUM(expected_amount), 2) as expected_amount,
+                ROUND(SUM(received_amount), 2) as received_amount,
+                ROUND(SUM(expected_amount - received_amount), 2) as difference,
+                ROUND(SUM(refund_deductions), 2) as refund_deductions
+         FROM (SELECT os.*, ${BUCKET_SQL} as bucket FROM order_settlements os WHERE ${conditions.join(' AND ')})
+         GROUP BY bucket`,
+        [tolerance, ...params]
+    );
+
+    const totals = {};
+    SETTLEMENT_BUCKETS.forEach(bucket => {
+        totals[bucket] = rows.find(row => row.bucket === bucket) ||
+            { bucket, order_count: 0, expected_amount: 0, received_amount: 0, difference: 0, refund_deductions: 0 };
+    });
+    return totals;
+}
+
+// Upload a settlement or payment report (multipart: file; fields: platform=amazon|flipkart|meesho, tolerance,
+// dry_run=true to only report)
+// Each line is matched to a sales order by the marketplace order id, or our order number; the same report
+// (same file, or same settlement id) is only counted once
+router.post('/', authenticate, reportUpload.single('file'), idempotency, asyncHandler(async (req, res) => {
+    const { platform, dry_run = 'false' } = req.body;
+
+    if (!req.file) {
+        return ResponseFormatter.error(res, 'No settlement report uploaded', 'Validation Error', 400);
+    }
+
+    try {
+        // Read before anything is saved, so a bad tolerance does not leave the report stored
+        const tolerance = parseTolerance(req.body.tolerance);
+        const report = parseSettlementReport(platform, readSpreadsheet(req.file.buffer));
+        if (report.errors.length > 0) {
+            return ResponseFormatter.error(
+                res,
+                `${report.errors.length} row(s) have errors, nothing was imported`,
+                'Validation Error',
+                400,
+                { errors: report.errors }
+            );
+        }
+
+        if (dry_run === 'true') {
+            for (const line of report.lines) {
+                const order = await findSettlementOrder(dbManager, report.platform, line.order_ref);
+                line.order_id = order ? order.id : null;
+                line.order_number = order ? order.order_number : null;
+            }
+            return ResponseFormatter.success(res, { dry_run: true, ...report }, 'Settlement report checked, nothing was saved');
+        }
+
+        const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+        const settlement = await dbManager.transaction(async (db) => {
+            const existing = await db.get(
+                `SELECT settlement_number FROM settlements
+                 WHERE file_hash = ? OR (platform = ? AND settlement_ref = ?)`,
+                [fileHash, report.platform, report.settlement_ref]
+            );
+            if (existing) {
+                throw new Error(`This settlement report was already uploaded as ${existing.settlement_number}`);
+            }
+
+            const result = await db.run(
+                `INSERT INTO settlements (platform, settlement_ref, file_name, file_hash, total_rows, total_amount, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [report.platform, report.settlement_ref, req.file.originalname, fileHash, report.lines.length,
+                 report.total_amount, req.user.id]
+            );
+            const settlementNumber = `STL-${String(result.lastID).padStart(6, '0')}`;
+            await db.run('UPDATE settlements SET settlement_number = ? WHERE id = ?', [settlementNumber, result.lastID]);
+
+            for (const line of report.lines) {
+                await db.run(
+                    `INSERT INTO settlement_lines (settlement_id, row_number, order_ref, transaction_type, description, amount, posted_date)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [result.lastID, line.row_number, line.order_ref, line.transaction_type, line.description,
+                     line.amount, line.posted_date]
+                );
+            }
+
+            return { id: result.lastID, settlement_number: settlementNumber };
+        });
+
+        // Where the orders this report paid now stand
+        const orders = await dbManager.all(
+            `SELECT os.*, ${BUCKET_SQL} as bucket, ROUND(os.expected_amount - os.received_amount, 2) as difference
+             FROM order_settlements os
+             WHERE os.order_id IN (SELECT order_id FROM settlement_line_orders WHERE settlement_id = ?)
+             ORDER BY os.order_date`,
+            [tolerance, settlement.id]
+        );
+        const unmatchedLines = await dbManager.all(
+            'SELECT * FROM settlement_line_orders WHERE settlement_id = ? AND order_id IS NULL ORDER BY row_number',
+            [settlement.id]
+        );
+
+        logger.info('Settlement report imported', {
+            settlement_number: settlement.settlement_number,
+            platform: report.platform,
+            lines: report.lines.length,
+            total_amount: report.total_amount,
+            userId: req.user.id
+        });
+
+        ResponseFormatter.created(res, {
+            dry_run: false,
+            settlement_id: settlement.id,
+            settlement_number: settlement.settlement_number,
+            platform: report.platform,
+            settlement_ref: report.settlement_ref,
+            line_count: report.lines.length,
+            total_amount: report.total_amount,
+            matched_lines: report.lines.length - unmatchedLines.length,
+            orders,
+            unmatched_lines: unmatchedLines
+        }, 'Settlement report imported successfully');
+
+    } catch (error) {
+        logger.error('Error importing settlement report:', error);
+        handleSettlementError(res, error, 'Failed to import settlement report');
+    }
+}));
+
+// Get uploaded settlement reports (platform)
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', page = 1, limit = 50 } = req.query;
+
+    try {
+        const conditions = ['1 = 1'];
+        const params = [];
+        if (platform) {
+            const filter = platformCondition(platform, 'st.platform');
+            conditions.push(filter.condition);
+            params.push(...filter.params);
+        }
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+        const { total } = await dbManager.get(
+            `SELECT COUNT(*) as total FROM settlements st WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+        const settlements = await dbManager.all(
+            `SELECT st.*,
+                    (SELECT COUNT(*) FROM settlement_line_orders slo WHERE slo.settlement_id = st.id AND slo.order_id IS NULL) as unmatched_lines
+             FROM settlements st
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY st.created_date DESC, st.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limitNum, (pageNum - 1) * limitNum]
+        );
+
+        ResponseFormatter.paginated(res, settlements, createPaginationInfo(pageNum, limitNum, total), 'Settlements retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching settlements:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch settlements');
+    }
+}));
+
+// Reconcile marketplace orders against their settlements
+// (platform, start_date, end_date on the order date, bucket=paid|short_paid|unpaid|unexpected_deduction, tolerance, page, limit)
+router.get('/reconciliation', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', start_date = '', end_date = '', bucket = '', page = 1, limit = 50 } = req.query;
+
+    if (bucket && !SETTLEMENT_BUCKETS.includes(bucket)) {
+        return ResponseFormatter.error(res, `Bucket must be one of ${SETTLEMENT_BUCKETS.join(', ')}`, 'Validation Error', 400);
+    }
+
+    try {
+        const tolerance = parseTolerance(req.query.tolerance);
+        const filter = platformCondition(platform);
+        const conditions = [filter.condition];
+        const params = [...filter.params];
+
+        if (start_date) {
+            conditions.push('os.order_date >= ?');
+            params.push(start_date);
+        }
+        if (end_date) {
+            conditions.push('os.order_date <= ?');
+            params.push(end_date + ' 23:59:59');
+        }
+
+        const buckets = await bucketTotals(conditions, params, tolerance);
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(200, Math.max(1, parseInt(limit)));
+        const bucketFilter = bucket ? 'WHERE bucket = ?' : '';
+        const orderSql = `SELECT os.*, ${BUCKET_SQL} as bucket, ROUND(os.expected_amount - os.received_amount, 2) as difference
+                          FROM order_settlements os
+                          WHERE ${conditions.join(' AND ')}`;
+        const orderParams = [tolerance, ...params, ...(bucket ? [bucket] : [])];
+
+        const { total } = await dbManager.get(`SELECT COUNT(*) as total FROM (${orderSql}) ${bucketFilter}`, orderParams);
+        const orders = await dbManager.all(
+            `SELECT * FROM (${orderSql}) ${bucketFilter} ORDER BY order_date LIMIT ? OFFSET ?`,
+            [...orderParams, limitNum, (pageNum - 1) * limitNum]
+        );
+
+        // Settlement lines for orders we have no record of; deductions among them are unexpected too
+        const lineFilter = platformCondition(platform, 'slo.platform');
+        const unmatchedLines = await dbManager.all(
+            `SELECT slo.* FROM settlement_line_orders slo
+             WHERE slo.order_id IS NULL AND ${lineFilter.condition}
+             ORDER BY slo.posted_date, slo.id`,
+            lineFilter.params
+        );
+        const unmatchedDeductions = unmatchedLines.filter(line => line.amount < 0);
+        buckets.unexpected_deduction.unmatched_line_count = unmatchedDeductions.length;
+        buckets.unexpected_deduction.deducted_amount = Math.round(
+            (buckets.unexpected_deduction.refund_deductions + unmatchedDeductions.reduce((sum, line) => sum + line.amount, 0)) * 100
+        ) / 100;
+
+        ResponseFormatter.success(res, {
+            tolerance,
+            buckets,
+            orders,
+            pagination: createPaginationInfo(pageNum, limitNum, total),
+            unmatched_lines: unmatchedLines
+        }, 'Settlement reconciliation retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error reconciling settlements:', error);
+        handleSettlementError(res, error, 'Failed to reconcile settlements');
+    }
+}));
+
+// Aging of unsettled (unpaid and short-paid) marketplace sales per platform, by days since the order
+// (platform, tolerance, as_of date, default today)
+router.get('/aging', authenticate, asyncHandler(async (req, res) => {
+    const { platform = '', as_of = '' } = req.query;
+
+    if (as_of && !/^\d{4}-\d{2}-\d{2}$/.test(as_of)) {
+        return ResponseFormatter.error(res, 'as_of must be YYYY-MM-DD', 'Validation Error', 400);
+    }
+
+    try {
+        const tolerance = parseTolerance(req.query.tolerance);
+        const filter = platformCondition(platform);
+
+        const agingColumns = AGING_BUCKETS.map(([label, from, to]) => {
+            const range = to === null ? `age_days >= ${from}` : `age_days BETWEEN ${from} AND ${to}`;
+            return `ROUND(SUM(CASE WHEN ${range} THEN outstanding ELSE 0 END), 2) as ${label}`;
+        }).join(',\n                ');
+
+        const rows = await dbManager.all(
+            `SELECT platform_name as platform,
+                COUNT(*) as order_count,
+                ROUND(SUM(outstanding), 2) as outstanding_amount,
+                ${agingColumns},
+                MIN(order_date) as oldest_order_date
+             FROM (
+                SELECT os.*, ${platformNameSql()} as platform_name, ${BUCKET_SQL} as bucket,
+                       os.expected_amount - os.received_amount as outstanding,
+                       CAST(julianday(DATE(?)) - julianday(DATE(os.order_date)) AS INTEGER) as age_days
+                FROM order_settlements os
+                WHERE ${filter.condition} AND os.order_date < DATE(?, '+1 day')
+             )
+             WHERE bucket IN ('unpaid', 'short_paid')
+             GROUP BY platform_name
+             ORDER BY outstanding_amount DESC`,
+            [tolerance, as_of || 'now', ...filter.params, as_of || 'now']
+        );
+
+        const totals = { order_count: 0, outstanding_amount: 0 };
+        AGING_BUCKETS.forEach(([label]) => {
+            totals[label] = 0;
+        });
+        rows.forEach(row => {
+            Object.keys(totals).forEach(key => {
+                totals[key] = Math.round((totals[key] + row[key]) * 100) / 100;
+            });
+        });
+
+        ResponseFormatter.success(res, {
+            as_of: as_of || new Date().toISOString().substring(0, 10),
+            tolerance,
+            platforms: rows,
+            totals
+        }, 'Settlement aging retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching settlement aging:', error);
+        handleSettlementError(res, error, 'Failed to fetch settlement aging');
+    }
+}));
+
+// Get a settlement report with its lines and the orders they matched
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const settlement = await dbManager.get('SELECT * FROM settlements WHERE id = ?', [req.params.id]);
+
+    if (!settlement) {
+        return ResponseFormatter.notFound(res, 'Settlement not found');
+    }
+
+    settlement.lines = await dbManager.all(
+        `SELECT slo.*, o.order_number
+         FROM settlement_line_orders slo
+         LEFT JOIN sales_orders o ON o.id = slo.order_id
+         WHERE slo.settlement_id = ?
+         ORDER BY slo.row_number`,
+        [settlement.id]
+    );
+
+    ResponseFormatter.success(res, settlement, 'Settlement retrieved successfully');
+}));
+
+// Delete a settlement report uploaded by mistake (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const settlement = await dbManager.get('SELECT id FROM settlements WHERE id = ?', [id]);
+        if (!settlement) {
+            return ResponseFormatter.notFound(res, 'Settlement not found');
+        }
+
+        await dbManager.transaction(async (db) => {
+            await db.run('DELETE FROM settlement_lines WHERE settlement_id = ?', [id]);
+            await db.run('DELETE FROM settlements WHERE id = ?', [id]);
+        });
+
+        ResponseFormatter.noContent(res, 'Settlement deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting settlement:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete settlement');
+    }
+}));
+
+module.exports = router;
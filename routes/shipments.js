@@ -0,0 +1,268 @@
+/**
+ * Shipment Routes
+ * Handles dispatch of sales orders, shipment status tracking, packing slips and courier manifests
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dashboardCache } = require('../utils/cache');
+const { dbManager } = require('../utils/database');
+const {
+    SHIPMENT_STATUSES, createShipment, updateShipment, changeShipmentStatus, getShipment, getManifestShipments,
+    renderPackingSlipPdf, renderManifestCsv, renderManifestPdf
+} = require('../utils/shipments');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-shipments' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+/**
+ * Map shipment errors to responses
+ */
+function handleShipmentError(res, error, fallback) {
+    if (error.message === 'Shipment not found' || error.message === 'Order not found' ||
+        error.message === 'Stock location not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+    if (error.message.startsWith('Shipment weight') || error.message.startsWith('Shipment dimensions') ||
+        error.message.startsWith('Shipment status must be') || error.message.startsWith('Status date') ||
+        error.message.startsWith('Shipment needs') || error.message === 'No fields to update' ||
+        error.message.includes('is inactive')) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+    if (error.message.startsWith('Order already has a shipment') || error.message.startsWith('AWB number')) {
+        return ResponseFormatter.error(res, error.message, 'Duplicate Shipment', 409);
+    }
+    if (error.message.startsWith('Shipment cannot move') || error.message.startsWith('Shipment is')) {
+        return ResponseFormatter.error(res, error.message, 'Invalid State', 400);
+    }
+    ResponseFormatter.serverError(res, fallback);
+}
+
+// Get shipments (status, courier_name, awb_number, order_id, start_date, end_date on the dispatch date)
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const {
+        status = '', courier_name = '', awb_number = '', order_id = '', start_date = '', end_date = '', page = 1, limit = 50
+    } = req.query;
+
+    if (status && !SHIPMENT_STATUSES.includes(status)) {
+        return ResponseFormatter.error(res, `Status must be one of ${SHIPMENT_STATUSES.join(', ')}`, 'Validation Error', 400);
+    }
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('sh.status = ?');
+            params.push(status);
+        }
+        if (courier_name) {
+            conditions.push('sh.courier_name = ? COLLATE NOCASE');
+            params.push(courier_name);
+        }
+        if (awb_number) {
+            conditions.push('sh.awb_number = ?');
+            params.push(awb_number);
+        }
+        if (order_id) {
+            conditions.push('sh.order_id = ?');
+            params.push(order_id);
+        }
+        if (start_date) {
+            conditions.push('sh.dispatch_date >= ?');
+            params.push(start_date);
+        }
+        if (end_date) {
+            conditions.push('sh.dispatch_date <= ?');
+            params.push(end_date + ' 23:59:59');
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+        const { total } = await dbManager.get(`SELECT COUNT(*) as total FROM shipments sh ${whereClause}`, params);
+        const shipments = await dbManager.all(
+            `SELECT sh.*, o.order_number, o.marketplace_order_id, o.sales_platform,
+                    COALESCE(o.buyer_name, c.name, o.customer_info) as ship_to_name,
+                    (SELECT COUNT(*) FROM returns r WHERE r.shipment_id = sh.id) as return_count
+             FROM shipments sh
+             JOIN sales_orders o ON o.id = sh.order_id
+             LEFT JOIN customers c ON c.id = o.customer_id
+             ${whereClause}
+             ORDER BY sh.created_date DESC, sh.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limitNum, (pageNum - 1) * limitNum]
+        );
+
+        ResponseFormatter.paginated(res, shipments, createPaginationInfo(pageNum, limitNum, total), 'Shipments retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching shipments:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch shipments');
+    }
+}));
+
+// Courier manifest of the shipments dispatched on a date
+// Query: date (YYYY-MM-DD, default today), courier_name, format=pdf|csv|json
+router.get('/manifest', authenticate, asyncHandler(async (req, res) => {
+    const { courier_name = '', format = 'pdf' } = req.query;
+
+    if (!['pdf', 'csv', 'json'].includes(format)) {
+        return ResponseFormatter.error(res, 'Format must be pdf, csv or json', 'Validation Error', 400);
+    }
+    if (req.query.date && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+        return ResponseFormatter.error(res, 'Date must be YYYY-MM-DD', 'Validation Error', 400);
+    }
+
+    try {
+        const date = req.query.date || (await dbManager.get("SELECT DATE('now', 'localtime') as today")).today;
+        const shipments = await getManifestShipments(dbManager, { courier_name, date });
+
+        if (format === 'json') {
+            return ResponseFormatter.success(res, { date, courier_name: courier_name || null, shipments }, 'Manifest retrieved successfully');
+        }
+        if (shipments.length === 0) {
+            return ResponseFormatter.error(res, `No shipments were dispatched on ${date}`, 'Validation Error', 400);
+        }
+
+        const filename = `manifest-${date}${courier_name ? `-${courier_name.replace(/[^A-Za-z0-9]+/g, '-')}` : ''}.${format}`;
+
+        if (format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.type('text/csv').send(renderManifestCsv(shipments));
+        }
+
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        res.type('application/pdf').send(renderManifestPdf(shipments, { date }));
+
+    } catch (error) {
+        logger.error('Error generating manifest:', error);
+        ResponseFormatter.serverError(res, 'Failed to generate manifest');
+    }
+}));
+
+// Get a shipment with its lines, status history and RTO returns
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const shipment = await getShipment(dbManager, req.params.id);
+
+    if (!shipment) {
+        return ResponseFormatter.notFound(res, 'Shipment not found');
+    }
+
+    ResponseFormatter.success(res, shipment, 'Shipment retrieved successfully');
+}));
+
+// Printable packing slip of a shipment
+router.get('/:id/packing-slip', authenticate, asyncHandler(async (req, res) => {
+    const shipment = await getShipment(dbManager, req.params.id);
+
+    if (!shipment) {
+        return ResponseFormatter.notFound(res, 'Shipment not found');
+    }
+
+    res.set('Content-Disposition', `inline; filename="packing-slip-${shipment.shipment_number}.pdf"`);
+    res.type('application/pdf').send(renderPackingSlipPdf(shipment));
+}));
+
+// Pack an order for dispatch
+// { order_id, courier_name, awb_number, weight_grams, length_cm, width_cm, height_cm, notes }
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+    if (!req.body.order_id) {
+        return ResponseFormatter.error(res, 'Order is required', 'Validation Error', 400);
+    }
+
+    try {
+        const shipment = await dbManager.transaction(db => createShipment(db, req.body, req.user.id));
+
+        ResponseFormatter.created(res, shipment, 'Shipment created successfully');
+
+    } catch (error) {
+        logger.error('Error creating shipment:', error);
+        handleShipmentError(res, error, 'Failed to create shipment');
+    }
+}));
+
+// Update the courier and parcel details of a shipment
+router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+    try {
+        const shipment = await dbManager.transaction(db => updateShipment(db, req.params.id, req.body));
+
+        ResponseFormatter.success(res, shipment, 'Shipment updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating shipment:', error);
+        handleShipmentError(res, error, 'Failed to update shipment');
+    }
+}));
+
+// Record a shipment status
+// { status: shipped|in_transit|delivered|rto, remarks, status_date, open_return (rto, default true), restock_location_id }
+router.post('/:id/status', authenticate, asyncHandler(async (req, res) => {
+    const { status, remarks, status_date, open_return, restock_location_id } = req.body;
+
+    try {
+        const result = await dbManager.transaction(db => changeShipmentStatus(db, req.params.id, {
+            status,
+            remarks,
+            status_date,
+            open_return,
+            restock_location_id: restock_location_id ? parseInt(restock_location_id) : null
+        }, req.user.id));
+
+        if (result.returns.length > 0) {
+            dashboardCache.delete('dashboard_stats');
+            logger.info('Returns opened for RTO shipment', {
+                shipment_number: result.shipment.shipment_number,
+                returns: result.returns.map(ret => ret.return_number),
+                userId: req.user.id
+            });
+        }
+
+        ResponseFormatter.success(res, result, `Shipment marked as ${status}`);
+
+    } catch (error) {
+        logger.error('Error updating shipment status:', error);
+        handleShipmentError(res, error, 'Failed to update shipment status');
+    }
+}));
+
+// Delete a shipment that has not been dispatched yet (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    try {
+        await dbManager.transaction(async (db) => {
+            const shipment = await db.get('SELECT status FROM shipments WHERE id = ?', [req.params.id]);
+            if (!shipment) {
+                throw new Error('Shipment not found');
+            }
+            if (shipment.status !== 'packed') {
+                throw new Error(`Shipment is ${shipment.status} and cannot be deleted`);
+            }
+            await db.run('DELETE FROM shipments WHERE id = ?', [req.params.id]);
+        });
+
+        ResponseFormatter.noContent(res, 'Shipment deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting shipment:', error);
+        handleShipmentError(res, error, 'Failed to delete shipment');
+    }
+}));
+
+module.exports = router;
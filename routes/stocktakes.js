@@ -0,0 +1,342 @@
+/**
+ * Stocktake Routes
+ * Handles physical count sessions and the variances they post
+ *
+ * Status flow: open -> approved, or open -> cancelled
+ * Starting a session snapshots the expected quantity and unit cost of every product in scope at the location;
+ * approving it posts counted - expected for each counted line as an inventory_logs entry with reason 'stocktake'.
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dbManager, transactionManager } = require('../utils/database');
+const { resolveLocation } = require('../utils/stock');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-stocktakes' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+const STOCKTAKE_STATUSES = ['open', 'approved', 'cancelled'];
+
+/**
+ * Totals of a stocktake's lines, by units and by value at the snapshot unit cost
+ */
+function summarizeItems(items) {
+    const summary = {
+        total_items: items.length,
+        counted_items: 0,
+        uncounted_items: 0,
+        items_with_variance: 0,
+        units_over: 0,
+        units_short: 0,
+        net_variance_units: 0,
+        value_over: 0,
+        value_short: 0,
+        net_variance_value: 0
+    };
+
+    items.forEach(item => {
+        if (item.counted_quantity === null) {
+            summary.uncounted_items++;
+            return;
+        }
+
+        summary.counted_items++;
+        if (item.variance === 0) {
+            return;
+        }
+
+        summary.items_with_variance++;
+        summary.net_variance_units += item.variance;
+        summary.net_variance_value += item.variance_value;
+        if (item.variance > 0) {
+            summary.units_over += item.variance;
+            summary.value_over += item.variance_value;
+        } else {
+            summary.units_short -= item.variance;
+            summary.value_short -= item.variance_value;
+        }
+    });
+
+    ['value_over', 'value_short', 'net_variance_value'].forEach(key => {
+        summary[key] = Math.round(summary[key] * 100) / 100;
+    });
+
+    return summary;
+}
+
+/**
+ * Map known stocktake errors to responses
+ */
+function handleStocktakeError(res, error, fallbackMessage) {
+    if (error.message === 'Stocktake not found' || error.message === 'Stock location not found') {
+        return ResponseFormatter.notFound(res, error.message);
+    }
+
+    if (error.message.startsWith('Cannot ') || error.message.startsWith('No products') ||
+        error.message.includes('is not part of this stocktake') || error.message.includes('is inactive') ||
+        error.message.startsWith('Insufficient stock')) {
+        return ResponseFormatter.error(res, error.message, 'Validation Error', 400);
+    }
+
+    ResponseFormatter.serverError(res, fallbackMessage);
+}
+
+// Get all stocktakes with pagination and filtering
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status = '', location_id = '' } = req.query;
+
+    if (status && !STOCKTAKE_STATUSES.includes(status)) {
+        return ResponseFormatter.error(res, `Status must be one of: ${STOCKTAKE_STATUSES.join(', ')}`, 'Validation Error', 400);
+    }
+
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('st.status = ?');
+            params.push(status);
+        }
+
+        if (location_id) {
+            conditions.push('st.location_id = ?');
+            params.push(location_id);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const stocktakes = await dbManager.all(
+            `SELECT
+                st.*,
+                l.name as location_name,
+                (SELECT COUNT(*) FROM stocktake_items si WHERE si.stocktake_id = st.id) as item_count,
+                (SELECT COUNT(*) FROM stocktake_items si
+                 WHERE si.stocktake_id = st.id AND si.counted_quantity IS NOT NULL) as counted_count,
+                (SELECT COALESCE(SUM((si.counted_quantity - si.expected_quantity) * si.unit_cost), 0) FROM stocktake_items si
+                 WHERE si.stocktake_id = st.id AND si.counted_quantity IS NOT NULL) as net_variance_value
+             FROM stocktakes st
+             JOIN stock_locations l ON l.id = st.location_id
+             ${whereClause}
+             ORDER BY st.created_date DESC, st.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const countResult = await dbManager.get(`SELECT COUNT(*) as total FROM stocktakes st ${whereClause}`, params);
+
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+
+        ResponseFormatter.paginated(res, stocktakes, pagination, 'Stocktakes retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching stocktakes:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch stocktakes');
+    }
+}));
+
+// Get stocktake by ID with its lines and variance summary
+// variances_only=true leaves out lines that are uncounted or match the expected quantity
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { variances_only = 'false' } = req.query;
+
+    const stocktake = await dbManager.get(
+        `SELECT st.*, l.name as location_name
+         FROM stocktakes st
+         JOIN stock_locations l ON l.id = st.location_id
+         WHERE st.id = ?`,
+        [id]
+    );
+
+    if (!stocktake) {
+        return ResponseFormatter.notFound(res, 'Stocktake not found');
+    }
+
+    const items = await dbManager.all(
+        `SELECT si.*,
+                si.counted_quantity - si.expected_quantity as variance,
+                ROUND((si.counted_quantity - si.expected_quantity) * si.unit_cost, 2) as variance_value,
+                p.name as product_name, p.sku, p.barcode, p.brand, p.model, p.color
+         FROM stocktake_items si
+         JOIN products p ON p.id = si.product_id
+         WHERE si.stocktake_id = ?
+         ORDER BY p.brand, p.model, p.name`,
+        [id]
+    );
+
+    stocktake.summary = summarizeItems(items);
+    stocktake.items = variances_only === 'true'
+        ? items.filter(item => item.counted_quantity !== null && item.variance !== 0)
+        : items;
+
+    ResponseFormatter.success(res, stocktake, 'Stocktake retrieved successfully');
+}));
+
+// Start a stocktake at a location, optionally scoped to a brand and/or model
+// Body: { location_id, brand, model, notes }
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+    const { location_id, brand, model, notes } = req.body;
+
+    try {
+        const stocktakeId = await dbManager.transaction(async (db) => {
+            const location = await resolveLocation(db, location_id);
+
+            const open = await db.get(
+                "SELECT stocktake_number FROM stocktakes WHERE location_id = ? AND status = 'open'",
+                [location.id]
+            );
+            if (open) {
+                throw new Error(`Cannot start a stocktake at ${location.name} while ${open.stocktake_number} is open`);
+            }
+
+            const conditions = ["p.product_type NOT IN ('design', 'bundle')"];
+            const params = [location.id];
+
+            if (brand) {
+                conditions.push('p.brand = ?');
+                params.push(brand);
+            }
+
+            if (model) {
+                conditions.push('p.model = ?');
+                params.push(model);
+            }
+
+            const result = await db.run(
+                'INSERT INTO stocktakes (location_id, scope_brand, scope_model, notes, created_by) VALUES (?, ?, ?, ?, ?)',
+                [location.id, brand || null, model || null, notes, req.user.id]
+            );
+            await db.run(
+                'UPDATE stocktakes SET stocktake_number = ? WHERE id = ?',
+                [`STK-${String(result.lastID).padStart(6, '0')}`, result.lastID]
+            );
+
+            // Snapshot what the system expects to be on the shelf, and what it is worth
+            const snapshot = await db.run(
+                `INSERT INTO stocktake_items (stocktake_id, product_id, expected_quantity, unit_cost)
+                 SELECT ${result.lastID}, p.id, COALESCE(ps.quantity, 0), COALESCE(p.average_cost, p.cost_price, 0)
+                 FROM products p
+                 LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.location_id = ?
+                 WHERE ${conditions.join(' AND ')}`,
+                params
+            );
+            if (snapshot.changes === 0) {
+                throw new Error('No products match the stocktake scope');
+            }
+
+            return result.lastID;
+        });
+
+        const stocktake = await dbManager.get('SELECT * FROM stocktakes WHERE id = ?', [stocktakeId]);
+
+        ResponseFormatter.created(res, stocktake, 'Stocktake started successfully');
+
+    } catch (error) {
+        logger.error('Error starting stocktake:', error);
+        handleStocktakeError(res, error, 'Failed to start stocktake');
+    }
+}));
+
+// Record counted quantities; counting a product again overwrites its previous count
+// Body: { counts: [{ product_id, counted_quantity }] }
+router.put('/:id/counts', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { counts } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+        return ResponseFormatter.error(res, 'counts must be a non-empty array of { product_id, counted_quantity }', 'Validation Error', 400);
+    }
+
+    const invalid = counts.find(count =>
+        !Number.isInteger(Number(count.product_id)) ||
+        !Number.isInteger(Number(count.counted_quantity)) || Number(count.counted_quantity) < 0
+    );
+    if (invalid) {
+        return ResponseFormatter.error(res, 'Each count needs a product_id and a non-negative whole counted_quantity', 'Validation Error', 400);
+    }
+
+    try {
+        await dbManager.transaction(async (db) => {
+            const stocktake = await db.get('SELECT status FROM stocktakes WHERE id = ?', [id]);
+            if (!stocktake) {
+                throw new Error('Stocktake not found');
+            }
+            if (stocktake.status !== 'open') {
+                throw new Error(`Cannot record counts, stocktake is ${stocktake.status}`);
+            }
+
+            for (const count of counts) {
+                const result = await db.run(
+                    `UPDATE stocktake_items SET counted_quantity = ?, counted_by = ?, counted_date = CURRENT_TIMESTAMP
+                     WHERE stocktake_id = ? AND product_id = ?`,
+                    [parseInt(count.counted_quantity), req.user.id, id, parseInt(count.product_id)]
+                );
+                if (result.changes === 0) {
+                    throw new Error(`Product ${count.product_id} is not part of this stocktake`);
+                }
+            }
+
+            await db.run('UPDATE stocktakes SET updated_date = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        });
+
+        ResponseFormatter.success(res, { counted: counts.length }, 'Counts recorded successfully');
+
+    } catch (error) {
+        logger.error('Error recording stocktake counts:', error);
+        handleStocktakeError(res, error, 'Failed to record counts');
+    }
+}));
+
+// Approve stocktake and post its variances (admin only)
+router.post('/:id/approve', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await transactionManager.postStocktake(id, { approved_by: req.user.id });
+
+        ResponseFormatter.success(res, result, 'Stocktake approved and variances posted');
+
+    } catch (error) {
+        logger.error('Error approving stocktake:', error);
+        handleStocktakeError(res, error, 'Failed to approve stocktake');
+    }
+}));
+
+// Cancel an open stocktake without touching stock (admin only)
+router.post('/:id/cancel', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await dbManager.run(
+        "UPDATE stocktakes SET status = 'cancelled', updated_date = CURRENT_TIMESTAMP WHERE id = ? AND status = 'open'",
+        [id]
+    );
+
+    if (result.changes === 0) {
+        const stocktake = await dbManager.get('SELECT status FROM stocktakes WHERE id = ?', [id]);
+        if (!stocktake) {
+            return ResponseFormatter.notFound(res, 'Stocktake not found');
+        }
+        return ResponseFormatter.error(res, `Cannot cancel stocktake, it is ${stocktake.status}`, 'Invalid State', 400);
+    }
+
+    ResponseFormatter.success(res, null, 'Stocktake cancelled successfully');
+}));
+
+module.exports = router;
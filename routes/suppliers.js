@@ -0,0 +1,207 @@
+/**
+ * Supplier Routes
+ * Handles the suppliers that purchase orders are placed with
+ */
+
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { ResponseFormatter, asyncHandler, createPaginationInfo } = require('../middleware/response');
+const { dbManager } = require('../utils/database');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Logger instance
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+    ),
+    defaultMeta: { service: 'mobile-cover-inventory-suppliers' },
+    transports: [
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ],
+});
+
+const SUPPLIER_FIELDS = ['name', 'contact_name', 'phone', 'email', 'address', 'gstin', 'notes'];
+
+// Get all suppliers with pagination and search
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search = '', include_inactive = 'false' } = req.query;
+
+    try {
+        const offset = (page - 1) * limit;
+        const conditions = [];
+        const params = [];
+
+        if (search) {
+            conditions.push('(s.name LIKE ? OR s.contact_name LIKE ? OR s.phone LIKE ? OR s.email LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        if (include_inactive !== 'true') {
+            conditions.push('s.is_active = 1');
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const suppliers = await dbManager.all(
+            `SELECT
+                s.*,
+                (SELECT COUNT(*) FROM purchase_orders po WHERE po.supplier_id = s.id) as order_count,
+                (SELECT COUNT(*) FROM purchase_orders po
+                 WHERE po.supplier_id = s.id AND po.status IN ('sent', 'partially_received')) as open_order_count
+             FROM suppliers s
+             ${whereClause}
+             ORDER BY s.name
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const countResult = await dbManager.get(`SELECT COUNT(*) as total FROM suppliers s ${whereClause}`, params);
+
+        const pagination = createPaginationInfo(page, limit, countResult.total);
+
+        ResponseFormatter.paginated(res, suppliers, pagination, 'Suppliers retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error fetching suppliers:', error);
+        ResponseFormatter.serverError(res, 'Failed to fetch suppliers');
+    }
+}));
+
+// Get supplier by ID with purchasing totals
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const supplier = await dbManager.get('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+    if (!supplier) {
+        return ResponseFormatter.notFound(res, 'Supplier not found');
+    }
+
+    supplier.purchasing = await dbManager.get(
+        `SELECT
+            COUNT(DISTINCT gr.id) as receipt_count,
+            COALESCE(SUM(gri.quantity), 0) as units_received,
+            COALESCE(SUM(gri.quantity * gri.unit_cost), 0) as total_spend,
+            MAX(gr.received_date) as last_received_date
+         FROM purchase_orders po
+         JOIN goods_receipts gr ON gr.po_id = po.id
+         JOIN goods_receipt_items gri ON gri.receipt_id = gr.id
+         WHERE po.supplier_id = ?`,
+        [id]
+    );
+
+    ResponseFormatter.success(res, supplier, 'Supplier retrieved successfully');
+}));
+
+// Create supplier (admin only)
+router.post('/', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { name, contact_name, phone, email, address, gstin, notes } = req.body;
+
+    if (!name || !name.trim()) {
+        return ResponseFormatter.error(res, 'Supplier name is required', 'Validation Error', 400);
+    }
+
+    try {
+        const result = await dbManager.run(
+            `INSERT INTO suppliers (name, contact_name, phone, email, address, gstin, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [name.trim(), contact_name, phone, email, address, gstin, notes]
+        );
+
+        const supplier = await dbManager.get('SELECT * FROM suppliers WHERE id = ?', [result.lastID]);
+
+        ResponseFormatter.created(res, supplier, 'Supplier created successfully');
+
+    } catch (error) {
+        logger.error('Error creating supplier:', error);
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return ResponseFormatter.conflict(res, 'Supplier already exists');
+        }
+        ResponseFormatter.serverError(res, 'Failed to create supplier');
+    }
+}));
+
+// Update supplier (admin only)
+router.put('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const updateFields = [];
+        const updateParams = [];
+
+        SUPPLIER_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateParams.push(req.body[field]);
+            }
+        });
+
+        if (req.body.is_active !== undefined) {
+            updateFields.push('is_active = ?');
+            updateParams.push(req.body.is_active ? 1 : 0);
+        }
+
+        if (updateFields.length === 0) {
+            return ResponseFormatter.error(res, 'No fields to update', 'Validation Error', 400);
+        }
+
+        updateFields.push('updated_date = CURRENT_TIMESTAMP');
+        updateParams.push(id);
+
+        const result = await dbManager.run(`UPDATE suppliers SET ${updateFields.join(', ')} WHERE id = ?`, updateParams);
+
+        if (result.changes === 0) {
+            return ResponseFormatter.notFound(res, 'Supplier not found');
+        }
+
+        const supplier = await dbManager.get('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+        ResponseFormatter.success(res, supplier, 'Supplier updated successfully');
+
+    } catch (error) {
+        logger.error('Error updating supplier:', error);
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return ResponseFormatter.conflict(res, 'Supplier already exists');
+        }
+        ResponseFormatter.serverError(res, 'Failed to update supplier');
+    }
+}));
+
+// Delete supplier (admin only)
+router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const supplier = await dbManager.get('SELECT id FROM suppliers WHERE id = ?', [id]);
+        if (!supplier) {
+            return ResponseFormatter.notFound(res, 'Supplier not found');
+        }
+
+        // Suppliers with order history are deactivated instead
+        const orderCount = await dbManager.get('SELECT COUNT(*) as count FROM purchase_orders WHERE supplier_id = ?', [id]);
+        if (orderCount.count > 0) {
+            return ResponseFormatter.error(
+                res,
+                'Cannot delete supplier with purchase orders, deactivate it instead',
+                'Dependency Error',
+                409
+            );
+        }
+
+        await dbManager.run('DELETE FROM suppliers WHERE id = ?', [id]);
+
+        ResponseFormatter.noContent(res, 'Supplier deleted successfully');
+
+    } catch (error) {
+        logger.error('Error deleting supplier:', error);
+        ResponseFormatter.serverError(res, 'Failed to delete supplier');
+    }
+}));
+
+module.exports = router;
@@ -14,14 +14,16 @@ const winston = require('winston');
 const { phoneModelsCache, colorsCache, dashboardCache } = require('./utils/cache');
 const { dbManager, transactionManager } = require('./utils/database');
 const { AnalyticsEngine } = require('./utils/analytics-engine');
+const { categorySubtreeCondition } = require('./utils/categories');
 const {
     securityMiddleware,
     sanitizeInput,
     errorHandler,
     csrfProtection
 } = require('./middleware/security');
-const { authenticate, requireAdmin, getCurrentUser } = require('./middleware/auth');
+const { authenticate, requireAdmin, getCurrentUser, checkSession } = require('./middleware/auth');
 const { ResponseFormatter, asyncHandler } = require('./middleware/response');
+const { idempotency } = require('./middleware/idempotency');
 
 // Import modular routes
 const authRoutes = require('./routes/auth');
@@ -29,6 +31,17 @@ const productsRoutes = require('./routes/products');
 const salesRoutes = require('./routes/sales');
 const employeesRoutes = require('./routes/employees');
 const returnsRoutes = require('./routes/returns');
+const locationsRoutes = require('./routes/locations');
+const suppliersRoutes = require('./routes/suppliers');
+const purchaseOrdersRoutes = require('./routes/purchase-orders');
+const stocktakesRoutes = require('./routes/stocktakes');
+const replenishmentRoutes = require('./routes/replenishment');
+const categoriesRoutes = require('./routes/categories');
+const customersRoutes = require('./routes/customers');
+const feeSchedulesRoutes = require('./routes/fee-schedules');
+const marketplaceImportsRoutes = require('./routes/marketplace-imports');
+const settlementsRoutes = require('./routes/settlements');
+const shipmentsRoutes = require('./routes/shipments');
 
 // Configuration from environment variables
 const PORT = process.env.PORT || 3000;
@@ -146,6 +159,7 @@ app.use('/api/auth', authRoutes);
 
 // Product management routes
 app.use('/api/products', productsRoutes);
+app.use('/api/categories', categoriesRoutes);
 
 // Sales routes
 app.use('/api/sales', salesRoutes);
@@ -156,9 +170,36 @@ app.use('/api/employees', employeesRoutes);
 // Returns management routes
 app.use('/api/returns', returnsRoutes);
 
+// Customers and their purchase history
+app.use('/api/customers', customersRoutes);
+
+// Marketplace fee schedules
+app.use('/api/fee-schedules', feeSchedulesRoutes);
+
+// Marketplace order report imports
+app.use('/api/marketplace-imports', marketplaceImportsRoutes);
+
+// Marketplace settlements and payout reconciliation
+app.use('/api/settlements', settlementsRoutes);
+
+// Shipments, packing slips and courier manifests
+app.use('/api/shipments', shipmentsRoutes);
+
+// Stock locations and transfers
+app.use('/api/locations', locationsRoutes);
+
+// Suppliers, purchase orders and goods receipts
+app.use('/api/suppliers', suppliersRoutes);
+app.use('/api/purchase-orders', purchaseOrdersRoutes);
+app.use('/api/stocktakes', stocktakesRoutes);
+
+// Reorder suggestions and purchase lists
+app.use('/api/replenishment', replenishmentRoutes);
+
 // ==================== ENHANCED API ENDPOINTS ====================
 
 // File upload endpoints (maintained for backward compatibility)
+// Sign-in is optional; a signed-in user's Idempotency-Keys are kept apart from anonymous ones
 const multer = require('multer');
 const { createSecureUpload } = require('./middleware/security');
 
@@ -171,7 +212,7 @@ const upload = createSecureUpload({
 });
 
 // Upload product image
-app.post('/api/upload', upload.single('image'), asyncHandler(async (req, res) => {
+app.post('/api/upload', checkSession, upload.single('image'), idempotency, asyncHandler(async (req, res) => {
     if (!req.file) {
         return ResponseFormatter.error(res, 'No file uploaded', 'Validation Error', 400);
     }
@@ -183,7 +224,7 @@ app.post('/api/upload', upload.single('image'), asyncHandler(async (req, res) =>
 }));
 
 // Upload return slip
-app.post('/api/upload-return-slip', upload.single('slip'), asyncHandler(async (req, res) => {
+app.post('/api/upload-return-slip', checkSession, upload.single('slip'), idempotency, asyncHandler(async (req, res) => {
     if (!req.file) {
         return ResponseFormatter.error(res, 'No slip file uploaded', 'Validation Error', 400);
     }
@@ -197,7 +238,7 @@ app.post('/api/upload-return-slip', upload.single('slip'), asyncHandler(async (r
 }));
 
 // Upload sale slip
-app.post('/api/upload-sale-slip', upload.single('slip'), asyncHandler(async (req, res) => {
+app.post('/api/upload-sale-slip', checkSession, upload.single('slip'), idempotency, asyncHandler(async (req, res) => {
     if (!req.file) {
         return ResponseFormatter.error(res, 'No slip file uploaded', 'Validation Error', 400);
     }
@@ -218,12 +259,13 @@ app.get('/api/dashboard', asyncHandler(async (req, res) => {
         const stats = await dashboardCache.getOrFetch('dashboard_stats', async () => {
             return await dbManager.get(`
                 SELECT 
-                    (SELECT COUNT(*) FROM products) as total_products,
-                    (SELECT COUNT(*) FROM products WHERE quantity <= 10) as low_stock_count,
-                    (SELECT COUNT(*) FROM products WHERE quantity = 0) as out_of_stock_count,
-                    (SELECT COUNT(*) FROM sales WHERE DATE(sale_date) = DATE('now')) as today_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_sales,
+                    (SELECT COUNT(*) FROM products WHERE product_type NOT IN ('design', 'bundle') AND status = 'active') as total_products,
+                    (SELECT COUNT(*) FROM products p JOIN product_reorder_levels rl ON rl.product_id = p.id
+                     WHERE p.product_type NOT IN ('design', 'bundle') AND p.status = 'active' AND p.quantity <= rl.effective_reorder_point) as low_stock_count,
+                    (SELECT COUNT(*) FROM products WHERE product_type NOT IN ('design', 'bundle') AND status = 'active' AND quantity = 0) as out_of_stock_count,
+                    (SELECT COUNT(*) FROM sales_orders WHERE DATE(order_date) = DATE('now')) as today_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-7 days')) as week_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-30 days')) as month_sales,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_revenue,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_revenue,
                     (SELECT COUNT(*) FROM employees WHERE is_active = 1) as active_employees,
@@ -246,12 +288,13 @@ app.get('/api/dashboard/enhanced', authenticate, asyncHandler(async (req, res) =
         const stats = await dashboardCache.getOrFetch('enhanced_dashboard_stats', async () => {
             return await dbManager.get(`
                 SELECT 
-                    (SELECT COUNT(*) FROM products) as total_products,
-                    (SELECT COUNT(*) FROM products WHERE quantity <= 10) as low_stock_count,
-                    (SELECT COUNT(*) FROM products WHERE quantity = 0) as out_of_stock_count,
-                    (SELECT COUNT(*) FROM sales WHERE DATE(sale_date) = DATE('now')) as today_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_sales,
-                    (SELECT COUNT(*) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_sales,
+                    (SELECT COUNT(*) FROM products WHERE product_type NOT IN ('design', 'bundle') AND status = 'active') as total_products,
+                    (SELECT COUNT(*) FROM products p JOIN product_reorder_levels rl ON rl.product_id = p.id
+                     WHERE p.product_type NOT IN ('design', 'bundle') AND p.status = 'active' AND p.quantity <= rl.effective_reorder_point) as low_stock_count,
+                    (SELECT COUNT(*) FROM products WHERE product_type NOT IN ('design', 'bundle') AND status = 'active' AND quantity = 0) as out_of_stock_count,
+                    (SELECT COUNT(*) FROM sales_orders WHERE DATE(order_date) = DATE('now')) as today_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-7 days')) as week_sales,
+                    (SELECT COUNT(*) FROM sales_orders WHERE order_date >= date('now', '-30 days')) as month_sales,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-7 days')) as week_revenue,
                     (SELECT SUM(total_amount) FROM sales WHERE sale_date >= date('now', '-30 days')) as month_revenue,
                     (SELECT COUNT(*) FROM employees WHERE is_active = 1) as active_employees,
@@ -278,6 +321,8 @@ app.get('/api/analytics/profit-analysis', authenticate, asyncHandler(async (req,
         end_date = '', 
         product_id = '', 
         sales_platform = '',
+        category_id = '',
+        category_depth = '',
         group_by = 'product'
     } = req.query;
     
@@ -302,6 +347,14 @@ app.get('/api/analytics/profit-analysis', authenticate, asyncHandler(async (req,
             params.push(sales_platform);
         }
         
+        // A category includes its subcategories
+        let categoryFilter = '';
+        if (category_id) {
+            categoryFilter = `AND ${categorySubtreeCondition('p.category_id')}`;
+            params.push(category_id);
+        }
+        
+        let categoryJoin = '';
         let groupByClause = '';
         switch (group_by) {
             case 'product':
@@ -313,31 +366,60 @@ app.get('/api/analytics/profit-analysis', authenticate, asyncHandler(async (req,
             case 'brand':
                 groupByClause = 'p.brand as group_name';
                 break;
+            case 'design':
+                // Variants roll up into their parent design
+                groupByClause = 'dp.name as group_name, dp.id as group_id';
+                break;
             case 'month':
                 groupByClause = "strftime('%Y-%m', s.sale_date) as group_name";
                 break;
+            case 'category':
+                // Sales count towards their category and every category above it, so each row is a rollup
+                // of its subtree; category_depth limits the rows to the top levels (0 = top level only)
+                categoryJoin = `
+                    LEFT JOIN category_closure cc ON cc.category_id = p.category_id
+                    LEFT JOIN categories c ON c.id = cc.ancestor_id`;
+                groupByClause = "c.id as group_id, COALESCE(c.path, 'Uncategorized') as group_name, c.parent_id as parent_id, c.depth as depth";
+                if (category_depth !== '') {
+                    categoryFilter += ' AND (c.id IS NULL OR c.depth <= ?)';
+                    params.push(parseInt(category_depth));
+                }
+                break;
             default:
                 groupByClause = 'p.name as group_name, p.id as group_id';
         }
         
+        // Cost of goods stored on the sale by the costing method; sales from before costs
+        // were recorded fall back to the current cost price
+        const saleCost = 'COALESCE(s.cogs, s.quantity_sold * COALESCE(s.unit_cost, p.cost_price))';
+        // Net of marketplace fees and the GST on them; sales recorded before fees were
+        // worked out count as fee free
+        const saleNetProfit = `COALESCE(s.net_profit, s.total_amount - (${saleCost}))`;
+        
         const sql = `
             SELECT 
                 ${groupByClause},
                 SUM(s.quantity_sold) as total_sold,
                 SUM(s.total_amount) as total_revenue,
-                SUM(s.quantity_sold * p.cost_price) as total_cost,
-                SUM(s.total_amount - (s.quantity_sold * p.cost_price)) as total_profit,
+                SUM(${saleCost}) as total_cost,
+                SUM(s.total_amount - (${saleCost})) as total_profit,
                 AVG(s.total_amount) as avg_sale_amount,
-                COUNT(s.id) as transaction_count,
+                COUNT(DISTINCT s.order_id) as transaction_count,
                 ROUND(
-                    ((SUM(s.total_amount) - SUM(s.quantity_sold * p.cost_price)) / 
-                     SUM(s.quantity_sold * p.cost_price)) * 100, 2
-                ) as profit_margin_percentage
+                    ((SUM(s.total_amount) - SUM(${saleCost})) / 
+                     SUM(${saleCost})) * 100, 2
+                ) as profit_margin_percentage,
+                ROUND(SUM(COALESCE(s.marketplace_fees, 0) + COALESCE(s.fee_gst, 0)), 2) as total_fees,
+                ROUND(SUM(COALESCE(s.net_payout, s.total_amount)), 2) as net_payout,
+                ROUND(SUM(${saleNetProfit}), 2) as total_net_profit,
+                ROUND(SUM(${saleNetProfit}) * 100.0 / NULLIF(SUM(s.total_amount), 0), 2) as net_margin_percentage
             FROM sales s
             LEFT JOIN products p ON s.product_id = p.id
-            WHERE 1=1 ${dateFilter} ${productFilter} ${platformFilter}
-            GROUP BY ${groupByClause}
-            ORDER BY total_profit DESC
+            LEFT JOIN products dp ON dp.id = COALESCE(p.parent_id, p.id)
+            ${categoryJoin}
+            WHERE 1=1 ${dateFilter} ${productFilter} ${platformFilter} ${categoryFilter}
+            GROUP BY ${groupByClause.replace(/ as \w+/g, '')}
+            ORDER BY ${group_by === 'category' ? 'group_name' : 'total_profit DESC'}
         `;
         
         const results = await dbManager.all(sql, params);
@@ -350,8 +432,10 @@ app.get('/api/analytics/profit-analysis', authenticate, asyncHandler(async (req,
     }
 }));
 
-// Inventory valuation report
+// Inventory valuation report (by_location=true adds a per-location breakdown)
 app.get('/api/analytics/inventory-valuation', authenticate, asyncHandler(async (req, res) => {
+    const { by_location = 'false' } = req.query;
+    
     try {
         const valuation = await dbManager.get(`
             SELECT 
@@ -359,15 +443,20 @@ app.get('/api/analytics/inventory-valuation', authenticate, asyncHandler(async (
                 SUM(p.quantity * p.selling_price) as total_selling_value,
                 SUM(p.quantity * (p.selling_price - p.cost_price)) as total_potential_profit,
                 SUM(CASE WHEN p.quantity = 0 THEN 1 ELSE 0 END) as out_of_stock_items,
-                SUM(CASE WHEN p.quantity <= 10 AND p.quantity > 0 THEN 1 ELSE 0 END) as low_stock_items,
-                SUM(CASE WHEN p.quantity > 10 THEN 1 ELSE 0 END) as well_stocked_items
+                SUM(CASE WHEN p.quantity <= rl.effective_reorder_point AND p.quantity > 0 THEN 1 ELSE 0 END) as low_stock_items,
+                SUM(CASE WHEN p.quantity > rl.effective_reorder_point THEN 1 ELSE 0 END) as well_stocked_items
             FROM products p
+            JOIN product_reorder_levels rl ON rl.product_id = p.id
+            WHERE p.product_type NOT IN ('design', 'bundle')
         `);
         
-        // Get valuation by category
+        // Get valuation by category; each category includes its subcategories
         const categoryValuation = await dbManager.all(`
             SELECT 
-                COALESCE(p.brand, 'Unknown') as category,
+                c.id as category_id,
+                COALESCE(c.path, 'Uncategorized') as category,
+                c.parent_id,
+                c.depth,
                 COUNT(p.id) as item_count,
                 SUM(p.quantity) as total_quantity,
                 SUM(p.quantity * p.cost_price) as cost_value,
@@ -375,14 +464,74 @@ app.get('/api/analytics/inventory-valuation', authenticate, asyncHandler(async (
                 SUM(p.quantity * (p.selling_price - p.cost_price)) as potential_profit,
                 ROUND(AVG(p.selling_price), 2) as avg_selling_price
             FROM products p
+            LEFT JOIN category_closure cc ON cc.category_id = p.category_id
+            LEFT JOIN categories c ON c.id = cc.ancestor_id
+            WHERE p.product_type NOT IN ('design', 'bundle')
+            GROUP BY c.id
+            ORDER BY COALESCE(c.path, 'Uncategorized')
+        `);
+        
+        // Get valuation by brand
+        const brandValuation = await dbManager.all(`
+            SELECT 
+                COALESCE(p.brand, 'Unknown') as brand,
+                COUNT(p.id) as item_count,
+                SUM(p.quantity) as total_quantity,
+                SUM(p.quantity * p.cost_price) as cost_value,
+                SUM(p.quantity * p.selling_price) as selling_value,
+                SUM(p.quantity * (p.selling_price - p.cost_price)) as potential_profit,
+                ROUND(AVG(p.selling_price), 2) as avg_selling_price
+            FROM products p
+            WHERE p.product_type NOT IN ('design', 'bundle')
             GROUP BY p.brand
             ORDER BY cost_value DESC
         `);
         
-        ResponseFormatter.success(res, {
+        // Get valuation rolled up to designs (simple products stand alone)
+        const designValuation = await dbManager.all(`
+            SELECT 
+                dp.id as design_id,
+                dp.name as design_name,
+                COUNT(p.id) as variant_count,
+                SUM(p.quantity) as total_quantity,
+                SUM(p.quantity * p.cost_price) as cost_value,
+                SUM(p.quantity * p.selling_price) as selling_value,
+                SUM(p.quantity * (p.selling_price - p.cost_price)) as potential_profit
+            FROM products p
+            JOIN products dp ON dp.id = COALESCE(p.parent_id, p.id)
+            WHERE p.product_type NOT IN ('design', 'bundle')
+            GROUP BY dp.id, dp.name
+            ORDER BY cost_value DESC
+        `);
+        
+        const result = {
             overall_valuation: valuation,
-            category_breakdown: categoryValuation
-        }, 'Inventory valuation retrieved successfully');
+            category_breakdown: categoryValuation,
+            brand_breakdown: brandValuation,
+            design_breakdown: designValuation
+        };
+        
+        if (by_location === 'true') {
+            result.location_breakdown = await dbManager.all(`
+                SELECT 
+                    l.id as location_id,
+                    l.code,
+                    l.name as location_name,
+                    COUNT(CASE WHEN ps.quantity > 0 THEN 1 END) as item_count,
+                    COALESCE(SUM(ps.quantity), 0) as total_quantity,
+                    COALESCE(SUM(ps.quantity * p.cost_price), 0) as cost_value,
+                    COALESCE(SUM(ps.quantity * p.selling_price), 0) as selling_value,
+                    COALESCE(SUM(ps.quantity * (p.selling_price - p.cost_price)), 0) as potential_profit
+                FROM stock_locations l
+                LEFT JOIN product_stock ps ON ps.location_id = l.id
+                LEFT JOIN products p ON p.id = ps.product_id
+                WHERE l.is_active = 1
+                GROUP BY l.id, l.code, l.name
+                ORDER BY cost_value DESC
+            `);
+        }
+        
+        ResponseFormatter.success(res, result, 'Inventory valuation retrieved successfully');
         
     } catch (error) {
         logger.error('Error fetching inventory valuation:', error);
@@ -499,19 +648,28 @@ app.get('/api/analytics/platform-comparison', authenticate, asyncHandler(async (
             ORDER BY total_revenue DESC
         `, params);
         
-        // Get sales comparison by platform
+        // Get sales comparison by platform, ranked by what is kept after marketplace fees and cost of goods
+        const saleCost = 'COALESCE(s.cogs, s.quantity_sold * COALESCE(s.unit_cost, p.cost_price))';
+        const saleNetProfit = `COALESCE(s.net_profit, s.total_amount - (${saleCost}))`;
         const salesByPlatform = await dbManager.all(`
             SELECT 
                 s.sales_platform as platform,
-                COUNT(*) as total_sales,
+                COUNT(DISTINCT s.order_id) as total_sales,
                 SUM(s.total_amount) as total_revenue,
                 SUM(s.quantity_sold) as total_quantity_sold,
-                ROUND(AVG(s.total_amount), 2) as avg_sale_amount,
-                ROUND(AVG(s.sale_price), 2) as avg_unit_price
+                ROUND(SUM(s.total_amount) / COUNT(DISTINCT s.order_id), 2) as avg_sale_amount,
+                ROUND(AVG(s.sale_price), 2) as avg_unit_price,
+                ROUND(SUM(COALESCE(s.marketplace_fees, 0)), 2) as total_fees,
+                ROUND(SUM(COALESCE(s.fee_gst, 0)), 2) as total_fee_gst,
+                ROUND(SUM(COALESCE(s.net_payout, s.total_amount)), 2) as net_payout,
+                ROUND(SUM(${saleCost}), 2) as total_cost,
+                ROUND(SUM(${saleNetProfit}), 2) as net_profit,
+                ROUND(SUM(${saleNetProfit}) * 100.0 / NULLIF(SUM(s.total_amount), 0), 2) as net_margin
             FROM sales s
+            LEFT JOIN products p ON s.product_id = p.id
             WHERE s.sales_platform IS NOT NULL AND s.sales_platform != ''
             GROUP BY s.sales_platform
-            ORDER BY total_revenue DESC
+            ORDER BY net_margin DESC, net_profit DESC
         `);
         
         ResponseFormatter.success(res, {
@@ -527,23 +685,107 @@ app.get('/api/analytics/platform-comparison', authenticate, asyncHandler(async (
 
 // ==================== REAL-TIME DATA ENDPOINTS ====================
 
-// Real-time stock alerts
+// Real-time stock alerts (by_location=true checks each location's own stock, by_model=true groups them per handset)
+// Each product is checked against its own reorder point; threshold overrides it for every product
+// model (and brand) limit the alerts to products that fit that handset, including compatible ones
 app.get('/api/alerts/stock', authenticate, asyncHandler(async (req, res) => {
-    const { threshold = 10 } = req.query;
+    const { threshold = '', by_location = 'false', location_id = '', by_model = 'false', brand = '', model = '' } = req.query;
+    
+    const reorderPoint = threshold !== '' ? '?' : 'rl.effective_reorder_point';
+    const thresholdParams = threshold !== '' ? [parseInt(threshold)] : [];
+    
+    const handsetConditions = [];
+    const handsetParams = [];
+    if (brand) {
+        handsetConditions.push('ph.brand = ?');
+        handsetParams.push(brand);
+    }
+    if (model) {
+        handsetConditions.push('ph.model = ?');
+        handsetParams.push(model);
+    }
+    const handsetFilter = handsetConditions.length > 0
+        ? `AND EXISTS (SELECT 1 FROM product_handsets ph WHERE ph.product_id = p.id AND ${handsetConditions.join(' AND ')})`
+        : '';
     
     try {
+        if (by_location === 'true' || location_id) {
+            // Only locations that stock the product are checked, so a product that
+            // has never been sent to a location does not raise an alert there
+            const locationAlerts = await dbManager.all(`
+                SELECT 
+                    l.id as location_id, l.name as location_name,
+                    p.id, p.name, p.brand, p.model, p.color, ps.quantity,
+                    rl.effective_reorder_point as reorder_point, rl.effective_safety_stock as safety_stock,
+                    CASE WHEN ps.quantity = 0 THEN 'out_of_stock' ELSE 'low_stock' END as alert_level
+                FROM product_stock ps
+                JOIN products p ON p.id = ps.product_id
+                JOIN product_reorder_levels rl ON rl.product_id = p.id
+                JOIN stock_locations l ON l.id = ps.location_id
+                WHERE ps.quantity <= ${reorderPoint} AND l.is_active = 1 AND p.product_type NOT IN ('design', 'bundle') AND p.status = 'active'
+                  ${location_id ? 'AND l.id = ?' : ''}
+                  ${handsetFilter}
+                ORDER BY l.is_default DESC, l.name, ps.quantity ASC
+            `, [...thresholdParams, ...(location_id ? [location_id] : []), ...handsetParams]);
+            
+            const locations = [];
+            locationAlerts.forEach(({ location_id: id, location_name, ...item }) => {
+                let group = locations.find(entry => entry.location_id === id);
+                if (!group) {
+                    group = { location_id: id, location_name, out_of_stock: [], low_stock: [] };
+                    locations.push(group);
+                }
+                group[item.alert_level].push(item);
+            });
+            
+            return ResponseFormatter.success(res, { locations }, 'Stock alerts retrieved successfully');
+        }
+        
+        if (by_model === 'true') {
+            // A product that fits several handsets is listed under each of them
+            const handsetAlerts = await dbManager.all(`
+                SELECT 
+                    ph.brand as handset_brand, ph.model as handset_model, ph.fit,
+                    p.id, p.name, p.brand, p.model, p.color, p.quantity,
+                    rl.effective_reorder_point as reorder_point, rl.effective_safety_stock as safety_stock,
+                    CASE WHEN p.quantity <= rl.effective_safety_stock THEN 1 ELSE 0 END as below_safety_stock,
+                    CASE WHEN p.quantity = 0 THEN 'out_of_stock' ELSE 'low_stock' END as alert_level
+                FROM product_handsets ph
+                JOIN products p ON p.id = ph.product_id
+                JOIN product_reorder_levels rl ON rl.product_id = p.id
+                WHERE p.quantity <= ${reorderPoint} AND p.product_type NOT IN ('design', 'bundle') AND p.status = 'active'
+                  ${handsetConditions.map(condition => `AND ${condition}`).join(' ')}
+                ORDER BY ph.brand, ph.model, p.quantity ASC
+            `, [...thresholdParams, ...handsetParams]);
+            
+            const models = [];
+            handsetAlerts.forEach(({ handset_brand, handset_model, ...item }) => {
+                let group = models.find(entry => entry.brand === handset_brand && entry.model === handset_model);
+                if (!group) {
+                    group = { brand: handset_brand, model: handset_model, out_of_stock: [], low_stock: [] };
+                    models.push(group);
+                }
+                group[item.alert_level].push(item);
+            });
+            
+            return ResponseFormatter.success(res, { models }, 'Stock alerts retrieved successfully');
+        }
+        
         const stockAlerts = await dbManager.all(`
             SELECT 
-                id, name, brand, model, color, quantity, 
+                p.id, p.name, p.brand, p.model, p.color, p.quantity,
+                rl.effective_reorder_point as reorder_point, rl.effective_safety_stock as safety_stock,
+                CASE WHEN p.quantity <= rl.effective_safety_stock THEN 1 ELSE 0 END as below_safety_stock,
                 CASE 
-                    WHEN quantity = 0 THEN 'out_of_stock'
-                    WHEN quantity <= ? THEN 'low_stock'
-                    ELSE 'normal'
+                    WHEN p.quantity = 0 THEN 'out_of_stock'
+                    ELSE 'low_stock'
                 END as alert_level
-            FROM products
-            WHERE quantity <= ?
-            ORDER BY quantity ASC
-        `, [threshold, threshold]);
+            FROM products p
+            JOIN product_reorder_levels rl ON rl.product_id = p.id
+            WHERE p.quantity <= ${reorderPoint} AND p.product_type NOT IN ('design', 'bundle') AND p.status = 'active'
+              ${handsetFilter}
+            ORDER BY p.quantity ASC
+        `, [...thresholdParams, ...handsetParams]);
         
         // Group alerts by level
         const alerts = {
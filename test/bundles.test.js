@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { DatabaseManager } = require('../utils/database');
+const { resolveLocation, adjustLocationStock } = require('../utils/stock');
+const { adjustSaleLineStock } = require('../utils/sales-orders');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+async function addProduct(name, productType = 'simple') {
+    const { lastID } = await db.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity, product_type)
+         VALUES (?, 'Test Brand', 'Test Model', 'Black', 10, 250, 0, ?)`,
+        [name, productType]
+    );
+    return lastID;
+}
+
+test('a bundle taken off a sale restocks its components at the cost they were sold with', async () => {
+    const location = await resolveLocation(db);
+    const componentId = await addProduct('Bundle Cover');
+    const bundleId = await addProduct('Cover Twin Pack', 'bundle');
+    await db.run('INSERT INTO bundle_components (bundle_id, component_id, quantity) VALUES (?, ?, 2)', [bundleId, componentId]);
+    await adjustLocationStock(db, componentId, location, 5, { unit_cost: 10 });
+    await adjustLocationStock(db, componentId, location, 5, { unit_cost: 20 });
+
+    const { lastID: saleId } = await db.run(
+        'INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount) VALUES (?, 3, 450, 1350)',
+        [bundleId]
+    );
+    const sold = await adjustSaleLineStock(db, bundleId, location, -3, { reason: 'sale', source_type: 'sale', source_id: saleId });
+
+    // Six covers: five from the first layer at 10 and one from the second at 20
+    assert.strictEqual(sold.cogs, 70);
+
+    await adjustSaleLineStock(db, bundleId, location, 3, { reason: 'sale_deleted', source_type: 'sale', source_id: saleId });
+
+    const layer = await db.get(
+        "SELECT quantity_received, unit_cost FROM cost_layers WHERE product_id = ? AND source_type = 'sale' AND source_id = ?",
+        [componentId, saleId]
+    );
+    assert.strictEqual(layer.quantity_received, 6);
+    assert.strictEqual(layer.unit_cost, 11.6667);
+});
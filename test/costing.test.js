@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { DatabaseManager } = require('../utils/database');
+const { resolveLocation, adjustLocationStock } = require('../utils/stock');
+const { consumeCostLayers } = require('../utils/costing');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+let location;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+    location = await resolveLocation(db);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+// A product received in two batches: 5 units at 10, then 5 at 20
+async function addLayeredProduct(name) {
+    const { lastID } = await db.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity)
+         VALUES (?, 'Test Brand', 'Test Model', 'Black', 10, 250, 0)`,
+        [name]
+    );
+    await adjustLocationStock(db, lastID, location, 5, { unit_cost: 10 });
+    await adjustLocationStock(db, lastID, location, 5, { unit_cost: 20 });
+    return lastID;
+}
+
+async function remainingLayers(productId) {
+    const layers = await db.all('SELECT quantity_remaining FROM cost_layers WHERE product_id = ? ORDER BY id', [productId]);
+    return layers.map(layer => layer.quantity_remaining);
+}
+
+test('FIFO prices a sale that spans two layers at the cost of each', async () => {
+    const productId = await addLayeredProduct('FIFO Cover');
+
+    const sold = await adjustLocationStock(db, productId, location, -7, { reason: 'sale' });
+
+    // Five from the first layer at 10, two from the second at 20
+    assert.strictEqual(sold.cogs, 90);
+    assert.strictEqual(sold.unit_cost, 12.8571);
+    assert.deepStrictEqual(await remainingLayers(productId), [0, 3]);
+
+    // The next sale starts where the last one stopped
+    const next = await adjustLocationStock(db, productId, location, -2, { reason: 'sale' });
+    assert.strictEqual(next.cogs, 40);
+    assert.deepStrictEqual(await remainingLayers(productId), [0, 1]);
+});
+
+test('weighted average prices a sale at the moving average but still depletes the oldest layers', async () => {
+    const productId = await addLayeredProduct('Average Cover');
+
+    const sold = await consumeCostLayers(db, productId, 7, 'weighted_average');
+
+    assert.strictEqual(sold.cogs, 105);
+    assert.strictEqual(sold.unit_cost, 15);
+    assert.deepStrictEqual(await remainingLayers(productId), [0, 3]);
+});
+
+test('units returned at their sale cost open a layer at that cost', async () => {
+    const productId = await addLayeredProduct('Returned Cover');
+    const sold = await adjustLocationStock(db, productId, location, -7, { reason: 'sale' });
+
+    await adjustLocationStock(db, productId, location, 7, { reason: 'sale_deleted', unit_cost: sold.unit_cost });
+
+    const layer = await db.get(
+        "SELECT quantity_remaining, unit_cost FROM cost_layers WHERE product_id = ? AND source_type = 'sale_deleted'",
+        [productId]
+    );
+    assert.deepStrictEqual(layer, { quantity_remaining: 7, unit_cost: 12.8571 });
+});
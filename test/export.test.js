@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { csvField } = require('../utils/export');
+
+test('csvField quotes separators, quotes and line breaks', () => {
+    assert.strictEqual(csvField('Case, clear'), '"Case, clear"');
+    assert.strictEqual(csvField('6.1" screen'), '"6.1"" screen"');
+    assert.strictEqual(csvField('line\nbreak'), '"line\nbreak"');
+    assert.strictEqual(csvField(null), '');
+});
+
+test('csvField writes text a spreadsheet would run as a formula as text', () => {
+    assert.strictEqual(csvField('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+    assert.strictEqual(csvField('+91 98765 43210'), "'+91 98765 43210");
+    assert.strictEqual(csvField('-2 damaged'), "'-2 damaged");
+    assert.strictEqual(csvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(csvField('\tcmd'), "'\tcmd");
+});
+
+test('csvField leaves numbers as they are', () => {
+    assert.strictEqual(csvField(-12.5), '-12.5');
+    assert.strictEqual(csvField(0), '0');
+});
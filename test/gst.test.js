@@ -0,0 +1,96 @@
+process.env.GST_SELLER_GSTIN = '27AAPFU0939F1ZV';
+delete process.env.GST_SELLER_STATE;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadSeller, getSeller, splitTax, placeOfSupply, applyOrderTax } = require('../utils/gst');
+const { DatabaseManager } = require('../utils/database');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+async function addOrder(buyerState, lines) {
+    const { lastID: orderId } = await db.run(
+        'INSERT INTO sales_orders (order_number, buyer_state, total_amount) VALUES (?, ?, ?)',
+        [`GST-TEST-${Date.now()}-${Math.random()}`, buyerState, lines.reduce((sum, line) => sum + line.total_amount, 0)]
+    );
+    for (const line of lines) {
+        await db.run(
+            `INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount, order_id)
+             VALUES (?, 1, ?, ?, ?)`,
+            [line.product_id, line.total_amount, line.total_amount, orderId]
+        );
+    }
+    return orderId;
+}
+
+test('the seller state comes from the GSTIN', () => {
+    assert.deepStrictEqual(getSeller(), { name: null, gstin: '27AAPFU0939F1ZV', address: null, state: '27' });
+});
+
+test('an invalid seller GSTIN or state is refused', () => {
+    assert.throws(() => loadSeller({ GST_SELLER_GSTIN: '27AAPFU0939F1Z' }), /GST_SELLER_GSTIN is not a valid GSTIN/);
+    assert.throws(() => loadSeller({ GST_SELLER_STATE: 'Atlantis' }), /GST_SELLER_STATE/);
+    assert.strictEqual(loadSeller({ GST_SELLER_STATE: 'Karnataka' }).state, '29');
+});
+
+test('splitTax halves the tax into CGST and SGST within the state', () => {
+    assert.deepStrictEqual(splitTax(118, 18, false), { taxable_amount: 100, cgst_amount: 9, sgst_amount: 9, igst_amount: 0 });
+});
+
+test('splitTax puts the tax into IGST between states', () => {
+    assert.deepStrictEqual(splitTax(118, 18, true), { taxable_amount: 100, cgst_amount: 0, sgst_amount: 0, igst_amount: 18 });
+});
+
+test('splitTax rounds CGST and SGST to equal halves and puts the rounding paisa into the taxable value', () => {
+    // 10.01 at 18% is 8.48 taxable; the 1.53 of tax left over cannot be halved, 8.48 x 9% rounds to 0.76 per head
+    const tax = splitTax(10.01, 18, false);
+
+    assert.strictEqual(tax.cgst_amount, 0.76);
+    assert.strictEqual(tax.sgst_amount, 0.76);
+    assert.strictEqual(tax.taxable_amount, 8.49);
+    assert.strictEqual(Math.round((tax.taxable_amount + tax.cgst_amount + tax.sgst_amount) * 100), 1001);
+});
+
+test('placeOfSupply falls back to the seller state for unknown buyers', () => {
+    assert.deepStrictEqual(placeOfSupply({ buyer_state: null }), { place_of_supply: '27', inter_state: false });
+    assert.deepStrictEqual(placeOfSupply({ buyer_state: '29' }), { place_of_supply: '29', inter_state: true });
+});
+
+test('applyOrderTax splits each line at its own rate and totals the order', async () => {
+    const { lastID: coverId } = await db.run(
+        "INSERT INTO products (name, selling_price, hsn_code, gst_rate) VALUES ('GST Cover', 112, '392690', 12)"
+    );
+    const { lastID: glassId } = await db.run("INSERT INTO products (name, selling_price) VALUES ('GST Glass', 118)");
+
+    const local = await addOrder(null, [{ product_id: coverId, total_amount: 112 }, { product_id: glassId, total_amount: 118 }]);
+    await applyOrderTax(db, local);
+
+    const lines = await db.all('SELECT * FROM sales WHERE order_id = ? ORDER BY id', [local]);
+    assert.deepStrictEqual(
+        lines.map(line => [line.hsn_code, line.gst_rate, line.taxable_amount, line.cgst_amount, line.sgst_amount, line.igst_amount]),
+        [['392690', 12, 100, 6, 6, 0], [null, 18, 100, 9, 9, 0]]
+    );
+    const order = await db.get('SELECT * FROM sales_orders WHERE id = ?', [local]);
+    assert.deepStrictEqual(
+        [order.taxable_amount, order.cgst_amount, order.sgst_amount, order.igst_amount],
+        [200, 15, 15, 0]
+    );
+
+    const interState = await addOrder('29', [{ product_id: coverId, total_amount: 112 }]);
+    await applyOrderTax(db, interState);
+
+    const [line] = await db.all('SELECT * FROM sales WHERE order_id = ?', [interState]);
+    assert.deepStrictEqual([line.taxable_amount, line.cgst_amount, line.sgst_amount, line.igst_amount], [100, 0, 0, 12]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Test Database
+ * Copies database/inventory.db to the temp directory and runs every migration on the copy,
+ * so tests work against the current schema without touching the real database.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SOURCE_DATABASE = path.join(__dirname, '..', '..', 'database', 'inventory.db');
+
+// Same order as the Database Migrations section of the README
+const MIGRATIONS = [
+    'add_analytics_features',
+    'add_product_variants',
+    'add_product_codes',
+    'add_stock_locations',
+    'add_purchase_orders',
+    'add_cost_layers',
+    'add_stocktakes',
+    'add_inventory_ledger',
+    'add_reorder_levels',
+    'add_replenishment',
+    'add_product_imports',
+    'add_product_compatibility',
+    'add_categories',
+    'add_product_lifecycle',
+    'add_product_search',
+    'add_product_bundles',
+    'add_sales_orders',
+    'add_gst_invoices',
+    'add_customers',
+    'add_marketplace_fees',
+    'add_marketplace_imports',
+    'add_settlements',
+    'add_shipments',
+    'add_idempotency_keys'
+];
+
+let copies = 0;
+
+/**
+ * Create a migrated copy of the database
+ * @returns {Promise<string>} Path of the copy
+ */
+async function createTestDatabase() {
+    const dbPath = path.join(os.tmpdir(), `inventory-test-${process.pid}-${++copies}.db`);
+    fs.copyFileSync(SOURCE_DATABASE, dbPath);
+
+    // Migrations report every step; keep the test output readable
+    const log = console.log;
+    console.log = () => {};
+    try {
+        for (const name of MIGRATIONS) {
+            const Migration = require(path.join(__dirname, '..', '..', 'database', 'migrations', name));
+            await new Migration(dbPath).run();
+        }
+    } finally {
+        console.log = log;
+    }
+
+    return dbPath;
+}
+
+/**
+ * Delete a copy made by createTestDatabase
+ */
+function removeTestDatabase(dbPath) {
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(dbPath + suffix, { force: true });
+    }
+}
+
+module.exports = {
+    createTestDatabase,
+    removeTestDatabase
+};
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let server;
+let baseUrl;
+let dbManager;
+const calls = { records: 0, failures: 0 };
+let releaseSlow;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    // The middleware stores keys through the shared database manager, which opens DATABASE_PATH
+    process.env.DATABASE_PATH = dbPath;
+    ({ dbManager } = require('../utils/database'));
+    const { idempotency } = require('../middleware/idempotency');
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { id: parseInt(req.get('X-User-Id') || '1') };
+        next();
+    });
+    app.post('/records', idempotency, (req, res) => {
+        calls.records++;
+        res.status(201).json({ success: true, data: { record: calls.records, ...req.body } });
+    });
+    app.post('/slow', idempotency, async (req, res) => {
+        await new Promise(resolve => {
+            releaseSlow = resolve;
+        });
+        res.json({ success: true });
+    });
+    app.post('/failing', idempotency, (req, res) => {
+        calls.failures++;
+        res.status(500).json({ success: false, message: 'Database is locked' });
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await dbManager.close();
+    removeTestDatabase(dbPath);
+});
+
+function post(path, body, key, userId = 1) {
+    const headers = { 'Content-Type': 'application/json', 'X-User-Id': String(userId) };
+    if (key !== undefined) {
+        headers['Idempotency-Key'] = key;
+    }
+    return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+/**
+ * Wait until the middleware has stored or released a key; it does so once the response has gone out
+ */
+async function settled(key) {
+    for (;;) {
+        const running = await dbManager.get(
+            'SELECT id FROM idempotency_keys WHERE idempotency_key = ? AND status_code IS NULL',
+            [key]
+        );
+        if (!running) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('a repeated key replays the stored response without running the request again', async () => {
+    const first = await post('/records', { name: 'Return A', quantity: 1 }, 'replay-key');
+    const firstBody = await first.json();
+    const callsAfterFirst = calls.records;
+    await settled('replay-key');
+
+    // Key order in the body does not change the request
+    const second = await post('/records', { quantity: 1, name: 'Return A' }, 'replay-key');
+
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.headers.get('Idempotent-Replayed'), null);
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(second.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepStrictEqual(await second.json(), firstBody);
+    assert.strictEqual(calls.records, callsAfterFirst);
+});
+
+test('the same key with a different request is refused with 422', async () => {
+    await post('/records', { name: 'Return B', quantity: 1 }, 'reused-key');
+    await settled('reused-key');
+    const callsBefore = calls.records;
+
+    const reused = await post('/records', { name: 'Return B', quantity: 2 }, 'reused-key');
+
+    assert.strictEqual(reused.status, 422);
+    assert.strictEqual((await reused.json()).error, 'Idempotency Key Reused');
+    assert.strictEqual(calls.records, callsBefore);
+});
+
+test('a key whose first request is still running is refused with 409', async () => {
+    const running = post('/slow', {}, 'running-key');
+    // Wait until the first request holds the key
+    while (!releaseSlow) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const concurrent = await post('/slow', {}, 'running-key');
+    releaseSlow();
+    const finished = await running;
+
+    assert.strictEqual(concurrent.status, 409);
+    assert.strictEqual((await concurrent.json()).error, 'Request In Progress');
+    assert.strictEqual(finished.status, 200);
+});
+
+test('keys belong to a user and server errors are not stored', async () => {
+    const callsBefore = calls.records;
+    await post('/records', { name: 'Return C' }, 'shared-key', 1);
+    const otherUser = await post('/records', { name: 'Return C' }, 'shared-key', 2);
+
+    assert.strictEqual(otherUser.headers.get('Idempotent-Replayed'), null);
+    assert.strictEqual(calls.records, callsBefore + 2);
+
+    const failed = await post('/failing', {}, 'failing-key');
+    await settled('failing-key');
+    const retried = await post('/failing', {}, 'failing-key');
+
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(retried.status, 500);
+    assert.strictEqual(retried.headers.get('Idempotent-Replayed'), null);
+    assert.strictEqual(calls.failures, 2);
+});
+
+test('requests without a key run every time and an empty key is refused', async () => {
+    const callsBefore = calls.records;
+    await post('/records', { name: 'Return D' });
+    await post('/records', { name: 'Return D' });
+
+    assert.strictEqual(calls.records, callsBefore + 2);
+    assert.strictEqual((await post('/records', {}, ' ')).status, 400);
+});
@@ -0,0 +1,118 @@
+process.env.GST_SELLER_GSTIN = '27AAPFU0939F1ZV';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { INVOICE_NUMBER_PATTERN, formatInvoiceNumber, loadInvoiceNumberPattern, issueInvoice } = require('../utils/invoices');
+const { DatabaseManager } = require('../utils/database');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+let productId;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+    ({ lastID: productId } = await db.run("INSERT INTO products (name, selling_price) VALUES ('Invoice Cover', 236)"));
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+let orders = 0;
+
+async function addOrder() {
+    const { lastID: orderId } = await db.run(
+        "INSERT INTO sales_orders (order_number, buyer_name, total_amount) VALUES (?, 'Walk-in', 236)",
+        [`INV-TEST-${++orders}`]
+    );
+    await db.run(
+        'INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount, order_id) VALUES (?, 1, 236, 236, ?)',
+        [productId, orderId]
+    );
+    return orderId;
+}
+
+test('formatInvoiceNumber fills in the financial year and the padded sequence', () => {
+    assert.strictEqual(formatInvoiceNumber('INV/{FY}/{NNNN}', '2026-27', 7), 'INV/2026-27/0007');
+    assert.strictEqual(formatInvoiceNumber('{FY}-{NN}', '2026-27', 123), '2026-27-123');
+});
+
+test('formatInvoiceNumber refuses numbers GST does not allow', () => {
+    assert.throws(() => formatInvoiceNumber('INVOICE/{FY}/{NNNNNN}', '2026-27', 1), /longer than 16 characters/);
+    assert.throws(() => formatInvoiceNumber('INV {NNNN}', '2026-27', 1), /not valid/);
+});
+
+test('formatInvoiceNumber refuses a sequence the pattern has no room for', () => {
+    assert.strictEqual(formatInvoiceNumber('INV/{FY}/{NNNN}', '2026-27', 9999), 'INV/2026-27/9999');
+    assert.throws(() => formatInvoiceNumber('INV/{FY}/{NNNN}', '2026-27', 10000), /longer than 16 characters/);
+    assert.strictEqual(formatInvoiceNumber(INVOICE_NUMBER_PATTERN, '2026-27', 10000), '2026-27/10000');
+});
+
+test('loadInvoiceNumberPattern checks the pattern up front', () => {
+    assert.strictEqual(loadInvoiceNumberPattern({}), '{FY}/{NNNNN}');
+    assert.strictEqual(loadInvoiceNumberPattern({ INVOICE_NUMBER_PATTERN: 'INV/{FY}/{NNNN}' }), 'INV/{FY}/{NNNN}');
+    assert.throws(() => loadInvoiceNumberPattern({ INVOICE_NUMBER_PATTERN: 'INV/{NNNN}' }), /needs \{FY\}/);
+    assert.throws(() => loadInvoiceNumberPattern({ INVOICE_NUMBER_PATTERN: 'INV/{FY}' }), /needs \{FY\}/);
+    assert.throws(() => loadInvoiceNumberPattern({ INVOICE_NUMBER_PATTERN: 'INVOICE/{FY}/{NNNNNN}' }), /longer than 16/);
+});
+
+test('invoice numbers run on without gaps when an invoice is rolled back or issued twice', async () => {
+    const firstOrder = await addOrder();
+    const first = await db.transaction(tx => issueInvoice(tx, firstOrder));
+
+    // Issuing again returns the same invoice without drawing a number
+    const again = await db.transaction(tx => issueInvoice(tx, first.order_id));
+    assert.strictEqual(again.invoice_number, first.invoice_number);
+
+    // A transaction that fails after drawing a number gives it back
+    const abandoned = await addOrder();
+    await assert.rejects(db.transaction(async (tx) => {
+        await issueInvoice(tx, abandoned);
+        throw new Error('Printer on fire');
+    }), /Printer on fire/);
+    assert.strictEqual(await db.get('SELECT id FROM invoices WHERE order_id = ?', [abandoned]), undefined);
+
+    // An order that does not exist draws nothing either
+    await assert.rejects(db.transaction(tx => issueInvoice(tx, 999999)), /Order not found/);
+
+    const second = await db.transaction(tx => issueInvoice(tx, abandoned));
+    const thirdOrder = await addOrder();
+    const third = await db.transaction(tx => issueInvoice(tx, thirdOrder));
+
+    assert.strictEqual(second.financial_year, first.financial_year);
+    assert.deepStrictEqual(
+        [second.sequence_number, third.sequence_number],
+        [first.sequence_number + 1, first.sequence_number + 2]
+    );
+    assert.strictEqual(third.invoice_number, formatInvoiceNumber(INVOICE_NUMBER_PATTERN, third.financial_year, third.sequence_number));
+    assert.strictEqual(first.seller_gstin, '27AAPFU0939F1ZV');
+    assert.strictEqual(first.supply_type, 'intra_state');
+});
+
+test('the invoice buyer is the order buyer, else its customer, never the free-text customer info', async () => {
+    const { lastID: customerId } = await db.run("INSERT INTO customers (name, phone) VALUES ('Asha Rao', '9876500001')");
+    const { lastID: customerOrder } = await db.run(
+        `INSERT INTO sales_orders (order_number, customer_id, customer_info, total_amount)
+         VALUES ('INV-TEST-CUSTOMER', ?, '{"recorded_by":"System"}', 236)`,
+        [customerId]
+    );
+    const { lastID: walkInOrder } = await db.run(
+        `INSERT INTO sales_orders (order_number, customer_info, total_amount)
+         VALUES ('INV-TEST-WALK-IN', '{"recorded_by":"System"}', 236)`
+    );
+    for (const orderId of [customerOrder, walkInOrder]) {
+        await db.run(
+            'INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount, order_id) VALUES (?, 1, 236, 236, ?)',
+            [productId, orderId]
+        );
+    }
+
+    const customerInvoice = await db.transaction(tx => issueInvoice(tx, customerOrder));
+    const walkInInvoice = await db.transaction(tx => issueInvoice(tx, walkInOrder));
+
+    assert.strictEqual(customerInvoice.buyer_name, 'Asha Rao');
+    assert.strictEqual(walkInInvoice.buyer_name, null);
+});
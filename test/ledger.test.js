@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let server;
+let baseUrl;
+let dbManager;
+let token;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    // The routes use the shared database manager, which opens DATABASE_PATH; only failures reach the log files
+    process.env.DATABASE_PATH = dbPath;
+    process.env.LOG_LEVEL = 'error';
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'ledger-test-secret';
+    ({ dbManager } = require('../utils/database'));
+    const { generateToken } = require('../middleware/auth');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/products', require('../routes/products'));
+    app.use('/api/sales', require('../routes/sales'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    token = generateToken({ id: 1, email: 'admin@example.com', role: 'admin', first_name: 'Test', last_name: 'Admin' });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // The caches the routes load run cleanup timers that would keep the test process alive
+    const { cache, phoneModelsCache, colorsCache, dashboardCache } = require('../utils/cache');
+    [cache, phoneModelsCache, colorsCache, dashboardCache].forEach(instance => instance.stopCleanupTimer());
+    await dbManager.close();
+    removeTestDatabase(dbPath);
+});
+
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function assertInBalance(step) {
+    const { status, body } = await request('GET', '/api/products/reports/reconciliation');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.in_balance, true, `ledger out of balance after ${step}: ${JSON.stringify(body.data)}`);
+}
+
+async function quantityOf(productId) {
+    const product = await dbManager.get('SELECT quantity FROM products WHERE id = ?', [productId]);
+    return product.quantity;
+}
+
+test('the ledger stays in balance through a sale, its edit and its deletion', async () => {
+    const { lastID: productId } = await dbManager.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity)
+         VALUES ('Ledger Cover', 'Test Brand', 'Test Model', 'Black', 100, 250, 0)`
+    );
+    const stocked = await request('PATCH', `/api/products/${productId}/quantity`, { quantity_change: 10, reason: 'opening_stock' });
+    assert.strictEqual(stocked.status, 200);
+    await assertInBalance('stocking the product');
+
+    const sale = await request('POST', '/api/sales', {
+        product_id: productId, quantity_sold: 4, sale_price: 250, sales_platform: 'Offline'
+    });
+    assert.strictEqual(sale.status, 201);
+    assert.strictEqual(await quantityOf(productId), 6);
+    await assertInBalance('the sale');
+
+    const edited = await request('PUT', `/api/sales/${sale.body.data.sale_id}`, { quantity_sold: 1 });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(await quantityOf(productId), 9);
+    await assertInBalance('the edit');
+
+    const deleted = await request('DELETE', `/api/sales/${sale.body.data.sale_id}`);
+    assert.strictEqual(deleted.status, 204);
+    assert.strictEqual(await quantityOf(productId), 10);
+    await assertInBalance('the deletion');
+});
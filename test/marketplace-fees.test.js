@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { calculateLineFees, applyOrderFees } = require('../utils/marketplace-fees');
+const { DatabaseManager } = require('../utils/database');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+const RULES = [
+    { id: 1, fee_type: 'referral', calculation: 'percentage', amount: 10, slab_basis: null, slab_min: null, slab_max: null, min_fee: 20, max_fee: 100 },
+    { id: 2, fee_type: 'closing', calculation: 'fixed', amount: 15, slab_basis: 'price', slab_min: 0, slab_max: 300, min_fee: null, max_fee: null },
+    { id: 3, fee_type: 'closing', calculation: 'fixed', amount: 25, slab_basis: 'price', slab_min: 300, slab_max: null, min_fee: null, max_fee: null },
+    { id: 4, fee_type: 'shipping', calculation: 'fixed', amount: 40, slab_basis: 'weight', slab_min: 0, slab_max: 500, min_fee: null, max_fee: null }
+];
+
+let dbPath;
+let db;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+test('calculateLineFees charges each rule per unit and adds GST on the fees', () => {
+    const result = calculateLineFees(RULES, 18, { quantity: 2, total_amount: 500, weight_grams: 200 });
+
+    assert.deepStrictEqual(result.fees, [
+        { rule_id: 1, fee_type: 'referral', amount: 50, gst_amount: 9 },
+        { rule_id: 2, fee_type: 'closing', amount: 30, gst_amount: 5.4 },
+        { rule_id: 4, fee_type: 'shipping', amount: 80, gst_amount: 14.4 }
+    ]);
+    assert.strictEqual(result.marketplace_fees, 160);
+    assert.strictEqual(result.fee_gst, 28.8);
+});
+
+test('calculateLineFees keeps percentage fees within min_fee and max_fee per unit', () => {
+    const cheap = calculateLineFees(RULES.slice(0, 1), 18, { quantity: 3, total_amount: 300 });
+    const dear = calculateLineFees(RULES.slice(0, 1), 18, { quantity: 1, total_amount: 2500 });
+
+    assert.strictEqual(cheap.marketplace_fees, 60);
+    assert.strictEqual(dear.marketplace_fees, 100);
+});
+
+test('calculateLineFees picks the slab of the unit price and skips weight slabs without a weight', () => {
+    const result = calculateLineFees(RULES, 0, { quantity: 1, total_amount: 300 });
+
+    assert.deepStrictEqual(result.fees.map(fee => fee.rule_id), [1, 3]);
+    assert.strictEqual(result.fee_gst, 0);
+});
+
+test('applyOrderFees takes fees, their GST and the output GST out of net profit', async () => {
+    const { lastID: scheduleId } = await db.run(
+        "INSERT INTO fee_schedules (platform, name, effective_from, fee_gst_rate) VALUES ('TestMart', 'TestMart 2000', '2000-01-01', 18)"
+    );
+    await db.run(
+        "INSERT INTO fee_rules (schedule_id, fee_type, calculation, amount) VALUES (?, 'referral', 'percentage', 10)",
+        [scheduleId]
+    );
+
+    const { lastID: orderId } = await db.run(
+        "INSERT INTO sales_orders (order_number, sales_platform, total_amount) VALUES ('FEE-TEST-1', 'TestMart', 1180)"
+    );
+    const { lastID: saleId } = await db.run(
+        `INSERT INTO sales (quantity_sold, sale_price, total_amount, cogs, sales_platform, order_id,
+                            taxable_amount, cgst_amount, sgst_amount, igst_amount)
+         VALUES (1, 1180, 1180, 400, 'TestMart', ?, 1000, 0, 0, 180)`,
+        [orderId]
+    );
+
+    await applyOrderFees(db, orderId);
+
+    const sale = await db.get('SELECT * FROM sales WHERE id = ?', [saleId]);
+    assert.strictEqual(sale.fee_schedule_id, scheduleId);
+    assert.strictEqual(sale.marketplace_fees, 118);
+    assert.strictEqual(sale.fee_gst, 21.24);
+    // The platform pays out the sale amount less its fees; the output GST is owed on top of the cost of goods
+    assert.strictEqual(sale.net_payout, 1040.76);
+    assert.strictEqual(sale.net_profit, 460.76);
+
+    const fees = await db.all('SELECT fee_type, amount, gst_amount FROM sale_fees WHERE sale_id = ?', [saleId]);
+    assert.deepStrictEqual(fees.map(fee => ({ ...fee })), [{ fee_type: 'referral', amount: 118, gst_amount: 21.24 }]);
+});
+
+test('applyOrderFees pays out the whole amount on a platform without a schedule', async () => {
+    const { lastID: orderId } = await db.run(
+        "INSERT INTO sales_orders (order_number, sales_platform, total_amount) VALUES ('FEE-TEST-2', 'Direct', 236)"
+    );
+    const { lastID: saleId } = await db.run(
+        `INSERT INTO sales (quantity_sold, sale_price, total_amount, cogs, sales_platform, order_id, cgst_amount, sgst_amount, igst_amount)
+         VALUES (1, 236, 236, 100, 'Direct', ?, 18, 18, 0)`,
+        [orderId]
+    );
+
+    await applyOrderFees(db, orderId);
+
+    const sale = await db.get('SELECT * FROM sales WHERE id = ?', [saleId]);
+    assert.deepStrictEqual(
+        [sale.fee_schedule_id, sale.marketplace_fees, sale.fee_gst, sale.net_payout, sale.net_profit],
+        [null, 0, 0, 236, 100]
+    );
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const AnalyticsEngine = require('../utils/analytics-engine');
+const { DatabaseManager } = require('../utils/database');
+const { buildReplenishmentPlan } = require('../utils/replenishment');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+async function addProduct(name) {
+    const { lastID } = await db.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity)
+         VALUES (?, 'Test Brand', 'Test Model', 'Black', 100, 250, 0)`,
+        [name]
+    );
+    return lastID;
+}
+
+async function addSale(productId, quantity, daysAgo) {
+    await db.run(
+        `INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount, sale_date)
+         VALUES (?, ?, 250, ?, DATETIME('now', ?))`,
+        [productId, quantity, quantity * 250, `-${daysAgo} days`]
+    );
+}
+
+test('forecastDemand scales the methods that have data back up to a full weight', () => {
+    // One day of history: only the 30-day average (over that one day) has enough data
+    const forecast = AnalyticsEngine.forecastDemand([{ sale_date: '2026-01-01', daily_sales: 4 }]);
+
+    assert.strictEqual(forecast.methods.moving_average_7, null);
+    assert.strictEqual(forecast.methods.linear_trend, null);
+    assert.strictEqual(forecast.daily_demand, 4);
+});
+
+test('forecastDemand of a steady seller is its daily sales', () => {
+    const salesData = Array.from({ length: 30 }, (_, index) => ({ sale_date: `day-${index}`, daily_sales: 3 }));
+
+    assert.ok(Math.abs(AnalyticsEngine.forecastDemand(salesData).daily_demand - 3) < 1e-9);
+});
+
+test('a few sales spread over the history window are not read as daily demand', async () => {
+    const productId = await addProduct('Sparse Seller');
+    await addSale(productId, 2, 25);
+    await addSale(productId, 2, 12);
+    await addSale(productId, 2, 3);
+
+    const [line] = await buildReplenishmentPlan(db, { product_ids: [productId], history_days: 30, include_all: true });
+
+    // 6 units over 30 days is 0.2 a day; counting only the days with sales would give 2 a day
+    assert.strictEqual(line.product_id, productId);
+    assert.ok(line.daily_demand > 0 && line.daily_demand < 0.5, `daily demand was ${line.daily_demand}`);
+});
+
+test('sales before the history window are left out', async () => {
+    const productId = await addProduct('Old Seller');
+    await addSale(productId, 50, 40);
+
+    const [line] = await buildReplenishmentPlan(db, { product_ids: [productId], history_days: 30, include_all: true });
+
+    assert.strictEqual(line.daily_demand, 0);
+    assert.strictEqual(line.confidence_level, 0);
+});
+
+test('bundles sold count towards the demand for their components', async () => {
+    const componentId = await addProduct('Bundled Glass');
+    const { lastID: bundleId } = await db.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity, product_type)
+         VALUES ('Glass Twin Pack', 'Test Brand', 'Test Model', 'Black', 200, 450, 0, 'bundle')`
+    );
+    await db.run('INSERT INTO bundle_components (bundle_id, component_id, quantity) VALUES (?, ?, 2)', [bundleId, componentId]);
+    for (let daysAgo = 0; daysAgo < 30; daysAgo++) {
+        await addSale(bundleId, 1, daysAgo);
+    }
+
+    const [line] = await buildReplenishmentPlan(db, { product_ids: [componentId], history_days: 30, include_all: true });
+
+    assert.strictEqual(line.product_id, componentId);
+    assert.strictEqual(line.daily_demand, 2);
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { DatabaseManager, TransactionManager } = require('../utils/database');
+const { resolveLocation, adjustLocationStock } = require('../utils/stock');
+const { priceOrderLines, refreshOrderTotals } = require('../utils/sales-orders');
+const { createTestDatabase, removeTestDatabase } = require('./helpers/database');
+
+let dbPath;
+let db;
+
+before(async () => {
+    dbPath = await createTestDatabase();
+    db = new DatabaseManager(dbPath);
+});
+
+after(async () => {
+    await db.close();
+    removeTestDatabase(dbPath);
+});
+
+async function addStockedProduct(name) {
+    const { lastID } = await db.run(
+        `INSERT INTO products (name, brand, model, color, cost_price, selling_price, quantity)
+         VALUES (?, 'Test Brand', 'Test Model', 'Black', 40, 100, 0)`,
+        [name]
+    );
+    await adjustLocationStock(db, lastID, await resolveLocation(db), 10, { unit_cost: 40 });
+    return lastID;
+}
+
+test('the order discount is shared in proportion to each line after its own discount', () => {
+    const priced = priceOrderLines([
+        { quantity_sold: 1, sale_price: 100 },
+        { quantity_sold: 2, sale_price: 50, discount_amount: 10 }
+    ], 30);
+
+    // 100 and 90 after line discounts: 30 x 100/190 and 30 x 90/190
+    assert.deepStrictEqual(priced.lines.map(line => line.order_discount_share), [15.79, 14.21]);
+    assert.deepStrictEqual(priced.lines.map(line => line.total_amount), [84.21, 75.79]);
+    assert.strictEqual(priced.subtotal, 200);
+    assert.strictEqual(priced.total_amount, 160);
+});
+
+test('the rounding paisa of the order discount goes to the largest line so the shares add up', () => {
+    const priced = priceOrderLines([
+        { quantity_sold: 1, sale_price: 10 },
+        { quantity_sold: 1, sale_price: 10 },
+        { quantity_sold: 1, sale_price: 10 }
+    ], 10);
+
+    assert.deepStrictEqual(priced.lines.map(line => line.order_discount_share), [3.34, 3.33, 3.33]);
+    assert.strictEqual(priced.total_amount, 20);
+});
+
+test('discounts larger than what they apply to are refused', () => {
+    assert.throws(() => priceOrderLines([{ quantity_sold: 1, sale_price: 10, discount_amount: 11 }]), /Line discount/);
+    assert.throws(() => priceOrderLines([{ quantity_sold: 1, sale_price: 10 }], 10.01), /Order discount/);
+});
+
+test('removing a line shares the order discount over the lines that are left', async () => {
+    const coverId = await addStockedProduct('Discount Cover');
+    const glassId = await addStockedProduct('Discount Glass');
+    const transactions = new TransactionManager(db);
+
+    const order = await transactions.recordSalesOrder({
+        items: [
+            { product_id: coverId, quantity_sold: 1, sale_price: 100 },
+            { product_id: glassId, quantity_sold: 1, sale_price: 20 }
+        ],
+        sales_platform: 'Offline',
+        discount_amount: 30
+    });
+    assert.deepStrictEqual(order.lines.map(line => line.order_discount_share), [25, 5]);
+
+    // The remaining 20 cannot carry a discount of 30, so the discount shrinks to the order amount
+    await db.run('DELETE FROM sales WHERE id = ?', [order.lines[0].sale_id]);
+    const refreshed = await refreshOrderTotals(db, order.order_id);
+    const [line] = await db.all('SELECT order_discount_share, total_amount FROM sales WHERE order_id = ?', [order.order_id]);
+
+    assert.strictEqual(refreshed.discount_amount, 20);
+    assert.strictEqual(refreshed.total_amount, 0);
+    assert.deepStrictEqual(line, { order_discount_share: 20, total_amount: 0 });
+});
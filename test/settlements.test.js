@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSettlementReport, platformNameSql } = require('../utils/settlements');
+const { DatabaseManager } = require('../utils/database');
+
+const AMAZON_HEADERS = ['settlement-id', 'transaction-type', 'order-id', 'amount-description', 'amount', 'posted-date'];
+
+test('parseSettlementReport reads Amazon lines and skips the settlement total row', () => {
+    const report = parseSettlementReport('Amazon', [
+        AMAZON_HEADERS,
+        ['1234567', '', '', '', '', ''],
+        ['1234567', 'Order', '402-1111111-2222222', 'Principal', '₹1,299.00', '05.10.2026'],
+        ['1234567', 'Order', '402-1111111-2222222', 'Commission', '-155.88', '2026-10-05'],
+        ['1234567', 'Refund', '402-3333333-4444444', 'Principal', '-499', '2026-10-06'],
+        ['1234567', 'Storage Fee', '', 'Storage fee', '-12.10', '2026-10-06'],
+        ['', '', '', '', '', '']
+    ]);
+
+    assert.strictEqual(report.platform, 'Amazon');
+    assert.strictEqual(report.settlement_ref, '1234567');
+    assert.strictEqual(report.skipped_rows, 1);
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.lines.map(line => [line.row_number, line.order_ref, line.transaction_type, line.amount]), [
+        [3, '402-1111111-2222222', 'order', 1299],
+        [4, '402-1111111-2222222', 'order', -155.88],
+        [5, '402-3333333-4444444', 'refund', -499],
+        [6, null, 'other', -12.1]
+    ]);
+    assert.strictEqual(report.lines[1].description, 'Order - Commission');
+    assert.strictEqual(report.lines[1].posted_date, '2026-10-05 00:00:00');
+    assert.strictEqual(report.total_amount, 632.02);
+});
+
+test('parseSettlementReport reports rows with an unreadable amount and keeps the rest', () => {
+    const report = parseSettlementReport('meesho', [
+        ['Sub Order No', 'Final Settlement Amount', 'Live Order Status', 'Payment Date'],
+        ['123456789_1', '249.50', 'Delivered', '06/10/2026'],
+        ['123456789_2', 'N.A.', 'Delivered', '06/10/2026'],
+        ['123456789_3', '', 'Shipped', '']
+    ]);
+
+    assert.strictEqual(report.platform, 'Meesho');
+    assert.deepStrictEqual(report.lines.map(line => [line.order_ref, line.amount, line.posted_date]), [
+        ['123456789_1', 249.5, '2026-10-06 00:00:00']
+    ]);
+    assert.deepStrictEqual(report.errors, [{ row: 3, error: 'Invalid amount: N.A.' }]);
+    assert.strictEqual(report.skipped_rows, 1);
+});
+
+test('parseSettlementReport refuses unknown formats and reports of another marketplace', () => {
+    assert.throws(() => parseSettlementReport('shopify', [AMAZON_HEADERS]), /Report format must be one of amazon, flipkart, meesho/);
+    assert.throws(
+        () => parseSettlementReport('meesho', [AMAZON_HEADERS, ['1', 'Order', '402-1', 'Principal', '10', '']]),
+        /not a Meesho settlement report, missing columns: order_ref/
+    );
+    assert.throws(() => parseSettlementReport('amazon', [AMAZON_HEADERS]), /no settlement rows/);
+});
+
+test('platformNameSql reports a marketplace under one name whatever its case', async () => {
+    const db = new DatabaseManager(':memory:');
+    try {
+        const rows = await db.all(
+            `SELECT ${platformNameSql('platform')} as name, COUNT(*) as count
+             FROM (SELECT 'amazon' as platform UNION ALL SELECT 'AMAZON' UNION ALL SELECT 'Amazon' UNION ALL SELECT 'Shopify')
+             GROUP BY name
+             ORDER BY name`
+        );
+        assert.deepStrictEqual(rows.map(row => ({ ...row })), [{ name: 'Amazon', count: 3 }, { name: 'Shopify', count: 1 }]);
+    } finally {
+        await db.close();
+    }
+});
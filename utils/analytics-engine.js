@@ -6,6 +6,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const cron = require('node-cron');
+const { STOCK_SALES_SQL } = require('./bundles');
 
 class AnalyticsEngine {
     constructor(dbPath = './database/inventory.db') {
@@ -50,11 +51,17 @@ class AnalyticsEngine {
         console.log('Checking for low stock alerts...');
         
         try {
-            // Get products with their current quantities and thresholds
+            // Get products with their current quantities and reorder points
             const products = await this.getAllProducts();
             
             for (const product of products) {
-                const threshold = product.low_stock_threshold || 10;
+                const threshold = product.effective_reorder_point;
+                
+                // Only active products are alerted; close alerts left on drafts, discontinued and archived products
+                if (product.status !== 'active') {
+                    await this.resolveLowStockAlert(product.id);
+                    continue;
+                }
                 
                 if (product.quantity <= threshold) {
                     // Check if alert already exists and is active
@@ -79,11 +86,14 @@ class AnalyticsEngine {
     }
 
     /**
-     * Get all products with their current quantities
+     * Get all stock-holding products with their current quantities and reorder levels (designs are excluded)
      */
     async getAllProducts() {
         return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM products', (err, rows) => {
+            this.db.all(`SELECT p.*, rl.effective_reorder_point, rl.effective_safety_stock
+                         FROM products p
+                         JOIN product_reorder_levels rl ON rl.product_id = p.id
+                         WHERE p.product_type NOT IN ('design', 'bundle')`, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -116,11 +126,12 @@ class AnalyticsEngine {
      * Create a new low stock alert
      */
     async createLowStockAlert(product, threshold) {
+        // Dipping into safety stock is critical
         const alertType = product.quantity === 0 ? 'out_of_stock' : 
-                         product.quantity <= threshold * 0.5 ? 'critical' : 'low_stock';
+                         product.quantity <= product.effective_safety_stock ? 'critical' : 'low_stock';
         
         const priority = product.quantity === 0 ? 'critical' : 
-                        product.quantity <= threshold * 0.5 ? 'high' : 'medium';
+                        product.quantity <= product.effective_safety_stock ? 'high' : 'medium';
 
         return new Promise((resolve, reject) => {
             this.db.run(
@@ -223,31 +234,10 @@ class AnalyticsEngine {
                 return null; // No sales history
             }
 
-            // Calculate moving averages
-            const movingAverage7 = this.calculateMovingAverage(salesData, 7);
-            const movingAverage30 = this.calculateMovingAverage(salesData, Math.min(salesData.length, 30));
-            const linearTrend = this.calculateLinearTrend(salesData);
-            
-            // Calculate prediction based on multiple methods
-            const predictionMethods = {
-                moving_average_7: movingAverage7,
-                moving_average_30: movingAverage30,
-                linear_trend: linearTrend
-            };
-
-            // Use weighted average of methods
-            const weights = { moving_average_7: 0.3, moving_average_30: 0.5, linear_trend: 0.2 };
-            let finalPrediction = 0;
-            let confidenceLevel = 0;
-
-            for (const [method, value] of Object.entries(predictionMethods)) {
-                if (value !== null) {
-                    finalPrediction += value * weights[method];
-                    confidenceLevel += 0.33; // Each method contributes to confidence
-                }
-            }
-
-            finalPrediction = Math.max(0, Math.round(finalPrediction));
+            const forecast = AnalyticsEngine.forecastDemand(salesData);
+            const finalPrediction = Math.round(forecast.daily_demand);
+            const confidenceLevel = forecast.confidence_level;
+            const predictionMethods = forecast.methods;
 
             // Store prediction in database
             const predictionId = await this.storeDemandPrediction(
@@ -273,7 +263,43 @@ class AnalyticsEngine {
     }
 
     /**
-     * Get product sales history
+     * Blend the prediction methods into a daily demand rate
+     * Kept free of the database so the replenishment planner can forecast from sales it has already loaded.
+     * @param {Array} salesData - [{ sale_date, daily_sales }] oldest first, one row per day (days without sales as 0)
+     * @returns {object} { daily_demand (unrounded), confidence_level, methods }
+     */
+    static forecastDemand(salesData) {
+        const methods = {
+            moving_average_7: AnalyticsEngine.calculateMovingAverage(salesData, 7),
+            moving_average_30: AnalyticsEngine.calculateMovingAverage(salesData, Math.min(salesData.length, 30)),
+            linear_trend: AnalyticsEngine.calculateLinearTrend(salesData)
+        };
+
+        // Use weighted average of the methods that have enough data, scaled back up to a full weight
+        const weights = { moving_average_7: 0.3, moving_average_30: 0.5, linear_trend: 0.2 };
+        let weightedDemand = 0;
+        let totalWeight = 0;
+        let confidenceLevel = 0;
+
+        for (const [method, value] of Object.entries(methods)) {
+            if (value !== null) {
+                weightedDemand += value * weights[method];
+                totalWeight += weights[method];
+                confidenceLevel += 0.33; // Each method contributes to confidence
+            }
+        }
+
+        const dailyDemand = totalWeight > 0 ? weightedDemand / totalWeight : 0;
+
+        return {
+            daily_demand: Math.max(0, dailyDemand),
+            confidence_level: confidenceLevel,
+            methods
+        };
+    }
+
+    /**
+     * Get product sales history, including the units sold as part of bundles
      */
     async getProductSalesHistory(productId, days) {
         const startDate = new Date();
@@ -282,7 +308,7 @@ class AnalyticsEngine {
         return new Promise((resolve, reject) => {
             this.db.all(
                 `SELECT DATE(sale_date) as sale_date, SUM(quantity_sold) as daily_sales
-                 FROM sales 
+                 FROM ${STOCK_SALES_SQL}
                  WHERE product_id = ? AND sale_date >= ? 
                  GROUP BY DATE(sale_date) 
                  ORDER BY sale_date`,
@@ -301,7 +327,7 @@ class AnalyticsEngine {
     /**
      * Calculate moving average for sales data
      */
-    calculateMovingAverage(salesData, period) {
+    static calculateMovingAverage(salesData, period) {
         if (salesData.length < period) return null;
         
         const recentSales = salesData.slice(-period);
@@ -312,7 +338,7 @@ class AnalyticsEngine {
     /**
      * Calculate linear trend for sales data
      */
-    calculateLinearTrend(salesData) {
+    static calculateLinearTrend(salesData) {
         if (salesData.length < 2) return null;
         
         const n = salesData.length;
@@ -486,7 +512,7 @@ class AnalyticsEngine {
                     strftime('%m', sale_date) as month,
                     SUM(quantity_sold) as total_sales,
                     SUM(total_amount) as total_revenue,
-                    COUNT(*) as transaction_count
+                    COUNT(DISTINCT order_id) as transaction_count
                  FROM sales 
                  WHERE product_id = ? AND sale_date BETWEEN ? AND ?
                  GROUP BY strftime('%m', sale_date)
@@ -771,7 +797,7 @@ class AnalyticsEngine {
                     SUM(s.quantity_sold) as total_sold,
                     SUM(s.total_amount) as total_revenue,
                     AVG(s.sale_price) as avg_sale_price,
-                    COUNT(s.id) as transaction_count
+                    COUNT(DISTINCT s.order_id) as transaction_count
                  FROM sales s
                  LEFT JOIN products p ON s.product_id = p.id
                  ${start_date && end_date ? 'WHERE s.sale_date BETWEEN ? AND ?' : ''}
@@ -808,12 +834,16 @@ class AnalyticsEngine {
                     p.selling_price,
                     p.quantity * p.cost_price as total_cost_value,
                     p.quantity * p.selling_price as total_selling_value,
+                    rl.effective_reorder_point as reorder_point,
+                    rl.effective_safety_stock as safety_stock,
                     CASE 
                         WHEN p.quantity = 0 THEN 'Out of Stock'
-                        WHEN p.quantity < 10 THEN 'Low Stock'
+                        WHEN p.quantity <= rl.effective_reorder_point THEN 'Low Stock'
                         ELSE 'In Stock'
                     END as stock_status
                  FROM products p
+                 JOIN product_reorder_levels rl ON rl.product_id = p.id
+                 WHERE p.product_type NOT IN ('design', 'bundle')
                  ORDER BY p.quantity ASC`,
                 (err, rows) => {
                     if (err) {
@@ -875,9 +905,9 @@ class AnalyticsEngine {
                     p.name as product_name,
                     SUM(s.quantity_sold) as total_sold,
                     SUM(s.total_amount) as total_revenue,
-                    SUM(s.quantity_sold * p.cost_price) as total_cost,
-                    SUM(s.total_amount - (s.quantity_sold * p.cost_price)) as total_profit,
-                    ROUND(((SUM(s.total_amount - (s.quantity_sold * p.cost_price)) / SUM(s.total_amount)) * 100), 2) as profit_margin
+                    SUM(COALESCE(s.cogs, s.quantity_sold * p.cost_price)) as total_cost,
+                    SUM(s.total_amount - COALESCE(s.cogs, s.quantity_sold * p.cost_price)) as total_profit,
+                    ROUND(((SUM(s.total_amount - COALESCE(s.cogs, s.quantity_sold * p.cost_price)) / SUM(s.total_amount)) * 100), 2) as profit_margin
                  FROM sales s
                  LEFT JOIN products p ON s.product_id = p.id
                  ${start_date && end_date ? 'WHERE s.sale_date BETWEEN ? AND ?' : ''}
@@ -0,0 +1,252 @@
+/**
+ * Barcode Utility
+ * Encodes Code128 and EAN-13 barcodes and renders them as SVG on the server
+ */
+
+// Code128 bar/space widths for symbol values 0-106 (106 is the stop pattern)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// EAN-13 left-hand odd parity (L) codes; R codes are their complement and G codes the reversed R codes
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R_CODES = EAN_L_CODES.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G_CODES = EAN_R_CODES.map(code => code.split('').reverse().join(''));
+
+// Parity of the six left-hand digits, selected by the first (implicit) digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Internal (restricted circulation) EAN-13 numbers start with 20-29
+const INTERNAL_BARCODE_PREFIX = process.env.BARCODE_PREFIX || '20';
+
+/**
+ * Convert Code128 symbol values into a module bit string (1 = bar, 0 = space)
+ */
+function code128ValuesToBits(values) {
+    return values.map(value => {
+        let bits = '';
+        CODE128_PATTERNS[value].split('').forEach((width, index) => {
+            bits += (index % 2 === 0 ? '1' : '0').repeat(parseInt(width));
+        });
+        return bits;
+    }).join('');
+}
+
+/**
+ * Encode text as Code128. All-digit input of even length uses code set C,
+ * anything else uses code set B (printable ASCII).
+ * @param {string} text - Text to encode
+ * @returns {string} Module bit string
+ */
+function encodeCode128(text) {
+    const value = String(text);
+
+    if (value.length === 0) {
+        throw new Error('Barcode value cannot be empty');
+    }
+
+    const values = [];
+
+    if (/^\d+$/.test(value) && value.length % 2 === 0) {
+        values.push(CODE128_START_C);
+        for (let i = 0; i < value.length; i += 2) {
+            values.push(parseInt(value.substr(i, 2)));
+        }
+    } else {
+        values.push(CODE128_START_B);
+        for (const char of value) {
+            const code = char.charCodeAt(0);
+            if (code < 32 || code > 126) {
+                throw new Error(`Character "${char}" cannot be encoded in Code128`);
+            }
+            values.push(code - 32);
+        }
+    }
+
+    // Weighted modulo 103 checksum; the start symbol has weight 1
+    const checksum = values.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103;
+    values.push(checksum, CODE128_STOP);
+
+    return code128ValuesToBits(values);
+}
+
+/**
+ * Calculate the EAN-13 check digit for the first 12 digits
+ */
+function ean13CheckDigit(digits) {
+    const sum = digits.slice(0, 12).split('').reduce((total, digit, index) => {
+        return total + parseInt(digit) * (index % 2 === 0 ? 1 : 3);
+    }, 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Check that a value is a 13 digit EAN with a correct check digit
+ */
+function isValidEan13(value) {
+    return /^\d{13}$/.test(value) && ean13CheckDigit(value) === value[12];
+}
+
+/**
+ * Encode a 12 or 13 digit EAN-13 number (the check digit is added when missing)
+ * @param {string} code - EAN-13 number
+ * @returns {string} Module bit string
+ */
+function encodeEan13(code) {
+    let value = String(code);
+
+    if (/^\d{12}$/.test(value)) {
+        value += ean13CheckDigit(value);
+    }
+
+    if (!isValidEan13(value)) {
+        throw new Error(`Invalid EAN-13 number: ${code}`);
+    }
+
+    const parity = EAN_PARITY[parseInt(value[0])];
+    let bits = '101';
+
+    for (let i = 1; i <= 6; i++) {
+        const digit = parseInt(value[i]);
+        bits += parity[i - 1] === 'L' ? EAN_L_CODES[digit] : EAN_G_CODES[digit];
+    }
+
+    bits += '01010';
+
+    for (let i = 7; i <= 12; i++) {
+        bits += EAN_R_CODES[parseInt(value[i])];
+    }
+
+    return bits + '101';
+}
+
+/**
+ * Build the internal EAN-13 barcode number for a product id
+ */
+function internalEan13(productId) {
+    const digits = INTERNAL_BARCODE_PREFIX + String(productId).padStart(12 - INTERNAL_BARCODE_PREFIX.length, '0');
+    if (digits.length !== 12) {
+        throw new Error(`Product id ${productId} is too large for an internal EAN-13 barcode`);
+    }
+    return digits + ean13CheckDigit(digits);
+}
+
+/**
+ * Get the product id back from an internal EAN-13 barcode
+ * @returns {number|null} Product id, or null when the code is not an internal barcode
+ */
+function parseInternalEan13(code) {
+    const value = String(code);
+    if (!isValidEan13(value) || !value.startsWith(INTERNAL_BARCODE_PREFIX)) {
+        return null;
+    }
+    return parseInt(value.substring(INTERNAL_BARCODE_PREFIX.length, 12), 10) || null;
+}
+
+/**
+ * Encode a value in the requested format
+ * @param {string} format - 'code128' or 'ean13'
+ * @param {string} value - Value to encode
+ */
+function encodeBarcode(format, value) {
+    switch (format) {
+        case 'code128':
+            return encodeCode128(value);
+        case 'ean13':
+            return encodeEan13(value);
+        default:
+            throw new Error(`Unsupported barcode format: ${format}`);
+    }
+}
+
+/**
+ * Escape text for use inside SVG/XML
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a module bit string as an SVG path positioned at (x, y)
+ * @param {string} bits - Module bit string
+ * @param {object} options - { x, y, moduleWidth, height }
+ * @returns {string} SVG path element
+ */
+function barsToSvgPath(bits, { x = 0, y = 0, moduleWidth = 2, height = 60 } = {}) {
+    const segments = [];
+    let index = 0;
+
+    while (index < bits.length) {
+        if (bits[index] === '1') {
+            let run = 1;
+            while (bits[index + run] === '1') {
+                run++;
+            }
+            const barX = +(x + index * moduleWidth).toFixed(3);
+            segments.push(`M${barX} ${y}h${+(run * moduleWidth).toFixed(3)}v${height}h${-(run * moduleWidth).toFixed(3)}z`);
+            index += run;
+        } else {
+            index++;
+        }
+    }
+
+    return `<path d="${segments.join('')}" fill="#000"/>`;
+}
+
+/**
+ * Render a standalone barcode SVG document with the value printed below the bars
+ * @param {string} format - 'code128' or 'ean13'
+ * @param {string} value - Value to encode
+ * @param {object} options - { moduleWidth, height, quietZone, showText }
+ * @returns {string} SVG document
+ */
+function renderBarcodeSvg(format, value, options = {}) {
+    const { moduleWidth = 2, height = 60, quietZone = 10, showText = true } = options;
+    const bits = encodeBarcode(format, value);
+    const label = format === 'ean13' && String(value).length === 12 ? value + ean13CheckDigit(value) : value;
+
+    const textHeight = showText ? 16 : 0;
+    const width = bits.length * moduleWidth + quietZone * moduleWidth * 2;
+    const totalHeight = height + textHeight + 4;
+
+    const text = showText
+        ? `<text x="${width / 2}" y="${height + textHeight}" font-family="monospace" font-size="14" text-anchor="middle">${escapeXml(label)}</text>`
+        : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}">` +
+        `<rect width="100%" height="100%" fill="#fff"/>` +
+        barsToSvgPath(bits, { x: quietZone * moduleWidth, y: 2, moduleWidth, height }) +
+        text +
+        '</svg>';
+}
+
+module.exports = {
+    encodeCode128,
+    encodeEan13,
+    encodeBarcode,
+    ean13CheckDigit,
+    isValidEan13,
+    internalEan13,
+    parseInternalEan13,
+    barsToSvgPath,
+    renderBarcodeSvg,
+    escapeXml
+};
@@ -0,0 +1,166 @@
+/**
+ * Bundle Utility
+ * Bundles are products sold as one item and made of component products (e.g. cover + tempered glass).
+ *
+ * A bundle holds no stock of its own: selling one takes its components out of stock, and its available quantity
+ * is what the scarcest component allows (see the bundle_stock view). Components are simple products or variants.
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const { adjustLocationStock } = require('./stock');
+const { assertSellable } = require('./product-status');
+
+/**
+ * Sale lines in units of the products that hold the stock, for use as a FROM source: a bundle line becomes one row
+ * per component (at the bundle's current make-up) so demand forecasts see what actually leaves the shelf.
+ * Columns: product_id, sale_date, quantity_sold.
+ */
+const STOCK_SALES_SQL = `(SELECT COALESCE(bc.component_id, s.product_id) as product_id, s.sale_date,
+                                 s.quantity_sold * COALESCE(bc.quantity, 1) as quantity_sold
+                          FROM sales s
+                          LEFT JOIN bundle_components bc ON bc.bundle_id = s.product_id)`;
+
+/**
+ * Replace the components of a bundle
+ * @param {Array} components - [{ product_id, quantity }]
+ * @returns {Promise<number>} Summed component cost of one bundle
+ */
+async function setBundleComponents(db, bundleId, components) {
+    if (!Array.isArray(components) || components.length === 0) {
+        throw new Error('A bundle needs at least one component');
+    }
+
+    const seen = new Set();
+    for (const component of components) {
+        const productId = parseInt(component.product_id);
+        const quantity = parseInt(component.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 1 || String(quantity) !== String(component.quantity).trim()) {
+            throw new Error('Component quantity must be a positive whole number');
+        }
+        if (productId === parseInt(bundleId)) {
+            throw new Error('A bundle cannot contain itself');
+        }
+        if (seen.has(productId)) {
+            throw new Error(`Component ${productId} is listed more than once`);
+        }
+        seen.add(productId);
+
+        const product = await db.get('SELECT id, product_type FROM products WHERE id = ?', [productId]);
+        if (!product) {
+            throw new Error(`Component ${component.product_id} not found`);
+        }
+        if (!['simple', 'variant'].includes(product.product_type)) {
+            throw new Error('Components must be simple products or variants');
+        }
+    }
+
+    await db.run('DELETE FROM bundle_components WHERE bundle_id = ?', [bundleId]);
+    for (const component of components) {
+        await db.run(
+            'INSERT INTO bundle_components (bundle_id, component_id, quantity) VALUES (?, ?, ?)',
+            [bundleId, parseInt(component.product_id), parseInt(component.quantity)]
+        );
+    }
+
+    // The bundle's cost price follows its components so margins in lists and reports stay meaningful
+    const { component_cost } = await db.get('SELECT component_cost FROM bundle_stock WHERE bundle_id = ?', [bundleId]);
+    await db.run('UPDATE products SET cost_price = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?', [component_cost, bundleId]);
+
+    return component_cost;
+}
+
+/**
+ * Components of a bundle with their stock and how many bundles each can supply
+ */
+async function getBundleComponents(db, bundleId) {
+    return db.all(
+        `SELECT bc.component_id as product_id, bc.quantity, p.name, p.sku, p.brand, p.model, p.color, p.status,
+                p.quantity as stock, p.quantity / bc.quantity as bundles_available,
+                COALESCE(p.average_cost, p.cost_price) as unit_cost
+         FROM bundle_components bc
+         JOIN products p ON p.id = bc.component_id
+         WHERE bc.bundle_id = ?
+         ORDER BY p.name`,
+        [bundleId]
+    );
+}
+
+/**
+ * Take the components of sold bundles out of stock at a location
+ * @param {number} quantity - Bundles sold
+ * @param {object} options - adjustLocationStock options (reason, source_type, source_id, user_id)
+ * @returns {Promise<object>} { cogs: summed cost of the components taken, needs_restocking: a component reached its reorder point }
+ */
+async function consumeBundleComponents(db, bundleId, location, quantity, options = {}) {
+    const components = await db.all(
+        `SELECT bc.component_id, bc.quantity, p.name, p.status
+         FROM bundle_components bc
+         JOIN products p ON p.id = bc.component_id
+         WHERE bc.bundle_id = ?
+         ORDER BY bc.component_id`,
+        [bundleId]
+    );
+    if (components.length === 0) {
+        throw new Error('Bundle has no components');
+    }
+
+    let cogs = 0;
+    let needsRestocking = false;
+    for (const component of components) {
+        assertSellable(component);
+        const stock = await adjustLocationStock(db, component.component_id, location, -component.quantity * quantity, options);
+        cogs += stock.cogs;
+
+        const levels = await db.get('SELECT effective_reorder_point FROM product_reorder_levels WHERE product_id = ?', [component.component_id]);
+        needsRestocking = needsRestocking || stock.new_quantity <= levels.effective_reorder_point;
+    }
+
+    return { cogs, needs_restocking: needsRestocking };
+}
+
+/**
+ * Average unit cost each component left stock with for a sale line, from its ledger entries
+ * @returns {Promise<Map>} component id -> unit cost (components moved before costs were logged are left out)
+ */
+async function getSaleComponentCosts(db, saleId) {
+    const rows = await db.all(
+        `SELECT product_id, SUM(-change_amount * unit_cost) / SUM(-change_amount) as unit_cost
+         FROM inventory_logs
+         WHERE source_type = 'sale' AND source_id = ? AND change_amount < 0 AND unit_cost IS NOT NULL
+         GROUP BY product_id`,
+        [saleId]
+    );
+    return new Map(rows.map(row => [row.product_id, Math.round(row.unit_cost * 10000) / 10000]));
+}
+
+/**
+ * Put the components of returned bundles back into stock at a location
+ * @param {number} quantity - Bundles returned
+ * @param {object} options - adjustLocationStock options (reason, source_type, source_id, user_id),
+ *                           sale_id: the sale the bundles came from, to restock at the cost they were sold with
+ */
+async function restockBundleComponents(db, bundleId, location, quantity, options = {}) {
+    const { sale_id, ...stockOptions } = options;
+    const components = await db.all('SELECT component_id, quantity FROM bundle_components WHERE bundle_id = ?', [bundleId]);
+    if (components.length === 0) {
+        throw new Error('Bundle has no components');
+    }
+
+    const costs = sale_id ? await getSaleComponentCosts(db, sale_id) : new Map();
+    for (const component of components) {
+        await adjustLocationStock(db, component.component_id, location, component.quantity * quantity, {
+            ...stockOptions,
+            unit_cost: costs.get(component.component_id)
+        });
+    }
+}
+
+module.exports = {
+    STOCK_SALES_SQL,
+    setBundleComponents,
+    getBundleComponents,
+    consumeBundleComponents,
+    getSaleComponentCosts,
+    restockBundleComponents
+};
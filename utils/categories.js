@@ -0,0 +1,292 @@
+/**
+ * Category Utility
+ * Maintains the product category tree.
+ *
+ * Each category stores its full path ("Cases / Silicone") and depth, and products.category mirrors the path of the
+ * assigned category, so renaming or moving a category rewrites the paths of its whole subtree. Subtrees are read
+ * through the category_closure view (category -> every ancestor, itself included).
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const { parseHsnCode, parseGstRate } = require('./gst');
+
+const CATEGORY_SEPARATOR = ' / ';
+
+/**
+ * SQL condition matching a category id column against a category and all of its subcategories (one ? parameter)
+ */
+function categorySubtreeCondition(column) {
+    return `${column} IN (SELECT category_id FROM category_closure WHERE ancestor_id = ?)`;
+}
+
+function checkCategoryName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length < 1 || trimmed.length > 50) {
+        throw new Error('Category name must be between 1 and 50 characters');
+    }
+    if (/[/>]/.test(trimmed)) {
+        throw new Error('Category name must not contain / or >');
+    }
+    return trimmed;
+}
+
+async function getCategory(db, id) {
+    const category = await db.get('SELECT * FROM categories WHERE id = ?', [id]);
+    if (!category) {
+        throw new Error('Category not found');
+    }
+    return category;
+}
+
+/**
+ * Rewrite the path and depth of a category and its subcategories, and the category text of their products
+ */
+async function refreshCategoryPaths(db, id) {
+    const queue = [id];
+
+    while (queue.length > 0) {
+        const categoryId = queue.shift();
+        const category = await db.get(
+            `SELECT c.id, c.name, c.path, parent.path as parent_path, parent.depth as parent_depth
+             FROM categories c
+             LEFT JOIN categories parent ON parent.id = c.parent_id
+             WHERE c.id = ?`,
+            [categoryId]
+        );
+
+        const path = category.parent_path ? `${category.parent_path}${CATEGORY_SEPARATOR}${category.name}` : category.name;
+        const depth = category.parent_path ? category.parent_depth + 1 : 0;
+
+        await db.run('UPDATE categories SET path = ?, depth = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?', [path, depth, categoryId]);
+
+        if (path !== category.path) {
+            await db.run('UPDATE products SET category = ?, updated_date = CURRENT_TIMESTAMP WHERE category_id = ?', [path, categoryId]);
+            // Reorder defaults are keyed by the category text and follow the rename
+            await db.run("UPDATE reorder_defaults SET scope_value = ? WHERE scope = 'category' AND scope_value = ?", [path, category.path]);
+        }
+
+        const children = await db.all('SELECT id FROM categories WHERE parent_id = ?', [categoryId]);
+        queue.push(...children.map(child => child.id));
+    }
+}
+
+/**
+ * Create a category
+ * @param {object} fields - { name, parent_id, description, sort_order, hsn_code, gst_rate }
+ * @returns {Promise<object>} The new category
+ */
+async function createCategory(db, { name, parent_id = null, description = null, sort_order = 0, hsn_code, gst_rate }) {
+    const categoryName = checkCategoryName(name);
+
+    let parent = null;
+    if (parent_id) {
+        parent = await db.get('SELECT * FROM categories WHERE id = ?', [parent_id]);
+        if (!parent) {
+            throw new Error('Parent category not found');
+        }
+    }
+
+    const result = await db.run(
+        `INSERT INTO categories (name, parent_id, path, depth, description, sort_order, hsn_code, gst_rate)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            categoryName, parent ? parent.id : null,
+            parent ? `${parent.path}${CATEGORY_SEPARATOR}${categoryName}` : categoryName,
+            parent ? parent.depth + 1 : 0,
+            description, parseInt(sort_order) || 0,
+            parseHsnCode(hsn_code) ?? null, parseGstRate(gst_rate) ?? null
+        ]
+    );
+
+    return getCategory(db, result.lastID);
+}
+
+/**
+ * Rename, move or describe a category; moving takes its subcategories and products along
+ * @param {object} fields - { name, parent_id (null for top level), description, sort_order,
+ *                            hsn_code, gst_rate (null to inherit from the parent category) }
+ * @returns {Promise<object>} The updated category
+ */
+async function updateCategory(db, id, { name, parent_id, description, sort_order, hsn_code, gst_rate }) {
+    const category = await getCategory(db, id);
+    const updateFields = [];
+    const updateParams = [];
+
+    if (name !== undefined) {
+        updateFields.push('name = ?');
+        updateParams.push(checkCategoryName(name));
+    }
+
+    if (parent_id !== undefined) {
+        const parentId = parent_id || null;
+        if (parentId) {
+            const parent = await db.get('SELECT id FROM categories WHERE id = ?', [parentId]);
+            if (!parent) {
+                throw new Error('Parent category not found');
+            }
+            const descendant = await db.get(
+                'SELECT 1 FROM category_closure WHERE category_id = ? AND ancestor_id = ?',
+                [parentId, category.id]
+            );
+            if (descendant) {
+                throw new Error('A category cannot be moved under itself or one of its subcategories');
+            }
+        }
+        updateFields.push('parent_id = ?');
+        updateParams.push(parentId);
+    }
+
+    if (description !== undefined) {
+        updateFields.push('description = ?');
+        updateParams.push(description || null);
+    }
+
+    if (sort_order !== undefined) {
+        updateFields.push('sort_order = ?');
+        updateParams.push(parseInt(sort_order) || 0);
+    }
+
+    if (hsn_code !== undefined) {
+        updateFields.push('hsn_code = ?');
+        updateParams.push(parseHsnCode(hsn_code));
+    }
+
+    if (gst_rate !== undefined) {
+        updateFields.push('gst_rate = ?');
+        updateParams.push(parseGstRate(gst_rate));
+    }
+
+    if (updateFields.length === 0) {
+        throw new Error('No fields to update');
+    }
+
+    await db.run(`UPDATE categories SET ${updateFields.join(', ')} WHERE id = ?`, [...updateParams, category.id]);
+    await refreshCategoryPaths(db, category.id);
+
+    return getCategory(db, category.id);
+}
+
+/**
+ * Delete an empty category (no subcategories, no products)
+ */
+async function deleteCategory(db, id) {
+    const category = await getCategory(db, id);
+
+    const children = await db.get('SELECT COUNT(*) as count FROM categories WHERE parent_id = ?', [id]);
+    if (children.count > 0) {
+        throw new Error('Cannot delete category with subcategories');
+    }
+
+    const products = await db.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [id]);
+    if (products.count > 0) {
+        throw new Error('Cannot delete category with products');
+    }
+
+    await db.run("DELETE FROM reorder_defaults WHERE scope = 'category' AND scope_value = ?", [category.path]);
+    await db.run('DELETE FROM categories WHERE id = ?', [id]);
+
+    return category;
+}
+
+/**
+ * The category tree with product counts and stock totals, each including its subcategories
+ * @returns {Promise<Array>} Top-level categories, each with children
+ */
+async function getCategoryTree(db) {
+    const categories = await db.all(
+        `SELECT c.id, c.name, c.parent_id, c.path, c.depth, c.description, c.sort_order,
+                (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id AND p.product_type NOT IN ('design', 'bundle')) as own_product_count,
+                COUNT(p.id) as product_count,
+                COALESCE(SUM(p.quantity), 0) as total_quantity,
+                COALESCE(SUM(p.quantity * p.cost_price), 0) as cost_value
+         FROM categories c
+         LEFT JOIN category_closure cc ON cc.ancestor_id = c.id
+         LEFT JOIN products p ON p.category_id = cc.category_id AND p.product_type NOT IN ('design', 'bundle')
+         GROUP BY c.id
+         ORDER BY c.depth, c.sort_order, c.name`
+    );
+
+    const byId = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    byId.forEach(category => {
+        const parent = category.parent_id ? byId.get(category.parent_id) : null;
+        (parent ? parent.children : roots).push(category);
+    });
+
+    return roots;
+}
+
+function splitCategoryPath(path) {
+    return String(path).split(/[/>]/).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Write a category path the way categories store it ('Cases>Silicone' -> 'Cases / Silicone')
+ */
+function normalizeCategoryPath(path) {
+    return splitCategoryPath(path).join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * Find a category by its path; each level is matched by name, case-insensitively
+ * @param {string} path - e.g. 'Cases / Silicone' (> is accepted as separator too)
+ * @param {object} options - { create: add the levels that do not exist yet }
+ * @returns {Promise<object|null>} The category, or null when it does not exist and create is off
+ */
+async function findCategoryByPath(db, path, { create = false } = {}) {
+    const names = splitCategoryPath(path);
+    let parent = null;
+
+    for (const name of names) {
+        let category = await db.get(
+            'SELECT * FROM categories WHERE name = ? COLLATE NOCASE AND parent_id IS ?',
+            [name, parent ? parent.id : null]
+        );
+        if (!category) {
+            if (!create) {
+                return null;
+            }
+            category = await createCategory(db, { name, parent_id: parent ? parent.id : null });
+        }
+        parent = category;
+    }
+
+    return parent;
+}
+
+/**
+ * Category to store on a product from a request: category_id wins over a category path
+ * @param {object} fields - { category_id, category }; null or '' clears the category
+ * @returns {Promise<object|undefined>} { category_id, category }, or undefined when neither is given
+ */
+async function resolveProductCategory(db, { category_id, category }) {
+    const value = category_id !== undefined ? category_id : category;
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '') {
+        return { category_id: null, category: null };
+    }
+
+    const found = category_id !== undefined
+        ? await db.get('SELECT * FROM categories WHERE id = ?', [category_id])
+        : await findCategoryByPath(db, category);
+
+    if (!found) {
+        throw new Error('Category not found');
+    }
+    return { category_id: found.id, category: found.path };
+}
+
+module.exports = {
+    CATEGORY_SEPARATOR,
+    categorySubtreeCondition,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    getCategoryTree,
+    normalizeCategoryPath,
+    findCategoryByPath,
+    resolveProductCategory
+};
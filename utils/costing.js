@@ -0,0 +1,100 @@
+/**
+ * Costing Utility
+ * Keeps inventory cost layers and works out the cost of goods sold.
+ *
+ * Every stock increase adds a cost layer (quantity and unit cost) and folds it into
+ * products.average_cost. Every decrease depletes layers oldest first; the cost of the
+ * goods taken out is priced by COSTING_METHOD:
+ *   fifo             - the unit costs of the layers that were depleted
+ *   weighted_average - the moving average cost at the time of the decrease
+ */
+
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+const COSTING_METHOD = COSTING_METHODS.includes(process.env.COSTING_METHOD) ? process.env.COSTING_METHOD : 'fifo';
+
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Current unit cost of a product: the moving average, or the cost price before any layer existed
+ */
+function currentUnitCost(product) {
+    return product.average_cost ?? product.cost_price ?? 0;
+}
+
+/**
+ * Record a stock increase as a new cost layer and update the moving average cost
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {number} productId - Product receiving stock
+ * @param {number} quantity - Units added
+ * @param {object} options - { unit_cost (defaults to the current unit cost), source_type, source_id }
+ * @returns {Promise<number>} Unit cost of the layer
+ */
+async function addCostLayer(db, productId, quantity, { unit_cost, source_type = 'adjustment', source_id = null } = {}) {
+    const product = await db.get('SELECT cost_price, average_cost FROM products WHERE id = ?', [productId]);
+    const unitCost = unit_cost ?? currentUnitCost(product);
+
+    const onHand = await db.get(
+        'SELECT COALESCE(SUM(quantity_remaining), 0) as quantity FROM cost_layers WHERE product_id = ?',
+        [productId]
+    );
+    const averageCost = (onHand.quantity * currentUnitCost(product) + quantity * unitCost) / (onHand.quantity + quantity);
+
+    await db.run(
+        `INSERT INTO cost_layers (product_id, quantity_received, quantity_remaining, unit_cost, source_type, source_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [productId, quantity, quantity, unitCost, source_type, source_id]
+    );
+    await db.run('UPDATE products SET average_cost = ? WHERE id = ?', [roundCost(averageCost), productId]);
+
+    return unitCost;
+}
+
+/**
+ * Take units out of the cost layers and price them
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {number} productId - Product losing stock
+ * @param {number} quantity - Units removed
+ * @param {string} method - 'fifo' or 'weighted_average' (defaults to COSTING_METHOD)
+ * @returns {Promise<object>} { cogs, unit_cost }
+ */
+async function consumeCostLayers(db, productId, quantity, method = COSTING_METHOD) {
+    const product = await db.get('SELECT cost_price, average_cost FROM products WHERE id = ?', [productId]);
+    const layers = await db.all(
+        `SELECT id, quantity_remaining, unit_cost FROM cost_layers
+         WHERE product_id = ? AND quantity_remaining > 0
+         ORDER BY created_date, id`,
+        [productId]
+    );
+
+    let remaining = quantity;
+    let fifoCost = 0;
+
+    for (const layer of layers) {
+        if (remaining === 0) {
+            break;
+        }
+        const taken = Math.min(layer.quantity_remaining, remaining);
+        await db.run('UPDATE cost_layers SET quantity_remaining = quantity_remaining - ? WHERE id = ?', [taken, layer.id]);
+        fifoCost += taken * layer.unit_cost;
+        remaining -= taken;
+    }
+
+    // Stock that predates cost layers is priced at the current unit cost
+    fifoCost += remaining * currentUnitCost(product);
+
+    const cogs = method === 'weighted_average' ? quantity * currentUnitCost(product) : fifoCost;
+
+    return {
+        cogs: roundCost(cogs),
+        unit_cost: quantity > 0 ? roundCost(cogs / quantity) : 0
+    };
+}
+
+module.exports = {
+    COSTING_METHOD,
+    COSTING_METHODS,
+    addCostLayer,
+    consumeCostLayers
+};
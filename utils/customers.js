@@ -0,0 +1,270 @@
+/**
+ * Customer Utility
+ * Customers are deduplicated by phone number or email: a sale or return naming a phone or email that is already on
+ * file is linked to that customer instead of creating another one.
+ *
+ * Phone numbers are stored as digits only, with an Indian +91 / leading 0 prefix dropped, and emails in lower case,
+ * so "+91 98765-43210" and "09876543210" are the same customer.
+ * All functions that touch the database take the database manager (or transaction handle) as first argument.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CUSTOMER_FIELDS = ['name', 'phone', 'email', 'address', 'gstin', 'notes'];
+
+/**
+ * Normalize a phone number for storage and matching
+ * @returns {string|null} Digits only, null when not given
+ */
+function normalizePhone(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    let digits = String(value).replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) {
+        digits = digits.substring(2);
+    } else if (digits.length === 11 && digits.startsWith('0')) {
+        digits = digits.substring(1);
+    }
+
+    if (digits.length < 7 || digits.length > 15) {
+        throw new Error(`Invalid phone number: ${value}`);
+    }
+    return digits;
+}
+
+/**
+ * Normalize an email address for storage and matching
+ * @returns {string|null} Lower case, null when not given
+ */
+function normalizeEmail(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const email = String(value).trim().toLowerCase();
+    if (!EMAIL_REGEX.test(email)) {
+        throw new Error(`Invalid email: ${value}`);
+    }
+    return email;
+}
+
+/**
+ * Pick a name, email and phone out of a legacy customer_info string: a JSON object with name/email/phone keys,
+ * or free text holding an email and/or phone number, with whatever is left over taken as the name
+ * @returns {object} { name, email, phone }, each null when not found
+ */
+function parseCustomerInfo(text) {
+    const details = { name: null, email: null, phone: null };
+    if (!text || !String(text).trim()) {
+        return details;
+    }
+
+    let info = String(text).trim();
+    try {
+        const parsed = JSON.parse(info);
+        if (parsed && typeof parsed === 'object') {
+            details.name = parsed.name || parsed.customer_name || null;
+            info = [parsed.email || parsed.customer_email, parsed.phone || parsed.customer_phone].filter(Boolean).join(' ');
+        }
+    } catch (error) {
+        // Not JSON, read it as free text
+    }
+
+    const email = info.match(/[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+/);
+    if (email) {
+        details.email = email[0].toLowerCase();
+        info = info.replace(email[0], ' ');
+    }
+
+    // Free text needs a full ten-digit number, so dates and order numbers are not taken for phones
+    const phone = info.match(/\+?\d[\d\s-]{8,16}\d/);
+    if (phone && phone[0].replace(/\D/g, '').length >= 10) {
+        try {
+            details.phone = normalizePhone(phone[0]);
+            info = info.replace(phone[0], ' ');
+        } catch (error) {
+            // Too long for a phone number, leave it in the name
+        }
+    }
+
+    if (!details.name) {
+        const name = info.replace(/[,;|/]+/g, ' ').replace(/\s+/g, ' ').trim();
+        details.name = name || null;
+    }
+
+    return details;
+}
+
+/**
+ * Find the customer with a phone number or email
+ * @returns {Promise<object|null>} The customer matching the phone, else the email
+ */
+async function findCustomer(db, { phone, email }) {
+    if (phone) {
+        const customer = await db.get('SELECT * FROM customers WHERE phone = ?', [phone]);
+        if (customer) {
+            return customer;
+        }
+    }
+    if (email) {
+        return (await db.get('SELECT * FROM customers WHERE email = ?', [email])) || null;
+    }
+    return null;
+}
+
+/**
+ * Link to the customer with the given phone number or email, creating one when neither is on file.
+ * A matched customer gets the name, phone or email it is missing; details already on file are kept.
+ * Without a phone or email there is nothing to deduplicate on, so no customer is created.
+ * @param {object} details - { name, phone, email, address }
+ * @returns {Promise<number|null>} Customer ID, or null when neither phone nor email was given
+ */
+async function findOrCreateCustomer(db, details) {
+    const phone = normalizePhone(details.phone);
+    const email = normalizeEmail(details.email);
+    if (!phone && !email) {
+        return null;
+    }
+
+    const name = details.name ? String(details.name).trim() : '';
+    const customer = await findCustomer(db, { phone, email });
+
+    if (!customer) {
+        const result = await db.run(
+            'INSERT INTO customers (name, phone, email, address) VALUES (?, ?, ?, ?)',
+            [name || email || phone, phone, email, details.address || null]
+        );
+        return result.lastID;
+    }
+
+    const updates = [];
+    const params = [];
+    if (phone && !customer.phone) {
+        updates.push('phone = ?');
+        params.push(phone);
+    }
+    if (email && !customer.email && !(await db.get('SELECT id FROM customers WHERE email = ?', [email]))) {
+        updates.push('email = ?');
+        params.push(email);
+    }
+    if (name && (customer.name === customer.email || customer.name === customer.phone)) {
+        updates.push('name = ?');
+        params.push(name);
+    }
+    if (details.address && !customer.address) {
+        updates.push('address = ?');
+        params.push(details.address);
+    }
+
+    if (updates.length > 0) {
+        await db.run(
+            `UPDATE customers SET ${updates.join(', ')}, updated_date = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, customer.id]
+        );
+    }
+
+    return customer.id;
+}
+
+/**
+ * Work out the customer of a sale or return: an explicit customer_id, else a customer looked up or created from
+ * the given details
+ * @param {object} data - { customer_id } or { name, phone, email, address }
+ * @returns {Promise<number|null>} Customer ID, null when the customer is unknown
+ */
+async function resolveCustomer(db, { customer_id, ...details }) {
+    if (customer_id) {
+        const customer = await db.get('SELECT id FROM customers WHERE id = ?', [customer_id]);
+        if (!customer) {
+            throw new Error('Customer not found');
+        }
+        return customer.id;
+    }
+
+    return findOrCreateCustomer(db, details);
+}
+
+/**
+ * Lifetime totals of a customer: orders and spend, returns and refunds, and the lifetime value (spend less refunds)
+ * @returns {Promise<object>}
+ */
+async function getCustomerSummary(db, customerId) {
+    const sales = await db.get(
+        `SELECT
+            COUNT(*) as order_count,
+            COALESCE(SUM(total_amount), 0) as total_spent,
+            COALESCE(AVG(total_amount), 0) as average_order_value,
+            MIN(order_date) as first_order_date,
+            MAX(order_date) as last_order_date
+         FROM sales_orders
+         WHERE customer_id = ?`,
+        [customerId]
+    );
+    const units = await db.get(
+        'SELECT COALESCE(SUM(quantity_sold), 0) as units_bought FROM sales WHERE customer_id = ?',
+        [customerId]
+    );
+    const returns = await db.get(
+        `SELECT
+            COUNT(*) as return_count,
+            COALESCE(SUM(quantity), 0) as units_returned,
+            COALESCE(SUM(CASE WHEN return_status = 'processed' THEN refund_amount ELSE 0 END), 0) as total_refunded
+         FROM returns
+         WHERE customer_id = ? AND return_status != 'cancelled'`,
+        [customerId]
+    );
+
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+        ...sales,
+        ...units,
+        ...returns,
+        average_order_value: round(sales.average_order_value),
+        lifetime_value: round(sales.total_spent - returns.total_refunded)
+    };
+}
+
+/**
+ * Merge a duplicate customer into another: its orders, order lines and returns move over, contact details the
+ * customer is missing are taken from the duplicate, and the duplicate is deleted
+ */
+async function mergeCustomers(db, customerId, duplicateId) {
+    if (Number(customerId) === Number(duplicateId)) {
+        throw new Error('Cannot merge a customer into itself');
+    }
+
+    const customer = await db.get('SELECT * FROM customers WHERE id = ?', [customerId]);
+    const duplicate = await db.get('SELECT * FROM customers WHERE id = ?', [duplicateId]);
+    if (!customer || !duplicate) {
+        throw new Error('Customer not found');
+    }
+
+    for (const table of ['sales_orders', 'sales', 'returns']) {
+        await db.run(`UPDATE ${table} SET customer_id = ? WHERE customer_id = ?`, [customerId, duplicateId]);
+    }
+
+    // The duplicate goes first so its phone and email are free to move over
+    await db.run('DELETE FROM customers WHERE id = ?', [duplicateId]);
+
+    const fields = ['phone', 'email', 'address', 'gstin'].filter(field => !customer[field] && duplicate[field]);
+    const notes = [customer.notes, duplicate.notes].filter(Boolean).join('\n') || null;
+    await db.run(
+        `UPDATE customers SET ${fields.map(field => `${field} = ?, `).join('')}notes = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(field => duplicate[field]), notes, customerId]
+    );
+}
+
+module.exports = {
+    CUSTOMER_FIELDS,
+    normalizePhone,
+    normalizeEmail,
+    parseCustomerInfo,
+    findCustomer,
+    findOrCreateCustomer,
+    resolveCustomer,
+    getCustomerSummary,
+    mergeCustomers
+};
@@ -5,9 +5,17 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { assignProductCodes } = require('./sku');
+const { resolveLocation, adjustLocationStock } = require('./stock');
+const { assertSellable } = require('./product-status');
+const { restockBundleComponents } = require('./bundles');
+const { priceOrderLines, checkOrderStock, adjustSaleLineStock } = require('./sales-orders');
+const { resolveBuyer, applyOrderTax } = require('./gst');
+const { parseCustomerInfo, resolveCustomer } = require('./customers');
+const { applyOrderFees } = require('./marketplace-fees');
 
 class DatabaseManager {
-    constructor(dbPath = './database/inventory.db') {
+    constructor(dbPath = process.env.DATABASE_PATH || './database/inventory.db') {
         this.dbPath = dbPath;
         this.db = null;
         this.initialize();
@@ -196,65 +204,223 @@ class TransactionManager {
     }
 
     /**
-     * Record a sale with inventory update
+     * Record a sales order: the header and every line in one transaction.
+     * Stock is taken from location_id, or the default location when omitted, and is checked for every line
+     * before anything moves, so an order is recorded whole or not at all.
+     * The customer is customer_id, else the one found or created from customer ({ name, phone, email, address }),
+     * else from a phone or email in customer_info; the buyer details of the invoice default to the customer's.
+     * Orders imported from a marketplace report carry their marketplace_order_id, marketplace_import_id and the
+     * order_date of the report; an order id already recorded for the platform fails the unique index.
+     * @param {object} orderData - { items: [{ product_id, quantity_sold, sale_price, discount_amount }], sales_platform,
+     *                               customer_id, customer, customer_info, payment_method, slip_path, location_id,
+     *                               discount_amount, notes, created_by, marketplace_order_id, marketplace_import_id, order_date }
      */
-    async recordSale(saleData) {
-        const { product_id, quantity_sold, sale_price, sales_platform, customer_info, payment_method, slip_path } = saleData;
-        
-        const total_amount = quantity_sold * sale_price;
+    async recordSalesOrder(orderData) {
+        const {
+            items, sales_platform, customer_info, payment_method, slip_path, location_id, customer_id, customer,
+            discount_amount = 0, notes = null, created_by = null,
+            marketplace_order_id = null, marketplace_import_id = null, order_date = null
+        } = orderData;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('An order needs at least one line');
+        }
 
         return this.db.transaction(async (db) => {
-            // Insert sale record
-            const saleResult = await db.run(
-                `INSERT INTO sales (product_id, quantity_sold, sale_price, total_amount, sales_platform, customer_info, payment_method, slip_path) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [product_id, quantity_sold, sale_price, total_amount, sales_platform, customer_info, payment_method, slip_path]
+            // Designs only group variants; stock lives on the variants themselves
+            const products = [];
+            for (const item of items) {
+                const product = await db.get('SELECT id, name, product_type, status FROM products WHERE id = ?', [item.product_id]);
+                if (!product) {
+                    throw new Error(`Product not found: ${item.product_id}`);
+                }
+                if (product.product_type === 'design') {
+                    throw new Error('Cannot sell a design product, choose one of its variants');
+                }
+                assertSellable(product);
+                products.push(product);
+            }
+
+            const location = await resolveLocation(db, location_id);
+            const customerId = await resolveCustomer(db, customer_id ? { customer_id } : (customer || parseCustomerInfo(customer_info)));
+            const customerRecord = customerId ? await db.get('SELECT * FROM customers WHERE id = ?', [customerId]) : {};
+            const buyer = resolveBuyer(orderData.buyer_gstin || orderData.buyer_state ? orderData : { buyer_gstin: customerRecord.gstin });
+            const buyer_name = orderData.buyer_name ?? customerRecord.name ?? null;
+            const buyer_address = orderData.buyer_address ?? customerRecord.address ?? null;
+            const priced = priceOrderLines(items, discount_amount);
+            await checkOrderStock(db, location, priced.lines.map((line, index) => ({ ...line, product_type: products[index].product_type })));
+
+            const orderResult = await db.run(
+                `INSERT INTO sales_orders (sales_platform, customer_id, customer_info, payment_method, slip_path, location_id,
+                                           subtotal, discount_amount, total_amount, notes, created_by,
+                                           buyer_name, buyer_gstin, buyer_state, buyer_address,
+                                           marketplace_order_id, marketplace_import_id, order_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+                [sales_platform, customerId, customer_info, payment_method, slip_path, location.id,
+                 priced.subtotal, discount_amount || 0, priced.total_amount, notes, created_by,
+                 buyer_name, buyer.buyer_gstin, buyer.buyer_state, buyer_address,
+                 marketplace_order_id, marketplace_import_id, order_date]
             );
+            const orderId = orderResult.lastID;
+            const orderNumber = `SO-${String(orderId).padStart(6, '0')}`;
+            await db.run('UPDATE sales_orders SET order_number = ? WHERE id = ?', [orderNumber, orderId]);
+            const { order_date: orderDate } = await db.get('SELECT order_date FROM sales_orders WHERE id = ?', [orderId]);
+
+            const lines = [];
+            let orderCogs = 0;
+            for (let i = 0; i < priced.lines.length; i++) {
+                const line = priced.lines[i];
+
+                // The header is copied onto each line so line-level reports can filter and group without a join
+                const saleResult = await db.run(
+                    `INSERT INTO sales (order_id, line_number, product_id, quantity_sold, sale_price, line_discount, order_discount_share,
+                                        total_amount, sales_platform, customer_id, customer_info, payment_method, slip_path, location_id, sale_date)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [orderId, i + 1, line.product_id, line.quantity_sold, line.sale_price, line.line_discount, line.order_discount_share,
+                     line.total_amount, sales_platform, customerId, customer_info, payment_method, slip_path, location.id, orderDate]
+                );
+
+                // Take the stock (a bundle's components) out and the cost of goods from the cost layers
+                const stock = await adjustSaleLineStock(db, line.product_id, location, -line.quantity_sold, {
+                    reason: 'sale', source_type: 'sale', source_id: saleResult.lastID, user_id: created_by
+                });
 
-            // Update product quantity
-            const updateResult = await db.run(
-                'UPDATE products SET quantity = quantity - ? WHERE id = ?',
-                [quantity_sold, product_id]
+                // The cost is frozen on the sale so later cost price changes do not rewrite past profit
+                await db.run('UPDATE sales SET cogs = ?, unit_cost = ? WHERE id = ?', [stock.cogs, stock.unit_cost, saleResult.lastID]);
+                orderCogs += stock.cogs;
+
+                lines.push({
+                    sale_id: saleResult.lastID,
+                    line_number: i + 1,
+                    product_id: line.product_id,
+                    product_name: products[i].name,
+                    quantity_sold: line.quantity_sold,
+                    sale_price: line.sale_price,
+                    line_discount: line.line_discount,
+                    order_discount_share: line.order_discount_share,
+                    total_amount: line.total_amount,
+                    cogs: stock.cogs,
+                    remaining_stock: stock.new_quantity,
+                    location_stock: stock.location_quantity,
+                    needs_restocking: stock.needs_restocking
+                });
+            }
+
+            // GST and marketplace fees are worked out once every line has its final amount and cost
+            await applyOrderTax(db, orderId);
+            await applyOrderFees(db, orderId);
+            const tax = await db.get(
+                'SELECT taxable_amount, cgst_amount, sgst_amount, igst_amount FROM sales_orders WHERE id = ?',
+                [orderId]
+            );
+            const payout = await db.get(
+                `SELECT ROUND(SUM(marketplace_fees), 2) as marketplace_fees, ROUND(SUM(fee_gst), 2) as fee_gst,
+                        ROUND(SUM(net_payout), 2) as net_payout, ROUND(SUM(net_profit), 2) as net_profit
+                 FROM sales WHERE order_id = ?`,
+                [orderId]
             );
 
-            // Check if product needs restocking alert
-            const product = await db.get('SELECT quantity, name FROM products WHERE id = ?', [product_id]);
-            
             return {
-                sale_id: saleResult.lastID,
-                total_amount,
-                remaining_stock: product.quantity,
-                needs_restocking: product.quantity < 10
+                order_id: orderId,
+                order_number: orderNumber,
+                customer_id: customerId,
+                subtotal: priced.subtotal,
+                discount_amount: discount_amount || 0,
+                total_amount: priced.total_amount,
+                ...tax,
+                ...payout,
+                cogs: Math.round(orderCogs * 10000) / 10000,
+                location_id: location.id,
+                lines
             };
         });
     }
 
+    /**
+     * Record a sale of one product, as a single-line order
+     * Stock is taken from location_id, or the default location when omitted
+     */
+    async recordSale(saleData) {
+        const { product_id, quantity_sold, sale_price, ...header } = saleData;
+
+        const order = await this.recordSalesOrder({ ...header, items: [{ product_id, quantity_sold, sale_price }] });
+        const [line] = order.lines;
+
+        return {
+            sale_id: line.sale_id,
+            order_id: order.order_id,
+            order_number: order.order_number,
+            customer_id: order.customer_id,
+            total_amount: line.total_amount,
+            cogs: line.cogs,
+            marketplace_fees: order.marketplace_fees,
+            fee_gst: order.fee_gst,
+            net_payout: order.net_payout,
+            net_profit: order.net_profit,
+            location_id: order.location_id,
+            remaining_stock: line.remaining_stock,
+            location_stock: line.location_stock,
+            needs_restocking: line.needs_restocking
+        };
+    }
+
     /**
      * Process return with automatic restocking
+     * Restocked units go to location_id, or the default location when omitted
      */
     async processReturn(returnData) {
         const { 
             return_id, processed_by, refund_amount, refund_method, 
-            restock_quantity = 0, product_id 
+            restock_quantity = 0, location_id, notes
         } = returnData;
 
         return this.db.transaction(async (db) => {
+            const returnRecord = await db.get('SELECT * FROM returns WHERE id = ?', [return_id]);
+            if (!returnRecord) {
+                throw new Error('Return not found');
+            }
+            
+            if (returnRecord.return_status !== 'approved') {
+                throw new Error('Return must be approved before processing');
+            }
+
+            const { product_id } = returnRecord;
+            const restocking = product_id && restock_quantity > 0;
+            // A return routed to a location when it was opened (RTO parcels) is restocked there unless told otherwise
+            const location = restocking ? await resolveLocation(db, location_id || returnRecord.restock_location_id) : null;
+
             // Update return status
             const returnResult = await db.run(
                 `UPDATE returns 
                  SET return_status = 'processed', processed_by = ?, processed_date = CURRENT_TIMESTAMP,
-                     refund_amount = ?, refund_method = ?, restocked = 1, updated_date = CURRENT_TIMESTAMP
+                     refund_amount = ?, refund_method = ?, restocked = ?, restock_location_id = ?, updated_date = CURRENT_TIMESTAMP
                  WHERE id = ?`,
-                [processed_by, refund_amount, refund_method, return_id]
+                [processed_by, refund_amount, refund_method, restocking ? 1 : 0, location ? location.id : null, return_id]
             );
 
-            // Restock inventory if product exists
-            let restockResult = null;
-            if (product_id && restock_quantity > 0) {
-                restockResult = await db.run(
-                    'UPDATE products SET quantity = quantity + ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?',
-                    [restock_quantity, product_id]
-                );
+            // Restock inventory if product exists, at the cost it left stock with when the sale is known
+            const returnedProduct = product_id ? await db.get('SELECT product_type FROM products WHERE id = ?', [product_id]) : null;
+            const isBundle = returnedProduct && returnedProduct.product_type === 'bundle';
+            if (restocking && isBundle) {
+                // Returned bundles go back into stock as their components
+                await restockBundleComponents(db, product_id, location, restock_quantity, {
+                    sale_id: returnRecord.original_sale_id || undefined,
+                    reason: 'return_restock',
+                    source_type: 'return',
+                    source_id: return_id,
+                    user_id: processed_by
+                });
+            } else if (restocking) {
+                const originalSale = returnRecord.original_sale_id
+                    ? await db.get('SELECT unit_cost FROM sales WHERE id = ?', [returnRecord.original_sale_id])
+                    : null;
+                await adjustLocationStock(db, product_id, location, restock_quantity, {
+                    unit_cost: originalSale ? originalSale.unit_cost : undefined,
+                    reason: 'return_restock',
+                    source_type: 'return',
+                    source_id: return_id,
+                    user_id: processed_by
+                });
             }
 
             // Log return activity
@@ -264,58 +430,344 @@ class TransactionManager {
                 [return_id, 'refunded', `Refund of $${refund_amount} processed via ${refund_method}`, processed_by, 'Return processed successfully']
             );
 
+            await db.run(
+                `INSERT INTO return_activities (return_id, activity_type, activity_description, performed_by, notes)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [
+                    return_id, 'processed',
+                    `Return processed with $${refund_amount} refund via ${refund_method}` + (location ? `, ${restock_quantity} restocked at ${location.name}` : ''),
+                    processed_by, notes
+                ]
+            );
+
             return {
                 return_updated: returnResult.changes > 0,
-                restocked: restockResult ? restockResult.changes > 0 : false,
-                new_quantity: product_id ? (await db.get('SELECT quantity FROM products WHERE id = ?', [product_id])).quantity : null
+                restocked: Boolean(restocking),
+                restock_location_id: location ? location.id : null,
+                new_quantity: !product_id ? null : isBundle
+                    ? (await db.get('SELECT COALESCE(MAX(available_quantity), 0) as quantity FROM bundle_stock WHERE bundle_id = ?', [product_id])).quantity
+                    : (await db.get('SELECT quantity FROM products WHERE id = ?', [product_id])).quantity
             };
         });
     }
 
     /**
      * Bulk inventory update for multiple products
+     * Each update may name its own location_id; otherwise the default location is used
      */
-    async bulkInventoryUpdate(updates) {
+    async bulkInventoryUpdate(updates, { location_id, user_id = null } = {}) {
         return this.db.transaction(async (db) => {
             const results = [];
             
             for (const update of updates) {
                 const { product_id, quantity_change, reason } = update;
-                
-                // Get current quantity
-                const currentProduct = await db.get('SELECT quantity, name FROM products WHERE id = ?', [product_id]);
-                if (!currentProduct) {
-                    throw new Error(`Product ${product_id} not found`);
+                const location = await resolveLocation(db, update.location_id || location_id);
+
+                const stock = await adjustLocationStock(db, product_id, location, quantity_change, {
+                    reason: reason || 'manual_adjustment', user_id, unit_cost: update.unit_cost
+                });
+
+                results.push({
+                    product_id,
+                    product_name: stock.product_name,
+                    location_id: location.id,
+                    previous_quantity: stock.previous_quantity,
+                    new_quantity: stock.new_quantity,
+                    location_quantity: stock.location_quantity,
+                    change: quantity_change
+                });
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * Move stock between two locations as one transfer document
+     * @param {object} transferData - { from_location_id, to_location_id, items: [{ product_id, quantity }], notes, created_by }
+     */
+    async transferStock(transferData) {
+        const { from_location_id, to_location_id, items, notes, created_by = null } = transferData;
+
+        if (Number(from_location_id) === Number(to_location_id)) {
+            throw new Error('Cannot transfer stock to the same location');
+        }
+
+        return this.db.transaction(async (db) => {
+            const from = await resolveLocation(db, from_location_id);
+            const to = await resolveLocation(db, to_location_id);
+
+            const transferResult = await db.run(
+                `INSERT INTO stock_transfers (from_location_id, to_location_id, notes, created_by)
+                 VALUES (?, ?, ?, ?)`,
+                [from.id, to.id, notes, created_by]
+            );
+            const transferId = transferResult.lastID;
+            const transferNumber = `TRF-${String(transferId).padStart(6, '0')}`;
+            await db.run('UPDATE stock_transfers SET transfer_number = ? WHERE id = ?', [transferNumber, transferId]);
+
+            const moved = [];
+            for (const { product_id, quantity } of items) {
+                // Moving stock between our own locations does not touch its cost
+                const source = { source_type: 'stock_transfer', source_id: transferId, user_id: created_by, costing: false };
+                const outgoing = await adjustLocationStock(db, product_id, from, -quantity, { ...source, reason: 'transfer_out' });
+                const incoming = await adjustLocationStock(db, product_id, to, quantity, { ...source, reason: 'transfer_in' });
+
+                await db.run(
+                    'INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES (?, ?, ?)',
+                    [transferId, product_id, quantity]
+                );
+
+                moved.push({
+                    product_id,
+                    product_name: outgoing.product_name,
+                    quantity,
+                    from_quantity: outgoing.location_quantity,
+                    to_quantity: incoming.location_quantity
+                });
+            }
+
+            return {
+                transfer_id: transferId,
+                transfer_number: transferNumber,
+                from_location: from.name,
+                to_location: to.name,
+                items: moved
+            };
+        });
+    }
+
+    /**
+     * Receive goods against a purchase order
+     * Raises stock at the receiving location; each line is written to the ledger and
+     * opens a cost layer at the actual unit cost.
+     * @param {number} poId - Purchase order id
+     * @param {object} receiptData - { location_id, items: [{ po_item_id, quantity, unit_cost }], notes, received_by }
+     */
+    async receiveGoods(poId, receiptData) {
+        const { location_id, items, notes, received_by = null } = receiptData;
+
+        return this.db.transaction(async (db) => {
+            const po = await db.get('SELECT * FROM purchase_orders WHERE id = ?', [poId]);
+            if (!po) {
+                throw new Error('Purchase order not found');
+            }
+            if (!['sent', 'partially_received'].includes(po.status)) {
+                throw new Error(`Cannot receive goods on a ${po.status.replace('_', ' ')} purchase order`);
+            }
+
+            const location = await resolveLocation(db, location_id || po.location_id);
+
+            const receiptResult = await db.run(
+                'INSERT INTO goods_receipts (po_id, location_id, notes, received_by) VALUES (?, ?, ?, ?)',
+                [poId, location.id, notes, received_by]
+            );
+            const receiptId = receiptResult.lastID;
+            const receiptNumber = `GRN-${String(receiptId).padStart(6, '0')}`;
+            await db.run('UPDATE goods_receipts SET receipt_number = ? WHERE id = ?', [receiptNumber, receiptId]);
+
+            const received = [];
+            for (const item of items) {
+                const line = await db.get('SELECT * FROM purchase_order_items WHERE id = ? AND po_id = ?', [item.po_item_id, poId]);
+                if (!line) {
+                    throw new Error(`Line ${item.po_item_id} is not on this purchase order`);
                 }
 
-                // Update quantity
-                const newQuantity = currentProduct.quantity + quantity_change;
-                if (newQuantity < 0) {
-                    throw new Error(`Insufficient stock for product ${currentProduct.name}`);
+                const outstanding = line.quantity_ordered - line.quantity_received;
+                if (item.quantity > outstanding) {
+                    throw new Error(`Cannot receive ${item.quantity} on line ${line.id}, only ${outstanding} outstanding`);
                 }
 
-                const updateResult = await db.run(
-                    'UPDATE products SET quantity = ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?',
-                    [newQuantity, product_id]
-                );
+                const unitCost = item.unit_cost ?? line.unit_cost;
 
-                // Log inventory change
+                // The received units open a cost layer at the actual unit cost
+                const stock = await adjustLocationStock(db, line.product_id, location, item.quantity, {
+                    unit_cost: unitCost, reason: 'goods_receipt', source_type: 'goods_receipt', source_id: receiptId, user_id: received_by
+                });
+
+                await db.run(
+                    'UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?',
+                    [item.quantity, line.id]
+                );
                 await db.run(
-                    `INSERT INTO inventory_logs (product_id, previous_quantity, new_quantity, change_amount, reason, user_id) 
-                     VALUES (?, ?, ?, ?, ?, ?)`,
-                    [product_id, currentProduct.quantity, newQuantity, quantity_change, reason || 'manual_adjustment', null]
+                    `INSERT INTO goods_receipt_items (receipt_id, po_item_id, product_id, quantity, unit_cost)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [receiptId, line.id, line.product_id, item.quantity, unitCost]
                 );
 
-                results.push({
-                    product_id,
-                    product_name: currentProduct.name,
-                    previous_quantity: currentProduct.quantity,
-                    new_quantity: newQuantity,
-                    change: quantity_change
+                received.push({
+                    po_item_id: line.id,
+                    product_id: line.product_id,
+                    product_name: stock.product_name,
+                    quantity: item.quantity,
+                    unit_cost: unitCost,
+                    new_quantity: stock.new_quantity
                 });
             }
 
-            return results;
+            // The order closes itself once every line is fully received
+            const open = await db.get(
+                'SELECT COUNT(*) as count FROM purchase_order_items WHERE po_id = ? AND quantity_received < quantity_ordered',
+                [poId]
+            );
+            const status = open.count === 0 ? 'closed' : 'partially_received';
+            await db.run(
+                `UPDATE purchase_orders 
+                 SET status = ?, closed_date = CASE WHEN ? = 'closed' THEN CURRENT_TIMESTAMP ELSE closed_date END, updated_date = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [status, status, poId]
+            );
+
+            return {
+                receipt_id: receiptId,
+                receipt_number: receiptNumber,
+                po_id: po.id,
+                po_number: po.po_number,
+                po_status: status,
+                location_id: location.id,
+                items: received
+            };
+        });
+    }
+
+    /**
+     * Approve a stocktake and post its variances
+     * Each counted line moves stock by counted - expected at the stocktake location, so sales and
+     * receipts made while the count was running are kept. Uncounted lines are left alone.
+     * @param {number} stocktakeId - Stocktake id
+     * @param {object} options - { approved_by }
+     */
+    async postStocktake(stocktakeId, { approved_by = null } = {}) {
+        return this.db.transaction(async (db) => {
+            const stocktake = await db.get('SELECT * FROM stocktakes WHERE id = ?', [stocktakeId]);
+            if (!stocktake) {
+                throw new Error('Stocktake not found');
+            }
+            if (stocktake.status !== 'open') {
+                throw new Error(`Cannot approve stocktake, it is ${stocktake.status}`);
+            }
+
+            const items = await db.all(
+                'SELECT * FROM stocktake_items WHERE stocktake_id = ? AND counted_quantity IS NOT NULL ORDER BY id',
+                [stocktakeId]
+            );
+            if (items.length === 0) {
+                throw new Error('Cannot approve a stocktake without counts');
+            }
+
+            const location = await resolveLocation(db, stocktake.location_id);
+
+            const adjustments = [];
+            for (const item of items) {
+                const variance = item.counted_quantity - item.expected_quantity;
+                if (variance === 0) {
+                    continue;
+                }
+
+                const stock = await adjustLocationStock(db, item.product_id, location, variance, {
+                    unit_cost: item.unit_cost, reason: 'stocktake', source_type: 'stocktake', source_id: stocktakeId, user_id: approved_by
+                });
+
+                adjustments.push({
+                    product_id: item.product_id,
+                    product_name: stock.product_name,
+                    variance,
+                    variance_value: variance * item.unit_cost,
+                    new_quantity: stock.new_quantity
+                });
+            }
+
+            await db.run(
+                `UPDATE stocktakes SET status = 'approved', approved_by = ?, approved_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [approved_by, stocktakeId]
+            );
+
+            return {
+                stocktake_id: stocktake.id,
+                stocktake_number: stocktake.stocktake_number,
+                location_id: location.id,
+                counted_items: items.length,
+                adjustments
+            };
+        });
+    }
+
+    /**
+     * Generate the variant grid of a design from phone models × colors.
+     * Combinations that already exist are skipped, so the grid can be extended later.
+     */
+    async generateVariants(designId, { phone_model_ids, color_ids, quantity = 0 }) {
+        return this.db.transaction(async (db) => {
+            const design = await db.get('SELECT * FROM products WHERE id = ?', [designId]);
+            if (!design) {
+                throw new Error('Product not found');
+            }
+            if (design.product_type !== 'design') {
+                throw new Error('Variants can only be generated for a design product');
+            }
+            if (design.status === 'archived') {
+                throw new Error('Variants cannot be generated for an archived design');
+            }
+
+            const phoneModels = [];
+            for (const modelId of phone_model_ids) {
+                const phoneModel = await db.get('SELECT id, brand, model FROM phone_models WHERE id = ?', [modelId]);
+                if (!phoneModel) {
+                    throw new Error(`Unknown phone model ${modelId}`);
+                }
+                phoneModels.push(phoneModel);
+            }
+
+            const colors = [];
+            for (const colorId of color_ids) {
+                const color = await db.get('SELECT id, name FROM colors WHERE id = ?', [colorId]);
+                if (!color) {
+                    throw new Error(`Unknown color ${colorId}`);
+                }
+                colors.push(color);
+            }
+
+            const openingLocation = quantity > 0 ? await resolveLocation(db) : null;
+            const created = [];
+            const skipped = [];
+
+            for (const phoneModel of phoneModels) {
+                for (const color of colors) {
+                    const existing = await db.get(
+                        'SELECT id FROM products WHERE parent_id = ? AND brand = ? AND model = ? AND color = ?',
+                        [designId, phoneModel.brand, phoneModel.model, color.name]
+                    );
+                    if (existing) {
+                        skipped.push({ id: existing.id, brand: phoneModel.brand, model: phoneModel.model, color: color.name });
+                        continue;
+                    }
+
+                    const insertResult = await db.run(
+                        `INSERT INTO products (name, description, category_id, category, cost_price, selling_price, quantity,
+                                               brand, model, color, image_path, product_type, parent_id, status, do_not_reorder)
+                         VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, 'variant', ?, ?, ?)`,
+                        [
+                            `${design.name} - ${phoneModel.brand} ${phoneModel.model} - ${color.name}`,
+                            design.description, design.category_id, design.category, design.cost_price, design.selling_price,
+                            phoneModel.brand, phoneModel.model, color.name, design.image_path, designId, design.status, design.do_not_reorder
+                        ]
+                    );
+
+                    const codes = await assignProductCodes(db, insertResult.lastID);
+
+                    // Opening stock is booked at the default location
+                    if (quantity > 0) {
+                        await adjustLocationStock(db, insertResult.lastID, openingLocation, quantity, {
+                            unit_cost: design.cost_price, reason: 'opening_stock', source_type: 'product', source_id: insertResult.lastID
+                        });
+                    }
+
+                    created.push({ id: insertResult.lastID, ...codes, brand: phoneModel.brand, model: phoneModel.model, color: color.name });
+                }
+            }
+
+            return { design_id: designId, created, skipped };
         });
     }
 }
@@ -0,0 +1,371 @@
+/**
+ * Export Utility
+ * Streams query results to a response as CSV, XLSX or NDJSON.
+ *
+ * Rows are read in batches by primary key and written as they arrive, waiting for the client to
+ * catch up whenever the response buffer is full, so an export never holds the whole table in memory.
+ * XLSX is written as a zip with one inline-string worksheet; the worksheet is deflated on the fly and
+ * its sizes and checksum follow it in a data descriptor, as it cannot be known up front.
+ */
+
+const zlib = require('zlib');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson'];
+const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break.
+ * Text that a spreadsheet would read as a formula (=, +, -, @, tab or carriage return first) is prefixed
+ * with an apostrophe so it opens as text; numbers are written as they are.
+ */
+function csvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read the format and columns of an export request
+ * @param {object} query - { format, columns: comma separated list such as 'id,name,sku', empty for the defaults }
+ * @param {object} available - Column name -> SQL expression
+ * @param {Array<string>} defaults - Columns used when none are requested
+ * @returns {object} { format, columns }
+ */
+function parseExportOptions({ format = 'csv', columns: requested = '' }, available, defaults) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported export format: ${format}. Use ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    if (!requested) {
+        return { format, columns: defaults };
+    }
+
+    const columns = String(requested).split(',').map(column => column.trim()).filter(Boolean);
+    const unknown = columns.filter(column => !Object.prototype.hasOwnProperty.call(available, column));
+
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export column: ${unknown.join(', ')}. Available: ${Object.keys(available).join(', ')}`);
+    }
+    if (columns.length === 0) {
+        throw new Error('Select at least one export column');
+    }
+
+    return { format, columns: [...new Set(columns)] };
+}
+
+/**
+ * Write to the response, resolving once it can take more
+ */
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+function createCsvWriter(res, columns) {
+    return {
+        start: () => writeChunk(res, '\uFEFF' + columns.map(csvField).join(',') + '\r\n'),
+        rows: (rows) => writeChunk(res, rows.map(row => columns.map(column => csvField(row[column])).join(',') + '\r\n').join('')),
+        end: async () => res.end()
+    };
+}
+
+function createNdjsonWriter(res) {
+    return {
+        start: async () => {},
+        rows: (rows) => writeChunk(res, rows.map(row => JSON.stringify(row) + '\n').join('')),
+        end: async () => res.end()
+    };
+}
+
+// ==================== XLSX ====================
+
+const XLSX_STATIC_PARTS = {
+    '[Content_Types].xml':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    '_rels/.rels':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    'xl/_rels/workbook.xml.rels':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+};
+
+function workbookXml(sheetName) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function xlsxCell(value, reference) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"><v>${value}</v></c>`;
+    }
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function zipDate(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Minimal streaming zip writer (deflate, no zip64, so entries and the archive stay under 4GB)
+ */
+class ZipStream {
+    constructor(res) {
+        this.res = res;
+        this.offset = 0;
+        this.entries = [];
+        this.stamp = zipDate(new Date());
+    }
+
+    async write(chunk) {
+        this.offset += chunk.length;
+        await writeChunk(this.res, chunk);
+    }
+
+    localHeader(name, flags, crc = 0, compressedSize = 0, size = 0) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(this.stamp.time, 10);
+        header.writeUInt16LE(this.stamp.date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressedSize, 18);
+        header.writeUInt32LE(size, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        return Buffer.concat([header, nameBuffer]);
+    }
+
+    /**
+     * Add a file whose contents are known up front
+     */
+    async addFile(name, content) {
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const entry = { name, flags: 0x0800, crc: zlib.crc32(data), compressedSize: compressed.length, size: data.length, offset: this.offset };
+
+        this.entries.push(entry);
+        await this.write(this.localHeader(name, entry.flags, entry.crc, entry.compressedSize, entry.size));
+        await this.write(compressed);
+    }
+
+    /**
+     * Start a file written in pieces; returns { write(text), end() }
+     */
+    async startFile(name) {
+        // Bit 3: sizes and checksum follow the data
+        const entry = { name, flags: 0x0808, crc: 0, compressedSize: 0, size: 0, offset: this.offset };
+        this.entries.push(entry);
+        await this.write(this.localHeader(name, entry.flags));
+
+        const deflate = zlib.createDeflateRaw();
+        let pending = Promise.resolve();
+        deflate.on('data', chunk => {
+            entry.compressedSize += chunk.length;
+            // Stop producing output while the response is full
+            deflate.pause();
+            pending = this.write(chunk).then(() => deflate.resume());
+        });
+        const finished = new Promise((resolve, reject) => {
+            deflate.on('end', resolve);
+            deflate.on('error', reject);
+        });
+
+        return {
+            write: async (text) => {
+                const data = Buffer.from(text, 'utf8');
+                entry.crc = zlib.crc32(data, entry.crc);
+                entry.size += data.length;
+                if (!deflate.write(data)) {
+                    await new Promise(resolve => deflate.once('drain', resolve));
+                }
+            },
+            end: async () => {
+                deflate.end();
+                await finished;
+                await pending;
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await this.write(descriptor);
+            }
+        };
+    }
+
+    async finish() {
+        const start = this.offset;
+
+        for (const entry of this.entries) {
+            const nameBuffer = Buffer.from(entry.name, 'utf8');
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(this.stamp.time, 12);
+            header.writeUInt16LE(this.stamp.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(nameBuffer.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([header, nameBuffer]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+    }
+}
+
+function createXlsxWriter(res, columns, sheetName) {
+    const zip = new ZipStream(res);
+    const references = columns.map((column, index) => columnLetters(index));
+    let sheet = null;
+    let rowNumber = 0;
+
+    const rowXml = (values) => {
+        rowNumber++;
+        return `<row r="${rowNumber}">${values.map((value, index) => xlsxCell(value, references[index] + rowNumber)).join('')}</row>`;
+    };
+
+    return {
+        start: async () => {
+            for (const [name, content] of Object.entries(XLSX_STATIC_PARTS)) {
+                await zip.addFile(name, content);
+            }
+            await zip.addFile('xl/workbook.xml', workbookXml(sheetName));
+            sheet = await zip.startFile('xl/worksheets/sheet1.xml');
+            await sheet.write(
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+                rowXml(columns)
+            );
+        },
+        rows: (rows) => sheet.write(rows.map(row => rowXml(columns.map(column => row[column]))).join('')),
+        end: async () => {
+            await sheet.write('</sheetData></worksheet>');
+            await sheet.end();
+            await zip.finish();
+            res.end();
+        }
+    };
+}
+
+/**
+ * Stream the rows of a query to the response
+ * @param {object} res - Express response
+ * @param {object} db - Database manager
+ * @param {object} options - {
+ *     format: 'csv'|'xlsx'|'ndjson', name: dataset name for the file and sheet (e.g. 'products'), columns: names to export,
+ *     select: column name -> SQL expression, from: FROM and JOIN clauses, where: conditions (array), params,
+ *     key: SQL expression of the unique, increasing key rows are read in order of (e.g. 'p.id')
+ * }
+ * @returns {Promise<number>} Rows written
+ */
+async function streamExport(res, db, { format, name, columns, select, from, where = [], params = [], key }) {
+    const selectList = [`${key} as __key`, ...columns.map(column => `${select[column]} as "${column}"`)].join(', ');
+    const conditions = [...where, `${key} > ?`];
+    const sql = `SELECT ${selectList} ${from} WHERE ${conditions.join(' AND ')} ORDER BY ${key} LIMIT ${EXPORT_BATCH_SIZE}`;
+
+    // The first batch is read before anything is sent, so query errors still get a normal error response
+    let lastKey = -Infinity;
+    let batch = await db.all(sql, [...params, lastKey]);
+
+    const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(CONTENT_TYPES[format]);
+
+    const writer = format === 'xlsx'
+        ? createXlsxWriter(res, columns, name)
+        : format === 'ndjson' ? createNdjsonWriter(res) : createCsvWriter(res, columns);
+
+    let count = 0;
+    await writer.start();
+
+    while (batch.length > 0 && !res.destroyed) {
+        lastKey = batch[batch.length - 1].__key;
+        batch.forEach(row => delete row.__key);
+        await writer.rows(batch);
+        count += batch.length;
+
+        batch = batch.length < EXPORT_BATCH_SIZE ? [] : await db.all(sql, [...params, lastKey]);
+    }
+
+    if (!res.destroyed) {
+        await writer.end();
+    }
+
+    return count;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    csvField,
+    parseExportOptions,
+    streamExport
+};
@@ -0,0 +1,292 @@
+/**
+ * GST Utility
+ * Works out the GST inside sale amounts: CGST + SGST when the buyer is in the seller's state, IGST otherwise.
+ *
+ * Sale prices include GST, so a line's taxable value is total / (1 + rate). The rate and HSN code of a product
+ * are inherited product -> design -> category (see the product_tax_codes view), then GST_DEFAULT_RATE.
+ * The seller is configured with GST_SELLER_GSTIN (its first two digits give the state), GST_SELLER_NAME and
+ * GST_SELLER_ADDRESS; GST_SELLER_STATE overrides the state when there is no GSTIN yet. The seller settings are read
+ * when the module loads and an invalid GSTIN or state throws there, so the server does not start with them.
+ */
+
+// GST state codes
+const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+// Union territories without a legislature charge UTGST in place of SGST
+const UNION_TERRITORY_CODES = ['04', '26', '31', '35', '38'];
+
+const GST_RATES = [0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28, 40];
+const GST_DEFAULT_RATE = GST_RATES.includes(parseFloat(process.env.GST_DEFAULT_RATE)) ? parseFloat(process.env.GST_DEFAULT_RATE) : 18;
+
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const HSN_REGEX = /^\d{4}(\d{2}){0,2}$/;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Turn a state code ("27", "7") or name ("Maharashtra") into its two-digit GST state code
+ * @returns {string|null} null when no state is given
+ */
+function resolveStateCode(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d{1,2}$/.test(text)) {
+        const code = text.padStart(2, '0');
+        if (GST_STATES[code]) {
+            return code;
+        }
+    } else {
+        const code = Object.keys(GST_STATES).find(key => GST_STATES[key].toLowerCase() === text.toLowerCase());
+        if (code) {
+            return code;
+        }
+    }
+
+    throw new Error(`Unknown state: ${text}`);
+}
+
+/**
+ * Check a GSTIN and return it in upper case
+ */
+function normalizeGstin(value) {
+    const gstin = String(value).trim().toUpperCase();
+    if (!GSTIN_REGEX.test(gstin) || !GST_STATES[gstin.substring(0, 2)]) {
+        throw new Error(`Invalid GSTIN: ${value}`);
+    }
+    return gstin;
+}
+
+/**
+ * Parse an HSN code given on a product or category
+ * @returns {string|null|undefined} undefined when not given, null to inherit it again
+ */
+function parseHsnCode(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || String(value).trim() === '') {
+        return null;
+    }
+    const code = String(value).trim();
+    if (!HSN_REGEX.test(code)) {
+        throw new Error('HSN code must be 4, 6 or 8 digits');
+    }
+    return code;
+}
+
+/**
+ * Parse a GST rate given on a product or category
+ * @returns {number|null|undefined} undefined when not given, null to inherit it again
+ */
+function parseGstRate(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || String(value).trim() === '') {
+        return null;
+    }
+    const rate = parseFloat(value);
+    if (!GST_RATES.includes(rate)) {
+        throw new Error(`GST rate must be one of ${GST_RATES.join(', ')}`);
+    }
+    return rate;
+}
+
+/**
+ * Read the seller from the environment
+ * @throws {Error} When GST_SELLER_GSTIN or GST_SELLER_STATE is not valid
+ */
+function loadSeller(env = process.env) {
+    let gstin = null;
+    let state = null;
+
+    try {
+        gstin = env.GST_SELLER_GSTIN ? normalizeGstin(env.GST_SELLER_GSTIN) : null;
+    } catch (error) {
+        throw new Error(`GST_SELLER_GSTIN is not a valid GSTIN: ${env.GST_SELLER_GSTIN}`);
+    }
+    try {
+        state = resolveStateCode(env.GST_SELLER_STATE);
+    } catch (error) {
+        throw new Error(`GST_SELLER_STATE is not a GST state code or name: ${env.GST_SELLER_STATE}`);
+    }
+
+    return Object.freeze({
+        name: env.GST_SELLER_NAME || null,
+        gstin,
+        address: env.GST_SELLER_ADDRESS || null,
+        state: state || (gstin ? gstin.substring(0, 2) : null)
+    });
+}
+
+// Checked once when the module loads, so a bad setting stops the server at startup instead of failing every sale
+const SELLER = loadSeller();
+
+/**
+ * The configured seller
+ * @returns {object} { name, gstin, address, state } with gstin and state null when not configured
+ */
+function getSeller() {
+    return SELLER;
+}
+
+/**
+ * Work out the buyer's state from the given state and GSTIN; a registered buyer's state is the one in its GSTIN
+ * @param {object} buyer - { buyer_gstin, buyer_state }
+ * @returns {object} { buyer_gstin, buyer_state } normalized, null when not given
+ */
+function resolveBuyer({ buyer_gstin, buyer_state }) {
+    const gstin = buyer_gstin ? normalizeGstin(buyer_gstin) : null;
+    const state = resolveStateCode(buyer_state);
+
+    if (gstin && state && gstin.substring(0, 2) !== state) {
+        throw new Error('Buyer state does not match the buyer GSTIN');
+    }
+
+    return { buyer_gstin: gstin, buyer_state: state || (gstin ? gstin.substring(0, 2) : null) };
+}
+
+/**
+ * Split a GST-inclusive amount into its taxable value and tax
+ * Each tax head is rounded from the taxable value at its own rate (CGST and SGST at half the rate each, so they are
+ * always equal); the paisa left over from rounding goes into the taxable value so the parts still add up to the amount.
+ * @returns {object} { taxable_amount, cgst_amount, sgst_amount, igst_amount }
+ */
+function splitTax(amount, rate, interState) {
+    const taxable = roundMoney(amount * 100 / (100 + rate));
+
+    if (interState) {
+        const igst = roundMoney(taxable * rate / 100);
+        return { taxable_amount: roundMoney(amount - igst), cgst_amount: 0, sgst_amount: 0, igst_amount: igst };
+    }
+
+    const half = roundMoney(taxable * rate / 200);
+    return { taxable_amount: roundMoney(amount - 2 * half), cgst_amount: half, sgst_amount: half, igst_amount: 0 };
+}
+
+/**
+ * Where an order is supplied: the buyer's state, or the seller's for walk-in and unknown buyers
+ * @returns {object} { place_of_supply, inter_state }
+ */
+function placeOfSupply(order, seller = getSeller()) {
+    const place = order.buyer_state || seller.state;
+    return { place_of_supply: place, inter_state: Boolean(place && seller.state && place !== seller.state) };
+}
+
+/**
+ * Work out and store the GST breakdown of every line of an order and of the order itself
+ */
+async function applyOrderTax(db, orderId) {
+    const order = await db.get('SELECT id, buyer_state FROM sales_orders WHERE id = ?', [orderId]);
+    if (!order) {
+        return;
+    }
+
+    const { inter_state: interState } = placeOfSupply(order);
+    const lines = await db.all(
+        `SELECT s.id, s.total_amount, tc.hsn_code, tc.gst_rate
+         FROM sales s
+         LEFT JOIN product_tax_codes tc ON tc.product_id = s.product_id
+         WHERE s.order_id = ?`,
+        [orderId]
+    );
+
+    const totals = { taxable_amount: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+    for (const line of lines) {
+        const rate = line.gst_rate ?? GST_DEFAULT_RATE;
+        const tax = splitTax(line.total_amount, rate, interState);
+
+        await db.run(
+            `UPDATE sales SET hsn_code = ?, gst_rate = ?, taxable_amount = ?, cgst_amount = ?, sgst_amount = ?, igst_amount = ?
+             WHERE id = ?`,
+            [line.hsn_code, rate, tax.taxable_amount, tax.cgst_amount, tax.sgst_amount, tax.igst_amount, line.id]
+        );
+        Object.keys(totals).forEach(key => {
+            totals[key] = roundMoney(totals[key] + tax[key]);
+        });
+    }
+
+    await db.run(
+        'UPDATE sales_orders SET taxable_amount = ?, cgst_amount = ?, sgst_amount = ?, igst_amount = ? WHERE id = ?',
+        [totals.taxable_amount, totals.cgst_amount, totals.sgst_amount, totals.igst_amount, orderId]
+    );
+}
+
+/**
+ * Financial year (April to March) of a date, e.g. "2026-27"
+ * @param {string} date - YYYY-MM-DD
+ */
+function financialYear(date) {
+    const [year, month] = date.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Label of the state-level tax for a state: UTGST in union territories without a legislature, SGST elsewhere
+ */
+function stateTaxLabel(stateCode) {
+    return UNION_TERRITORY_CODES.includes(stateCode) ? 'UTGST' : 'SGST';
+}
+
+module.exports = {
+    GST_STATES,
+    GST_RATES,
+    GST_DEFAULT_RATE,
+    GSTIN_REGEX,
+    resolveStateCode,
+    normalizeGstin,
+    parseHsnCode,
+    parseGstRate,
+    loadSeller,
+    getSeller,
+    resolveBuyer,
+    splitTax,
+    placeOfSupply,
+    applyOrderTax,
+    financialYear,
+    stateTaxLabel
+};
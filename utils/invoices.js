@@ -0,0 +1,331 @@
+/**
+ * Invoice Utility
+ * Issues GST tax invoices for sales orders and renders them as PDF.
+ *
+ * Invoice numbers come from INVOICE_NUMBER_PATTERN with one gap-free sequence per financial year:
+ *   {FY}   - financial year, e.g. 2026-27
+ *   {NNNN} - sequence within the financial year, zero padded to the number of Ns
+ * GST allows at most 16 characters (letters, digits, "/" and "-") in an invoice number. The sequence grows past its
+ * padding but the number cannot outgrow 16 characters, so e.g. INV/{FY}/{NNNN} stops at invoice 9999 of a year; the
+ * default {FY}/{NNNNN} leaves room for 99999999. The pattern is checked at startup.
+ */
+
+const { PdfDocument, mm, fitText } = require('./pdf');
+const { GST_STATES, getSeller, placeOfSupply, applyOrderTax, financialYear, stateTaxLabel } = require('./gst');
+
+const DEFAULT_INVOICE_NUMBER_PATTERN = '{FY}/{NNNNN}';
+const MAX_INVOICE_NUMBER_LENGTH = 16;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Fill in an invoice number pattern
+ */
+function formatInvoiceNumber(pattern, fy, sequence) {
+    const number = pattern.replace(/\{(FY|N+)\}/g, (token, name) =>
+        name === 'FY' ? fy : String(sequence).padStart(name.length, '0')
+    );
+
+    if (!/^[A-Za-z0-9/-]+$/.test(number)) {
+        throw new Error(`Invoice number ${number} is not valid, check INVOICE_NUMBER_PATTERN`);
+    }
+    if (number.length > MAX_INVOICE_NUMBER_LENGTH) {
+        throw new Error(`Invoice number ${number} is longer than ${MAX_INVOICE_NUMBER_LENGTH} characters, check INVOICE_NUMBER_PATTERN`);
+    }
+    return number;
+}
+
+/**
+ * Read the invoice number pattern; numbers are unique across years, so it needs {FY} as well as the sequence
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {string} The pattern
+ * @throws {Error} When the pattern cannot give a valid first invoice number
+ */
+function loadInvoiceNumberPattern(env = process.env) {
+    const pattern = env.INVOICE_NUMBER_PATTERN || DEFAULT_INVOICE_NUMBER_PATTERN;
+
+    if (!pattern.includes('{FY}') || !/\{N+\}/.test(pattern)) {
+        throw new Error(`INVOICE_NUMBER_PATTERN needs {FY} and a sequence such as {NNNN}: ${pattern}`);
+    }
+    formatInvoiceNumber(pattern, '2026-27', 1);
+
+    return pattern;
+}
+
+// Checked when the module loads, so a bad pattern stops the server rather than the first invoice of the day
+const INVOICE_NUMBER_PATTERN = loadInvoiceNumberPattern();
+
+/**
+ * Refuse changes to an order once it has been invoiced; an issued invoice keeps its number and amounts
+ */
+async function assertOrderNotInvoiced(db, orderId) {
+    const invoice = await db.get('SELECT invoice_number FROM invoices WHERE order_id = ?', [orderId]);
+    if (invoice) {
+        throw new Error(`Order has been invoiced (${invoice.invoice_number}) and cannot be changed`);
+    }
+}
+
+/**
+ * Issue the tax invoice of an order, or return the one already issued.
+ * The GST breakdown is worked out again first, then the next number of the financial year is drawn in the
+ * same transaction as the invoice row, so numbers are only used by invoices that exist.
+ * @returns {Promise<object>} The invoice row
+ */
+async function issueInvoice(db, orderId, userId = null) {
+    const existing = await db.get('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+    if (existing) {
+        return existing;
+    }
+
+    const order = await db.get('SELECT * FROM sales_orders WHERE id = ?', [orderId]);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+
+    const seller = getSeller();
+    if (!seller.gstin) {
+        throw new Error('Seller GSTIN is not configured (GST_SELLER_GSTIN)');
+    }
+
+    await applyOrderTax(db, orderId);
+    // The buyer is the one named on the order, else its customer; customer_info is free text and not a name
+    const taxed = await db.get(
+        `SELECT o.*, COALESCE(o.buyer_name, c.name) as invoice_buyer_name
+         FROM sales_orders o
+         LEFT JOIN customers c ON c.id = o.customer_id
+         WHERE o.id = ?`,
+        [orderId]
+    );
+    const supply = placeOfSupply(taxed, seller);
+
+    const { today } = await db.get("SELECT DATE('now', 'localtime') as today");
+    const fy = financialYear(today);
+    await db.run(
+        `INSERT INTO invoice_sequences (financial_year, last_value) VALUES (?, 1)
+         ON CONFLICT(financial_year) DO UPDATE SET last_value = last_value + 1`,
+        [fy]
+    );
+    const { last_value: sequence } = await db.get('SELECT last_value FROM invoice_sequences WHERE financial_year = ?', [fy]);
+
+    const result = await db.run(
+        `INSERT INTO invoices (invoice_number, financial_year, sequence_number, order_id, invoice_date,
+                               seller_name, seller_gstin, seller_state, seller_address,
+                               buyer_name, buyer_gstin, buyer_state, buyer_address, place_of_supply, supply_type,
+                               taxable_amount, cgst_amount, sgst_amount, igst_amount, total_amount, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [formatInvoiceNumber(INVOICE_NUMBER_PATTERN, fy, sequence), fy, sequence, orderId, today,
+         seller.name, seller.gstin, seller.state, seller.address,
+         taxed.invoice_buyer_name, taxed.buyer_gstin, taxed.buyer_state, taxed.buyer_address,
+         supply.place_of_supply, supply.inter_state ? 'inter_state' : 'intra_state',
+         taxed.taxable_amount, taxed.cgst_amount, taxed.sgst_amount, taxed.igst_amount, taxed.total_amount, userId]
+    );
+
+    return db.get('SELECT * FROM invoices WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * Lines of an invoiced order as they appear on the invoice
+ */
+async function getInvoiceLines(db, orderId) {
+    return db.all(
+        `SELECT s.line_number, s.product_id, p.name as product_name, p.sku, p.model, p.color,
+                s.hsn_code, s.gst_rate, s.quantity_sold, s.sale_price, s.line_discount, s.order_discount_share,
+                s.taxable_amount, s.cgst_amount, s.sgst_amount, s.igst_amount, s.total_amount
+         FROM sales s
+         LEFT JOIN products p ON p.id = s.product_id
+         WHERE s.order_id = ?
+         ORDER BY s.line_number, s.id`,
+        [orderId]
+    );
+}
+
+/**
+ * Taxable value and tax per HSN code and rate, as printed under the invoice lines
+ */
+function summarizeByHsn(lines) {
+    const groups = new Map();
+    lines.forEach(line => {
+        const key = `${line.hsn_code || ''}|${line.gst_rate}`;
+        const group = groups.get(key) || {
+            hsn_code: line.hsn_code, gst_rate: line.gst_rate, taxable_amount: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0
+        };
+        ['taxable_amount', 'cgst_amount', 'sgst_amount', 'igst_amount'].forEach(field => {
+            group[field] = roundMoney(group[field] + line[field]);
+        });
+        groups.set(key, group);
+    });
+    return [...groups.values()];
+}
+
+function stateLabel(code) {
+    return code ? `${GST_STATES[code] || code} (${code})` : '';
+}
+
+/**
+ * Printable tax invoice: seller and buyer, one row per line with its tax, an HSN summary and the totals
+ * @returns {Buffer} PDF file contents
+ */
+function renderInvoicePdf(invoice, lines, { currency = process.env.LABEL_CURRENCY || 'Rs.' } = {}) {
+    const doc = new PdfDocument({ size: 'A4' });
+    const interState = invoice.supply_type === 'inter_state';
+    const stateTax = stateTaxLabel(invoice.seller_state);
+    const money = value => Number(value || 0).toFixed(2);
+
+    const taxColumns = interState
+        ? [{ label: 'IGST', field: 'igst_amount', x: 178 }]
+        : [{ label: 'CGST', field: 'cgst_amount', x: 165 }, { label: stateTax, field: 'sgst_amount', x: 178 }];
+    const columns = [
+        { label: '#', x: 15 },
+        { label: 'Description', x: 21, width: interState ? 60 : 50 },
+        { label: 'HSN', x: interState ? 83 : 73 },
+        { label: 'Qty', x: interState ? 108 : 98, align: 'right' },
+        { label: 'Taxable', x: interState ? 130 : 120, align: 'right' },
+        { label: 'GST %', x: interState ? 146 : 136, align: 'right' },
+        ...taxColumns.map(column => ({ ...column, align: 'right' })),
+        { label: 'Amount', x: 195, align: 'right' }
+    ];
+    const bottom = 280;
+    let y = 20;
+
+    const ensureSpace = (height) => {
+        if (y + height > bottom) {
+            doc.addPage();
+            y = 20;
+        }
+    };
+
+    doc.text('Tax Invoice', mm(105), mm(y), { size: 16, font: 'bold', align: 'center' });
+    y += 10;
+
+    // Seller on the left, invoice details on the right
+    const top = y;
+    doc.text(invoice.seller_name || '', mm(15), mm(y), { size: 11, font: 'bold' });
+    y += 5;
+    (invoice.seller_address || '').split(/\r?\n/).filter(Boolean).slice(0, 3).forEach(part => {
+        doc.text(fitText(part.trim(), 9, mm(95)), mm(15), mm(y), { size: 9 });
+        y += 4.5;
+    });
+    doc.text(`GSTIN: ${invoice.seller_gstin}`, mm(15), mm(y), { size: 9 });
+    y += 4.5;
+    doc.text(`State: ${stateLabel(invoice.seller_state)}`, mm(15), mm(y), { size: 9 });
+
+    let right = top;
+    [
+        ['Invoice No', invoice.invoice_number],
+        ['Invoice Date', invoice.invoice_date],
+        ['Order No', invoice.order_number || ''],
+        ['Place of Supply', stateLabel(invoice.place_of_supply)]
+    ].forEach(([label, value]) => {
+        doc.text(label, mm(125), mm(right), { size: 9, font: 'bold' });
+        doc.text(fitText(value, 9, mm(42)), mm(195), mm(right), { size: 9, align: 'right' });
+        right += 5;
+    });
+
+    y = Math.max(y, right) + 8;
+
+    doc.text('Bill To', mm(15), mm(y), { size: 10, font: 'bold' });
+    y += 5;
+    doc.text(fitText(invoice.buyer_name || 'Cash customer', 10, mm(120)), mm(15), mm(y), { size: 10 });
+    y += 4.5;
+    (invoice.buyer_address || '').split(/\r?\n/).filter(Boolean).slice(0, 3).forEach(part => {
+        doc.text(fitText(part.trim(), 9, mm(120)), mm(15), mm(y), { size: 9 });
+        y += 4.5;
+    });
+    doc.text(`GSTIN: ${invoice.buyer_gstin || 'Unregistered'}`, mm(15), mm(y), { size: 9 });
+    if (invoice.buyer_state) {
+        y += 4.5;
+        doc.text(`State: ${stateLabel(invoice.buyer_state)}`, mm(15), mm(y), { size: 9 });
+    }
+    y += 10;
+
+    const header = () => {
+        columns.forEach(column => {
+            doc.text(column.label, mm(column.x), mm(y), { size: 9, font: 'bold', align: column.align });
+        });
+        doc.line(mm(15), mm(y + 1.5), mm(195), mm(y + 1.5));
+        y += 5.5;
+    };
+    header();
+
+    lines.forEach((line, index) => {
+        if (y + 5 > bottom) {
+            doc.addPage();
+            y = 20;
+            header();
+        }
+        const description = [line.product_name, line.sku ? `(${line.sku})` : ''].filter(Boolean).join(' ');
+        const values = [
+            index + 1, description, line.hsn_code || '', line.quantity_sold, money(line.taxable_amount), line.gst_rate,
+            ...taxColumns.map(column => money(line[column.field])), money(line.total_amount)
+        ];
+        columns.forEach((column, columnIndex) => {
+            const value = column.width ? fitText(values[columnIndex], 9, mm(column.width)) : values[columnIndex];
+            doc.text(value, mm(column.x), mm(y), { size: 9, align: column.align });
+        });
+        y += 5;
+    });
+    doc.line(mm(15), mm(y - 3), mm(195), mm(y - 3));
+
+    // Totals
+    ensureSpace(30);
+    y += 2;
+    const totals = [
+        ['Taxable value', invoice.taxable_amount],
+        ...(interState
+            ? [['IGST', invoice.igst_amount]]
+            : [['CGST', invoice.cgst_amount], [stateTax, invoice.sgst_amount]]),
+        ['Invoice total', invoice.total_amount]
+    ];
+    totals.forEach(([label, value], index) => {
+        const font = index === totals.length - 1 ? 'bold' : 'regular';
+        doc.text(label, mm(150), mm(y), { size: 9, font, align: 'right' });
+        doc.text(`${currency} ${money(value)}`, mm(195), mm(y), { size: 9, font, align: 'right' });
+        y += 5;
+    });
+    y += 5;
+
+    // HSN summary
+    const summary = summarizeByHsn(lines);
+    ensureSpace(12 + summary.length * 5);
+    doc.text('HSN summary', mm(15), mm(y), { size: 10, font: 'bold' });
+    y += 5.5;
+    const summaryColumns = [
+        { label: 'HSN', x: 15 },
+        { label: 'GST %', x: 70, align: 'right' },
+        { label: 'Taxable', x: 105, align: 'right' },
+        ...(interState
+            ? [{ label: 'IGST', field: 'igst_amount', x: 140, align: 'right' }]
+            : [{ label: 'CGST', field: 'cgst_amount', x: 140, align: 'right' }, { label: stateTax, field: 'sgst_amount', x: 170, align: 'right' }])
+    ];
+    summaryColumns.forEach(column => {
+        doc.text(column.label, mm(column.x), mm(y), { size: 9, font: 'bold', align: column.align });
+    });
+    doc.line(mm(15), mm(y + 1.5), mm(195), mm(y + 1.5));
+    y += 5.5;
+    summary.forEach(group => {
+        const values = [group.hsn_code || '-', group.gst_rate, money(group.taxable_amount), ...summaryColumns.slice(3).map(column => money(group[column.field]))];
+        summaryColumns.forEach((column, index) => {
+            doc.text(values[index], mm(column.x), mm(y), { size: 9, align: column.align });
+        });
+        y += 5;
+    });
+
+    ensureSpace(10);
+    y += 5;
+    doc.text('Prices include GST. This is a computer generated invoice.', mm(15), mm(y), { size: 8 });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    INVOICE_NUMBER_PATTERN,
+    formatInvoiceNumber,
+    loadInvoiceNumberPattern,
+    assertOrderNotInvoiced,
+    issueInvoice,
+    getInvoiceLines,
+    summarizeByHsn,
+    renderInvoicePdf
+};
@@ -0,0 +1,212 @@
+/**
+ * Label Sheet Utility
+ * Lays out product labels on A4 label stock and renders the sheet as PDF or SVG
+ */
+
+const { PdfDocument, mm, textWidth, fitText } = require('./pdf');
+const { encodeEan13, internalEan13, escapeXml } = require('./barcode');
+
+const PT_TO_MM = 25.4 / 72;
+
+// A4 label stock, all sizes in mm (pitch = label size + gap between labels)
+const LABEL_LAYOUTS = {
+    '65-up': {
+        description: '65 labels per sheet, 38.1 x 21.2mm (5 x 13)',
+        columns: 5, rows: 13,
+        width: 38.1, height: 21.2,
+        marginTop: 10.7, marginLeft: 4.65,
+        pitchX: 40.64, pitchY: 21.2
+    },
+    '24-up': {
+        description: '24 labels per sheet, 63.5 x 33.9mm (3 x 8)',
+        columns: 3, rows: 8,
+        width: 63.5, height: 33.9,
+        marginTop: 12.9, marginLeft: 7.2,
+        pitchX: 66.04, pitchY: 33.9
+    },
+    '21-up': {
+        description: '21 labels per sheet, 63.5 x 38.1mm (3 x 7)',
+        columns: 3, rows: 7,
+        width: 63.5, height: 38.1,
+        marginTop: 15.15, marginLeft: 7.2,
+        pitchX: 66.04, pitchY: 38.1
+    }
+};
+
+const LABEL_CURRENCY = process.env.LABEL_CURRENCY || 'Rs.';
+const LABEL_PADDING = 1.5;
+const MAX_LABELS = 2000;
+
+/**
+ * Expand [{ product, quantity }] into one entry per label, preceded by
+ * `skip` empty positions so a partly used sheet can be reused
+ */
+function expandLabels(items, skip = 0) {
+    const labels = new Array(skip).fill(null);
+    items.forEach(({ product, quantity }) => {
+        for (let i = 0; i < quantity; i++) {
+            labels.push(product);
+        }
+    });
+    return labels;
+}
+
+/**
+ * Build the drawing primitives of one label (positions in mm, font sizes in pt)
+ */
+function layoutLabel(product, x, y, layout) {
+    const width = layout.width - LABEL_PADDING * 2;
+    const left = x + LABEL_PADDING;
+    const right = left + width;
+    const bottom = y + layout.height - LABEL_PADDING;
+    const heightPt = mm(layout.height);
+
+    const titleSize = Math.min(heightPt * 0.12, 11);
+    const textSize = Math.min(heightPt * 0.1, 9);
+    const digitsSize = textSize * 0.9;
+    const widthPt = mm(width);
+
+    const title = [product.brand, product.model].filter(Boolean).join(' ') || product.name;
+    const price = `${LABEL_CURRENCY} ${Number(product.selling_price).toFixed(2)}`;
+    const priceWidth = textWidth(price, textSize, 'bold');
+
+    const items = [];
+    let baseline = y + LABEL_PADDING + titleSize * PT_TO_MM;
+
+    items.push({ type: 'text', value: fitText(title, titleSize, widthPt, 'bold'), x: left, y: baseline, size: titleSize, font: 'bold' });
+
+    // Larger stock has room for the product name as well
+    if (layout.height >= 30) {
+        baseline += textSize * 1.25 * PT_TO_MM;
+        items.push({ type: 'text', value: fitText(product.name, textSize, widthPt), x: left, y: baseline, size: textSize });
+    }
+
+    baseline += textSize * 1.25 * PT_TO_MM;
+    items.push({ type: 'text', value: fitText(product.color || '', textSize, widthPt - priceWidth - 4), x: left, y: baseline, size: textSize });
+    items.push({ type: 'text', value: price, x: right, y: baseline, size: textSize, font: 'bold', align: 'right' });
+
+    // EAN-13 of the product id with its quiet zones (11 modules left, 7 right)
+    const code = internalEan13(product.id);
+    const bits = encodeEan13(code);
+    const moduleWidth = Math.min(width / (bits.length + 18), 0.33);
+    const barsWidth = bits.length * moduleWidth;
+    const barsTop = baseline + 1;
+    const barsBottom = bottom - digitsSize * PT_TO_MM - 0.5;
+
+    items.push({ type: 'bars', bits, x: x + (layout.width - barsWidth) / 2, y: barsTop, moduleWidth, height: barsBottom - barsTop });
+    items.push({ type: 'text', value: code, x: x + layout.width / 2, y: bottom, size: digitsSize, align: 'center' });
+
+    return items;
+}
+
+/**
+ * Split labels into pages of primitives
+ */
+function layoutSheets(labels, layout) {
+    const perPage = layout.columns * layout.rows;
+    const pages = [];
+
+    labels.forEach((product, index) => {
+        const pageIndex = Math.floor(index / perPage);
+        const position = index % perPage;
+        if (!pages[pageIndex]) {
+            pages[pageIndex] = [];
+        }
+        if (!product) {
+            return;
+        }
+
+        const x = layout.marginLeft + (position % layout.columns) * layout.pitchX;
+        const y = layout.marginTop + Math.floor(position / layout.columns) * layout.pitchY;
+        pages[pageIndex].push(...layoutLabel(product, x, y, layout));
+    });
+
+    return pages;
+}
+
+function renderPdf(pages) {
+    const doc = new PdfDocument({ size: 'A4' });
+
+    pages.forEach((items, index) => {
+        if (index > 0) {
+            doc.addPage();
+        }
+        items.forEach(item => {
+            if (item.type === 'bars') {
+                doc.bars(item.bits, mm(item.x), mm(item.y), mm(item.moduleWidth), mm(item.height));
+            } else {
+                doc.text(item.value, mm(item.x), mm(item.y), { size: item.size, font: item.font, align: item.align });
+            }
+        });
+    });
+
+    return doc.toBuffer();
+}
+
+function renderSvg(pages) {
+    const pageHeight = 297;
+    const body = pages.map((items, index) => {
+        const content = items.map(item => {
+            if (item.type === 'bars') {
+                const rects = [];
+                let i = 0;
+                while (i < item.bits.length) {
+                    if (item.bits[i] === '1') {
+                        let run = 1;
+                        while (item.bits[i + run] === '1') {
+                            run++;
+                        }
+                        rects.push(`M${+(item.x + i * item.moduleWidth).toFixed(3)} ${+item.y.toFixed(3)}h${+(run * item.moduleWidth).toFixed(3)}v${+item.height.toFixed(3)}h${-(run * item.moduleWidth).toFixed(3)}z`);
+                        i += run;
+                    } else {
+                        i++;
+                    }
+                }
+                return `<path d="${rects.join('')}" fill="#000"/>`;
+            }
+            const anchor = { center: 'middle', right: 'end' }[item.align] || 'start';
+            return `<text x="${+item.x.toFixed(3)}" y="${+item.y.toFixed(3)}" font-size="${+(item.size * PT_TO_MM).toFixed(3)}" ` +
+                `font-weight="${item.font === 'bold' ? 'bold' : 'normal'}" text-anchor="${anchor}">${escapeXml(item.value)}</text>`;
+        }).join('');
+        return `<g transform="translate(0 ${index * pageHeight})">${content}</g>`;
+    }).join('');
+
+    const totalHeight = pages.length * pageHeight;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="210mm" height="${totalHeight}mm" viewBox="0 0 210 ${totalHeight}" font-family="Helvetica, Arial, sans-serif">` +
+        `<rect width="100%" height="100%" fill="#fff"/>${body}</svg>`;
+}
+
+/**
+ * Render a label sheet
+ * @param {Array} items - [{ product, quantity }] where product has id, name, brand, model, color, selling_price
+ * @param {object} options - { layout: key of LABEL_LAYOUTS, format: 'pdf'|'svg', skip: empty positions on the first sheet }
+ * @returns {object} { contentType, body, pages, labels }
+ */
+function renderLabelSheet(items, { layout = '65-up', format = 'pdf', skip = 0 } = {}) {
+    const sheet = LABEL_LAYOUTS[layout];
+    if (!sheet) {
+        throw new Error(`Unknown label layout: ${layout}`);
+    }
+
+    const labels = expandLabels(items, skip);
+    const count = labels.length - skip;
+    if (count === 0) {
+        throw new Error('No labels to print');
+    }
+    if (count > MAX_LABELS) {
+        throw new Error(`Cannot print more than ${MAX_LABELS} labels at once`);
+    }
+
+    const pages = layoutSheets(labels, sheet);
+
+    if (format === 'svg') {
+        return { contentType: 'image/svg+xml', body: renderSvg(pages), pages: pages.length, labels: count };
+    }
+    return { contentType: 'application/pdf', body: renderPdf(pages), pages: pages.length, labels: count };
+}
+
+module.exports = {
+    LABEL_LAYOUTS,
+    MAX_LABELS,
+    renderLabelSheet
+};
@@ -0,0 +1,262 @@
+/**
+ * Marketplace Fee Utility
+ * Works out what a marketplace keeps from each sale line, from the platform's fee schedule in force on the sale date.
+ *
+ * A schedule is a list of rules. A percentage rule charges a share of the unit's sale amount (after discounts),
+ * limited to min_fee / max_fee per unit; a fixed rule charges its amount per unit. A rule with a slab only applies
+ * when the unit's price or shipped weight is in [slab_min, slab_max). GST at the schedule's fee_gst_rate is added
+ * to every fee.
+ *
+ * net_payout = total_amount - fees - GST on fees, which is what the platform pays out. The sale amount includes the
+ * output GST of the line (CGST + SGST + IGST, see applyOrderTax), which is owed to the government, so
+ * net_profit = net_payout - output GST - cost of goods.
+ * A platform without a schedule (e.g. Direct) keeps nothing, so its payout is the sale amount.
+ */
+
+const FEE_TYPES = ['referral', 'closing', 'shipping', 'collection', 'other'];
+const FEE_CALCULATIONS = ['percentage', 'fixed'];
+const SLAB_BASES = ['price', 'weight'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check the rules of a fee schedule
+ * @param {Array} rules - [{ fee_type, calculation, amount, slab_basis, slab_min, slab_max, min_fee, max_fee }]
+ * @returns {Array} Rules with numbers parsed and sort_order set
+ */
+function parseFeeRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Fee rules must be a list');
+    }
+
+    const number = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+    return rules.map((rule, index) => {
+        const label = `Fee rule ${index + 1}`;
+        if (!FEE_TYPES.includes(rule.fee_type)) {
+            throw new Error(`${label}: fee type must be one of ${FEE_TYPES.join(', ')}`);
+        }
+        if (!FEE_CALCULATIONS.includes(rule.calculation)) {
+            throw new Error(`${label}: calculation must be percentage or fixed`);
+        }
+
+        const parsed = {
+            fee_type: rule.fee_type,
+            calculation: rule.calculation,
+            amount: number(rule.amount),
+            slab_basis: rule.slab_basis || null,
+            slab_min: number(rule.slab_min),
+            slab_max: number(rule.slab_max),
+            min_fee: number(rule.min_fee),
+            max_fee: number(rule.max_fee),
+            sort_order: index
+        };
+
+        if (parsed.amount === null || isNaN(parsed.amount) || parsed.amount < 0) {
+            throw new Error(`${label}: amount must be a non-negative number`);
+        }
+        if (parsed.calculation === 'percentage' && parsed.amount > 100) {
+            throw new Error(`${label}: a percentage cannot exceed 100`);
+        }
+        if (parsed.slab_basis && !SLAB_BASES.includes(parsed.slab_basis)) {
+            throw new Error(`${label}: slab basis must be price or weight`);
+        }
+        if (!parsed.slab_basis && (parsed.slab_min !== null || parsed.slab_max !== null)) {
+            throw new Error(`${label}: a slab needs a slab basis`);
+        }
+        if (parsed.slab_min !== null && parsed.slab_max !== null && parsed.slab_max <= parsed.slab_min) {
+            throw new Error(`${label}: slab_max must be above slab_min`);
+        }
+        if (parsed.min_fee !== null && parsed.max_fee !== null && parsed.max_fee < parsed.min_fee) {
+            throw new Error(`${label}: max_fee must not be below min_fee`);
+        }
+
+        return parsed;
+    });
+}
+
+/**
+ * Whether a rule applies to a unit of the given price and weight; weight slabs need a known weight
+ */
+function ruleApplies(rule, unitPrice, weightGrams) {
+    if (!rule.slab_basis) {
+        return true;
+    }
+
+    const value = rule.slab_basis === 'price' ? unitPrice : weightGrams;
+    if (value === null || value === undefined) {
+        return false;
+    }
+
+    return (rule.slab_min === null || value >= rule.slab_min) && (rule.slab_max === null || value < rule.slab_max);
+}
+
+/**
+ * Work out the fees on a sale line
+ * @param {Array} rules - Rules of the schedule
+ * @param {number} feeGstRate - GST rate charged on the fees
+ * @param {object} line - { quantity, total_amount, weight_grams }
+ * @returns {object} { fees: [{ rule_id, fee_type, amount, gst_amount }], marketplace_fees, fee_gst }
+ */
+function calculateLineFees(rules, feeGstRate, { quantity, total_amount, weight_grams = null }) {
+    const unitPrice = quantity > 0 ? total_amount / quantity : 0;
+    const fees = [];
+
+    for (const rule of rules) {
+        if (!ruleApplies(rule, unitPrice, weight_grams)) {
+            continue;
+        }
+
+        let unitFee = rule.calculation === 'percentage' ? unitPrice * rule.amount / 100 : rule.amount;
+        if (rule.calculation === 'percentage') {
+            if (rule.min_fee !== null) {
+                unitFee = Math.max(unitFee, rule.min_fee);
+            }
+            if (rule.max_fee !== null) {
+                unitFee = Math.min(unitFee, rule.max_fee);
+            }
+        }
+
+        const amount = roundMoney(unitFee * quantity);
+        if (amount > 0) {
+            fees.push({
+                rule_id: rule.id || null,
+                fee_type: rule.fee_type,
+                amount,
+                gst_amount: roundMoney(amount * feeGstRate / 100)
+            });
+        }
+    }
+
+    return {
+        fees,
+        marketplace_fees: roundMoney(fees.reduce((sum, fee) => sum + fee.amount, 0)),
+        fee_gst: roundMoney(fees.reduce((sum, fee) => sum + fee.gst_amount, 0))
+    };
+}
+
+/**
+ * The fee schedule of a platform in force on a date
+ * @returns {Promise<object|null>} The schedule with its rules, null when the platform has none
+ */
+async function findFeeSchedule(db, platform, date) {
+    if (!platform) {
+        return null;
+    }
+
+    const schedule = await db.get(
+        `SELECT * FROM fee_schedules
+         WHERE platform = ? COLLATE NOCASE AND is_active = 1
+           AND effective_from <= DATE(?) AND (effective_to IS NULL OR effective_to >= DATE(?))
+         ORDER BY effective_from DESC, id DESC
+         LIMIT 1`,
+        [platform, date, date]
+    );
+    if (!schedule) {
+        return null;
+    }
+
+    schedule.rules = await db.all('SELECT * FROM fee_rules WHERE schedule_id = ? ORDER BY sort_order, id', [schedule.id]);
+    return schedule;
+}
+
+/**
+ * Check a schedule's dates and that no other active schedule of the platform is in force on any of them
+ * @param {object} schedule - { platform, effective_from, effective_to }
+ * @param {number} excludeId - Schedule being updated
+ */
+async function assertNoOverlap(db, { platform, effective_from, effective_to }, excludeId = null) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(effective_from || '') || (effective_to && !datePattern.test(effective_to))) {
+        throw new Error('Fee schedule dates must be YYYY-MM-DD');
+    }
+    if (effective_to && effective_to < effective_from) {
+        throw new Error('Fee schedule cannot end before it starts');
+    }
+
+    const overlap = await db.get(
+        `SELECT id, name FROM fee_schedules
+         WHERE platform = ? COLLATE NOCASE AND is_active = 1 AND id != ?
+           AND effective_from <= COALESCE(?, '9999-12-31') AND COALESCE(effective_to, '9999-12-31') >= ?`,
+        [platform, excludeId || 0, effective_to || null, effective_from]
+    );
+    if (overlap) {
+        throw new Error(`Fee schedule overlaps ${overlap.name} (${overlap.id}) for ${platform}`);
+    }
+}
+
+/**
+ * Replace the rules of a schedule
+ */
+async function saveFeeRules(db, scheduleId, rules) {
+    await db.run('DELETE FROM fee_rules WHERE schedule_id = ?', [scheduleId]);
+    for (const rule of rules) {
+        await db.run(
+            `INSERT INTO fee_rules (schedule_id, fee_type, calculation, amount, slab_basis, slab_min, slab_max, min_fee, max_fee, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [scheduleId, rule.fee_type, rule.calculation, rule.amount, rule.slab_basis, rule.slab_min, rule.slab_max,
+             rule.min_fee, rule.max_fee, rule.sort_order]
+        );
+    }
+}
+
+/**
+ * Work out and store the fees, net payout and net profit of every line of an order.
+ * Run once the lines have their final amounts, cost of goods and GST.
+ */
+async function applyOrderFees(db, orderId) {
+    const lines = await db.all(
+        `SELECT s.id, s.sales_platform, s.sale_date, s.quantity_sold, s.total_amount, s.cogs,
+                COALESCE(s.cgst_amount, 0) + COALESCE(s.sgst_amount, 0) + COALESCE(s.igst_amount, 0) as output_gst,
+                COALESCE(p.weight_grams, dp.weight_grams) as weight_grams
+         FROM sales s
+         LEFT JOIN products p ON p.id = s.product_id
+         LEFT JOIN products dp ON dp.id = p.parent_id
+         WHERE s.order_id = ?`,
+        [orderId]
+    );
+
+    const schedules = new Map();
+    for (const line of lines) {
+        const key = `${line.sales_platform}|${String(line.sale_date).substring(0, 10)}`;
+        if (!schedules.has(key)) {
+            schedules.set(key, await findFeeSchedule(db, line.sales_platform, line.sale_date));
+        }
+        const schedule = schedules.get(key);
+
+        const result = schedule
+            ? calculateLineFees(schedule.rules, schedule.fee_gst_rate, {
+                quantity: line.quantity_sold, total_amount: line.total_amount, weight_grams: line.weight_grams
+            })
+            : { fees: [], marketplace_fees: 0, fee_gst: 0 };
+
+        await db.run('DELETE FROM sale_fees WHERE sale_id = ?', [line.id]);
+        for (const fee of result.fees) {
+            await db.run(
+                'INSERT INTO sale_fees (sale_id, rule_id, fee_type, amount, gst_amount) VALUES (?, ?, ?, ?, ?)',
+                [line.id, fee.rule_id, fee.fee_type, fee.amount, fee.gst_amount]
+            );
+        }
+
+        const netPayout = roundMoney(line.total_amount - result.marketplace_fees - result.fee_gst);
+        await db.run(
+            `UPDATE sales SET fee_schedule_id = ?, marketplace_fees = ?, fee_gst = ?, net_payout = ?, net_profit = ?
+             WHERE id = ?`,
+            [schedule ? schedule.id : null, result.marketplace_fees, result.fee_gst, netPayout,
+             roundMoney(netPayout - line.output_gst - (line.cogs || 0)), line.id]
+        );
+    }
+}
+
+module.exports = {
+    FEE_TYPES,
+    FEE_CALCULATIONS,
+    parseFeeRules,
+    calculateLineFees,
+    findFeeSchedule,
+    assertNoOverlap,
+    saveFeeRules,
+    applyOrderFees
+};
@@ -0,0 +1,422 @@
+/**
+ * Marketplace Import Utility
+ * Turns Amazon Seller Central, Flipkart and Meesho order reports into sales orders.
+ *
+ * Each report format names the columns that hold the order id, date, SKU, quantity, amount and status
+ * (see REPORT_FORMATS); headers are matched after lowercasing and turning punctuation and spaces into underscores.
+ * Rows sharing an order id are the lines of one order. The marketplace order id is the order's idempotency key:
+ * an order already recorded for the platform is reported as a duplicate, so a report can be uploaded again.
+ * SKUs are matched through marketplace_sku_mappings, then our own SKUs and barcodes. An order with an unmapped SKU
+ * or a bad row is left out whole, so it can be imported by uploading the report again once it is fixed.
+ */
+
+const { resolveStateCode } = require('./gst');
+
+const MAX_IMPORT_ROWS = 5000;
+
+const REPORT_FORMATS = {
+    amazon: {
+        platform: 'Amazon',
+        columns: {
+            order_id: ['amazon_order_id', 'order_id'],
+            order_date: ['purchase_date', 'order_date'],
+            sku: ['sku', 'seller_sku'],
+            quantity: ['quantity', 'quantity_purchased'],
+            line_total: ['item_price'],
+            discount: ['item_promotion_discount'],
+            status: ['order_status', 'item_status'],
+            product_name: ['product_name'],
+            buyer_name: ['buyer_name', 'recipient_name'],
+            buyer_state: ['ship_state']
+        }
+    },
+    flipkart: {
+        platform: 'Flipkart',
+        columns: {
+            order_id: ['order_id'],
+            order_date: ['ordered_on', 'order_date'],
+            sku: ['sku', 'seller_sku'],
+            quantity: ['quantity', 'item_quantity'],
+            line_total: ['invoice_amount'],
+            unit_price: ['selling_price_per_item', 'selling_price'],
+            status: ['order_state', 'order_item_status', 'status'],
+            product_name: ['product', 'product_title'],
+            buyer_name: ['customer_name', 'buyer_name'],
+            buyer_state: ['state', 'customer_state']
+        }
+    },
+    meesho: {
+        platform: 'Meesho',
+        columns: {
+            order_id: ['sub_order_no', 'sub_order_number', 'order_id'],
+            order_date: ['order_date'],
+            sku: ['sku'],
+            quantity: ['quantity'],
+            unit_price: [
+                'supplier_discounted_price_incl_gst_and_commision', 'supplier_discounted_price_incl_gst_and_commission',
+                'supplier_listed_price_incl_gst_commision', 'supplier_listed_price_incl_gst_commission'
+            ],
+            status: ['reason_for_credit_entry', 'order_status', 'status'],
+            product_name: ['product_name'],
+            buyer_state: ['customer_state']
+        }
+    }
+};
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function normalizeHeader(cell) {
+    return String(cell).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Map header cells to report fields
+ * @returns {object} Field -> column index
+ */
+function mapReportColumns(format, headerRow) {
+    const headers = headerRow.map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(format.columns).forEach(([field, aliases]) => {
+        for (const alias of aliases) {
+            const index = headers.indexOf(alias);
+            if (index !== -1) {
+                columns[field] = index;
+                break;
+            }
+        }
+    });
+
+    return columns;
+}
+
+/**
+ * Read an amount such as "₹1,299.00" or "INR 299"
+ * @returns {number|null} null when the cell is empty
+ */
+function parseAmount(value) {
+    const text = String(value ?? '').replace(/[^\d.-]/g, '');
+    if (text === '') {
+        return null;
+    }
+    const amount = parseFloat(text);
+    return isNaN(amount) ? NaN : amount;
+}
+
+/**
+ * Read an order date: ISO (with or without a time zone), YYYY-MM-DD HH:MM:SS, DD-MM-YYYY or DD/MM/YYYY
+ * (Indian reports) or any other form Date understands, such as "Oct 01, 2026"
+ * @returns {string|null} 'YYYY-MM-DD HH:MM:SS', null when it cannot be read
+ */
+function parseOrderDate(value) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return null;
+    }
+
+    const pad = (part) => String(part || 0).padStart(2, '0');
+    const build = (year, month, day, hours, minutes, seconds) => {
+        if (month < 1 || month > 12 || day < 1 || day > 31) {
+            return null;
+        }
+        return `${year}-${pad(month)}-${pad(day)} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+    };
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        return build(match[1], parseInt(match[2]), parseInt(match[3]), match[4], match[5], match[6]);
+    }
+
+    match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        return build(match[3], parseInt(match[2]), parseInt(match[1]), match[4], match[5], match[6]);
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * The product a marketplace SKU sells: its mapping, else the product with that SKU or barcode
+ */
+async function findProductForSku(db, platform, sku) {
+    const mapped = await db.get(
+        `SELECT p.id, p.name FROM marketplace_sku_mappings m
+         JOIN products p ON p.id = m.product_id
+         WHERE m.platform = ? AND m.marketplace_sku = ?`,
+        [platform, sku]
+    );
+    if (mapped) {
+        return mapped;
+    }
+
+    return db.get(
+        'SELECT id, name FROM products WHERE sku = ? COLLATE NOCASE OR barcode = ? ORDER BY sku = ? COLLATE NOCASE DESC LIMIT 1',
+        [sku, sku, sku]
+    );
+}
+
+/**
+ * Count the rows of a plan by action
+ */
+function summarizeImport(plan) {
+    const count = (action) => plan.rows.filter(row => row.action === action).length;
+    const orderCount = (action) => plan.orders.filter(order => order.action === action).length;
+
+    plan.summary = {
+        total_rows: plan.rows.length,
+        orders: plan.orders.length,
+        ready_orders: orderCount('ready'),
+        imported_orders: orderCount('imported'),
+        duplicate_orders: orderCount('duplicate'),
+        failed_orders: orderCount('error'),
+        skipped_rows: count('skipped'),
+        unmapped_rows: count('unmapped'),
+        error_rows: count('error')
+    };
+
+    // One entry per unmapped SKU, to map and import again
+    const unmapped = new Map();
+    plan.rows.filter(row => row.action === 'unmapped').forEach(row => {
+        if (!unmapped.has(row.sku)) {
+            unmapped.set(row.sku, { sku: row.sku, product_name: row.product_name, rows: [] });
+        }
+        unmapped.get(row.sku).rows.push(row.row);
+    });
+    plan.unmapped_skus = [...unmapped.values()];
+
+    return plan;
+}
+
+/**
+ * Work out what importing a report would do, without changing anything
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {string} formatKey - amazon, flipkart or meesho
+ * @param {Array<Array>} rows - Report rows, headers first
+ * @returns {Promise<object>} { platform, summary, unmapped_skus, rows: [{ row, order_id, sku, action, reason, errors, ... }], orders }
+ *   Row actions: ready, duplicate (order already imported), skipped (cancelled or pending), unmapped, error
+ *   and blocked (another row of its order cannot be imported)
+ */
+async function planMarketplaceImport(db, formatKey, rows) {
+    const format = REPORT_FORMATS[String(formatKey || '').toLowerCase()];
+    if (!format) {
+        throw new Error(`Report format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    if (headerIndex === -1) {
+        throw new Error('The import file is empty');
+    }
+
+    const columns = mapReportColumns(format, rows[headerIndex]);
+    const missing = ['order_id', 'sku', 'quantity'].filter(field => columns[field] === undefined);
+    if (columns.line_total === undefined && columns.unit_price === undefined) {
+        missing.push('price');
+    }
+    if (missing.length > 0) {
+        throw new Error(`The import file is not a ${format.platform} order report, missing columns: ${missing.join(', ')}`);
+    }
+
+    const dataRows = rows
+        .map((cells, index) => ({ line: index + 1, cells }))
+        .slice(headerIndex + 1)
+        .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+
+    if (dataRows.length === 0) {
+        throw new Error('The import file has no order rows');
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Cannot import more than ${MAX_IMPORT_ROWS} rows at once`);
+    }
+
+    const cell = (cells, field) => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+    const products = new Map();
+    const orders = new Map();
+    const planned = [];
+
+    for (const { line, cells } of dataRows) {
+        const result = {
+            row: line,
+            order_id: cell(cells, 'order_id') || null,
+            sku: cell(cells, 'sku') || null,
+            product_name: cell(cells, 'product_name') || null,
+            product_id: null,
+            quantity: null,
+            total_amount: null,
+            action: 'ready',
+            errors: []
+        };
+        planned.push(result);
+
+        if (!result.order_id) {
+            result.action = 'error';
+            result.errors.push('Missing order id');
+            continue;
+        }
+
+        if (!orders.has(result.order_id)) {
+            orders.set(result.order_id, {
+                marketplace_order_id: result.order_id,
+                order_date: parseOrderDate(cell(cells, 'order_date')),
+                buyer_name: cell(cells, 'buyer_name') || null,
+                buyer_state: cell(cells, 'buyer_state') || null,
+                action: 'ready',
+                rows: [],
+                items: []
+            });
+        }
+        const order = orders.get(result.order_id);
+        order.rows.push(result);
+
+        // Cancelled orders were never sold; pending ones have no price yet and come in with a later report
+        const status = cell(cells, 'status');
+        if (/cancel/i.test(status)) {
+            result.action = 'skipped';
+            result.reason = `Order status is ${status}`;
+            continue;
+        }
+        if (/pending/i.test(status)) {
+            result.action = 'skipped';
+            result.reason = 'Order is pending, import it again once it has shipped';
+            continue;
+        }
+
+        if (!result.sku) {
+            result.errors.push('Missing SKU');
+        }
+        if (cell(cells, 'order_date') && !order.order_date) {
+            result.errors.push(`Invalid order date: ${cell(cells, 'order_date')}`);
+        }
+
+        const quantity = Number(cell(cells, 'quantity'));
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            result.errors.push('Quantity must be a whole number of at least 1');
+        } else {
+            result.quantity = quantity;
+        }
+
+        const lineTotal = parseAmount(cell(cells, 'line_total'));
+        const unitPrice = parseAmount(cell(cells, 'unit_price'));
+        const discount = Math.abs(parseAmount(cell(cells, 'discount')) || 0);
+        if (lineTotal === null && unitPrice === null) {
+            result.errors.push('Missing price');
+        } else if (isNaN(lineTotal) || isNaN(unitPrice) || (lineTotal ?? unitPrice) < 0) {
+            result.errors.push('Invalid price');
+        }
+
+        if (result.errors.length > 0) {
+            result.action = 'error';
+            continue;
+        }
+
+        const key = result.sku.toLowerCase();
+        if (!products.has(key)) {
+            products.set(key, await findProductForSku(db, format.platform, result.sku));
+        }
+        const product = products.get(key);
+        if (!product) {
+            result.action = 'unmapped';
+            result.errors.push(`No product for ${format.platform} SKU ${result.sku}`);
+            continue;
+        }
+
+        // A line total (Amazon item price, Flipkart invoice amount) is spread over the units
+        const salePrice = lineTotal !== null ? roundMoney(lineTotal / quantity) : unitPrice;
+        result.product_id = product.id;
+        result.product_name = product.name;
+        result.total_amount = roundMoney(salePrice * quantity - discount);
+        order.items.push({ product_id: product.id, quantity_sold: quantity, sale_price: salePrice, discount_amount: discount });
+    }
+
+    // An order is imported whole: already imported, or held back when any of its rows cannot be imported
+    for (const order of orders.values()) {
+        const existing = await db.get(
+            'SELECT id, order_number FROM sales_orders WHERE sales_platform = ? AND marketplace_order_id = ?',
+            [format.platform, order.marketplace_order_id]
+        );
+
+        if (existing) {
+            order.action = 'duplicate';
+            order.rows.forEach(row => {
+                row.action = 'duplicate';
+                row.errors = [];
+                row.sales_order_id = existing.id;
+                row.order_number = existing.order_number;
+            });
+        } else if (order.rows.some(row => row.action === 'error' || row.action === 'unmapped')) {
+            order.action = 'error';
+            order.rows.filter(row => row.action === 'ready').forEach(row => {
+                row.action = 'blocked';
+                row.errors.push('Another row of this order cannot be imported');
+            });
+        } else if (order.items.length === 0) {
+            order.action = 'skipped';
+        }
+    }
+
+    return summarizeImport({ platform: format.platform, rows: planned, orders: [...orders.values()] });
+}
+
+/**
+ * Record the ready orders of a plan, each as its own sales order; an order that fails (e.g. short of stock)
+ * is reported on its rows and does not stop the others
+ * @param {object} transactionManager - Records the orders (see TransactionManager.recordSalesOrder)
+ * @param {object} plan - Result of planMarketplaceImport
+ * @param {object} options - { location_id, import_id, created_by }
+ * @returns {Promise<object>} The plan with its rows updated
+ */
+async function applyMarketplaceImport(transactionManager, plan, { location_id, import_id, created_by }) {
+    for (const order of plan.orders.filter(entry => entry.action === 'ready')) {
+        let buyerState = null;
+        try {
+            buyerState = resolveStateCode(order.buyer_state);
+        } catch (error) {
+            // An unrecognised ship-to state leaves the order taxed as intra-state
+        }
+
+        try {
+            const recorded = await transactionManager.recordSalesOrder({
+                items: order.items,
+                sales_platform: plan.platform,
+                customer_info: order.buyer_name,
+                buyer_name: order.buyer_name,
+                buyer_state: buyerState,
+                location_id,
+                created_by,
+                marketplace_order_id: order.marketplace_order_id,
+                marketplace_import_id: import_id,
+                order_date: order.order_date
+            });
+
+            order.action = 'imported';
+            order.rows.filter(row => row.action === 'ready').forEach(row => {
+                row.action = 'imported';
+                row.sales_order_id = recorded.order_id;
+                row.order_number = recorded.order_number;
+            });
+        } catch (error) {
+            // Imported by another upload since the plan was made
+            const duplicate = error.message.includes('UNIQUE constraint failed');
+            order.action = duplicate ? 'duplicate' : 'error';
+            order.rows.filter(row => row.action === 'ready').forEach(row => {
+                row.action = order.action;
+                if (!duplicate) {
+                    row.errors.push(error.message);
+                }
+            });
+        }
+    }
+
+    return summarizeImport(plan);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    mapReportColumns,
+    parseAmount,
+    parseOrderDate,
+    planMarketplaceImport,
+    applyMarketplaceImport
+};
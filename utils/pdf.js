@@ -0,0 +1,238 @@
+/**
+ * PDF Utility
+ * Minimal PDF writer for print documents (label sheets, invoices) using the
+ * built-in Helvetica fonts, so no font files or PDF libraries are needed.
+ *
+ * Coordinates are in points with the origin at the top-left of the page.
+ */
+
+const MM_TO_PT = 72 / 25.4;
+
+const PAGE_SIZES = {
+    A4: { width: 210 * MM_TO_PT, height: 297 * MM_TO_PT }
+};
+
+// Helvetica advance widths (1/1000 em) for printable ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+/**
+ * Convert millimetres to points
+ */
+function mm(value) {
+    return value * MM_TO_PT;
+}
+
+/**
+ * Format a number for a content stream
+ */
+function num(value) {
+    return String(+value.toFixed(3));
+}
+
+/**
+ * Replace characters the standard fonts cannot show
+ */
+function toPdfText(value) {
+    return String(value ?? '').replace(/[^\x20-\x7e]/g, '?');
+}
+
+/**
+ * Width of a string in points
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @param {string} font - 'regular' or 'bold'
+ */
+function textWidth(text, size, font = 'regular') {
+    const widths = FONTS[font].widths;
+    let total = 0;
+    for (const char of toPdfText(text)) {
+        total += widths[char.charCodeAt(0) - 32];
+    }
+    return (total * size) / 1000;
+}
+
+/**
+ * Shorten text with an ellipsis so it fits within maxWidth
+ */
+function fitText(text, size, maxWidth, font = 'regular') {
+    let value = toPdfText(text);
+    if (textWidth(value, size, font) <= maxWidth) {
+        return value;
+    }
+    while (value.length > 0 && textWidth(value + '...', size, font) > maxWidth) {
+        value = value.slice(0, -1);
+    }
+    return value + '...';
+}
+
+class PdfDocument {
+    /**
+     * @param {object} options - { size: 'A4' | { width, height } (points) }
+     */
+    constructor(options = {}) {
+        const size = options.size || 'A4';
+        this.pageSize = typeof size === 'string' ? PAGE_SIZES[size] : size;
+
+        if (!this.pageSize) {
+            throw new Error(`Unknown page size: ${size}`);
+        }
+
+        this.pages = [];
+        this.current = null;
+        this.addPage();
+    }
+
+    addPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        return this;
+    }
+
+    /**
+     * Filled rectangle
+     */
+    rect(x, y, width, height, { fill = '#000' } = {}) {
+        this.current.push(
+            `${this.color(fill)} rg ${num(x)} ${num(this.pageSize.height - y - height)} ${num(width)} ${num(height)} re f`
+        );
+        return this;
+    }
+
+    /**
+     * Outlined rectangle
+     */
+    strokeRect(x, y, width, height, { stroke = '#000', lineWidth = 0.5 } = {}) {
+        this.current.push(
+            `${this.color(stroke)} RG ${num(lineWidth)} w ${num(x)} ${num(this.pageSize.height - y - height)} ${num(width)} ${num(height)} re S`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { stroke = '#000', lineWidth = 0.5 } = {}) {
+        this.current.push(
+            `${this.color(stroke)} RG ${num(lineWidth)} w ${num(x1)} ${num(this.pageSize.height - y1)} m ${num(x2)} ${num(this.pageSize.height - y2)} l S`
+        );
+        return this;
+    }
+
+    /**
+     * Draw a single line of text; y is the baseline
+     * @param {object} options - { size, font: 'regular'|'bold', align: 'left'|'center'|'right', color }
+     */
+    text(value, x, y, { size = 10, font = 'regular', align = 'left', color = '#000' } = {}) {
+        const content = toPdfText(value);
+        let left = x;
+
+        if (align === 'center') {
+            left = x - textWidth(content, size, font) / 2;
+        } else if (align === 'right') {
+            left = x - textWidth(content, size, font);
+        }
+
+        const escaped = content.replace(/([\\()])/g, '\\$1');
+        this.current.push(
+            `BT ${this.color(color)} rg /${FONTS[font].resource} ${num(size)} Tf ${num(left)} ${num(this.pageSize.height - y)} Td (${escaped}) Tj ET`
+        );
+        return this;
+    }
+
+    /**
+     * Draw a module bit string (1 = bar) as barcode bars
+     */
+    bars(bits, x, y, moduleWidth, height) {
+        let index = 0;
+        while (index < bits.length) {
+            if (bits[index] === '1') {
+                let run = 1;
+                while (bits[index + run] === '1') {
+                    run++;
+                }
+                this.rect(x + index * moduleWidth, y, run * moduleWidth, height);
+                index += run;
+            } else {
+                index++;
+            }
+        }
+        return this;
+    }
+
+    color(hex) {
+        const value = hex.replace('#', '');
+        const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+        return [0, 2, 4].map(i => num(parseInt(full.substr(i, 2), 16) / 255)).join(' ');
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`);
+        const boldId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`);
+
+        const pageIds = this.pages.map(commands => {
+            const stream = commands.join('\n');
+            const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.pageSize.width)} ${num(this.pageSize.height)}] ` +
+                `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+module.exports = {
+    PdfDocument,
+    PAGE_SIZES,
+    mm,
+    textWidth,
+    fitText
+};
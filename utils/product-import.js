@@ -0,0 +1,376 @@
+/**
+ * Product Import Utility
+ * Plans and applies bulk product imports from spreadsheet rows.
+ *
+ * The first non-empty row holds the column headers, matched to product fields by name (see FIELD_ALIASES).
+ * Each row is checked with the validateProduct rules and matched to an existing product by SKU, then barcode,
+ * then name + brand + model + color; matched rows update that product, the others create simple products.
+ * Categories are given by path ('Cases / Silicone'); missing ones are created, like phone models and colors.
+ * Planning only reads, so a dry run is the plan on its own; applying it is all or nothing.
+ */
+
+const { checkProductData } = require('../middleware/security');
+const { assignProductCodes } = require('./sku');
+const { adjustLocationStock } = require('./stock');
+const { normalizeCategoryPath, findCategoryByPath } = require('./categories');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Header spellings accepted for each field, after lowercasing and turning spaces and dashes into underscores
+const FIELD_ALIASES = {
+    name: ['name', 'product', 'product_name', 'title'],
+    description: ['description'],
+    category: ['category'],
+    brand: ['brand', 'make'],
+    model: ['model', 'phone_model'],
+    color: ['color', 'colour'],
+    cost_price: ['cost_price', 'cost'],
+    selling_price: ['selling_price', 'price', 'sale_price', 'mrp'],
+    quantity: ['quantity', 'qty', 'stock'],
+    sku: ['sku'],
+    barcode: ['barcode', 'ean'],
+    reorder_point: ['reorder_point'],
+    safety_stock: ['safety_stock'],
+    hsn_code: ['hsn_code', 'hsn'],
+    gst_rate: ['gst_rate', 'gst'],
+    weight_grams: ['weight_grams', 'weight']
+};
+
+const NUMERIC_FIELDS = {
+    cost_price: parseFloat,
+    selling_price: parseFloat,
+    quantity: value => parseInt(value),
+    reorder_point: value => parseInt(value),
+    safety_stock: value => parseInt(value),
+    gst_rate: parseFloat,
+    weight_grams: value => parseInt(value)
+};
+
+/**
+ * Map header cells to product fields
+ * @returns {object} { columns: [field or null per column], ignored: [unrecognised headers] }
+ */
+function mapColumns(headerRow) {
+    const lookup = new Map();
+    Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+        aliases.forEach(alias => lookup.set(alias, field));
+    });
+
+    const seen = new Set();
+    const ignored = [];
+    const columns = headerRow.map(cell => {
+        const header = String(cell).trim();
+        const field = lookup.get(header.toLowerCase().replace(/[\s-]+/g, '_'));
+
+        if (!field || seen.has(field)) {
+            if (header) {
+                ignored.push(header);
+            }
+            return null;
+        }
+        seen.add(field);
+        return field;
+    });
+
+    return { columns, ignored };
+}
+
+/**
+ * Key used to spot the same product twice in one file
+ */
+function rowKey(data) {
+    if (data.sku) {
+        return `sku:${data.sku.toLowerCase()}`;
+    }
+    if (data.barcode) {
+        return `barcode:${data.barcode}`;
+    }
+    return ['name', 'brand', 'model', 'color'].map(field => String(data[field] || '').toLowerCase()).join('|');
+}
+
+/**
+ * Find the existing product a row refers to
+ * @returns {Promise<object>} { product, errors }
+ */
+async function matchProduct(db, data) {
+    const bySku = data.sku ? await db.get('SELECT * FROM products WHERE sku = ?', [data.sku]) : null;
+    const byBarcode = data.barcode ? await db.get('SELECT * FROM products WHERE barcode = ?', [data.barcode]) : null;
+
+    if (bySku && byBarcode && bySku.id !== byBarcode.id) {
+        return { product: null, errors: [`SKU ${data.sku} and barcode ${data.barcode} belong to different products`] };
+    }
+    if (bySku || byBarcode) {
+        return { product: bySku || byBarcode, errors: [] };
+    }
+    if (data.sku || data.barcode || !data.name) {
+        return { product: null, errors: [] };
+    }
+
+    const matches = await db.all(
+        `SELECT * FROM products
+         WHERE name = ? AND COALESCE(brand, '') = ? AND COALESCE(model, '') = ? AND COALESCE(color, '') = ?`,
+        [data.name, data.brand || '', data.model || '', data.color || '']
+    );
+
+    if (matches.length > 1) {
+        return { product: null, errors: [`Matches ${matches.length} products, add a sku column to tell them apart`] };
+    }
+    return { product: matches[0] || null, errors: [] };
+}
+
+/**
+ * Work out what importing the rows would do, without changing anything
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {Array<Array>} rows - Spreadsheet rows, headers first
+ * @returns {Promise<object>} { summary, ignored_columns, new_phone_models, new_colors, new_categories, rows: [{ row, action, ... }] }
+ */
+async function planProductImport(db, rows) {
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    if (headerIndex === -1) {
+        throw new Error('The import file is empty');
+    }
+
+    const { columns, ignored } = mapColumns(rows[headerIndex]);
+    if (!columns.includes('name') && !columns.includes('sku') && !columns.includes('barcode')) {
+        throw new Error('The import file needs a name, sku or barcode column');
+    }
+
+    const dataRows = rows
+        .map((cells, index) => ({ line: index + 1, cells }))
+        .slice(headerIndex + 1)
+        .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+
+    if (dataRows.length === 0) {
+        throw new Error('The import file has no product rows');
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Cannot import more than ${MAX_IMPORT_ROWS} rows at once`);
+    }
+
+    const phoneModels = new Set(
+        (await db.all('SELECT brand, model FROM phone_models')).map(pm => `${pm.brand}|${pm.model}`.toLowerCase())
+    );
+    const colors = new Set((await db.all('SELECT name FROM colors')).map(color => color.name.toLowerCase()));
+    const newPhoneModels = new Map();
+    const newColors = new Map();
+    const newCategories = new Map();
+
+    const seenKeys = new Map();
+    const seenProducts = new Map();
+    const planned = [];
+
+    for (const { line, cells } of dataRows) {
+        // Empty cells leave the field out, so updates keep the current value
+        const provided = {};
+        columns.forEach((field, index) => {
+            const value = cells[index];
+            if (field && value !== undefined && String(value).trim() !== '') {
+                provided[field] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+
+        const result = { row: line, action: 'error', product_id: null, name: provided.name || null, sku: provided.sku || null, errors: [] };
+        planned.push(result);
+
+        ['sku', 'barcode', 'category', 'hsn_code'].forEach(field => {
+            if (provided[field] !== undefined) {
+                provided[field] = String(provided[field]);
+            }
+        });
+
+        const checked = await checkProductData(provided);
+        const data = {};
+        Object.keys(provided).forEach(field => {
+            data[field] = NUMERIC_FIELDS[field] ? NUMERIC_FIELDS[field](checked.data[field]) : checked.data[field];
+        });
+
+        // Existing categories are written the way they are stored, so an unchanged category is not an update
+        if (data.category !== undefined) {
+            const category = await findCategoryByPath(db, data.category);
+            data.category = category ? category.path : normalizeCategoryPath(data.category);
+        }
+        
+        const { product: existing, errors: matchErrors } = await matchProduct(db, data);
+        result.errors.push(...matchErrors);
+
+        // Required fields an update leaves out are checked with the product's current values
+        const { errors } = existing
+            ? await checkProductData({ name: existing.name, cost_price: existing.cost_price, selling_price: existing.selling_price, ...provided })
+            : checked;
+        result.errors.push(...errors);
+
+        result.name = data.name || (existing && existing.name) || null;
+
+        if (existing && existing.product_type === 'design' && data.quantity !== undefined) {
+            result.errors.push('Design stock is managed on its variants');
+        }
+        if (existing && existing.product_type === 'bundle' &&
+            (data.quantity !== undefined || (data.cost_price !== undefined && data.cost_price !== existing.cost_price))) {
+            result.errors.push('Bundle stock and cost come from its components');
+        }
+
+        const key = existing ? `product:${existing.id}` : rowKey(data);
+        const firstLine = existing ? seenProducts.get(existing.id) : seenKeys.get(key);
+        if (firstLine) {
+            result.errors.push(`Duplicate of row ${firstLine}`);
+            result.duplicate_of = firstLine;
+        } else if (existing) {
+            seenProducts.set(existing.id, line);
+        } else {
+            seenKeys.set(key, line);
+        }
+
+        if (result.errors.length > 0) {
+            continue;
+        }
+
+        if (existing) {
+            result.product_id = existing.id;
+            result.sku = existing.sku;
+            result.product_type = existing.product_type;
+            result.changes = {};
+            Object.entries(data).forEach(([field, value]) => {
+                if (existing[field] !== value) {
+                    result.changes[field] = { from: existing[field], to: value };
+                }
+            });
+            result.action = Object.keys(result.changes).length > 0 ? 'update' : 'unchanged';
+            result.current_quantity = existing.quantity;
+        } else {
+            result.action = 'create';
+            result.data = data;
+        }
+
+        // Brand, model and color lists grow with whatever the file introduces
+        const final = existing ? { brand: existing.brand, model: existing.model, color: existing.color, ...data } : data;
+        const modelKey = `${final.brand}|${final.model}`.toLowerCase();
+        if (final.brand && final.model && !phoneModels.has(modelKey) && !newPhoneModels.has(modelKey)) {
+            newPhoneModels.set(modelKey, { brand: final.brand, model: final.model });
+        }
+        if (final.color && !colors.has(final.color.toLowerCase()) && !newColors.has(final.color.toLowerCase())) {
+            newColors.set(final.color.toLowerCase(), { name: final.color });
+        }
+        if (data.category && !newCategories.has(data.category.toLowerCase()) && !(await findCategoryByPath(db, data.category))) {
+            newCategories.set(data.category.toLowerCase(), { path: data.category });
+        }
+    }
+
+    const count = action => planned.filter(row => row.action === action).length;
+
+    return {
+        summary: {
+            total_rows: planned.length,
+            creates: count('create'),
+            updates: count('update'),
+            unchanged: count('unchanged'),
+            errors: count('error'),
+            duplicates: planned.filter(row => row.duplicate_of).length
+        },
+        ignored_columns: ignored,
+        new_phone_models: [...newPhoneModels.values()],
+        new_colors: [...newColors.values()],
+        new_categories: [...newCategories.values()],
+        rows: planned
+    };
+}
+
+/**
+ * Apply a plan from planProductImport; call inside the transaction the plan was made in
+ * @param {object} db - Transaction handle
+ * @param {object} plan - Import plan without errors
+ * @param {object} options - { location: stock location row for quantities, import_id, user_id }
+ */
+async function applyProductImport(db, plan, { location, import_id, user_id }) {
+    const stockOptions = (unitCost) => ({
+        unit_cost: unitCost, reason: 'product_import', source_type: 'product_import', source_id: import_id, user_id
+    });
+
+    for (const phoneModel of plan.new_phone_models) {
+        await db.run('INSERT OR IGNORE INTO phone_models (brand, model) VALUES (?, ?)', [phoneModel.brand, phoneModel.model]);
+    }
+    for (const color of plan.new_colors) {
+        await db.run('INSERT OR IGNORE INTO colors (name) VALUES (?)', [color.name]);
+    }
+
+    // Products take the category id with the path; a design's variants follow it
+    const assignCategory = async (productId, path) => {
+        const category = path ? await findCategoryByPath(db, path, { create: true }) : null;
+        await db.run(
+            'UPDATE products SET category_id = ?, category = ? WHERE id = ? OR parent_id = ?',
+            [category ? category.id : null, category ? category.path : null, productId, productId]
+        );
+    };
+
+    for (const row of plan.rows) {
+        if (row.action === 'create') {
+            const data = row.data;
+            const result = await db.run(
+                `INSERT INTO products (name, description, category, cost_price, selling_price, quantity, brand, model, color, sku, barcode,
+                                       product_type, reorder_point, safety_stock, hsn_code, gst_rate, weight_grams)
+                 VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, 'simple', ?, ?, ?, ?, ?)`,
+                [data.name, data.description, data.category, data.cost_price, data.selling_price,
+                 data.brand, data.model, data.color, data.sku || null, data.barcode || null,
+                 data.reorder_point ?? null, data.safety_stock ?? null, data.hsn_code ?? null, data.gst_rate ?? null,
+                 data.weight_grams ?? null]
+            );
+            await assignProductCodes(db, result.lastID);
+            if (data.category) {
+                await assignCategory(result.lastID, data.category);
+            }
+
+            if (data.quantity > 0) {
+                await adjustLocationStock(db, result.lastID, location, data.quantity, stockOptions(data.cost_price));
+            }
+
+            row.product_id = result.lastID;
+            delete row.data;
+        } else if (row.action === 'update') {
+            const updateFields = [];
+            const updateParams = [];
+
+            Object.entries(row.changes).forEach(([field, change]) => {
+                if (field === 'quantity' || field === 'category') {
+                    return;
+                }
+                updateFields.push(`${field} = ?`);
+                updateParams.push(change.to);
+                if (row.product_type === 'variant' && (field === 'cost_price' || field === 'selling_price')) {
+                    updateFields.push(`${field}_override = 1`);
+                }
+            });
+
+            if (updateFields.length > 0) {
+                updateFields.push('updated_date = CURRENT_TIMESTAMP');
+                await db.run(`UPDATE products SET ${updateFields.join(', ')} WHERE id = ?`, [...updateParams, row.product_id]);
+            }
+
+            if (row.changes.category) {
+                await assignCategory(row.product_id, row.changes.category.to);
+            }
+
+            // Push design prices down to variants that have not overridden them
+            if (row.product_type === 'design') {
+                for (const field of ['cost_price', 'selling_price']) {
+                    if (row.changes[field]) {
+                        await db.run(
+                            `UPDATE products SET ${field} = ?, updated_date = CURRENT_TIMESTAMP WHERE parent_id = ? AND ${field}_override = 0`,
+                            [row.changes[field].to, row.product_id]
+                        );
+                    }
+                }
+            }
+
+            // Quantity is the total over all locations; the difference is booked at the import location
+            if (row.changes.quantity) {
+                await adjustLocationStock(db, row.product_id, location, row.changes.quantity.to - row.current_quantity, stockOptions());
+            }
+        }
+    }
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    FIELD_ALIASES,
+    planProductImport,
+    applyProductImport
+};
@@ -0,0 +1,88 @@
+/**
+ * Product Status Utility
+ * Lifecycle of a product: draft -> active -> discontinued, and archived from any state.
+ *
+ *   draft        - being set up; not sold, no alerts, not reordered
+ *   active       - sold, alerted and reordered as usual
+ *   discontinued - remaining stock is still sold, but it is neither alerted nor reordered
+ *   archived     - retired; hidden from selling, lists and alerts, kept in historical reports
+ *
+ * A design and its variants share one status. An active product flagged do_not_reorder is discontinued
+ * automatically when its stock reaches zero (see discontinueIfDepleted, called by the stock writer).
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const PRODUCT_STATUSES = ['draft', 'active', 'discontinued', 'archived'];
+const SELLABLE_STATUSES = ['active', 'discontinued'];
+
+/**
+ * Change the status of a product, and of its variants when it is a design
+ * @returns {Promise<number>} Products changed
+ */
+async function setProductStatus(db, productId, status) {
+    if (!PRODUCT_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+    }
+
+    const result = await db.run(
+        `UPDATE products
+         SET status = ?, is_active = ?, status_changed_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+         WHERE (id = ? OR parent_id = ?) AND status != ?`,
+        [status, status === 'archived' ? 0 : 1, productId, productId, status]
+    );
+
+    return result.changes;
+}
+
+/**
+ * Discontinue an active do-not-reorder product whose stock has run out; a design follows
+ * once none of its variants is active any more
+ * @returns {Promise<boolean>} Whether the product was discontinued
+ */
+async function discontinueIfDepleted(db, productId) {
+    const product = await db.get('SELECT id, parent_id, quantity, status, do_not_reorder FROM products WHERE id = ?', [productId]);
+    if (!product || product.quantity !== 0 || product.status !== 'active' || !product.do_not_reorder) {
+        return false;
+    }
+
+    await db.run(
+        `UPDATE products
+         SET status = 'discontinued', status_changed_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [productId]
+    );
+
+    if (product.parent_id) {
+        const activeVariants = await db.get(
+            "SELECT COUNT(*) as count FROM products WHERE parent_id = ? AND status = 'active'",
+            [product.parent_id]
+        );
+        if (activeVariants.count === 0) {
+            await db.run(
+                `UPDATE products
+                 SET status = 'discontinued', status_changed_date = CURRENT_TIMESTAMP, updated_date = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'active'`,
+                [product.parent_id]
+            );
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Refuse to sell a product that is not in a sellable status
+ */
+function assertSellable(product) {
+    if (!SELLABLE_STATUSES.includes(product.status)) {
+        throw new Error(`Cannot sell ${product.name}: the product is ${product.status}`);
+    }
+}
+
+module.exports = {
+    PRODUCT_STATUSES,
+    SELLABLE_STATUSES,
+    setProductStatus,
+    discontinueIfDepleted,
+    assertSellable
+};
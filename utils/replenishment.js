@@ -0,0 +1,276 @@
+/**
+ * Replenishment Utility
+ * Turns demand forecasts into reorder suggestions and prints the accepted ones as a purchase list.
+ *
+ * For each stock-holding product:
+ *   daily demand    - AnalyticsEngine.forecastDemand over the sales of the last history_days, bundles counting
+ *                     towards their components
+ *   target stock    - daily demand x (brand lead time + review days), rounded up, plus safety stock
+ *   suggested order - target stock less what is on hand and still due on open purchase orders
+ *   days of cover   - on hand / daily demand
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const AnalyticsEngine = require('./analytics-engine');
+const { PdfDocument, mm, fitText } = require('./pdf');
+const { csvField } = require('./export');
+const { STOCK_SALES_SQL } = require('./bundles');
+
+const DEFAULT_REVIEW_DAYS = 30;
+const DEFAULT_HISTORY_DAYS = 30;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * The dates (YYYY-MM-DD) of a sales window, oldest first
+ */
+function historyWindow(startDate, days) {
+    const start = new Date(`${startDate}T00:00:00Z`);
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(start);
+        date.setUTCDate(start.getUTCDate() + index);
+        return date.toISOString().slice(0, 10);
+    });
+}
+
+/**
+ * Work out reorder suggestions
+ * @param {object} db - Database manager
+ * @param {object} options - { brand, product_ids, review_days: days of demand each order should cover after it arrives,
+ *                             history_days: sales window the forecast is based on,
+ *                             include_all: also return products that need nothing }
+ * @returns {Promise<Array>} Plan lines, most urgent first
+ */
+async function buildReplenishmentPlan(db, options = {}) {
+    const {
+        brand,
+        product_ids,
+        review_days = DEFAULT_REVIEW_DAYS,
+        history_days = DEFAULT_HISTORY_DAYS,
+        include_all = false
+    } = options;
+
+    const conditions = ["p.product_type NOT IN ('design', 'bundle')", "p.status = 'active'", 'p.do_not_reorder = 0'];
+    const params = [];
+
+    if (brand) {
+        conditions.push('p.brand = ?');
+        params.push(brand);
+    }
+
+    if (product_ids) {
+        conditions.push(`p.id IN (${product_ids.map(() => '?').join(', ')})`);
+        params.push(...product_ids);
+    }
+
+    const products = await db.all(
+        `SELECT p.id as product_id, p.name as product_name, p.sku, p.brand, p.model, p.color,
+                p.quantity as on_hand,
+                COALESCE(p.average_cost, p.cost_price, 0) as unit_cost,
+                rl.effective_reorder_point as reorder_point,
+                rl.effective_safety_stock as safety_stock,
+                COALESCE(bl.lead_time_days, gl.lead_time_days, 0) as lead_time_days,
+                (SELECT COALESCE(SUM(poi.quantity_ordered - poi.quantity_received), 0)
+                 FROM purchase_order_items poi
+                 JOIN purchase_orders po ON po.id = poi.po_id
+                 WHERE poi.product_id = p.id AND po.status IN ('sent', 'partially_received')) as on_order,
+                ri.order_quantity as accepted_quantity
+         FROM products p
+         JOIN product_reorder_levels rl ON rl.product_id = p.id
+         LEFT JOIN lead_times bl ON bl.scope = 'brand' AND bl.scope_value = p.brand
+         LEFT JOIN lead_times gl ON gl.scope = 'global'
+         LEFT JOIN replenishment_items ri ON ri.product_id = p.id AND ri.status = 'accepted'
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    // One pass over the sales window (history_days days up to today) instead of a query per product;
+    // bundles sold count towards their components
+    const { start_date } = await db.get("SELECT DATE('now', ?) as start_date", [`-${history_days - 1} days`]);
+    const history = await db.all(
+        `SELECT product_id, DATE(sale_date) as sale_date, SUM(quantity_sold) as daily_sales
+         FROM ${STOCK_SALES_SQL}
+         WHERE sale_date >= ?
+         GROUP BY product_id, DATE(sale_date)
+         ORDER BY product_id, sale_date`,
+        [start_date]
+    );
+
+    const windowDates = historyWindow(start_date, history_days);
+    const salesByProduct = new Map();
+    history.forEach(row => {
+        if (!salesByProduct.has(row.product_id)) {
+            salesByProduct.set(row.product_id, new Map());
+        }
+        salesByProduct.get(row.product_id).set(row.sale_date, row.daily_sales);
+    });
+
+    const lines = products.map(product => {
+        // Days without sales count as zero, so a few sales spread over the window are not read as daily demand
+        const dailySales = salesByProduct.get(product.product_id);
+        const forecast = dailySales
+            ? AnalyticsEngine.forecastDemand(windowDates.map(date => ({ sale_date: date, daily_sales: dailySales.get(date) || 0 })))
+            : null;
+        const dailyDemand = forecast ? forecast.daily_demand : 0;
+
+        const targetStock = Math.ceil(dailyDemand * (product.lead_time_days + review_days)) + product.safety_stock;
+        const suggestedQuantity = Math.max(0, targetStock - product.on_hand - product.on_order);
+
+        return {
+            ...product,
+            daily_demand: round1(dailyDemand),
+            confidence_level: forecast ? forecast.confidence_level : 0,
+            lead_time_demand: Math.ceil(dailyDemand * product.lead_time_days),
+            target_stock: targetStock,
+            suggested_quantity: suggestedQuantity,
+            estimated_cost: Math.round(suggestedQuantity * product.unit_cost * 100) / 100,
+            days_of_cover: dailyDemand > 0 ? round1(product.on_hand / dailyDemand) : null,
+            // Negative once an order placed today would arrive after stock falls to safety stock
+            order_within_days: dailyDemand > 0
+                ? round1((product.on_hand + product.on_order - product.safety_stock) / dailyDemand - product.lead_time_days)
+                : null,
+            below_reorder_point: product.on_hand <= product.reorder_point
+        };
+    });
+
+    return lines
+        .filter(line => include_all || line.suggested_quantity > 0)
+        .sort((a, b) => {
+            // Products without demand have no deadline and go last
+            if (a.order_within_days === null) {
+                return b.order_within_days === null ? b.suggested_quantity - a.suggested_quantity : 1;
+            }
+            if (b.order_within_days === null) {
+                return -1;
+            }
+            return a.order_within_days - b.order_within_days;
+        });
+}
+
+/**
+ * Accepted suggestions that have not been ordered yet, grouped by brand
+ * @param {object} db - Database manager
+ * @param {object} options - { brand }
+ * @returns {Promise<Array>} [{ brand, lead_time_days, items, total_units, total_cost }]
+ */
+async function getPurchaseList(db, { brand } = {}) {
+    const params = [];
+    let brandCondition = '';
+
+    if (brand) {
+        brandCondition = 'AND ri.brand = ?';
+        params.push(brand);
+    }
+
+    const items = await db.all(
+        `SELECT ri.*, p.name as product_name, p.sku, p.barcode, p.model, p.color,
+                ROUND(ri.order_quantity * ri.unit_cost, 2) as line_cost
+         FROM replenishment_items ri
+         JOIN products p ON p.id = ri.product_id
+         WHERE ri.status = 'accepted' ${brandCondition}
+         ORDER BY ri.brand, p.model, p.name`,
+        params
+    );
+
+    const groups = new Map();
+    items.forEach(item => {
+        const key = item.brand || 'Unbranded';
+        if (!groups.has(key)) {
+            groups.set(key, { brand: key, lead_time_days: item.lead_time_days, items: [], total_units: 0, total_cost: 0 });
+        }
+        const group = groups.get(key);
+        group.items.push(item);
+        group.total_units += item.order_quantity;
+        group.total_cost = Math.round((group.total_cost + item.line_cost) * 100) / 100;
+    });
+
+    return [...groups.values()];
+}
+
+/**
+ * Purchase list as CSV, one row per product
+ */
+function renderPurchaseListCsv(groups) {
+    const rows = [['Brand', 'SKU', 'Barcode', 'Product', 'Model', 'Color', 'Quantity', 'Unit Cost', 'Line Cost']];
+
+    groups.forEach(group => {
+        group.items.forEach(item => {
+            rows.push([
+                group.brand, item.sku, item.barcode, item.product_name, item.model, item.color,
+                item.order_quantity, item.unit_cost.toFixed(2), item.line_cost.toFixed(2)
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Printable purchase list: one section per brand, a new page whenever the current one is full
+ * @returns {Buffer} PDF file contents
+ */
+function renderPurchaseListPdf(groups, { currency = process.env.LABEL_CURRENCY || 'Rs.' } = {}) {
+    const doc = new PdfDocument({ size: 'A4' });
+    const columns = [
+        { label: 'SKU', x: 15, width: 40 },
+        { label: 'Product', x: 57, width: 70 },
+        { label: 'Color', x: 129, width: 25 },
+        { label: 'Qty', x: 167, align: 'right' },
+        { label: 'Line Cost', x: 195, align: 'right' }
+    ];
+    const bottom = 280;
+    let y = 20;
+
+    const ensureSpace = (height) => {
+        if (y + height > bottom) {
+            doc.addPage();
+            y = 20;
+        }
+    };
+
+    doc.text('Purchase List', mm(15), mm(y), { size: 16, font: 'bold' });
+    doc.text(new Date().toISOString().slice(0, 10), mm(195), mm(y), { size: 10, align: 'right' });
+    y += 10;
+
+    groups.forEach(group => {
+        ensureSpace(20);
+        doc.text(group.brand, mm(15), mm(y), { size: 12, font: 'bold' });
+        doc.text(`Lead time ${group.lead_time_days} days`, mm(195), mm(y), { size: 9, align: 'right' });
+        y += 6;
+
+        columns.forEach(column => {
+            doc.text(column.label, mm(column.x), mm(y), { size: 9, font: 'bold', align: column.align });
+        });
+        doc.line(mm(15), mm(y + 1.5), mm(195), mm(y + 1.5));
+        y += 5.5;
+
+        group.items.forEach(item => {
+            ensureSpace(5);
+            const values = [item.sku || item.barcode, `${item.product_name} (${item.model})`, item.color, item.order_quantity, item.line_cost.toFixed(2)];
+            columns.forEach((column, index) => {
+                const value = column.width ? fitText(values[index], 9, mm(column.width)) : values[index];
+                doc.text(value, mm(column.x), mm(y), { size: 9, align: column.align });
+            });
+            y += 5;
+        });
+
+        ensureSpace(10);
+        doc.line(mm(15), mm(y - 3), mm(195), mm(y - 3));
+        doc.text(`${group.total_units} units`, mm(167), mm(y + 1), { size: 9, font: 'bold', align: 'right' });
+        doc.text(`${currency} ${group.total_cost.toFixed(2)}`, mm(195), mm(y + 1), { size: 9, font: 'bold', align: 'right' });
+        y += 12;
+    });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    DEFAULT_REVIEW_DAYS,
+    DEFAULT_HISTORY_DAYS,
+    buildReplenishmentPlan,
+    getPurchaseList,
+    renderPurchaseListCsv,
+    renderPurchaseListPdf
+};
@@ -0,0 +1,271 @@
+/**
+ * Sales Order Utility
+ * A sales order is a header (customer, platform, payment, slip, order discount) over sales rows, one per line.
+ *
+ * Each line stores its own discount and its share of the order discount, so its total_amount is what was really
+ * received for it and line-level reports (revenue, profit, top products) add up to the order totals.
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const { adjustLocationStock } = require('./stock');
+const { consumeBundleComponents, restockBundleComponents } = require('./bundles');
+const { resolveBuyer, applyOrderTax } = require('./gst');
+const { applyOrderFees } = require('./marketplace-fees');
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Split an order discount over lines in proportion to their amounts; rounding differences go to the largest line
+ * @param {number[]} amounts - Line amounts after line discounts
+ * @returns {number[]} Share of each line
+ */
+function allocateOrderDiscount(amounts, discount) {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!discount || total <= 0) {
+        return amounts.map(() => 0);
+    }
+
+    const shares = amounts.map(amount => roundMoney(discount * amount / total));
+    const largest = amounts.indexOf(Math.max(...amounts));
+    shares[largest] = roundMoney(shares[largest] + discount - shares.reduce((sum, share) => sum + share, 0));
+
+    return shares;
+}
+
+/**
+ * Price order lines and check their discounts
+ * @param {Array} items - [{ quantity_sold, sale_price, discount_amount }]
+ * @param {number} orderDiscount - Discount on the whole order
+ * @returns {object} { lines: items with line_discount, order_discount_share and total_amount, subtotal, total_amount }
+ */
+function priceOrderLines(items, orderDiscount = 0) {
+    const lines = items.map(item => {
+        const gross = roundMoney(item.quantity_sold * item.sale_price);
+        const lineDiscount = roundMoney(item.discount_amount || 0);
+        if (lineDiscount < 0 || lineDiscount > gross) {
+            throw new Error('Line discount must be between 0 and the line amount');
+        }
+        return { ...item, gross, line_discount: lineDiscount };
+    });
+
+    const net = lines.map(line => roundMoney(line.gross - line.line_discount));
+    const netTotal = roundMoney(net.reduce((sum, amount) => sum + amount, 0));
+    const discount = roundMoney(orderDiscount || 0);
+    if (discount < 0 || discount > netTotal) {
+        throw new Error('Order discount must be between 0 and the order amount');
+    }
+
+    const shares = allocateOrderDiscount(net, discount);
+    lines.forEach((line, index) => {
+        line.order_discount_share = shares[index];
+        line.total_amount = roundMoney(net[index] - shares[index]);
+    });
+
+    return {
+        lines,
+        subtotal: roundMoney(lines.reduce((sum, line) => sum + line.gross, 0)),
+        total_amount: roundMoney(netTotal - discount)
+    };
+}
+
+/**
+ * Check that a location can supply every line of an order before any stock moves; bundles need their components
+ * and a product on several lines needs the sum. Throws one error naming every product that is short.
+ * @param {Array} lines - [{ product_id, product_type, quantity_sold }]
+ */
+async function checkOrderStock(db, location, lines) {
+    const needed = new Map();
+    const need = (productId, quantity) => needed.set(productId, (needed.get(productId) || 0) + quantity);
+
+    for (const line of lines) {
+        if (line.product_type === 'bundle') {
+            const components = await db.all('SELECT component_id, quantity FROM bundle_components WHERE bundle_id = ?', [line.product_id]);
+            components.forEach(component => need(component.component_id, component.quantity * line.quantity_sold));
+        } else {
+            need(line.product_id, line.quantity_sold);
+        }
+    }
+
+    const shortages = [];
+    for (const [productId, quantity] of needed) {
+        const stock = await db.get(
+            `SELECT p.name, COALESCE(ps.quantity, 0) as quantity
+             FROM products p
+             LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.location_id = ?
+             WHERE p.id = ?`,
+            [location.id, productId]
+        );
+        if (stock.quantity < quantity) {
+            shortages.push(`${stock.name} (${quantity} needed, ${stock.quantity} available)`);
+        }
+    }
+
+    if (shortages.length > 0) {
+        throw new Error(`Insufficient stock at ${location.name}: ${shortages.join(', ')}`);
+    }
+}
+
+/**
+ * Move the stock behind a sale line: the product itself, or the components of a bundle
+ * @param {number} change - Units of the sold product to add (negative to take out)
+ * @param {object} options - adjustLocationStock options (unit_cost, reason, source_type, source_id, user_id)
+ * @returns {Promise<object>} { cogs, unit_cost, new_quantity, location_quantity, needs_restocking }
+ */
+async function adjustSaleLineStock(db, productId, location, change, options = {}) {
+    const product = await db.get('SELECT product_type FROM products WHERE id = ?', [productId]);
+
+    if (product && product.product_type === 'bundle') {
+        let cogs = 0;
+        let needsRestocking = false;
+        if (change < 0) {
+            ({ cogs, needs_restocking: needsRestocking } = await consumeBundleComponents(db, productId, location, -change, options));
+        } else {
+            // Components go back at the cost they left with for this sale line
+            await restockBundleComponents(db, productId, location, change, {
+                ...options,
+                unit_cost: undefined,
+                sale_id: options.source_type === 'sale' ? options.source_id : undefined
+            });
+        }
+        const bundleStock = await db.get('SELECT available_quantity FROM bundle_stock WHERE bundle_id = ?', [productId]);
+
+        return {
+            cogs,
+            unit_cost: change < 0 ? Math.round((cogs / -change) * 10000) / 10000 : options.unit_cost ?? null,
+            new_quantity: bundleStock ? bundleStock.available_quantity : 0,
+            location_quantity: null,
+            needs_restocking: needsRestocking
+        };
+    }
+
+    const stock = await adjustLocationStock(db, productId, location, change, options);
+    const levels = await db.get('SELECT effective_reorder_point FROM product_reorder_levels WHERE product_id = ?', [productId]);
+
+    return { ...stock, needs_restocking: stock.new_quantity <= levels.effective_reorder_point };
+}
+
+/**
+ * Recalculate an order after its lines or buyer changed: spread the order discount again, total the header
+ * and work out its GST and marketplace fees again. An order left without lines is deleted.
+ * @returns {Promise<object|null>} The updated order, or null when it was deleted
+ */
+async function refreshOrderTotals(db, orderId) {
+    const order = await db.get('SELECT * FROM sales_orders WHERE id = ?', [orderId]);
+    if (!order) {
+        return null;
+    }
+
+    const lines = await db.all(
+        'SELECT id, quantity_sold, sale_price, line_discount FROM sales WHERE order_id = ? ORDER BY line_number, id',
+        [orderId]
+    );
+    if (lines.length === 0) {
+        // A shipment still being packed goes with its order
+        await db.run('DELETE FROM shipments WHERE order_id = ?', [orderId]);
+        await db.run('DELETE FROM sales_orders WHERE id = ?', [orderId]);
+        return null;
+    }
+
+    // A smaller order cannot carry a bigger discount than it is worth
+    const net = lines.map(line => roundMoney(line.quantity_sold * line.sale_price - line.line_discount));
+    const discount = Math.min(order.discount_amount, roundMoney(net.reduce((sum, amount) => sum + amount, 0)));
+    const priced = priceOrderLines(
+        lines.map(line => ({ quantity_sold: line.quantity_sold, sale_price: line.sale_price, discount_amount: line.line_discount })),
+        discount
+    );
+
+    for (let i = 0; i < lines.length; i++) {
+        await db.run(
+            'UPDATE sales SET order_discount_share = ?, total_amount = ? WHERE id = ?',
+            [priced.lines[i].order_discount_share, priced.lines[i].total_amount, lines[i].id]
+        );
+    }
+    await db.run(
+        `UPDATE sales_orders SET subtotal = ?, discount_amount = ?, total_amount = ?, updated_date = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [priced.subtotal, discount, priced.total_amount, orderId]
+    );
+    await applyOrderTax(db, orderId);
+    await applyOrderFees(db, orderId);
+
+    return db.get('SELECT * FROM sales_orders WHERE id = ?', [orderId]);
+}
+
+// Header fields that every line carries a copy of
+const MIRRORED_HEADER_FIELDS = ['sales_platform', 'customer_id', 'customer_info', 'payment_method', 'slip_path'];
+
+/**
+ * Update order header fields (sales_platform, customer_id, customer_info, payment_method, slip_path, notes,
+ * discount_amount, buyer_name, buyer_gstin, buyer_state, buyer_address); mirrored fields are copied to every line,
+ * and a new discount or buyer state takes effect when the order totals are refreshed
+ * @returns {Promise<boolean>} Whether any field was given
+ */
+async function updateOrderHeader(db, orderId, fields) {
+    const updates = [];
+    const params = [];
+
+    // A null customer_id unlinks the customer
+    if (fields.customer_id && !(await db.get('SELECT id FROM customers WHERE id = ?', [fields.customer_id]))) {
+        throw new Error('Customer not found');
+    }
+
+    for (const field of [...MIRRORED_HEADER_FIELDS, 'notes', 'buyer_name', 'buyer_address']) {
+        if (fields[field] !== undefined) {
+            updates.push(`${field} = ?`);
+            params.push(fields[field]);
+        }
+    }
+
+    // A GSTIN and a state are checked together, against what the order already has for the one not given
+    if (fields.buyer_gstin !== undefined || fields.buyer_state !== undefined) {
+        const current = await db.get('SELECT buyer_gstin, buyer_state FROM sales_orders WHERE id = ?', [orderId]);
+        const buyer = resolveBuyer({
+            buyer_gstin: fields.buyer_gstin !== undefined ? fields.buyer_gstin : current.buyer_gstin,
+            buyer_state: fields.buyer_state !== undefined ? fields.buyer_state : (fields.buyer_gstin ? null : current.buyer_state)
+        });
+        updates.push('buyer_gstin = ?', 'buyer_state = ?');
+        params.push(buyer.buyer_gstin, buyer.buyer_state);
+    }
+
+    if (fields.discount_amount !== undefined) {
+        const { net } = await db.get(
+            'SELECT COALESCE(SUM(quantity_sold * sale_price - line_discount), 0) as net FROM sales WHERE order_id = ?',
+            [orderId]
+        );
+        const discount = roundMoney(fields.discount_amount);
+        if (discount < 0 || discount > roundMoney(net)) {
+            throw new Error('Order discount must be between 0 and the order amount');
+        }
+        updates.push('discount_amount = ?');
+        params.push(discount);
+    }
+
+    if (updates.length === 0) {
+        return false;
+    }
+
+    await db.run(
+        `UPDATE sales_orders SET ${updates.join(', ')}, updated_date = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, orderId]
+    );
+
+    const lineUpdates = MIRRORED_HEADER_FIELDS.filter(field => fields[field] !== undefined);
+    if (lineUpdates.length > 0) {
+        await db.run(
+            `UPDATE sales SET ${lineUpdates.map(field => `${field} = ?`).join(', ')} WHERE order_id = ?`,
+            [...lineUpdates.map(field => fields[field]), orderId]
+        );
+    }
+
+    return true;
+}
+
+module.exports = {
+    priceOrderLines,
+    checkOrderStock,
+    adjustSaleLineStock,
+    refreshOrderTotals,
+    updateOrderHeader
+};
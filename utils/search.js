@@ -0,0 +1,179 @@
+/**
+ * Product Search Utility
+ * Turns what a user types into an FTS5 query against the product_search index.
+ *
+ * The text is split into words the way the index tokenizer splits it, shop shorthand for handset models is expanded
+ * ("14pm" -> "14 pro max", "s24u" -> "s24 ultra", "ip15" -> "iphone 15"), every word is matched as a prefix, and a
+ * word that matches no indexed term is swapped for the closest term within a small edit distance ("iphnoe" -> "iphone").
+ */
+
+// Whole words that stand for other words
+const WORD_ALIASES = {
+    ip: ['iphone'],
+    iph: ['iphone'],
+    pm: ['pro', 'max'],
+    promax: ['pro', 'max']
+};
+
+// Letters glued to a model number ("14pm", "s24u", "15plus")
+const MODEL_SUFFIXES = {
+    p: ['pro'],
+    pro: ['pro'],
+    pm: ['pro', 'max'],
+    promax: ['pro', 'max'],
+    max: ['max'],
+    plus: ['plus'],
+    mini: ['mini'],
+    u: ['ultra'],
+    ultra: ['ultra'],
+    fe: ['fe']
+};
+
+/**
+ * Maximum edit distance for correcting a word of this length; short words are not corrected
+ */
+function allowedDistance(length) {
+    if (length < 4) {
+        return 0;
+    }
+    return length < 7 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and adjacent transpositions
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Expand one word of the query into the words the index holds
+ */
+function expandWord(word) {
+    if (WORD_ALIASES[word]) {
+        return WORD_ALIASES[word];
+    }
+
+    const match = /^([a-z]*)(\d+)([a-z]*)$/.exec(word);
+    if (!match) {
+        return [word];
+    }
+
+    const [, prefix, number, suffix] = match;
+    if (suffix && !MODEL_SUFFIXES[suffix]) {
+        return [word];
+    }
+
+    // Short series letters stay on the number, as the index holds them ("s24", "a54"); names are split off ("pixel8")
+    const words = [];
+    if (WORD_ALIASES[prefix]) {
+        words.push(...WORD_ALIASES[prefix], number);
+    } else if (prefix.length >= 3) {
+        words.push(prefix, number);
+    } else {
+        words.push(prefix + number);
+    }
+
+    return suffix ? [...words, ...MODEL_SUFFIXES[suffix]] : words;
+}
+
+/**
+ * Split search text into normalized words
+ * @returns {string[]} e.g. 'iPhone 14PM Clear' -> ['iphone', '14', 'pro', 'max', 'clear']
+ */
+function normalizeSearchText(text) {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/([\p{L}\p{N}])\+/gu, '$1 plus')
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    return words.flatMap(expandWord);
+}
+
+/**
+ * Closest indexed term to a word that matches nothing, or null when none is close enough
+ */
+async function correctWord(db, word) {
+    const maxDistance = allowedDistance(word.length);
+    if (maxDistance === 0 || !/^\p{L}+$/u.test(word)) {
+        return null;
+    }
+
+    const known = await db.get('SELECT 1 FROM product_search_vocab WHERE term GLOB ? LIMIT 1', [`${word}*`]);
+    if (known) {
+        return null;
+    }
+
+    const candidates = await db.all(
+        'SELECT term, doc FROM product_search_vocab WHERE length(term) >= ?',
+        [word.length - maxDistance]
+    );
+
+    let best = null;
+    for (const candidate of candidates) {
+        // Compare with the start of longer terms too, so a half-typed word can still be corrected
+        const distance = Math.min(
+            editDistance(word, candidate.term),
+            candidate.term.length > word.length ? editDistance(word, candidate.term.slice(0, word.length)) : Infinity
+        );
+        if (distance <= maxDistance &&
+            (!best || distance < best.distance || (distance === best.distance && candidate.doc > best.doc))) {
+            best = { term: candidate.term, doc: candidate.doc, distance };
+        }
+    }
+
+    return best ? best.term : null;
+}
+
+/**
+ * Build the FTS5 match expression for search text
+ * @returns {Promise<object|null>} { match, words, corrections: [{ word, correction }] }, or null when the text has no words
+ */
+async function buildProductSearch(db, text) {
+    const words = normalizeSearchText(text);
+    if (words.length === 0) {
+        return null;
+    }
+
+    const corrections = [];
+    const terms = [];
+    for (const word of words) {
+        const correction = await correctWord(db, word);
+        if (correction) {
+            corrections.push({ word, correction });
+        }
+        terms.push(correction || word);
+    }
+
+    return {
+        // Words hold letters and digits only, so quoting them is enough to keep FTS5 syntax out
+        match: terms.map(term => `"${term}"*`).join(' '),
+        words: terms,
+        corrections
+    };
+}
+
+module.exports = {
+    normalizeSearchText,
+    buildProductSearch
+};
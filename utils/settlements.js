@@ -0,0 +1,232 @@
+/**
+ * Settlement Utility
+ * Reads marketplace settlement and payment reports and sorts marketplace orders into reconciliation buckets.
+ *
+ * A report is a list of money lines, each for an order id (Amazon settlement lines, Flipkart and Meesho payment
+ * rows); an order paid in several lines (principal, commission, shipping fee...) adds them up. The order_settlements
+ * view sets what each order received against what it should pay out: the net payout of its sales lines less the
+ * refunds of its processed returns. An order is
+ * - paid: received at least the expected amount, less the tolerance
+ * - short_paid: received less than that
+ * - unpaid: nothing received yet
+ * - unexpected_deduction: a refund or chargeback was deducted but no return is recorded for the order
+ * Lines whose order id matches no sales order are listed on their own.
+ */
+
+const { mapReportColumns, parseAmount, parseOrderDate } = require('./marketplace-import');
+
+const MAX_SETTLEMENT_ROWS = 20000;
+
+const SETTLEMENT_BUCKETS = ['paid', 'short_paid', 'unpaid', 'unexpected_deduction'];
+
+// Unsettled amounts are aged by days since the order: [label, from, to]
+const AGING_BUCKETS = [
+    ['days_0_7', 0, 7],
+    ['days_8_15', 8, 15],
+    ['days_16_30', 16, 30],
+    ['days_31_60', 31, 60],
+    ['days_over_60', 61, null]
+];
+
+// Rounding on the marketplace's side is not a short payment
+const DEFAULT_TOLERANCE = parseFloat(process.env.SETTLEMENT_TOLERANCE || '1');
+
+const SETTLEMENT_FORMATS = {
+    amazon: {
+        platform: 'Amazon',
+        columns: {
+            order_ref: ['order_id', 'amazon_order_id'],
+            amount: ['amount', 'total'],
+            transaction_type: ['transaction_type', 'type'],
+            description: ['amount_description', 'description'],
+            posted_date: ['posted_date_time', 'posted_date', 'date_time'],
+            settlement_ref: ['settlement_id']
+        }
+    },
+    flipkart: {
+        platform: 'Flipkart',
+        columns: {
+            order_ref: ['order_id'],
+            amount: ['bank_settlement_value_rs_sum_j_r', 'bank_settlement_value_rs', 'settlement_value', 'settlement_amount', 'amount'],
+            transaction_type: ['order_type', 'transaction_type', 'type'],
+            description: ['description', 'service_type'],
+            posted_date: ['settlement_date', 'payment_date'],
+            settlement_ref: ['neft_id', 'utr', 'settlement_id']
+        }
+    },
+    meesho: {
+        platform: 'Meesho',
+        columns: {
+            order_ref: ['sub_order_no', 'sub_order_number'],
+            amount: ['final_settlement_amount', 'settlement_amount', 'amount'],
+            transaction_type: ['live_order_status', 'order_status', 'transaction_type'],
+            description: ['description', 'remarks'],
+            posted_date: ['payment_date', 'payment_date_time'],
+            settlement_ref: ['transaction_id', 'utr']
+        }
+    }
+};
+
+/**
+ * What a line is for: money back to the buyer (refund, return, RTO, chargeback), an order, or anything else
+ * such as storage or advertising fees
+ */
+function classifyLine(type, orderRef) {
+    if (/refund|return|rto|chargeback/i.test(type)) {
+        return 'refund';
+    }
+    return orderRef ? 'order' : 'other';
+}
+
+/**
+ * Read the lines of a settlement report
+ * @param {string} formatKey - amazon, flipkart or meesho
+ * @param {Array<Array>} rows - Report rows, headers first
+ * @returns {object} { platform, settlement_ref, lines: [{ row_number, order_ref, transaction_type, description, amount, posted_date }],
+ *                     total_amount, skipped_rows, errors: [{ row, error }] }
+ */
+function parseSettlementReport(formatKey, rows) {
+    const format = SETTLEMENT_FORMATS[String(formatKey || '').toLowerCase()];
+    if (!format) {
+        throw new Error(`Report format must be one of ${Object.keys(SETTLEMENT_FORMATS).join(', ')}`);
+    }
+
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    if (headerIndex === -1) {
+        throw new Error('The import file is empty');
+    }
+
+    const columns = mapReportColumns(format, rows[headerIndex]);
+    const missing = ['order_ref', 'amount'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`The import file is not a ${format.platform} settlement report, missing columns: ${missing.join(', ')}`);
+    }
+
+    const dataRows = rows
+        .map((cells, index) => ({ line: index + 1, cells }))
+        .slice(headerIndex + 1)
+        .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+
+    if (dataRows.length === 0) {
+        throw new Error('The import file has no settlement rows');
+    }
+    if (dataRows.length > MAX_SETTLEMENT_ROWS) {
+        throw new Error(`Cannot import more than ${MAX_SETTLEMENT_ROWS} rows at once`);
+    }
+
+    const cell = (cells, field) => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+    const report = { platform: format.platform, settlement_ref: null, lines: [], total_amount: 0, skipped_rows: 0, errors: [] };
+
+    for (const { line, cells } of dataRows) {
+        report.settlement_ref = report.settlement_ref || cell(cells, 'settlement_ref') || null;
+
+        // Amazon's first row totals the settlement and has no amount of its own
+        const amount = parseAmount(cell(cells, 'amount'));
+        if (amount === null) {
+            report.skipped_rows++;
+            continue;
+        }
+        if (isNaN(amount)) {
+            report.errors.push({ row: line, error: `Invalid amount: ${cell(cells, 'amount')}` });
+            continue;
+        }
+
+        const orderRef = cell(cells, 'order_ref') || null;
+        const postedDate = cell(cells, 'posted_date');
+        report.lines.push({
+            row_number: line,
+            order_ref: orderRef,
+            transaction_type: classifyLine(cell(cells, 'transaction_type'), orderRef),
+            description: [cell(cells, 'transaction_type'), cell(cells, 'description')].filter(Boolean).join(' - ') || null,
+            amount,
+            posted_date: parseOrderDate(postedDate) || null
+        });
+        report.total_amount += amount;
+    }
+
+    report.total_amount = Math.round(report.total_amount * 100) / 100;
+    return report;
+}
+
+/**
+ * Read the tolerance of a reconciliation request
+ */
+function parseTolerance(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_TOLERANCE;
+    }
+    const tolerance = parseFloat(value);
+    if (isNaN(tolerance) || tolerance < 0) {
+        throw new Error('Tolerance must be a non-negative amount');
+    }
+    return tolerance;
+}
+
+/**
+ * SQL for the bucket of an order_settlements row "os"; takes the tolerance as its one parameter
+ */
+const BUCKET_SQL = `CASE
+    WHEN os.refund_deductions < 0 AND os.return_count = 0 THEN 'unexpected_deduction'
+    WHEN os.received_amount >= os.expected_amount - ? THEN 'paid'
+    WHEN os.settlement_lines = 0 THEN 'unpaid'
+    ELSE 'short_paid'
+END`;
+
+/**
+ * SQL condition limiting a platform column to the marketplaces with settlement reports, or to one platform
+ * @returns {object} { condition, params }
+ */
+function platformCondition(platform, column = 'os.platform') {
+    if (platform) {
+        const format = SETTLEMENT_FORMATS[String(platform).toLowerCase()];
+        return { condition: `${column} = ? COLLATE NOCASE`, params: [format ? format.platform : platform] };
+    }
+    const platforms = Object.values(SETTLEMENT_FORMATS).map(format => format.platform);
+    return {
+        condition: `${column} COLLATE NOCASE IN (${platforms.map(() => '?').join(', ')})`,
+        params: platforms
+    };
+}
+
+/**
+ * SQL expression giving the name a platform column is reported under: the marketplace's own spelling for the platforms
+ * with settlement reports, which platformCondition matches whatever their case
+ */
+function platformNameSql(column = 'os.platform') {
+    const cases = Object.values(SETTLEMENT_FORMATS)
+        .map(format => `WHEN '${format.platform.toLowerCase()}' THEN '${format.platform}'`)
+        .join(' ');
+    return `CASE LOWER(${column}) ${cases} ELSE ${column} END`;
+}
+
+/**
+ * The sales order a settlement line is for, matched like the settlement_line_orders view: by marketplace order id,
+ * then by our order number
+ * @returns {Promise<object|undefined>} { id, order_number }
+ */
+async function findSettlementOrder(db, platform, orderRef) {
+    if (!orderRef) {
+        return undefined;
+    }
+
+    return await db.get(
+        `SELECT id, order_number FROM sales_orders
+         WHERE marketplace_order_id = ? AND sales_platform = ? COLLATE NOCASE`,
+        [orderRef, platform]
+    ) || await db.get(
+        'SELECT id, order_number FROM sales_orders WHERE order_number = ? AND sales_platform = ? COLLATE NOCASE',
+        [orderRef, platform]
+    );
+}
+
+module.exports = {
+    SETTLEMENT_FORMATS,
+    SETTLEMENT_BUCKETS,
+    AGING_BUCKETS,
+    BUCKET_SQL,
+    parseSettlementReport,
+    parseTolerance,
+    findSettlementOrder,
+    platformCondition,
+    platformNameSql
+};
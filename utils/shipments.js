@@ -0,0 +1,577 @@
+/**
+ * Shipment Utility
+ * Dispatch of sales orders to couriers, their status history, packing slips and courier manifests.
+ *
+ * A shipment moves packed -> shipped -> in_transit -> delivered; a shipment the courier brings back is rto
+ * (return to origin). in_transit can be recorded again for every tracking scan. When a shipment goes rto, a return
+ * is opened for each line of its order, approved and routed to the location the parcel comes back to, so
+ * processing it puts the stock back there.
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const { PdfDocument, mm, fitText } = require('./pdf');
+const { csvField } = require('./export');
+const { resolveLocation } = require('./stock');
+
+const SHIPMENT_STATUSES = ['packed', 'shipped', 'in_transit', 'delivered', 'rto'];
+
+// Statuses a shipment can move to from each status
+const STATUS_TRANSITIONS = {
+    packed: ['shipped'],
+    shipped: ['in_transit', 'delivered', 'rto'],
+    in_transit: ['in_transit', 'delivered', 'rto'],
+    delivered: [],
+    rto: []
+};
+
+const RTO_RETURN_REASON = 'Returned to origin (RTO)';
+
+/**
+ * Read the courier and parcel fields of a shipment request; fields that are not given are left out
+ * @returns {object} { courier_name, awb_number, weight_grams, length_cm, width_cm, height_cm, notes }
+ */
+function parseShipmentDetails(body) {
+    const details = {};
+
+    ['courier_name', 'awb_number', 'notes'].forEach(field => {
+        if (body[field] !== undefined) {
+            details[field] = body[field] === null ? null : String(body[field]).trim() || null;
+        }
+    });
+
+    if (body.weight_grams !== undefined) {
+        const weight = body.weight_grams === null || body.weight_grams === '' ? null : Number(body.weight_grams);
+        if (weight !== null && (!Number.isInteger(weight) || weight <= 0)) {
+            throw new Error('Shipment weight must be a whole number of grams');
+        }
+        details.weight_grams = weight;
+    }
+
+    ['length_cm', 'width_cm', 'height_cm'].forEach(field => {
+        if (body[field] !== undefined) {
+            const value = body[field] === null || body[field] === '' ? null : Number(body[field]);
+            if (value !== null && (isNaN(value) || value <= 0)) {
+                throw new Error('Shipment dimensions must be positive numbers of centimetres');
+            }
+            details[field] = value;
+        }
+    });
+
+    return details;
+}
+
+/**
+ * Weight of an order's products, the design's weight standing in for a variant without one;
+ * null when a product's weight is not known
+ */
+async function estimateOrderWeight(db, orderId) {
+    const { weight_grams, unknown } = await db.get(
+        `SELECT SUM(s.quantity_sold * COALESCE(p.weight_grams, dp.weight_grams)) as weight_grams,
+                SUM(CASE WHEN COALESCE(p.weight_grams, dp.weight_grams) IS NULL THEN 1 ELSE 0 END) as unknown
+         FROM sales s
+         LEFT JOIN products p ON p.id = s.product_id
+         LEFT JOIN products dp ON dp.id = p.parent_id
+         WHERE s.order_id = ?`,
+        [orderId]
+    );
+    return unknown > 0 || !weight_grams ? null : Math.round(weight_grams);
+}
+
+/**
+ * Refuse changes to an order's lines once its shipment has left; a packed shipment can still be repacked
+ */
+async function assertOrderNotShipped(db, orderId) {
+    const shipment = await db.get('SELECT shipment_number, status FROM shipments WHERE order_id = ?', [orderId]);
+    if (shipment && shipment.status !== 'packed') {
+        throw new Error(`Order has been shipped (${shipment.shipment_number}) and cannot be changed`);
+    }
+}
+
+/**
+ * Record a status in a shipment's history
+ */
+async function addStatusHistory(db, shipmentId, { status, remarks = null, status_date = null, user_id = null }) {
+    await db.run(
+        `INSERT INTO shipment_status_history (shipment_id, status, remarks, status_date, created_by)
+         VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+        [shipmentId, status, remarks, status_date, user_id]
+    );
+}
+
+/**
+ * Pack an order: create its shipment. The weight is worked out from the products when not given.
+ * @param {object} data - { order_id, courier_name, awb_number, weight_grams, length_cm, width_cm, height_cm, notes }
+ * @returns {Promise<object>} The shipment
+ */
+async function createShipment(db, data, userId = null) {
+    const order = await db.get('SELECT id FROM sales_orders WHERE id = ?', [data.order_id]);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+
+    const existing = await db.get('SELECT shipment_number FROM shipments WHERE order_id = ?', [order.id]);
+    if (existing) {
+        throw new Error(`Order already has a shipment (${existing.shipment_number})`);
+    }
+
+    const details = parseShipmentDetails(data);
+    await assertAwbAvailable(db, details.courier_name, details.awb_number);
+    const weight = details.weight_grams ?? await estimateOrderWeight(db, order.id);
+
+    const result = await db.run(
+        `INSERT INTO shipments (order_id, courier_name, awb_number, weight_grams, length_cm, width_cm, height_cm, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [order.id, details.courier_name ?? null, details.awb_number ?? null, weight,
+         details.length_cm ?? null, details.width_cm ?? null, details.height_cm ?? null, details.notes ?? null, userId]
+    );
+    await db.run('UPDATE shipments SET shipment_number = ? WHERE id = ?', [`SHP-${String(result.lastID).padStart(6, '0')}`, result.lastID]);
+    await addStatusHistory(db, result.lastID, { status: 'packed', user_id: userId });
+
+    return getShipment(db, result.lastID);
+}
+
+/**
+ * Refuse an AWB number the courier has already given another shipment
+ */
+async function assertAwbAvailable(db, courierName, awbNumber, shipmentId = null) {
+    if (!awbNumber) {
+        return;
+    }
+    const other = await db.get(
+        `SELECT shipment_number FROM shipments
+         WHERE awb_number = ? AND COALESCE(courier_name, '') = COALESCE(?, '') COLLATE NOCASE AND id != COALESCE(?, 0)`,
+        [awbNumber, courierName ?? null, shipmentId]
+    );
+    if (other) {
+        throw new Error(`AWB number ${awbNumber} is already used by ${other.shipment_number}`);
+    }
+}
+
+/**
+ * Change the courier and parcel details of a shipment; a delivered or returned shipment is closed
+ * @returns {Promise<object>} The shipment
+ */
+async function updateShipment(db, shipmentId, data) {
+    const shipment = await db.get('SELECT * FROM shipments WHERE id = ?', [shipmentId]);
+    if (!shipment) {
+        throw new Error('Shipment not found');
+    }
+    if (shipment.status === 'delivered' || shipment.status === 'rto') {
+        throw new Error(`Shipment is ${shipment.status} and cannot be changed`);
+    }
+
+    const details = parseShipmentDetails(data);
+    const fields = Object.keys(details);
+    if (fields.length === 0) {
+        throw new Error('No fields to update');
+    }
+
+    await assertAwbAvailable(
+        db,
+        details.courier_name !== undefined ? details.courier_name : shipment.courier_name,
+        details.awb_number !== undefined ? details.awb_number : shipment.awb_number,
+        shipment.id
+    );
+
+    await db.run(
+        `UPDATE shipments SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_date = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(field => details[field]), shipment.id]
+    );
+
+    return getShipment(db, shipment.id);
+}
+
+/**
+ * Open a return for each line of a shipment's order, approved and routed to the location the parcel
+ * comes back to (the location the order was sold from when not given)
+ * @returns {Promise<Array>} The returns opened
+ */
+async function openRtoReturns(db, shipment, { location_id = null, user_id = null } = {}) {
+    const order = await db.get(
+        `SELECT o.*, c.name as customer_name, c.email as customer_email, c.phone as customer_phone
+         FROM sales_orders o
+         LEFT JOIN customers c ON c.id = o.customer_id
+         WHERE o.id = ?`,
+        [shipment.order_id]
+    );
+    const location = await resolveLocation(db, location_id || order.location_id);
+    const lines = await db.all(
+        `SELECT s.id, s.product_id, s.quantity_sold, s.sales_platform, p.name as product_name
+         FROM sales s
+         LEFT JOIN products p ON p.id = s.product_id
+         WHERE s.order_id = ?
+         ORDER BY s.line_number, s.id`,
+        [order.id]
+    );
+
+    const opened = [];
+    for (const line of lines) {
+        // A line already returned on its own is not opened again
+        const existing = await db.get(
+            "SELECT id FROM returns WHERE original_sale_id = ? AND return_status NOT IN ('rejected', 'cancelled')",
+            [line.id]
+        );
+        if (existing) {
+            continue;
+        }
+
+        // Returns are numbered RET- plus their id, which is the next value of the table's sequence
+        const sequence = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'returns'");
+        const returnNumber = `RET-${String((sequence ? sequence.seq : 0) + 1).padStart(6, '0')}`;
+
+        const result = await db.run(
+            `INSERT INTO returns (
+                return_number, original_sale_id, shipment_id, customer_id, customer_name, customer_email, customer_phone,
+                product_id, product_name, quantity, return_reason, return_condition, return_status, sales_platform,
+                restock_location_id, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'good', 'approved', ?, ?, ?)`,
+            [returnNumber, line.id, shipment.id, order.customer_id,
+             order.customer_name || order.buyer_name || order.customer_info || 'Unknown customer',
+             order.customer_email, order.customer_phone, line.product_id, line.product_name || 'Unknown product',
+             line.quantity_sold, RTO_RETURN_REASON, line.sales_platform || order.sales_platform, location.id,
+             `Opened for ${shipment.shipment_number}${shipment.awb_number ? ` (AWB ${shipment.awb_number})` : ''}`]
+        );
+
+        // The parcel never reached the customer, so there is nothing to approve
+        await db.run(
+            `INSERT INTO return_activities (return_id, activity_type, activity_description, performed_by)
+             VALUES (?, 'created', ?, ?), (?, 'approved', ?, ?)`,
+            [result.lastID, `Return created for ${line.quantity_sold} x ${line.product_name} returned to origin`, user_id,
+             result.lastID, `Approved for restocking at ${location.name}`, user_id]
+        );
+
+        opened.push(await db.get('SELECT * FROM returns WHERE id = ?', [result.lastID]));
+    }
+
+    return opened;
+}
+
+/**
+ * Move a shipment to a new status and record it in its history. shipped sets the dispatch date, delivered and
+ * rto close the shipment; rto opens returns for the order unless open_return is false.
+ * @param {object} update - { status, remarks, status_date, open_return, restock_location_id }
+ * @returns {Promise<object>} { shipment, returns }
+ */
+async function changeShipmentStatus(db, shipmentId, update, userId = null) {
+    const { status, remarks = null, status_date = null, open_return = true, restock_location_id = null } = update;
+
+    if (!SHIPMENT_STATUSES.includes(status)) {
+        throw new Error(`Shipment status must be one of ${SHIPMENT_STATUSES.join(', ')}`);
+    }
+    if (status_date && !/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(status_date)) {
+        throw new Error('Status date must be YYYY-MM-DD or YYYY-MM-DD HH:MM:SS');
+    }
+
+    const shipment = await db.get('SELECT * FROM shipments WHERE id = ?', [shipmentId]);
+    if (!shipment) {
+        throw new Error('Shipment not found');
+    }
+    if (!STATUS_TRANSITIONS[shipment.status].includes(status)) {
+        throw new Error(`Shipment cannot move from ${shipment.status} to ${status}`);
+    }
+    if (status === 'shipped' && (!shipment.courier_name || !shipment.awb_number)) {
+        throw new Error('Shipment needs a courier and an AWB number before it is shipped');
+    }
+
+    await addStatusHistory(db, shipment.id, { status, remarks, status_date, user_id: userId });
+
+    const dateColumn = { shipped: 'dispatch_date', delivered: 'delivered_date', rto: 'rto_date' }[status];
+    await db.run(
+        `UPDATE shipments SET status = ?, ${dateColumn ? `${dateColumn} = COALESCE(?, CURRENT_TIMESTAMP), ` : ''}updated_date = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        dateColumn ? [status, status_date, shipment.id] : [status, shipment.id]
+    );
+
+    const returns = status === 'rto' && open_return !== false && open_return !== 'false'
+        ? await openRtoReturns(db, shipment, { location_id: restock_location_id, user_id: userId })
+        : [];
+
+    return { shipment: await getShipment(db, shipment.id), returns };
+}
+
+/**
+ * Lines of a shipment's order as they are packed
+ */
+async function getShipmentLines(db, orderId) {
+    return db.all(
+        `SELECT s.id as sale_id, s.line_number, s.product_id, p.name as product_name, p.sku, p.barcode, p.brand, p.model,
+                p.color, s.quantity_sold as quantity
+         FROM sales s
+         LEFT JOIN products p ON p.id = s.product_id
+         WHERE s.order_id = ?
+         ORDER BY s.line_number, s.id`,
+        [orderId]
+    );
+}
+
+/**
+ * A shipment with its order, ship-to address, lines, status history and the returns opened for it
+ */
+async function getShipment(db, shipmentId) {
+    const shipment = await db.get(
+        `SELECT sh.*, o.order_number, o.marketplace_order_id, o.sales_platform, o.order_date, o.payment_method,
+                o.total_amount as order_amount, o.location_id,
+                COALESCE(o.buyer_name, c.name, o.customer_info) as ship_to_name,
+                COALESCE(o.buyer_address, c.address) as ship_to_address, c.phone as ship_to_phone
+         FROM shipments sh
+         JOIN sales_orders o ON o.id = sh.order_id
+         LEFT JOIN customers c ON c.id = o.customer_id
+         WHERE sh.id = ?`,
+        [shipmentId]
+    );
+    if (!shipment) {
+        return shipment;
+    }
+
+    shipment.lines = await getShipmentLines(db, shipment.order_id);
+    shipment.history = await db.all(
+        `SELECT h.*, u.first_name || ' ' || u.last_name as created_by_name
+         FROM shipment_status_history h
+         LEFT JOIN users u ON u.id = h.created_by
+         WHERE h.shipment_id = ?
+         ORDER BY h.status_date, h.id`,
+        [shipment.id]
+    );
+    shipment.returns = await db.all(
+        'SELECT id, return_number, product_id, quantity, return_status, restock_location_id FROM returns WHERE shipment_id = ? ORDER BY id',
+        [shipment.id]
+    );
+
+    return shipment;
+}
+
+/**
+ * Shipments a courier takes on a dispatch date, for its manifest
+ */
+async function getManifestShipments(db, { courier_name = '', date }) {
+    const params = [date];
+    let courierCondition = '';
+    if (courier_name) {
+        courierCondition = 'AND sh.courier_name = ? COLLATE NOCASE';
+        params.push(courier_name);
+    }
+
+    return db.all(
+        `SELECT sh.id, sh.shipment_number, sh.courier_name, sh.awb_number, sh.weight_grams, sh.length_cm, sh.width_cm,
+                sh.height_cm, sh.status, sh.dispatch_date, o.order_number, o.marketplace_order_id, o.sales_platform,
+                o.payment_method, o.total_amount as order_amount,
+                COALESCE(o.buyer_name, c.name, o.customer_info) as ship_to_name,
+                COALESCE(o.buyer_address, c.address) as ship_to_address,
+                (SELECT SUM(s.quantity_sold) FROM sales s WHERE s.order_id = o.id) as total_units
+         FROM shipments sh
+         JOIN sales_orders o ON o.id = sh.order_id
+         LEFT JOIN customers c ON c.id = o.customer_id
+         WHERE DATE(sh.dispatch_date) = ? ${courierCondition}
+         ORDER BY sh.courier_name, sh.awb_number`,
+        params
+    );
+}
+
+function dimensionsLabel(shipment) {
+    return shipment.length_cm && shipment.width_cm && shipment.height_cm
+        ? `${shipment.length_cm} x ${shipment.width_cm} x ${shipment.height_cm} cm`
+        : '';
+}
+
+function weightLabel(weightGrams) {
+    return weightGrams ? `${(weightGrams / 1000).toFixed(3)} kg` : '';
+}
+
+/**
+ * Printable packing slip: ship-to address, courier and AWB, and the items to pack without prices
+ * @returns {Buffer} PDF file contents
+ */
+function renderPackingSlipPdf(shipment, { seller = process.env.GST_SELLER_NAME || '' } = {}) {
+    const doc = new PdfDocument({ size: 'A4' });
+    const columns = [
+        { label: '#', x: 15 },
+        { label: 'SKU', x: 23, width: 38 },
+        { label: 'Product', x: 63, width: 85 },
+        { label: 'Color', x: 150, width: 28 },
+        { label: 'Qty', x: 195, align: 'right' }
+    ];
+    const bottom = 280;
+    let y = 20;
+
+    doc.text('Packing Slip', mm(15), mm(y), { size: 16, font: 'bold' });
+    doc.text(shipment.shipment_number, mm(195), mm(y), { size: 12, font: 'bold', align: 'right' });
+    y += 10;
+
+    // Ship-to on the left, order and courier on the right
+    const top = y;
+    doc.text('Ship To', mm(15), mm(y), { size: 10, font: 'bold' });
+    y += 5;
+    doc.text(fitText(shipment.ship_to_name || '', 10, mm(95)), mm(15), mm(y), { size: 10 });
+    y += 4.5;
+    (shipment.ship_to_address || '').split(/\r?\n/).filter(Boolean).slice(0, 4).forEach(part => {
+        doc.text(fitText(part.trim(), 9, mm(95)), mm(15), mm(y), { size: 9 });
+        y += 4.5;
+    });
+    if (shipment.ship_to_phone) {
+        doc.text(`Phone: ${shipment.ship_to_phone}`, mm(15), mm(y), { size: 9 });
+        y += 4.5;
+    }
+
+    let right = top;
+    [
+        ['Order No', shipment.order_number],
+        ['Marketplace Order', shipment.marketplace_order_id || ''],
+        ['Platform', shipment.sales_platform || ''],
+        ['Courier', shipment.courier_name || ''],
+        ['AWB No', shipment.awb_number || ''],
+        ['Weight', weightLabel(shipment.weight_grams)],
+        ['Dimensions', dimensionsLabel(shipment)]
+    ].forEach(([label, value]) => {
+        doc.text(label, mm(125), mm(right), { size: 9, font: 'bold' });
+        doc.text(fitText(value, 9, mm(40)), mm(195), mm(right), { size: 9, align: 'right' });
+        right += 5;
+    });
+
+    y = Math.max(y, right) + 8;
+
+    const header = () => {
+        columns.forEach(column => {
+            doc.text(column.label, mm(column.x), mm(y), { size: 9, font: 'bold', align: column.align });
+        });
+        doc.line(mm(15), mm(y + 1.5), mm(195), mm(y + 1.5));
+        y += 5.5;
+    };
+    header();
+
+    shipment.lines.forEach((line, index) => {
+        if (y + 5 > bottom) {
+            doc.addPage();
+            y = 20;
+            header();
+        }
+        const product = [line.product_name, line.model ? `(${line.model})` : ''].filter(Boolean).join(' ');
+        const values = [index + 1, line.sku || line.barcode || '', product, line.color || '', line.quantity];
+        columns.forEach((column, columnIndex) => {
+            const value = column.width ? fitText(values[columnIndex], 9, mm(column.width)) : values[columnIndex];
+            doc.text(value, mm(column.x), mm(y), { size: 9, align: column.align });
+        });
+        y += 5;
+    });
+    doc.line(mm(15), mm(y - 3), mm(195), mm(y - 3));
+
+    const units = shipment.lines.reduce((sum, line) => sum + line.quantity, 0);
+    doc.text(`${units} unit(s)`, mm(195), mm(y + 1), { size: 9, font: 'bold', align: 'right' });
+
+    if (seller) {
+        if (y + 15 > bottom) {
+            doc.addPage();
+            y = 10;
+        }
+        doc.text(`Shipped by ${seller}`, mm(15), mm(y + 10), { size: 8 });
+    }
+
+    return doc.toBuffer();
+}
+
+/**
+ * Courier manifest as CSV, one row per shipment
+ */
+function renderManifestCsv(shipments) {
+    const rows = [['Courier', 'AWB Number', 'Shipment', 'Order', 'Marketplace Order', 'Platform', 'Consignee',
+        'Address', 'Units', 'Weight (g)', 'Dimensions', 'Payment Method', 'Order Value']];
+
+    shipments.forEach(shipment => {
+        rows.push([
+            shipment.courier_name, shipment.awb_number, shipment.shipment_number, shipment.order_number,
+            shipment.marketplace_order_id, shipment.sales_platform, shipment.ship_to_name,
+            (shipment.ship_to_address || '').replace(/\r?\n/g, ', '), shipment.total_units, shipment.weight_grams,
+            dimensionsLabel(shipment), shipment.payment_method, Number(shipment.order_amount || 0).toFixed(2)
+        ]);
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Printable courier manifest: the shipments handed over on a date, one section per courier with a signature line
+ * @returns {Buffer} PDF file contents
+ */
+function renderManifestPdf(shipments, { date }) {
+    const doc = new PdfDocument({ size: 'A4' });
+    const columns = [
+        { label: '#', x: 15 },
+        { label: 'AWB No', x: 23, width: 36 },
+        { label: 'Order', x: 61, width: 30 },
+        { label: 'Consignee', x: 93, width: 55 },
+        { label: 'Units', x: 160, align: 'right' },
+        { label: 'Weight', x: 178, align: 'right' },
+        { label: 'Payment', x: 195, align: 'right' }
+    ];
+    const bottom = 280;
+    let y = 20;
+
+    const ensureSpace = (height) => {
+        if (y + height > bottom) {
+            doc.addPage();
+            y = 20;
+        }
+    };
+
+    const couriers = new Map();
+    shipments.forEach(shipment => {
+        const courier = shipment.courier_name || 'No courier';
+        couriers.set(courier, [...(couriers.get(courier) || []), shipment]);
+    });
+
+    doc.text('Shipping Manifest', mm(15), mm(y), { size: 16, font: 'bold' });
+    doc.text(date, mm(195), mm(y), { size: 10, align: 'right' });
+    y += 10;
+
+    couriers.forEach((courierShipments, courier) => {
+        ensureSpace(20);
+        doc.text(courier, mm(15), mm(y), { size: 12, font: 'bold' });
+        doc.text(`${courierShipments.length} shipment(s)`, mm(195), mm(y), { size: 9, align: 'right' });
+        y += 6;
+
+        columns.forEach(column => {
+            doc.text(column.label, mm(column.x), mm(y), { size: 9, font: 'bold', align: column.align });
+        });
+        doc.line(mm(15), mm(y + 1.5), mm(195), mm(y + 1.5));
+        y += 5.5;
+
+        courierShipments.forEach((shipment, index) => {
+            ensureSpace(5);
+            const values = [
+                index + 1, shipment.awb_number || '', shipment.marketplace_order_id || shipment.order_number,
+                shipment.ship_to_name || '', shipment.total_units, weightLabel(shipment.weight_grams),
+                /cod|cash/i.test(shipment.payment_method || '') ? 'COD' : 'Prepaid'
+            ];
+            columns.forEach((column, columnIndex) => {
+                const value = column.width ? fitText(values[columnIndex], 9, mm(column.width)) : values[columnIndex];
+                doc.text(value, mm(column.x), mm(y), { size: 9, align: column.align });
+            });
+            y += 5;
+        });
+
+        ensureSpace(22);
+        doc.line(mm(15), mm(y - 3), mm(195), mm(y - 3));
+        y += 12;
+        doc.line(mm(15), mm(y), mm(85), mm(y));
+        doc.line(mm(125), mm(y), mm(195), mm(y));
+        y += 4;
+        doc.text('Handed over by', mm(15), mm(y), { size: 8 });
+        doc.text(`Received by ${courier}`, mm(125), mm(y), { size: 8 });
+        y += 10;
+    });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    SHIPMENT_STATUSES,
+    STATUS_TRANSITIONS,
+    assertOrderNotShipped,
+    createShipment,
+    updateShipment,
+    changeShipmentStatus,
+    getShipment,
+    getManifestShipments,
+    renderPackingSlipPdf,
+    renderManifestCsv,
+    renderManifestPdf
+};
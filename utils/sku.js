@@ -0,0 +1,134 @@
+/**
+ * SKU Utility
+ * Generates product SKUs from configurable patterns and assigns internal barcodes
+ *
+ * Pattern tokens:
+ *   {BRAND} {MODEL} {COLOR} {CATEGORY} {DESIGN} - uppercase alphanumeric code of the field,
+ *                                                 optionally truncated, e.g. {BRAND:3}
+ *   {NNN}                                       - per-prefix sequence, zero padded to the number of Ns
+ */
+
+const { internalEan13 } = require('./barcode');
+
+const SKU_PATTERN = process.env.SKU_PATTERN || '{BRAND:3}-{MODEL}-{COLOR:3}-{NNN}';
+const VARIANT_SKU_PATTERN = process.env.VARIANT_SKU_PATTERN || '{DESIGN}-{MODEL}-{COLOR:3}';
+
+const TOKEN_REGEX = /\{([A-Z]+)(?::(\d+))?\}/g;
+
+/**
+ * Turn a field value into an uppercase alphanumeric SKU segment
+ */
+function skuSegment(value, length) {
+    const code = String(value || '').toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    return length ? code.substring(0, length) : code;
+}
+
+/**
+ * Resolve every token of a pattern except the sequence
+ * @returns {string} Pattern with field tokens replaced and {NNN} left in place
+ */
+function resolveFieldTokens(pattern, product) {
+    const fields = {
+        BRAND: product.brand,
+        MODEL: product.model,
+        COLOR: product.color,
+        CATEGORY: product.category,
+        DESIGN: product.design_sku
+    };
+
+    return pattern.replace(TOKEN_REGEX, (token, name, length) => {
+        if (/^N+$/.test(name)) {
+            return token;
+        }
+        if (!(name in fields)) {
+            throw new Error(`Unknown SKU pattern token: ${token}`);
+        }
+        return skuSegment(fields[name], length ? parseInt(length) : null) || 'X';
+    });
+}
+
+/**
+ * Generate a unique SKU for a product
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {object} product - Product fields (brand, model, color, category, design_sku)
+ * @param {string} pattern - SKU pattern (defaults to SKU_PATTERN)
+ * @returns {Promise<string>} Unused SKU
+ */
+async function generateSku(db, product, pattern = SKU_PATTERN) {
+    const resolved = resolveFieldTokens(pattern, product);
+    const sequenceMatch = resolved.match(/\{(N+)\}/);
+
+    if (!sequenceMatch) {
+        // No sequence token: suffix a counter only when the plain SKU is taken
+        let candidate = resolved;
+        let suffix = 2;
+        while (await db.get('SELECT id FROM products WHERE sku = ?', [candidate])) {
+            candidate = `${resolved}-${suffix++}`;
+        }
+        return candidate;
+    }
+
+    const prefix = resolved.replace(sequenceMatch[0], '');
+    const width = sequenceMatch[1].length;
+
+    // Keep drawing from the prefix sequence until the SKU is unused (manual SKUs may collide)
+    for (;;) {
+        await db.run(
+            `INSERT INTO sku_sequences (prefix, last_value) VALUES (?, 1)
+             ON CONFLICT(prefix) DO UPDATE SET last_value = last_value + 1`,
+            [prefix]
+        );
+        const sequence = await db.get('SELECT last_value FROM sku_sequences WHERE prefix = ?', [prefix]);
+        const candidate = resolved.replace(sequenceMatch[0], String(sequence.last_value).padStart(width, '0'));
+
+        if (!(await db.get('SELECT id FROM products WHERE sku = ?', [candidate]))) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Fill in a missing SKU and barcode on a stored product
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {number} productId - Product to update
+ * @returns {Promise<object>} { sku, barcode }
+ */
+async function assignProductCodes(db, productId) {
+    const product = await db.get(
+        `SELECT p.*, d.sku as design_sku
+         FROM products p
+         LEFT JOIN products d ON p.parent_id = d.id
+         WHERE p.id = ?`,
+        [productId]
+    );
+
+    if (!product) {
+        throw new Error('Product not found');
+    }
+
+    let { sku, barcode } = product;
+
+    if (!sku) {
+        const pattern = product.product_type === 'variant' ? VARIANT_SKU_PATTERN : SKU_PATTERN;
+        sku = await generateSku(db, {
+            ...product,
+            design_sku: product.design_sku || (product.parent_id ? `D${product.parent_id}` : null)
+        }, pattern);
+    }
+
+    if (!barcode) {
+        barcode = internalEan13(product.id);
+    }
+
+    await db.run('UPDATE products SET sku = ?, barcode = ? WHERE id = ?', [sku, barcode, productId]);
+
+    return { sku, barcode };
+}
+
+module.exports = {
+    SKU_PATTERN,
+    VARIANT_SKU_PATTERN,
+    skuSegment,
+    generateSku,
+    assignProductCodes
+};
@@ -0,0 +1,266 @@
+/**
+ * Spreadsheet Utility
+ * Reads CSV, TSV and XLSX files into rows of cell values, so imports need no spreadsheet libraries.
+ *
+ * XLSX files are zip archives of XML parts; only the first worksheet is read, with shared and
+ * inline strings resolved. Formulas yield their cached value and styles (dates included) are ignored.
+ */
+
+const zlib = require('zlib');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV contents
+ * @param {string} delimiter - Field separator, ',' or '\t' for TSV
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Malformed CSV: unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Read the files of a zip archive from its central directory
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Buffer>} File name -> contents
+ */
+function readZip(buffer) {
+    // The end of central directory record sits in the last 64KB (+22 bytes) of the file
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Malformed XLSX: not a zip archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Malformed XLSX: bad central directory');
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // Sizes in the local header may be zero (data descriptor), so only its name and extra lengths are used
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            files.set(name, zlib.inflateRawSync(data));
+        } else {
+            throw new Error(`Malformed XLSX: unsupported compression method ${method}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+/**
+ * Column index of a cell reference such as "C12" (A = 0)
+ */
+function columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Text of an XML fragment's <t> elements (rich text is split over several runs)
+ */
+function textContent(xml) {
+    let text = '';
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        text += decodeXml(match[1]);
+    }
+    return text;
+}
+
+/**
+ * Path of the first worksheet, following the workbook relationships
+ */
+function firstSheetPath(files) {
+    const workbook = files.get('xl/workbook.xml');
+    const rels = files.get('xl/_rels/workbook.xml.rels');
+
+    if (workbook && rels) {
+        const sheet = workbook.toString('utf8').match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+        if (sheet) {
+            const relationship = rels.toString('utf8').match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`));
+            const target = relationship && relationship[0].match(/\bTarget="([^"]+)"/);
+            if (target) {
+                return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+            }
+        }
+    }
+
+    return [...files.keys()].filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0];
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - XLSX file
+ * @returns {Array<Array<string|number|boolean>>} Rows of cell values; missing cells are ''
+ */
+function parseXlsx(buffer) {
+    const files = readZip(buffer);
+    const sheetPath = firstSheetPath(files);
+
+    if (!sheetPath || !files.has(sheetPath)) {
+        throw new Error('Malformed XLSX: no worksheet found');
+    }
+
+    const sharedStrings = [];
+    if (files.has('xl/sharedStrings.xml')) {
+        const pattern = /<si>([\s\S]*?)<\/si>/g;
+        const xml = files.get('xl/sharedStrings.xml').toString('utf8');
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            sharedStrings.push(textContent(match[1]));
+        }
+    }
+
+    const rows = [];
+    const sheet = files.get(sheetPath).toString('utf8');
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowPattern.exec(sheet)) !== null) {
+        const rowNumber = rowMatch[1].match(/\br="(\d+)"/);
+        const row = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+
+        while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const reference = attributes.match(/\br="([A-Z]+\d+)"/i);
+            const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+            const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+            let value = '';
+
+            if (type === 's') {
+                value = sharedStrings[parseInt(raw)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = textContent(body);
+            } else if (type === 'b') {
+                value = raw === '1';
+            } else if (type === 'str' || type === 'e') {
+                value = raw !== undefined ? decodeXml(raw) : '';
+            } else if (raw !== undefined) {
+                value = Number(raw);
+            }
+
+            const index = reference ? columnIndex(reference[1]) : row.length;
+            while (row.length < index) {
+                row.push('');
+            }
+            row[index] = value;
+        }
+
+        // Rows without any cells are left out of the file, keep the numbering intact
+        const index = rowNumber ? parseInt(rowNumber[1]) - 1 : rows.length;
+        while (rows.length < index) {
+            rows.push([]);
+        }
+        rows[index] = row;
+    }
+
+    return rows;
+}
+
+/**
+ * Read a CSV, TSV or XLSX file; XLSX is recognised by its zip signature and TSV by a tab in its first line
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Array>} Rows of cell values
+ */
+function readSpreadsheet(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        return parseXlsx(buffer);
+    }
+    const text = buffer.toString('utf8');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return parseCsv(text, firstLine.includes('\t') ? '\t' : ',');
+}
+
+module.exports = {
+    parseCsv,
+    parseXlsx,
+    readSpreadsheet
+};
@@ -0,0 +1,159 @@
+/**
+ * Stock Utility
+ * Per-location stock bookkeeping. Every stock movement goes through adjustLocationStock
+ * so product_stock, the products.quantity total, the cost layers and the inventory_logs
+ * ledger never drift apart.
+ * All functions take the database manager (or transaction handle) as first argument.
+ */
+
+const { addCostLayer, consumeCostLayers } = require('./costing');
+const { discontinueIfDepleted } = require('./product-status');
+
+/**
+ * Resolve a stock location, falling back to the default location when no id is given
+ * @param {object} db - Database manager
+ * @param {number} locationId - Location id (optional)
+ * @returns {Promise<object>} Location row
+ */
+async function resolveLocation(db, locationId) {
+    const location = locationId
+        ? await db.get('SELECT * FROM stock_locations WHERE id = ?', [locationId])
+        : await db.get('SELECT * FROM stock_locations WHERE is_default = 1 ORDER BY id LIMIT 1');
+
+    if (!location) {
+        throw new Error(locationId ? 'Stock location not found' : 'No default stock location configured');
+    }
+    if (!location.is_active) {
+        throw new Error(`Stock location ${location.name} is inactive`);
+    }
+
+    return location;
+}
+
+/**
+ * Change the stock of a product at one location
+ * @param {object} db - Database manager (or transaction handle)
+ * @param {number} productId - Product to change
+ * @param {object} location - Location row (see resolveLocation)
+ * @param {number} change - Quantity to add (negative to remove)
+ * @param {object} options - { reason, source_type and source_id of the document behind the movement, user_id,
+ *                             unit_cost of added units,
+ *                             costing: false for moves that do not change ownership, e.g. transfers }
+ * @returns {Promise<object>} { product_name, previous_quantity, new_quantity, location_quantity, cogs, unit_cost }
+ */
+async function adjustLocationStock(db, productId, location, change, options = {}) {
+    const { costing = true, reason = 'manual_adjustment', user_id = null, unit_cost, source_type = null, source_id = null } = options;
+
+    const product = await db.get('SELECT name, quantity, product_type FROM products WHERE id = ?', [productId]);
+    if (!product) {
+        throw new Error(`Product ${productId} not found`);
+    }
+    if (product.product_type === 'design') {
+        throw new Error('Designs do not hold stock, adjust one of its variants');
+    }
+    if (product.product_type === 'bundle') {
+        throw new Error('Bundles do not hold stock, adjust its components');
+    }
+
+    const stock = await db.get(
+        'SELECT quantity FROM product_stock WHERE product_id = ? AND location_id = ?',
+        [productId, location.id]
+    );
+    const locationQuantity = (stock ? stock.quantity : 0) + change;
+
+    if (locationQuantity < 0) {
+        throw new Error(`Insufficient stock for ${product.name} at ${location.name}`);
+    }
+
+    await db.run(
+        `INSERT INTO product_stock (product_id, location_id, quantity) VALUES (?, ?, ?)
+         ON CONFLICT(product_id, location_id) DO UPDATE SET quantity = excluded.quantity, updated_date = CURRENT_TIMESTAMP`,
+        [productId, location.id, locationQuantity]
+    );
+    await db.run(
+        'UPDATE products SET quantity = quantity + ?, updated_date = CURRENT_TIMESTAMP WHERE id = ?',
+        [change, productId]
+    );
+
+    if (change < 0) {
+        await discontinueIfDepleted(db, productId);
+    }
+
+    // Units going out carry the cost of goods; units coming in open a cost layer
+    let cost = { cogs: 0, unit_cost: null };
+    if (costing && change < 0) {
+        cost = await consumeCostLayers(db, productId, -change);
+    } else if (costing && change > 0) {
+        cost.unit_cost = await addCostLayer(db, productId, change, { unit_cost, source_type: source_type || reason, source_id });
+    }
+
+    await db.run(
+        `INSERT INTO inventory_logs (product_id, location_id, previous_quantity, new_quantity, change_amount, reason, source_type, source_id, user_id, unit_cost)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [productId, location.id, product.quantity, product.quantity + change, change, reason, source_type, source_id, user_id, cost.unit_cost]
+    );
+
+    return {
+        product_name: product.name,
+        previous_quantity: product.quantity,
+        new_quantity: product.quantity + change,
+        location_quantity: locationQuantity,
+        ...cost
+    };
+}
+
+/**
+ * Per-location stock of a product
+ */
+async function getProductStock(db, productId) {
+    return db.all(
+        `SELECT l.id as location_id, l.code, l.name, l.location_type, COALESCE(ps.quantity, 0) as quantity
+         FROM stock_locations l
+         LEFT JOIN product_stock ps ON ps.location_id = l.id AND ps.product_id = ?
+         WHERE l.is_active = 1
+         ORDER BY l.is_default DESC, l.name`,
+        [productId]
+    );
+}
+
+/**
+ * Compare stock against the ledger
+ * Every movement writes an inventory_logs entry, so a product's quantity (and its quantity at each
+ * location) must equal the sum of its entries. Anything else points at a change made around adjustLocationStock.
+ * @returns {Promise<object>} { products: [...], locations: [...] } mismatches
+ */
+async function findLedgerMismatches(db) {
+    const products = await db.all(
+        `SELECT p.id as product_id, p.name, p.sku, p.quantity,
+                COALESCE(SUM(il.change_amount), 0) as ledger_quantity,
+                p.quantity - COALESCE(SUM(il.change_amount), 0) as difference
+         FROM products p
+         LEFT JOIN inventory_logs il ON il.product_id = p.id
+         WHERE p.product_type NOT IN ('design', 'bundle')
+         GROUP BY p.id
+         HAVING p.quantity != COALESCE(SUM(il.change_amount), 0)
+         ORDER BY ABS(difference) DESC, p.name`
+    );
+
+    const locations = await db.all(
+        `SELECT ps.product_id, p.name, l.id as location_id, l.name as location_name, ps.quantity,
+                COALESCE(SUM(il.change_amount), 0) as ledger_quantity,
+                ps.quantity - COALESCE(SUM(il.change_amount), 0) as difference
+         FROM product_stock ps
+         JOIN products p ON p.id = ps.product_id
+         JOIN stock_locations l ON l.id = ps.location_id
+         LEFT JOIN inventory_logs il ON il.product_id = ps.product_id AND il.location_id = ps.location_id
+         GROUP BY ps.product_id, ps.location_id
+         HAVING ps.quantity != COALESCE(SUM(il.change_amount), 0)
+         ORDER BY ABS(difference) DESC, p.name`
+    );
+
+    return { products, locations };
+}
+
+module.exports = {
+    resolveLocation,
+    adjustLocationStock,
+    getProductStock,
+    findLedgerMismatches
+};